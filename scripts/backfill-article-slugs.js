@@ -0,0 +1,68 @@
+/*
+  Give every article that has no stored slug one. Ids are time-ordered, so
+  going in id order lets older articles keep the plain slug. A slug kept in
+  metadata.slug is reused when it is still free.
+
+  Usage:
+    node scripts/backfill-article-slugs.js             // assign slugs
+    node scripts/backfill-article-slugs.js --dry-run   // only print what would be assigned
+                                                       // (same-titled articles show the same slug)
+*/
+
+require('dotenv').config();
+
+const { prisma } = require('../src/config/database');
+const ArticleSlugService = require('../src/modules/content/services/articleSlugService');
+
+const BATCH_SIZE = 200;
+
+async function slugFor(article) {
+  const legacy = article.metadata?.slug;
+  if (legacy && (await ArticleSlugService.allocate(legacy, article.id)) === legacy) {
+    return legacy;
+  }
+  return ArticleSlugService.allocate(article.title, article.id);
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  let assigned = 0;
+  let lastId = null;
+  try {
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const articles = await prisma.content.findMany({
+        where: { type: 'article', slug: null, ...(lastId ? { id: { gt: lastId } } : {}) },
+        select: {
+          id: true, title: true, metadata: true
+        },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE
+      });
+      if (articles.length === 0) break;
+
+      // One at a time, so each slug is taken before the next is allocated
+      // eslint-disable-next-line no-restricted-syntax
+      for (const article of articles) {
+        // eslint-disable-next-line no-await-in-loop
+        const slug = await slugFor(article);
+        if (dryRun) {
+          console.log(`${article.id} -> ${slug}`);
+        } else {
+          // eslint-disable-next-line no-await-in-loop
+          await prisma.content.update({ where: { id: article.id }, data: { slug } });
+        }
+        assigned += 1;
+      }
+      lastId = articles[articles.length - 1].id;
+    }
+    console.log(`${dryRun ? 'Would assign' : 'Assigned'} slugs to ${assigned} articles`);
+  } catch (error) {
+    console.error('Article slug backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main();
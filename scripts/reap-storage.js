@@ -0,0 +1,28 @@
+/*
+  Expire stale upload sessions and delete storage objects no content row
+  accounts for, then print what was reclaimed.
+
+  Usage:
+    node scripts/reap-storage.js             // reclaim
+    node scripts/reap-storage.js --dry-run   // only report what would be reclaimed
+*/
+
+require('dotenv').config();
+
+const { prisma } = require('../src/config/database');
+const { reapStorage } = require('../src/jobs/workers/storageReaper.worker');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    const report = await reapStorage({ dryRun });
+    console.log(JSON.stringify(report, null, 2));
+  } catch (error) {
+    console.error('Storage reaper failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main();
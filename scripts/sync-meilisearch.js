@@ -99,7 +99,7 @@ async function syncAllData() {
           contentType: content.type,
           title: content.title,
           description: content.description,
-          content: content.type === 'article' ? content.body : undefined,
+          content: content.type === 'article' ? (content.bodyText ?? content.body) : undefined,
           tags: content.tags || [],
           category: content.category,
           authorId: content.authorId,
@@ -350,7 +350,7 @@ const initializeServices = async () => {
         await searchService.initIndex('content', {
           filterableAttributes: ['contentType', 'authorId', 'tags', 'category', 'createdAt'],
           sortableAttributes: ['createdAt', 'updatedAt'],
-          searchableAttributes: ['title', 'description', 'tags', 'authorName', 'content']
+          searchableAttributes: ['title', 'description', 'tags', 'authorName', 'content', 'transcript']
         });
 
         // Users Index Configuration
@@ -395,62 +395,101 @@ const initializeServices = async () => {
     if (redisInitialized) {
       try {
         const { processJob } = require('./jobs/workers/videoProcessing.worker');
-        const { queue, redisQueue } = require('./config/redis');
-        const { REGISTRY_KEY } = require('./jobs/queues/videoQueue');
-        const perUserConcurrency = Math.min(Math.max(Number(process.env.VIDEO_WORKER_PER_USER_CONCURRENCY || 2), 1), 2);
-
-        const started = new Set();
-
-        async function startWorkersForQueue(queueName) {
-          if (started.has(queueName)) return;
-          started.add(queueName);
-          for (let i = 0; i < perUserConcurrency; i += 1) {
-            (async function workerLoop(workerIndex) {
-              console.log(`Video processing worker #${workerIndex + 1} for ${queueName} started...`);
-              // eslint-disable-next-line no-constant-condition
-              while (true) {
-                try {
-                  const job = await queue.popBlocking(queueName, 30);
-                  if (job) {
-                    console.log(`Worker ${queueName}#${workerIndex + 1} picked up job:`, job.id);
-                    await processJob(job);
-                  } else {
-                    // idle
-                  }
-                } catch (err) {
-                  console.error(`Video worker ${queueName}#${workerIndex + 1} error:`, err.message || err);
-                  await new Promise((r) => setTimeout(r, 5000));
+        const { processAudioJob } = require('./jobs/workers/audioProcessing.worker');
+        const { reuseRenditionsJob } = require('./jobs/workers/renditionReuse.worker');
+        const { processDocumentJob } = require('./jobs/workers/documentProcessing.worker');
+        const { promoteDelayedJobs } = require('./jobs/queues/videoQueue');
+        const {
+          claimNextJob, runClaimedJob, reclaimExpiredLeases, PER_USER_CONCURRENCY
+        } = require('./jobs/queues/videoScheduler');
+        // Fixed worker pool; the scheduler decides which user's job each free worker takes
+        const workerConcurrency = Math.max(Number(process.env.VIDEO_WORKER_CONCURRENCY) || 2, 1);
+        const pollInterval = Number(process.env.VIDEO_SCHEDULER_POLL_MS) || 2000;
+        const jobHandlers = {
+          PROCESS_VIDEO: processJob,
+          PROCESS_AUDIO: processAudioJob,
+          REUSE_RENDITIONS: reuseRenditionsJob,
+          PROCESS_DOCUMENT: processDocumentJob
+        };
+
+        for (let i = 0; i < workerConcurrency; i += 1) {
+          (async function workerLoop(workerIndex) {
+            console.log(`Video processing worker #${workerIndex + 1} started...`);
+            // eslint-disable-next-line no-constant-condition
+            while (true) {
+              try {
+                // eslint-disable-next-line no-await-in-loop
+                const claimed = await claimNextJob();
+                if (claimed) {
+                  console.log(`Worker #${workerIndex + 1} picked up job ${claimed.job.id} from ${claimed.queueName} (${claimed.lane} lane)`);
+                  // eslint-disable-next-line no-await-in-loop
+                  await runClaimedJob(claimed.job, jobHandlers[claimed.job.type] || processJob);
+                } else {
+                  // eslint-disable-next-line no-await-in-loop
+                  await new Promise((r) => setTimeout(r, pollInterval));
                 }
+              } catch (err) {
+                console.error(`Video worker #${workerIndex + 1} error:`, err.message || err);
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise((r) => setTimeout(r, 5000));
               }
-            }(i));
-          }
+            }
+          }(i));
         }
 
-        // Initial discovery of queues
-        const initialQueues = await redisQueue.sMembers(REGISTRY_KEY);
-        if (initialQueues && initialQueues.length) {
-          for (const qn of initialQueues) await startWorkersForQueue(qn);
-        }
+        // Requeue jobs whose retry backoff has expired
+        setInterval(async () => {
+          try {
+            await promoteDelayedJobs();
+          } catch (e) {
+            console.error('Delayed job promotion error:', e.message || e);
+          }
+        }, 5000);
 
-        // Periodically discover new queues and start workers
+        // Retry jobs whose worker died mid-run
         setInterval(async () => {
           try {
-            const queues = await redisQueue.sMembers(REGISTRY_KEY);
-            for (const qn of queues || []) {
-              // eslint-disable-next-line no-await-in-loop
-              await startWorkersForQueue(qn);
-            }
+            await reclaimExpiredLeases();
           } catch (e) {
-            console.error('Queue discovery error:', e.message || e);
+            console.error('Lease reclaim error:', e.message || e);
           }
         }, 15000);
 
-        console.log(`Video processing workers manager started (per-user concurrency=${perUserConcurrency})`);
+        console.log(`Video processing scheduler started (workers=${workerConcurrency}, per-user concurrency=${PER_USER_CONCURRENCY})`);
       } catch (e) {
         console.error('Failed to start video worker:', e.message);
       }
     }
 
+    // Expire stale upload sessions and delete storage that deleted content left behind
+    const reaperInterval = Number(process.env.STORAGE_REAPER_INTERVAL_MS ?? 60 * 60 * 1000);
+    if (dbAvailable && reaperInterval > 0) {
+      const { reapStorage } = require('./jobs/workers/storageReaper.worker');
+      const dryRun = process.env.STORAGE_REAPER_DRY_RUN === 'true';
+      setInterval(async () => {
+        try {
+          await reapStorage({ dryRun });
+        } catch (e) {
+          console.error('Storage reaper error:', e.message || e);
+        }
+      }, reaperInterval);
+      console.log(`Storage reaper scheduled every ${reaperInterval}ms${dryRun ? ' (dry run)' : ''}`);
+    }
+
+    // Publish and take down content whose publishAt/unpublishAt has passed
+    const schedulerInterval = Number(process.env.CONTENT_SCHEDULER_INTERVAL_MS ?? 30 * 1000);
+    if (dbAvailable && schedulerInterval > 0) {
+      const { runContentScheduler } = require('./jobs/workers/contentScheduler.worker');
+      setInterval(async () => {
+        try {
+          await runContentScheduler();
+        } catch (e) {
+          console.error('Content scheduler error:', e.message || e);
+        }
+      }, schedulerInterval);
+      console.log(`Content scheduler running every ${schedulerInterval}ms`);
+    }
+
     return true;
   } catch (error) {
     console.error(' Service initialization failed:', error);
@@ -3,6 +3,12 @@ const multer = require('multer');
 const path = require('path');
 const { v7: uuidv7 } = require('uuid');
 
+const GB = 1024 * 1024 * 1024;
+const quotaFromEnv = (name, defaultGb) => (process.env[name] ? Number(process.env[name]) : defaultGb) * GB;
+const listFromEnv = (name, fallback) => (process.env[name]
+  ? process.env[name].split(',').map((value) => value.trim()).filter(Boolean)
+  : fallback);
+
 const storageConfig = {
   aws: {
     region: process.env.AWS_REGION || 'us-east-1',
@@ -13,7 +19,9 @@ const storageConfig = {
 
   local: {
     uploadsDir: process.env.UPLOADS_DIR || './uploads',
-    tempDir: process.env.TEMP_DIR || './temp'
+    tempDir: process.env.TEMP_DIR || './temp',
+    // In-progress tus uploads
+    tusDir: process.env.TUS_UPLOAD_DIR || path.join(process.cwd(), 'tmp', 'tus')
   },
 
   limits: {
@@ -24,6 +32,45 @@ const storageConfig = {
     }
   },
 
+  // Total bytes a user may keep in object storage (sources, renditions, documents, images), by plan
+  quotas: {
+    plans: {
+      free: quotaFromEnv('STORAGE_QUOTA_FREE_GB', 10),
+      creator: quotaFromEnv('STORAGE_QUOTA_CREATOR_GB', 100),
+      pro: quotaFromEnv('STORAGE_QUOTA_PRO_GB', 1000)
+    },
+    defaultPlan: 'free',
+    unlimitedRoles: ['admin', 'moderator']
+  },
+
+  // Checks every uploaded video, audio file and document passes before processing.
+  // Files that fail are moved under quarantinePrefix.
+  validation: {
+    video: {
+      codecs: listFromEnv('MEDIA_VIDEO_CODECS', [
+        'h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg4', 'mpeg2video', 'mpeg1video', 'h263', 'flv1', 'wmv2', 'wmv3', 'vc1'
+      ]),
+      // Long side x short side, so portrait sources get the same allowance
+      maxResolution: process.env.MEDIA_MAX_RESOLUTION || '4096x2160'
+    },
+    audio: {
+      codecs: listFromEnv('MEDIA_AUDIO_CODECS', [
+        'aac', 'mp3', 'opus', 'vorbis', 'flac', 'alac', 'ac3', 'eac3', 'wmav2', 'amr_nb',
+        'pcm_s16le', 'pcm_s24le', 'pcm_s32le', 'pcm_f32le', 'pcm_u8'
+      ])
+    },
+    maxDurationSeconds: (Number(process.env.MEDIA_MAX_DURATION_MINUTES) || 360) * 60,
+    // Malware scanner: "none" or "clamav" (a clamd daemon reached over TCP or a unix socket)
+    scanner: process.env.MALWARE_SCANNER || 'none',
+    clamav: {
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: Number(process.env.CLAMAV_PORT) || 3310,
+      socket: process.env.CLAMAV_SOCKET || null,
+      timeoutMs: Number(process.env.CLAMAV_TIMEOUT_MS) || 60000
+    },
+    quarantinePrefix: 'quarantine/'
+  },
+
   allowedTypes: {
     // video: ['video/mp4', 'video/webm', 'video/avi', 'video/quicktime'], // removed for rebuild
     image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
@@ -4,9 +4,29 @@ const { prisma } = require('../../config/database');
 
 const VIDEO_QUEUE_BASE = 'video-processing';
 const REGISTRY_KEY = 'set:video-processing:queues';
+// Jobs waiting out their retry backoff, scored by the epoch ms they become due
+const DELAYED_KEY = 'zset:video-processing:delayed';
+// Jobs that exhausted their attempts, keyed by job ID
+const DEAD_LETTER_KEY = 'hash:video-processing:dead-letter';
 
-function getUserQueueName(userId) {
-  return `${VIDEO_QUEUE_BASE}:user:${userId}`;
+// Priority lanes, served highest first: verified creators, fresh uploads, re-encodes
+const LANES = ['high', 'normal', 'low'];
+const DEFAULT_LANE = 'normal';
+
+const MAX_ATTEMPTS = Math.max(Number(process.env.VIDEO_JOB_MAX_ATTEMPTS) || 5, 1);
+const BACKOFF_BASE_MS = Number(process.env.VIDEO_JOB_BACKOFF_BASE_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = Number(process.env.VIDEO_JOB_BACKOFF_MAX_MS) || 30 * 60 * 1000;
+
+function getUserQueueName(userId, lane = DEFAULT_LANE) {
+  return `${VIDEO_QUEUE_BASE}:user:${userId}:${lane}`;
+}
+
+// Inverse of getUserQueueName. Queues registered before lanes existed have no
+// lane suffix and are served as the default lane.
+function parseQueueName(queueName) {
+  const [, scope, userId, lane] = queueName.split(':');
+  if (scope !== 'user' || !userId) return { userId: null, lane: DEFAULT_LANE };
+  return { userId, lane: LANES.includes(lane) ? lane : DEFAULT_LANE };
 }
 
 function createVideoQueue() {
@@ -14,31 +34,247 @@ function createVideoQueue() {
   return { base: VIDEO_QUEUE_BASE };
 }
 
+// Exponential backoff with +/-20% jitter so retries of a failed batch don't land together
+function getBackoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_BASE_MS * (2 ** Math.max(attempt - 1, 0)), BACKOFF_MAX_MS);
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+}
+
+async function pushJob(job) {
+  const { userId } = job.payload;
+  const queueName = userId ? getUserQueueName(userId, job.lane) : VIDEO_QUEUE_BASE;
+  const queuedJob = { ...job, queuedAt: Date.now() };
+  console.log('📦 [Queue] Pushing job to queue:', queueName, queuedJob);
+  // Register this per-user queue for workers discovery
+  try { await redisQueue.sAdd(REGISTRY_KEY, queueName); } catch (e) { /* ignore */ }
+  const result = await queue.push(queueName, queuedJob);
+  console.log('📦 [Queue] Push result:', result);
+  return result;
+}
+
+// Jobs queued before checkpointing existed have no row yet, so the worker upserts too
+async function ensureJobRecord(job) {
+  return prisma.job.upsert({
+    where: { id: job.id },
+    create: {
+      id: job.id,
+      userId: job.payload.userId,
+      type: job.type,
+      status: 'PENDING',
+      contentId: job.payload.contentId,
+      data: job.payload,
+      maxAttempts: MAX_ATTEMPTS
+    },
+    update: {}
+  });
+}
+
+// Verified creators jump ahead of regular uploads
+async function resolveLane(userId) {
+  if (!userId) return DEFAULT_LANE;
+  const profile = await prisma.profile.findUnique({ where: { userId }, select: { isVerified: true } });
+  return profile?.isVerified ? 'high' : DEFAULT_LANE;
+}
+
 // payload: { contentId, sourceObjectKey, userId? }
-async function enqueueProcessVideo(_q, payload) {
+// options: { lane? } - defaults to 'high' for verified creators, 'normal' otherwise
+async function enqueueMediaJob(type, payload, options = {}) {
   const jobId = uuidv7();
-  let userId = payload.userId;
+  let { userId } = payload;
   if (!userId) {
     // Fallback: fetch authorId from content
     const content = await prisma.content.findUnique({ where: { id: payload.contentId }, select: { authorId: true } });
     userId = content?.authorId;
   }
-  const queueName = userId ? getUserQueueName(userId) : VIDEO_QUEUE_BASE;
-  const job = { id: jobId, type: 'PROCESS_VIDEO', payload: { ...payload, userId } };
-  console.log('📦 [Queue] Pushing job to queue:', queueName, job);
-  // Register this per-user queue for workers discovery
-  try { await redisQueue.sAdd(REGISTRY_KEY, queueName); } catch (e) { /* ignore */ }
-  const result = await queue.push(queueName, job);
-  console.log('📦 [Queue] Push result:', result);
+  const lane = LANES.includes(options.lane) ? options.lane : await resolveLane(userId);
+  const job = {
+    id: jobId, type, lane, attempts: 0, payload: { ...payload, userId }
+  };
+  await ensureJobRecord(job);
+  await pushJob(job);
   return { jobId };
 }
 
+async function enqueueProcessVideo(_q, payload, options = {}) {
+  return enqueueMediaJob('PROCESS_VIDEO', payload, options);
+}
+
+// Audio jobs share the video queues, so they get the same fair-share scheduling and retries
+async function enqueueProcessAudio(payload, options = {}) {
+  return enqueueMediaJob('PROCESS_AUDIO', payload, options);
+}
+
+// Re-upload of media the author already has processed: copy its renditions instead of encoding
+async function enqueueReuseRenditions(payload, options = {}) {
+  return enqueueMediaJob('REUSE_RENDITIONS', payload, options);
+}
+
+// Text extraction and page rendering for uploaded documents
+async function enqueueProcessDocument(payload, options = {}) {
+  return enqueueMediaJob('PROCESS_DOCUMENT', payload, options);
+}
+
+/**
+ * Record a failed attempt. The job is parked in the delayed set until its backoff
+ * expires, or moved to the dead-letter hash once it is out of attempts.
+ */
+async function handleJobFailure(job, error) {
+  const record = await prisma.job.findUnique({ where: { id: job.id } });
+  const attempts = (record?.attempts ?? job.attempts ?? 0) + 1;
+  const maxAttempts = record?.maxAttempts || MAX_ATTEMPTS;
+  const failedAt = new Date();
+  const errorInfo = {
+    message: error.message,
+    stage: error.stage || null,
+    attempt: attempts,
+    failedAt: failedAt.toISOString()
+  };
+
+  if (attempts < maxAttempts) {
+    const nextAttemptAt = new Date(failedAt.getTime() + getBackoffDelay(attempts));
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'RETRYING', attempts, nextAttemptAt, error: errorInfo
+      }
+    });
+    await redisQueue.zAdd(DELAYED_KEY, {
+      score: nextAttemptAt.getTime(),
+      value: JSON.stringify({ ...job, attempts })
+    });
+    console.log(`📦 [Queue] Job ${job.id} failed at ${errorInfo.stage || 'unknown stage'}, retry ${attempts}/${maxAttempts - 1} at ${nextAttemptAt.toISOString()}`);
+    return { willRetry: true, attempts, nextAttemptAt };
+  }
+
+  await prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: 'FAILED', attempts, nextAttemptAt: null, error: errorInfo
+    }
+  });
+  await redisQueue.hSet(DEAD_LETTER_KEY, job.id, JSON.stringify({ job: { ...job, attempts }, error: errorInfo }));
+  console.log(`📦 [Queue] Job ${job.id} moved to dead-letter after ${attempts} attempts`);
+  return { willRetry: false, attempts };
+}
+
+// Fail a job for good, without retries or a dead-letter entry: used when the input
+// itself was rejected, so running it again cannot succeed
+async function failJobPermanently(job, error) {
+  const record = await prisma.job.findUnique({ where: { id: job.id } });
+  await prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: 'FAILED',
+      attempts: (record?.attempts ?? job.attempts ?? 0) + 1,
+      nextAttemptAt: null,
+      error: {
+        message: error.message,
+        code: error.code || null,
+        stage: error.stage || null,
+        failedAt: new Date().toISOString()
+      }
+    }
+  });
+}
+
+// Move due jobs from the delayed set back onto their queues. zRem decides ownership,
+// so several API instances can run this concurrently without double-pushing.
+async function promoteDelayedJobs(now = Date.now()) {
+  const due = await redisQueue.zRangeByScore(DELAYED_KEY, 0, now);
+  let promoted = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const raw of due) {
+    // eslint-disable-next-line no-await-in-loop
+    const removed = await redisQueue.zRem(DELAYED_KEY, raw);
+    if (removed) {
+      const job = JSON.parse(raw);
+      // eslint-disable-next-line no-await-in-loop
+      await prisma.job.update({ where: { id: job.id }, data: { status: 'PENDING', nextAttemptAt: null } });
+      // eslint-disable-next-line no-await-in-loop
+      await pushJob(job);
+      promoted += 1;
+    }
+  }
+  return promoted;
+}
+
+async function listDeadLetterJobs() {
+  const entries = await redisQueue.hVals(DEAD_LETTER_KEY);
+  return (entries || [])
+    .map((raw) => JSON.parse(raw))
+    .map(({ job, error }) => ({
+      jobId: job.id,
+      type: job.type,
+      contentId: job.payload.contentId,
+      userId: job.payload.userId,
+      attempts: job.attempts,
+      error
+    }))
+    .sort((a, b) => String(b.error?.failedAt).localeCompare(String(a.error?.failedAt)));
+}
+
+/**
+ * Put a dead-lettered job back on its queue with a fresh attempt budget. Completed
+ * stages are kept so the job resumes where it stopped, unless resetStages is set.
+ */
+async function replayDeadLetterJob(jobId, { resetStages = false } = {}) {
+  const raw = await redisQueue.hGet(DEAD_LETTER_KEY, jobId);
+  if (!raw) return null;
+
+  const { job } = JSON.parse(raw);
+  const replayed = { ...job, attempts: 0 };
+
+  await prisma.job.update({
+    where: { id: jobId },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      nextAttemptAt: null,
+      ...(resetStages && { stages: {}, progress: 0 })
+    }
+  });
+  await prisma.content.update({
+    where: { id: job.payload.contentId },
+    data: { processingStatus: 'queued' }
+  });
+  await redisQueue.hDel(DEAD_LETTER_KEY, jobId);
+  await pushJob(replayed);
+
+  return replayed;
+}
+
+async function getDelayedStats() {
+  const [count, next] = await Promise.all([
+    redisQueue.zCard(DELAYED_KEY),
+    redisQueue.zRangeWithScores(DELAYED_KEY, 0, 0)
+  ]);
+  return {
+    count,
+    nextDueAt: next?.length ? new Date(next[0].score).toISOString() : null
+  };
+}
+
 module.exports = {
   VIDEO_QUEUE_BASE,
   REGISTRY_KEY,
+  DELAYED_KEY,
+  DEAD_LETTER_KEY,
+  MAX_ATTEMPTS,
+  LANES,
+  DEFAULT_LANE,
   getUserQueueName,
+  parseQueueName,
   createVideoQueue,
-  enqueueProcessVideo
+  enqueueProcessVideo,
+  enqueueProcessAudio,
+  enqueueReuseRenditions,
+  enqueueProcessDocument,
+  ensureJobRecord,
+  handleJobFailure,
+  failJobPermanently,
+  promoteDelayedJobs,
+  listDeadLetterJobs,
+  replayDeadLetterJob,
+  getDelayedStats
 };
-
-
@@ -0,0 +1,243 @@
+const { queue, redisQueue } = require('../../config/redis');
+const {
+  VIDEO_QUEUE_BASE, REGISTRY_KEY, LANES, parseQueueName, handleJobFailure
+} = require('./videoQueue');
+
+// Per-user virtual time for weighted round-robin (stride scheduling)
+const VTIME_KEY = 'hash:video-processing:vtime';
+// Optional per-user weights set by operators (HSET ... <userId> 3), default 1
+const WEIGHTS_KEY = 'hash:video-processing:weights';
+// Dispatch counters per lane, for metrics
+const DISPATCHED_KEY = 'hash:video-processing:dispatched';
+const RUNNING_KEY_PREFIX = 'zset:video-processing:running:';
+// Claimed jobs by ID, so a job whose lease lapses can be retried
+const LEASED_KEY = 'hash:video-processing:leased';
+
+const PER_USER_CONCURRENCY = Math.max(Number(process.env.VIDEO_WORKER_PER_USER_CONCURRENCY) || 2, 1);
+// A running job's lease lapses if its worker stops heartbeating; the job is then
+// retried and the user's slot freed
+const LEASE_MS = Number(process.env.VIDEO_JOB_LEASE_MS) || 2 * 60 * 1000;
+const ANONYMOUS_USER = '_anonymous';
+
+// Pop the oldest job from a user's lane only if the user is under their concurrency
+// cap, and record the lease in the same step so instances can't overshoot the cap.
+// Lapsed leases don't count; reclaimExpiredLeases retries their jobs.
+// KEYS[1] = lane list, KEYS[2] = user's running zset, KEYS[3] = leased jobs hash
+// ARGV[1] = now (ms), ARGV[2] = per-user cap, ARGV[3] = lease expiry (ms)
+const CLAIM_SCRIPT = `
+if redis.call('ZCOUNT', KEYS[2], '(' .. ARGV[1], '+inf') >= tonumber(ARGV[2]) then return nil end
+local raw = redis.call('RPOP', KEYS[1])
+if not raw then return nil end
+local job = cjson.decode(raw)
+redis.call('ZADD', KEYS[2], ARGV[3], job.id)
+redis.call('HSET', KEYS[3], job.id, raw)
+return raw
+`;
+
+function getRunningKey(userId) {
+  return `${RUNNING_KEY_PREFIX}${userId || ANONYMOUS_USER}`;
+}
+
+async function getRegisteredQueues() {
+  const names = await redisQueue.sMembers(REGISTRY_KEY);
+  return (names || []).map((queueName) => ({ queueName, ...parseQueueName(queueName) }));
+}
+
+async function getWeights(userIds) {
+  if (userIds.length === 0) return {};
+  const values = await redisQueue.hmGet(WEIGHTS_KEY, userIds);
+  return Object.fromEntries(userIds.map((userId, i) => [userId, Math.max(Number(values[i]) || 1, 0.1)]));
+}
+
+async function getVirtualTimes(userIds) {
+  if (userIds.length === 0) return {};
+  const values = await redisQueue.hmGet(VTIME_KEY, userIds);
+  return Object.fromEntries(userIds.map((userId, i) => [userId, Number(values[i]) || 0]));
+}
+
+async function tryClaim(queueName, userId) {
+  const now = Date.now();
+  const raw = await redisQueue.eval(CLAIM_SCRIPT, {
+    keys: [`list_queue:${queueName}`, getRunningKey(userId), LEASED_KEY],
+    arguments: [String(now), String(PER_USER_CONCURRENCY), String(now + LEASE_MS)]
+  });
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Claim the next job to run. Lanes are strictly ordered (high > normal > low);
+ * within a lane, users with waiting work are served in order of virtual time,
+ * which advances by 1/weight per dispatched job. A user who goes idle is pulled
+ * up to the lane's current minimum on return, so idle time earns no burst credit.
+ * Users already at their concurrency cap are skipped.
+ */
+async function claimNextJob() {
+  const registered = await getRegisteredQueues();
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const lane of LANES) {
+    const laneQueues = registered.filter((q) => q.lane === lane);
+    // eslint-disable-next-line no-await-in-loop
+    const lengths = await Promise.all(laneQueues.map((q) => queue.length(q.queueName)));
+    const waiting = laneQueues.filter((q, i) => lengths[i] > 0);
+
+    if (waiting.length > 0) {
+      const userIds = waiting.map((q) => q.userId || ANONYMOUS_USER);
+      // eslint-disable-next-line no-await-in-loop
+      const [weights, vtimes] = await Promise.all([getWeights(userIds), getVirtualTimes(userIds)]);
+      const floor = Math.min(...userIds.map((userId) => vtimes[userId]));
+      const ordered = waiting
+        .map((q, i) => ({ ...q, key: userIds[i] }))
+        .sort((a, b) => (vtimes[a.key] - vtimes[b.key]) || a.key.localeCompare(b.key));
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const candidate of ordered) {
+        // eslint-disable-next-line no-await-in-loop
+        const job = await tryClaim(candidate.queueName, candidate.userId);
+        if (job) {
+          const nextVtime = Math.max(vtimes[candidate.key], floor) + 1 / weights[candidate.key];
+          // eslint-disable-next-line no-await-in-loop
+          await Promise.all([
+            redisQueue.hSet(VTIME_KEY, candidate.key, String(nextVtime)),
+            redisQueue.hIncrBy(DISPATCHED_KEY, lane, 1)
+          ]);
+          return { job, queueName: candidate.queueName, lane };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// XX: a lease that was already reclaimed stays reclaimed
+async function renewLease(job) {
+  await redisQueue.zAdd(
+    getRunningKey(job.payload.userId),
+    { score: Date.now() + LEASE_MS, value: job.id },
+    { XX: true }
+  );
+}
+
+async function releaseJob(job) {
+  await Promise.all([
+    redisQueue.zRem(getRunningKey(job.payload.userId), job.id),
+    redisQueue.hDel(LEASED_KEY, job.id)
+  ]);
+}
+
+/**
+ * Retry the jobs of workers that stopped heartbeating (crashed or killed), through
+ * the same backoff and dead-letter handling as a failed attempt. zRem decides
+ * ownership, so several API instances can run this concurrently.
+ */
+async function reclaimExpiredLeases(now = Date.now()) {
+  const registered = await getRegisteredQueues();
+  const runningKeys = [...new Set(registered.map((q) => getRunningKey(q.userId)))];
+  let reclaimed = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const runningKey of runningKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    const expired = await redisQueue.zRangeByScore(runningKey, 0, now);
+    // eslint-disable-next-line no-restricted-syntax
+    for (const jobId of expired) {
+      // eslint-disable-next-line no-await-in-loop
+      const removed = await redisQueue.zRem(runningKey, jobId);
+      // eslint-disable-next-line no-await-in-loop
+      const raw = removed ? await redisQueue.hGet(LEASED_KEY, jobId) : null;
+      if (raw) {
+        // eslint-disable-next-line no-await-in-loop
+        await redisQueue.hDel(LEASED_KEY, jobId);
+        const error = new Error(`Worker lease expired after ${LEASE_MS}ms without a heartbeat`);
+        error.stage = 'lease';
+        // eslint-disable-next-line no-await-in-loop
+        await handleJobFailure(JSON.parse(raw), error);
+        reclaimed += 1;
+      }
+    }
+  }
+  return reclaimed;
+}
+
+/**
+ * Run a claimed job, keeping its lease alive while it runs and releasing the
+ * user's concurrency slot afterwards.
+ */
+async function runClaimedJob(job, handler) {
+  const heartbeat = setInterval(() => {
+    renewLease(job).catch((err) => console.error(`Lease renewal failed for job ${job.id}:`, err.message));
+  }, Math.max(LEASE_MS / 3, 1000));
+
+  try {
+    return await handler(job);
+  } finally {
+    clearInterval(heartbeat);
+    await releaseJob(job).catch((err) => console.error(`Failed to release job ${job.id}:`, err.message));
+  }
+}
+
+async function setUserWeight(userId, weight) {
+  await redisQueue.hSet(WEIGHTS_KEY, userId, String(weight));
+}
+
+/**
+ * Queue depth per lane and per user, oldest waiting job per lane, running jobs
+ * per user and dispatch counters.
+ */
+async function getSchedulerMetrics() {
+  const registered = await getRegisteredQueues();
+  const now = Date.now();
+
+  const depths = await Promise.all(registered.map((q) => queue.length(q.queueName)));
+  const oldest = await Promise.all(registered.map((q, i) => (depths[i] > 0
+    ? redisQueue.lIndex(`list_queue:${q.queueName}`, -1)
+    : null)));
+
+  const lanes = Object.fromEntries(LANES.map((lane) => [lane, { depth: 0, users: 0, oldestWaitMs: 0 }]));
+  const users = {};
+
+  registered.forEach((q, i) => {
+    const userKey = q.userId || ANONYMOUS_USER;
+    users[userKey] = users[userKey] || { queued: {}, running: 0 };
+    if (depths[i] === 0) return;
+    const laneStats = lanes[q.lane];
+    laneStats.depth += depths[i];
+    laneStats.users += 1;
+
+    let queuedAt = null;
+    try { queuedAt = JSON.parse(oldest[i])?.queuedAt; } catch (e) { /* ignore */ }
+    if (queuedAt) laneStats.oldestWaitMs = Math.max(laneStats.oldestWaitMs, now - queuedAt);
+
+    users[userKey].queued[q.lane] = depths[i];
+  });
+
+  const userIds = Object.keys(users);
+  const [running, weights, dispatched] = await Promise.all([
+    Promise.all(userIds.map((userId) => redisQueue.zCount(getRunningKey(userId), now, '+inf'))),
+    getWeights(userIds),
+    redisQueue.hGetAll(DISPATCHED_KEY)
+  ]);
+  userIds.forEach((userId, i) => {
+    users[userId].running = running[i];
+    users[userId].weight = weights[userId];
+    // Only report users with work queued or in flight
+    if (!running[i] && Object.keys(users[userId].queued).length === 0) delete users[userId];
+  });
+
+  return {
+    base: VIDEO_QUEUE_BASE,
+    perUserConcurrency: PER_USER_CONCURRENCY,
+    lanes,
+    users,
+    dispatched: Object.fromEntries(LANES.map((lane) => [lane, Number(dispatched?.[lane]) || 0]))
+  };
+}
+
+module.exports = {
+  PER_USER_CONCURRENCY,
+  claimNextJob,
+  runClaimedJob,
+  reclaimExpiredLeases,
+  setUserWeight,
+  getSchedulerMetrics
+};
@@ -0,0 +1,379 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { exec, spawn } = require('child_process');
+const { promisify } = require('util');
+const { prisma } = require('../../config/database');
+const { cache } = require('../../config/redis');
+const { putObjectBuffer, downloadToFile, uploadDirectory } = require('../../services/media/minioMediaStore');
+const { createAudioMasterPlaylist } = require('../../services/media/hlsPlaylist');
+const { ensureJobRecord, handleJobFailure, failJobPermanently } = require('../queues/videoQueue');
+const { createCheckpointer } = require('./checkpointer');
+const { runContentScheduler } = require('./contentScheduler.worker');
+const StorageService = require('../../modules/users/storageService');
+const { MediaRejectedError, validateMediaFile } = require('../../services/media/mediaValidation');
+const { quarantineObject } = require('../../modules/uploads/quarantineService');
+
+const execAsync = promisify(exec);
+
+const TEMP_DIR = process.env.TEMP_DIR || path.join(process.cwd(), 'temp', 'audio-processing');
+
+// EBU R128 loudness targets: integrated loudness (LUFS), true peak (dBTP) and loudness range (LU).
+// -16 LUFS is the usual podcast target; use -23 for broadcast delivery.
+const LOUDNESS_TARGET = {
+  integrated: Number(process.env.AUDIO_LOUDNESS_TARGET_LUFS) || -16,
+  truePeak: -1.5,
+  range: 11
+};
+
+const OUTPUT_SAMPLE_RATE = 44100;
+const HLS_SEGMENT_SECONDS = 10;
+const AUDIO_RENDITIONS = [
+  { name: 'aac_128k', bitrate: '128k' },
+  { name: 'aac_64k', bitrate: '64k' }
+];
+const MP3_BITRATE = '128k';
+
+// Waveform peaks for the player, computed from a mono 8 kHz decode
+const WAVEFORM_POINTS = 1000;
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+async function probeAudio(localInputPath) {
+  const metadataCommand = `ffprobe -v quiet -print_format json -show_format -show_streams "${localInputPath}"`;
+  const { stdout } = await execAsync(metadataCommand, { maxBuffer: 10 * 1024 * 1024 });
+  const metadata = JSON.parse(stdout);
+
+  const audioStream = metadata.streams.find((stream) => stream.codec_type === 'audio');
+  if (!audioStream) {
+    throw new Error('No audio stream found');
+  }
+
+  return {
+    codec: audioStream.codec_name,
+    channels: audioStream.channels,
+    sampleRate: parseInt(audioStream.sample_rate, 10) || 0,
+    bitRate: parseInt(audioStream.bit_rate || metadata.format?.bit_rate, 10) || 0,
+    duration: parseFloat(audioStream.duration) || parseFloat(metadata.format?.duration) || 0,
+    fileSize: parseInt(metadata.format?.size, 10) || 0
+  };
+}
+
+/**
+ * First loudnorm pass: measure the source against the target. The measured values
+ * feed the second pass so normalisation is a single linear gain, not dynamic
+ * compression.
+ */
+async function measureLoudness(localInputPath) {
+  const { integrated, truePeak, range } = LOUDNESS_TARGET;
+  const filter = `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}:print_format=json`;
+  // loudnorm prints its report at info level on stderr, so no -loglevel error here
+  const { stderr } = await execAsync(
+    `ffmpeg -hide_banner -nostats -i "${localInputPath}" -vn -af ${filter} -f null -`,
+    { maxBuffer: 10 * 1024 * 1024 }
+  );
+
+  const report = stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1);
+  if (!report) {
+    throw new Error('Loudness measurement produced no report');
+  }
+  const measured = JSON.parse(report);
+
+  return {
+    integrated: Number(measured.input_i),
+    truePeak: Number(measured.input_tp),
+    range: Number(measured.input_lra),
+    threshold: Number(measured.input_thresh),
+    offset: Number(measured.target_offset)
+  };
+}
+
+// Second loudnorm pass; silent input (-inf LUFS) is left untouched
+function buildLoudnessFilter(measured) {
+  const values = [measured.integrated, measured.truePeak, measured.range, measured.threshold, measured.offset];
+  if (!values.every(Number.isFinite)) return null;
+
+  const { integrated, truePeak, range } = LOUDNESS_TARGET;
+  return `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}`
+    + `:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}:measured_LRA=${measured.range}`
+    + `:measured_thresh=${measured.threshold}:offset=${measured.offset}:linear=true`;
+}
+
+async function encodeRendition(localInputPath, hlsDir, rendition, loudnessFilter) {
+  const streamDir = path.join(hlsDir, rendition.name);
+  await fs.emptyDir(streamDir);
+
+  const filterArg = loudnessFilter ? `-af "${loudnessFilter}" ` : '';
+  const command = `ffmpeg -hide_banner -loglevel error -y -i "${localInputPath}" -vn ${filterArg}`
+    + `-ar ${OUTPUT_SAMPLE_RATE} -c:a aac -b:a ${rendition.bitrate} `
+    + `-f hls -hls_time ${HLS_SEGMENT_SECONDS} -hls_playlist_type vod `
+    + `-hls_segment_filename "${path.join(streamDir, 'segment_%03d.ts')}" "${path.join(streamDir, 'playlist.m3u8')}"`;
+  await execAsync(command, { maxBuffer: 10 * 1024 * 1024 });
+
+  return streamDir;
+}
+
+async function encodeMp3(localInputPath, outputPath, loudnessFilter) {
+  const filterArg = loudnessFilter ? `-af "${loudnessFilter}" ` : '';
+  const command = `ffmpeg -hide_banner -loglevel error -y -i "${localInputPath}" -vn ${filterArg}`
+    + `-ar ${OUTPUT_SAMPLE_RATE} -c:a libmp3lame -b:a ${MP3_BITRATE} -id3v2_version 3 "${outputPath}"`;
+  await execAsync(command, { maxBuffer: 10 * 1024 * 1024 });
+  const { size } = await fs.stat(outputPath);
+  return size;
+}
+
+/**
+ * Decode to mono 16-bit PCM and keep the peak of each of WAVEFORM_POINTS buckets,
+ * normalised to 0..1. Samples are streamed so long episodes aren't held in memory.
+ */
+function extractWaveform(localInputPath, loudnessFilter, duration) {
+  const totalSamples = Math.max(Math.ceil(duration * WAVEFORM_SAMPLE_RATE), WAVEFORM_POINTS);
+  const samplesPerPoint = Math.ceil(totalSamples / WAVEFORM_POINTS);
+  const args = [
+    '-hide_banner', '-loglevel', 'error', '-i', localInputPath, '-vn',
+    ...(loudnessFilter ? ['-af', loudnessFilter] : []),
+    '-ac', '1', '-ar', String(WAVEFORM_SAMPLE_RATE), '-f', 's16le', '-acodec', 'pcm_s16le', '-'
+  ];
+
+  return new Promise((resolve, reject) => {
+    const peaks = [];
+    let bucketPeak = 0;
+    let bucketSamples = 0;
+    let leftover = null;
+    let stderr = '';
+
+    const ffmpeg = spawn('ffmpeg', args);
+    ffmpeg.stderr.on('data', (data) => { stderr += data; });
+    ffmpeg.stdout.on('data', (chunk) => {
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      for (let offset = 0; offset < usable; offset += 2) {
+        bucketPeak = Math.max(bucketPeak, Math.abs(data.readInt16LE(offset)));
+        bucketSamples += 1;
+        if (bucketSamples === samplesPerPoint) {
+          peaks.push(bucketPeak / 32768);
+          bucketPeak = 0;
+          bucketSamples = 0;
+        }
+      }
+      leftover = usable < data.length ? data.subarray(usable) : null;
+    });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`Waveform extraction failed: ${stderr.trim() || `ffmpeg exited with ${code}`}`));
+        return;
+      }
+      if (bucketSamples > 0) peaks.push(bucketPeak / 32768);
+      resolve({
+        sampleRate: WAVEFORM_SAMPLE_RATE,
+        samplesPerPoint,
+        length: peaks.length,
+        peaks: peaks.map((peak) => Number(peak.toFixed(3)))
+      });
+    });
+  });
+}
+
+/**
+ * Process a PROCESS_AUDIO job: normalise loudness to the EBU R128 target, then
+ * produce AAC HLS renditions, an MP3 download and a waveform for the player.
+ * Stages are checkpointed on the Job row like video jobs, and failures go
+ * through the same backoff retry / dead-letter handling, except for sources
+ * that fail validation, which are quarantined.
+ */
+async function processAudioJob(job) {
+  const { contentId, sourceObjectKey, userId } = job.payload;
+  console.log(`Processing audio for contentId: ${contentId} (attempt ${(job.attempts || 0) + 1})`);
+
+  const tempDir = path.join(TEMP_DIR, contentId);
+  const localInputPath = path.join(tempDir, 'input');
+  const mp3Path = path.join(tempDir, 'episode.mp3');
+  const hlsDir = path.join(tempDir, 'hls');
+  const hlsBaseKey = `hls/${contentId}`;
+  const audioBaseKey = `audio/${contentId}`;
+  let willRetry = false;
+
+  try {
+    const jobRecord = await ensureJobRecord(job);
+    const checkpoints = createCheckpointer(job.id, jobRecord.stages || {});
+    // download, validate, probe, loudness, mp3, waveform, upload, finalize + one per rendition
+    checkpoints.setTotalStages(8 + AUDIO_RENDITIONS.length);
+
+    await prisma.content.update({
+      where: { id: contentId },
+      data: { processingStatus: 'processing' }
+    });
+    await prisma.job.update({ where: { id: job.id }, data: { status: 'PROCESSING' } });
+
+    await fs.ensureDir(hlsDir);
+
+    // 1. Download the source, whenever a pending stage still needs it locally
+    const needsSource = ['validate', 'probe', 'loudness', 'mp3', 'waveform', ...AUDIO_RENDITIONS.map((r) => `rendition:${r.name}`)]
+      .some((stage) => !checkpoints.isDone(stage));
+    const hasLocalSource = await fs.pathExists(localInputPath);
+    await checkpoints.run('download', async () => {
+      console.log(`Downloading ${sourceObjectKey} to ${localInputPath}...`);
+      const downloaded = await downloadToFile(sourceObjectKey, localInputPath);
+      console.log('Download complete.');
+      return downloaded;
+    }, {
+      skip: !needsSource || (checkpoints.isDone('download') && hasLocalSource)
+    });
+
+    // 2. Check the source is the audio it claims to be and scans clean
+    const stored = await prisma.content.findUnique({ where: { id: contentId }, select: { metadata: true } });
+    const validation = await checkpoints.run('validate', () => validateMediaFile(localInputPath, {
+      kind: 'audio', declaredType: stored?.metadata?.contentType
+    }));
+
+    // 3. Probe and measure loudness
+    const source = await checkpoints.run('probe', () => probeAudio(localInputPath));
+    console.log(`Original audio: ${source.codec}, ${source.channels}ch @ ${source.sampleRate}Hz, ${source.duration.toFixed(1)}s`);
+
+    const measured = await checkpoints.run('loudness', () => measureLoudness(localInputPath));
+    const loudnessFilter = buildLoudnessFilter(measured);
+    console.log(`Measured ${measured.integrated} LUFS, normalising to ${LOUDNESS_TARGET.integrated} LUFS`);
+
+    // 4. Encode HLS renditions and the MP3 download, uploading each as it finishes
+    const renditions = await Promise.all(AUDIO_RENDITIONS.map((rendition) => checkpoints.run(
+      `rendition:${rendition.name}`,
+      async () => {
+        const streamDir = await encodeRendition(localInputPath, hlsDir, rendition, loudnessFilter);
+        const uploadedFiles = await uploadDirectory(streamDir, `${hlsBaseKey}/${rendition.name}`);
+        return { name: rendition.name, bitrate: rendition.bitrate, uploadedFiles };
+      }
+    )));
+
+    const mp3 = await checkpoints.run('mp3', async () => {
+      const size = await encodeMp3(localInputPath, mp3Path, loudnessFilter);
+      const key = `${audioBaseKey}/episode.mp3`;
+      const url = await putObjectBuffer(key, await fs.readFile(mp3Path), 'audio/mpeg');
+      return { key, url, size };
+    });
+
+    // 5. Waveform for the player
+    const waveform = await checkpoints.run('waveform', async () => {
+      const data = await extractWaveform(localInputPath, loudnessFilter, source.duration);
+      const key = `${audioBaseKey}/waveform.json`;
+      const url = await putObjectBuffer(
+        key,
+        Buffer.from(JSON.stringify({ version: 1, duration: source.duration, ...data })),
+        'application/json'
+      );
+      return { key, url, points: data.length };
+    });
+
+    // 6. Master playlist
+    const masterPlaylistKey = `${hlsBaseKey}/master.m3u8`;
+    await checkpoints.run('upload', async () => {
+      await putObjectBuffer(
+        masterPlaylistKey,
+        Buffer.from(createAudioMasterPlaylist(renditions)),
+        'application/vnd.apple.mpegurl'
+      );
+      return { masterPlaylistKey };
+    });
+
+    // 7. Update content with playback and download URLs
+    const hlsMasterUrl = `s3://videos/${masterPlaylistKey}`;
+    await checkpoints.run('finalize', async () => {
+      const uploadedFiles = [
+        masterPlaylistKey, mp3.key, waveform.key, ...renditions.flatMap((rendition) => rendition.uploadedFiles)
+      ];
+      await prisma.content.update({
+        where: { id: contentId },
+        data: {
+          processingStatus: 'completed',
+          metadata: {
+            ...((await prisma.content.findUnique({ where: { id: contentId } }))?.metadata || {}),
+            hlsMasterUrl,
+            hlsStreams: renditions.map((rendition) => ({
+              name: rendition.name,
+              bitrate: rendition.bitrate,
+              playlistUrl: `s3://videos/${hlsBaseKey}/${rendition.name}/playlist.m3u8`
+            })),
+            mp3Url: mp3.url,
+            mp3Size: mp3.size,
+            waveformUrl: waveform.url,
+            uploadedFiles,
+            validation,
+            error: null,
+            failedStage: null,
+            nextRetryAt: null,
+            duration: source.duration,
+            fileSize: source.fileSize,
+            audio: {
+              codec: source.codec,
+              channels: source.channels,
+              sampleRate: source.sampleRate,
+              bitRate: source.bitRate
+            },
+            loudness: {
+              measured: Number.isFinite(measured.integrated) ? measured.integrated : null,
+              target: LOUDNESS_TARGET.integrated,
+              normalized: Boolean(loudnessFilter)
+            }
+          }
+        }
+      });
+    });
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'COMPLETED', progress: 100, completedAt: new Date(), result: { hlsMasterUrl, mp3Url: mp3.url }
+      }
+    });
+
+    await cache.del(`content:${contentId}`);
+    await StorageService.invalidate(userId);
+    console.log(`Audio processing complete for content: ${contentId}`);
+
+    // Go live now if the item was published while it was still processing
+    await runContentScheduler({ contentId })
+      .catch((err) => console.error(`Scheduled publish failed for ${contentId}: ${err.message}`));
+  } catch (error) {
+    console.error(`Error processing audio for contentId: ${contentId}`, error);
+
+    if (error instanceof MediaRejectedError) {
+      try {
+        await quarantineObject(contentId, sourceObjectKey, error);
+        await failJobPermanently(job, error);
+        await StorageService.invalidate(userId);
+        return;
+      } catch (quarantineError) {
+        console.error(`Failed to quarantine ${sourceObjectKey}:`, quarantineError.message);
+      }
+    }
+
+    let failure = { willRetry: false };
+    try {
+      failure = await handleJobFailure(job, error);
+    } catch (queueError) {
+      console.error(`Failed to record failure for job ${job.id}:`, queueError.message);
+    }
+    ({ willRetry } = failure);
+
+    await prisma.content.update({
+      where: { id: contentId },
+      data: {
+        processingStatus: willRetry ? 'queued' : 'failed',
+        metadata: {
+          ...((await prisma.content.findUnique({ where: { id: contentId } }))?.metadata || {}),
+          error: error.message,
+          failedStage: error.stage || null,
+          nextRetryAt: willRetry ? failure.nextAttemptAt.toISOString() : null
+        }
+      }
+    });
+    await cache.del(`content:${contentId}`);
+  } finally {
+    if (!willRetry) {
+      await fs.remove(tempDir).catch((err) => console.error(`Failed to delete temp directory: ${err.message}`));
+    }
+  }
+}
+
+module.exports = {
+  processAudioJob,
+  buildLoudnessFilter
+};
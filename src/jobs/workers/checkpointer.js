@@ -0,0 +1,49 @@
+const { prisma } = require('../../config/database');
+
+/**
+ * Track stage checkpoints on the Job row. Writes are chained so concurrent
+ * renditions finishing together can't overwrite each other's checkpoint.
+ */
+function createCheckpointer(jobId, initialStages = {}) {
+  const stages = { ...initialStages };
+  let totalStages = Object.keys(stages).length;
+  let writes = Promise.resolve();
+
+  const isDone = (name) => stages[name]?.status === 'completed';
+
+  const persist = () => {
+    const completed = Object.values(stages).filter((stage) => stage.status === 'completed').length;
+    const progress = totalStages ? Math.min(Math.round((completed / totalStages) * 100), 99) : 0;
+    const snapshot = { ...stages };
+    writes = writes.then(() => prisma.job.update({ where: { id: jobId }, data: { stages: snapshot, progress } }));
+    return writes;
+  };
+
+  return {
+    isDone,
+    result: (name) => stages[name]?.result,
+    setTotalStages(count) {
+      totalStages = count;
+    },
+    // Run a stage unless an earlier attempt finished it; `skip` overrides that check
+    async run(name, fn, { skip = isDone(name) } = {}) {
+      if (skip) {
+        console.log(`Skipping stage ${name} (completed in an earlier attempt).`);
+        return stages[name]?.result;
+      }
+      try {
+        const result = await fn();
+        stages[name] = { status: 'completed', completedAt: new Date().toISOString(), result: result ?? null };
+        await persist();
+        return result;
+      } catch (error) {
+        error.stage = error.stage || name;
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createCheckpointer
+};
@@ -0,0 +1,111 @@
+const { prisma } = require('../../config/database');
+const { cache } = require('../../config/redis');
+const PublishScheduleService = require('../../modules/content/services/publishScheduleService');
+
+const BATCH_SIZE = 100;
+
+const authorInclude = {
+  author: {
+    select: { id: true, username: true, profile: { select: { displayName: true } } }
+  }
+};
+
+/**
+ * Applies `data` to a row only while it still matches `where`. Another
+ * instance running the scheduler, or the author changing the item in the
+ * meantime, makes the update miss, and the row is left to them.
+ * @returns {Promise<object|null>} The updated row, or null if it no longer matched.
+ */
+async function claim(id, where, data) {
+  try {
+    const content = await prisma.content.update({ where: { id, ...where }, data, include: authorInclude });
+    await cache.del(`content:${id}`);
+    return content;
+  } catch (error) {
+    if (error.code === 'P2025') return null;
+    throw error;
+  }
+}
+
+/**
+ * Takes down items past their unpublishAt: live ones are archived, ones still
+ * waiting to go live (media that never finished processing) return to draft.
+ */
+async function unpublishDue(now, scope) {
+  let unpublished = 0;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const due = await prisma.content.findMany({
+      where: { ...scope, status: { in: ['published', 'scheduled'] }, unpublishAt: { lte: now } },
+      select: { id: true, status: true },
+      orderBy: { unpublishAt: 'asc' },
+      take: BATCH_SIZE
+    });
+    // eslint-disable-next-line no-restricted-syntax
+    for (const row of due) {
+      const data = row.status === 'published'
+        ? { status: 'archived', unpublishAt: null }
+        : { status: 'draft', publishAt: null, unpublishAt: null };
+      // eslint-disable-next-line no-await-in-loop
+      if (await claim(row.id, { status: row.status, unpublishAt: { lte: now } }, data)) {
+        unpublished += 1;
+      }
+    }
+    if (due.length < BATCH_SIZE) break;
+  }
+  return unpublished;
+}
+
+async function publishDue(now, scope) {
+  let published = 0;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const due = await prisma.content.findMany({
+      where: { ...scope, ...PublishScheduleService.dueWhere(now) },
+      select: { id: true },
+      orderBy: { publishAt: 'asc' },
+      take: BATCH_SIZE
+    });
+    // eslint-disable-next-line no-restricted-syntax
+    for (const row of due) {
+      // eslint-disable-next-line no-await-in-loop
+      const content = await claim(row.id, PublishScheduleService.dueWhere(now), {
+        status: 'published',
+        publishedAt: now,
+        publishAt: null
+      });
+      if (content) {
+        published += 1;
+        // eslint-disable-next-line no-await-in-loop
+        await PublishScheduleService.notifyFollowers(content);
+      }
+    }
+    if (due.length < BATCH_SIZE) break;
+  }
+  return published;
+}
+
+/**
+ * Publishes scheduled items that are due and ready, and takes down items
+ * past their unpublishAt. The schedule lives on the content rows, so nothing
+ * is lost across restarts: a run after downtime catches up on everything
+ * that fell due meanwhile. Take-downs run first, so an item due both ways is
+ * never announced.
+ * @param {object} [options]
+ * @param {string} [options.contentId] - Only look at this item, e.g. when its processing finishes.
+ * @returns {Promise<{published: number, unpublished: number}>}
+ */
+async function runContentScheduler({ contentId } = {}) {
+  const now = new Date();
+  const scope = contentId ? { id: contentId } : {};
+  const unpublished = await unpublishDue(now, scope);
+  const published = await publishDue(now, scope);
+  if (published || unpublished) {
+    console.log(`Content scheduler: published ${published}, unpublished ${unpublished}`);
+  }
+  return { published, unpublished };
+}
+
+module.exports = {
+  runContentScheduler
+};
@@ -0,0 +1,263 @@
+const path = require('path');
+const { prisma } = require('../../config/database');
+const { cache } = require('../../config/redis');
+const { getObjectBuffer, putObjectBuffer } = require('../../services/media/minioMediaStore');
+const {
+  openPdf, extractText, extractInfo, extractOutline, renderPage
+} = require('../../services/documents/pdfService');
+const { DocumentConversionError, isConvertible, convertToPdf } = require('../../services/documents/documentConverter');
+const { ensureJobRecord, handleJobFailure, failJobPermanently } = require('../queues/videoQueue');
+const { createCheckpointer } = require('./checkpointer');
+const DocumentSearchService = require('../../modules/content/services/documentSearchService');
+const DocumentVersionService = require('../../modules/content/services/documentVersionService');
+const StorageService = require('../../modules/users/storageService');
+const { MediaRejectedError } = require('../../services/media/mediaValidation');
+const { quarantineObject } = require('../../modules/uploads/quarantineService');
+
+const THUMBNAIL_WIDTH = 200;
+const COVER_WIDTH = 1200;
+// Long documents only get thumbnails for their first pages
+const THUMBNAIL_MAX_PAGES = Number(process.env.DOCUMENT_THUMBNAIL_MAX_PAGES) || 50;
+// Text kept on the content row (and sent to search); the full text stays in text.json
+const TEXT_CONTENT_MAX_CHARS = Number(process.env.DOCUMENT_TEXT_MAX_CHARS) || 100000;
+const PREVIEW_TEXT_CHARS = 500;
+
+const isPdf = (mimetype, key) => mimetype === 'application/pdf' || /\.pdf$/i.test(key);
+const isPlainText = (mimetype) => mimetype === 'text/plain';
+
+// pdf.js reports unparseable files with these; retrying cannot fix them
+function asRejection(error) {
+  if (error?.name === 'InvalidPDFException') {
+    return new MediaRejectedError(`File could not be read as a PDF: ${error.message}`, 'UNREADABLE_DOCUMENT');
+  }
+  return error;
+}
+
+function joinPages(pages) {
+  const text = pages.map((page) => page.text).filter(Boolean).join('\n\n');
+  return {
+    textContent: text.slice(0, TEXT_CONTENT_MAX_CHARS),
+    textTruncated: text.length > TEXT_CONTENT_MAX_CHARS,
+    previewText: text.slice(0, PREVIEW_TEXT_CHARS) || null
+  };
+}
+
+/**
+ * Process a PROCESS_DOCUMENT job: convert office documents and Markdown to a
+ * PDF rendition, extract per-page text, the information dictionary and outline
+ * of the PDF, render page thumbnails and a cover from the first page, and store
+ * it all under docs/{contentId}/. Page text is also indexed in document_pages
+ * for in-document search and, when the job names a version, kept with that
+ * version. Plain text files only get their text extracted; documents that
+ * cannot be converted, and other formats, complete without text or images.
+ * Stages are checkpointed on the Job row like media jobs.
+ */
+async function processDocumentJob(job) {
+  const {
+    contentId, sourceObjectKey, userId, version
+  } = job.payload;
+  console.log(`Processing document for contentId: ${contentId} (attempt ${(job.attempts || 0) + 1})`);
+
+  const baseKey = `docs/${contentId}`;
+  let pdf = null;
+
+  try {
+    const jobRecord = await ensureJobRecord(job);
+    const checkpoints = createCheckpointer(job.id, jobRecord.stages || {});
+    const stored = await prisma.content.findUnique({ where: { id: contentId }, select: { metadata: true } });
+    const mimetype = stored?.metadata?.mimetype || stored?.metadata?.contentType;
+    const extension = stored?.metadata?.extension || path.extname(sourceObjectKey).toLowerCase();
+    const convertible = !isPdf(mimetype, sourceObjectKey) && isConvertible(mimetype, extension);
+    // [convert,] extract, thumbnails, cover, finalize
+    checkpoints.setTotalStages(convertible ? 5 : 4);
+
+    await prisma.content.update({
+      where: { id: contentId },
+      data: {
+        processingStatus: 'processing',
+        metadata: { ...(stored?.metadata || {}), processingStatus: 'processing' }
+      }
+    });
+    await prisma.job.update({ where: { id: job.id }, data: { status: 'PROCESSING' } });
+
+    // Objects are only fetched (and parsed) when a pending stage needs them
+    const buffers = {};
+    const load = async (key) => {
+      buffers[key] = buffers[key] || await getObjectBuffer(key);
+      return buffers[key];
+    };
+
+    // 1. Office documents and Markdown get a normalized PDF rendition
+    const rendition = convertible ? await checkpoints.run('convert', async () => {
+      try {
+        const converted = await convertToPdf(await load(sourceObjectKey), { mimetype, extension });
+        const key = `${baseKey}/document.pdf`;
+        buffers[key] = converted;
+        const url = await putObjectBuffer(key, converted, 'application/pdf');
+        return {
+          key, url, size: converted.length, convertedAt: new Date().toISOString()
+        };
+      } catch (error) {
+        if (!(error instanceof DocumentConversionError)) throw error;
+        console.warn(`Could not convert ${sourceObjectKey} to PDF: ${error.message}`);
+        return { error: error.message, details: error.details };
+      }
+    }) : null;
+
+    const pdfKey = isPdf(mimetype, sourceObjectKey) ? sourceObjectKey : rendition?.key;
+    const loadPdf = async () => {
+      if (!pdf) {
+        try {
+          pdf = await openPdf(await load(pdfKey));
+        } catch (error) {
+          throw asRejection(error);
+        }
+      }
+      return pdf;
+    };
+
+    // 2. Text, document info and outline; the per-page text goes to text.json
+    let pages = null;
+    const extracted = await checkpoints.run('extract', async () => {
+      let info = null;
+      let outline = [];
+      if (pdfKey) {
+        const doc = await loadPdf();
+        pages = await extractText(doc);
+        info = await extractInfo(doc);
+        outline = await extractOutline(doc);
+      } else if (isPlainText(mimetype)) {
+        pages = [{ page: 1, text: (await load(sourceObjectKey)).toString('utf8') }];
+      } else {
+        pages = [];
+      }
+      const textKey = `${baseKey}/text.json`;
+      const textUrl = await putObjectBuffer(textKey, Buffer.from(JSON.stringify({ version: 1, pages })), 'application/json');
+      return {
+        pageCount: pages.length, info, outline, textKey, textUrl
+      };
+    });
+
+    // 3. Page thumbnails
+    const renderable = Boolean(pdfKey) && extracted.pageCount > 0;
+    const thumbnails = await checkpoints.run('thumbnails', async () => {
+      if (!renderable) return [];
+      const doc = await loadPdf();
+      const results = [];
+      const last = Math.min(doc.numPages, THUMBNAIL_MAX_PAGES);
+      for (let pageNumber = 1; pageNumber <= last; pageNumber += 1) {
+        // Pages render one at a time to keep canvas memory bounded
+        // eslint-disable-next-line no-await-in-loop
+        const image = await renderPage(doc, pageNumber, THUMBNAIL_WIDTH);
+        // eslint-disable-next-line no-await-in-loop
+        const url = await putObjectBuffer(`${baseKey}/pages/${pageNumber}.jpg`, image.buffer, 'image/jpeg');
+        results.push({
+          page: pageNumber, url, width: image.width, height: image.height
+        });
+      }
+      return results;
+    });
+
+    // 4. Cover from the first page
+    const cover = await checkpoints.run('cover', async () => {
+      if (!renderable) return null;
+      const image = await renderPage(await loadPdf(), 1, COVER_WIDTH);
+      const url = await putObjectBuffer(`${baseKey}/cover.jpg`, image.buffer, 'image/jpeg');
+      return { url, width: image.width, height: image.height };
+    });
+
+    // 5. Index the pages for in-document search and update content; its metadata text is what site search indexes
+    await checkpoints.run('finalize', async () => {
+      if (!pages) {
+        ({ pages } = JSON.parse((await getObjectBuffer(extracted.textKey)).toString('utf8')));
+      }
+      await DocumentSearchService.indexPages(contentId, pages);
+      // Each version keeps its own copy of the text for diffs
+      if (version) {
+        const textJson = Buffer.from(JSON.stringify({ version: 1, pages }));
+        await DocumentVersionService.saveVersionText(contentId, version, textJson);
+      }
+      const current = await prisma.content.findUnique({ where: { id: contentId } });
+      await prisma.content.update({
+        where: { id: contentId },
+        data: {
+          processingStatus: 'completed',
+          ...(cover ? { featuredImage: cover.url } : {}),
+          metadata: {
+            ...(current?.metadata || {}),
+            ...joinPages(pages),
+            pageCount: extracted.pageCount,
+            textUrl: extracted.textUrl,
+            info: extracted.info,
+            outline: extracted.outline,
+            pageThumbnails: thumbnails,
+            coverUrl: cover?.url || null,
+            pdfRendition: rendition?.key ? rendition : null,
+            conversionError: rendition?.error || null,
+            processingStatus: 'completed',
+            processedAt: new Date().toISOString(),
+            error: null,
+            failedStage: null,
+            nextRetryAt: null
+          }
+        }
+      });
+    });
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'COMPLETED', progress: 100, completedAt: new Date(), result: { pageCount: extracted.pageCount }
+      }
+    });
+
+    await cache.del(`content:${contentId}`);
+    await StorageService.invalidate(userId);
+    console.log(`Document processing complete for content: ${contentId} (${extracted.pageCount} pages)`);
+  } catch (error) {
+    console.error(`Error processing document for contentId: ${contentId}`, error);
+
+    if (error instanceof MediaRejectedError) {
+      try {
+        await quarantineObject(contentId, sourceObjectKey, error);
+        await failJobPermanently(job, error);
+        await StorageService.invalidate(userId);
+        return;
+      } catch (quarantineError) {
+        console.error(`Failed to quarantine ${sourceObjectKey}:`, quarantineError.message);
+      }
+    }
+
+    let failure = { willRetry: false };
+    try {
+      failure = await handleJobFailure(job, error);
+    } catch (queueError) {
+      console.error(`Failed to record failure for job ${job.id}:`, queueError.message);
+    }
+    const { willRetry } = failure;
+    const processingStatus = willRetry ? 'queued' : 'failed';
+
+    await prisma.content.update({
+      where: { id: contentId },
+      data: {
+        processingStatus,
+        metadata: {
+          ...((await prisma.content.findUnique({ where: { id: contentId } }))?.metadata || {}),
+          processingStatus,
+          error: error.message,
+          failedStage: error.stage || null,
+          nextRetryAt: willRetry ? failure.nextAttemptAt.toISOString() : null
+        }
+      }
+    });
+    await cache.del(`content:${contentId}`);
+  } finally {
+    if (pdf) {
+      await pdf.destroy().catch((err) => console.error(`Failed to close PDF: ${err.message}`));
+    }
+  }
+}
+
+module.exports = {
+  processDocumentJob
+};
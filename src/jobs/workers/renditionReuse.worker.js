@@ -0,0 +1,157 @@
+const { prisma } = require('../../config/database');
+const { cache } = require('../../config/redis');
+const { copyPrefix } = require('../../services/media/minioMediaStore');
+const { parseChaptersFromDescription } = require('../../services/media/chapters');
+const HlsManifestService = require('../../modules/content/services/hlsManifestService');
+const StorageService = require('../../modules/users/storageService');
+const {
+  ensureJobRecord, handleJobFailure, enqueueProcessVideo, enqueueProcessAudio, createVideoQueue
+} = require('../queues/videoQueue');
+const { runContentScheduler } = require('./contentScheduler.worker');
+
+// Processing output that depends only on the source bytes, so it carries over to a re-upload.
+// Captions, chapters and the thumbnail choice belong to the original item and are not copied.
+const REUSABLE_METADATA_FIELDS = [
+  'hlsMasterUrl', 'hlsStreams', 'thumbnailUrl', 'thumbnailCandidates', 'scrubPreview',
+  'mp3Url', 'mp3Size', 'waveformUrl', 'audio', 'loudness',
+  'duration', 'resolution', 'frameRate', 'fileSize'
+];
+
+// Object prefixes written by the media workers, by content type
+const OUTPUT_PREFIXES = {
+  video: (id) => [`hls/${id}/`, `thumbnails/${id}/`],
+  audio: (id) => [`hls/${id}/`, `audio/${id}/`]
+};
+
+// Rewrite object keys inside copied metadata from the original's ID to the new one
+function retargetMetadata(metadata, fromId, toId) {
+  const picked = Object.fromEntries(REUSABLE_METADATA_FIELDS
+    .filter((field) => metadata[field] !== undefined)
+    .map((field) => [field, metadata[field]]));
+  return JSON.parse(JSON.stringify(picked).split(`/${fromId}/`).join(`/${toId}/`));
+}
+
+/**
+ * Process a REUSE_RENDITIONS job: the author re-uploaded a file they already have
+ * processed, so copy its renditions, thumbnails and audio files server-side instead
+ * of encoding again. Falls back to a full encode if the original is gone or no
+ * longer processed.
+ * @param {object} job - { id, payload: { contentId, reuseFromContentId, sourceObjectKey, userId } }
+ */
+async function reuseRenditionsJob(job) {
+  const {
+    contentId, reuseFromContentId, sourceObjectKey, userId
+  } = job.payload;
+  console.log(`Reusing renditions of ${reuseFromContentId} for contentId: ${contentId}`);
+
+  try {
+    await ensureJobRecord(job);
+    await prisma.job.update({ where: { id: job.id }, data: { status: 'PROCESSING' } });
+
+    const [content, original] = await Promise.all([
+      prisma.content.findUnique({ where: { id: contentId } }),
+      prisma.content.findUnique({ where: { id: reuseFromContentId } })
+    ]);
+    if (!content) throw new Error(`Content ${contentId} not found`);
+
+    if (!original || original.processingStatus !== 'completed' || original.type !== content.type) {
+      console.log(`Original ${reuseFromContentId} is no longer reusable; encoding ${contentId} from source.`);
+      const payload = { contentId, sourceObjectKey, userId };
+      const { jobId } = content.type === 'audio'
+        ? await enqueueProcessAudio(payload)
+        : await enqueueProcessVideo(createVideoQueue(), payload);
+      await prisma.job.update({
+        where: { id: job.id },
+        data: {
+          status: 'COMPLETED', progress: 100, completedAt: new Date(), result: { fallbackJobId: jobId }
+        }
+      });
+      return;
+    }
+
+    await prisma.content.update({ where: { id: contentId }, data: { processingStatus: 'processing' } });
+
+    // Caption and chapter files are per item; the master playlist is rewritten below
+    const skipPerItemFiles = (key) => key.startsWith(`hls/${reuseFromContentId}/subs/`)
+      || key.startsWith(`hls/${reuseFromContentId}/chapters/`);
+    const uploadedFiles = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const prefix of OUTPUT_PREFIXES[content.type](reuseFromContentId)) {
+      const targetPrefix = prefix.replace(`/${reuseFromContentId}/`, `/${contentId}/`);
+      // eslint-disable-next-line no-await-in-loop
+      uploadedFiles.push(...await copyPrefix(prefix, targetPrefix, skipPerItemFiles));
+    }
+
+    const reused = retargetMetadata(original.metadata || {}, reuseFromContentId, contentId);
+    // Start from the first generated candidate rather than the original's thumbnail choice
+    const [firstCandidate] = reused.thumbnailCandidates || [];
+    if (firstCandidate) {
+      reused.thumbnailUrl = firstCandidate.url;
+      reused.selectedThumbnail = firstCandidate.index;
+    }
+    const chapters = content.type === 'video' ? parseChaptersFromDescription(content.description, reused.duration) : [];
+    await prisma.content.update({
+      where: { id: contentId },
+      data: {
+        processingStatus: 'completed',
+        featuredImage: reused.thumbnailUrl || content.featuredImage,
+        metadata: {
+          ...(content.metadata || {}),
+          ...reused,
+          ...(chapters.length > 0 ? { chapters, chaptersSource: 'description' } : {}),
+          reusedFromContentId: reuseFromContentId,
+          uploadedFiles,
+          error: null,
+          failedStage: null,
+          nextRetryAt: null
+        }
+      }
+    });
+
+    // The copied master playlist still lists the original's captions and chapters
+    if (content.type === 'video') {
+      await HlsManifestService.writeChaptersTrack(contentId, chapters);
+      await HlsManifestService.refreshMasterPlaylist(contentId);
+    }
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'COMPLETED', progress: 100, completedAt: new Date(), result: { reusedFromContentId: reuseFromContentId }
+      }
+    });
+    await cache.del(`content:${contentId}`);
+    await StorageService.invalidate(userId);
+    console.log(`Copied ${uploadedFiles.length} files from ${reuseFromContentId} to ${contentId}.`);
+
+    // Go live now if the item was published while its renditions were being copied
+    await runContentScheduler({ contentId })
+      .catch((err) => console.error(`Scheduled publish failed for ${contentId}: ${err.message}`));
+  } catch (error) {
+    console.error(`Error reusing renditions for contentId: ${contentId}`, error);
+
+    let failure = { willRetry: false };
+    try {
+      failure = await handleJobFailure(job, error);
+    } catch (queueError) {
+      console.error(`Failed to record failure for job ${job.id}:`, queueError.message);
+    }
+
+    await prisma.content.update({
+      where: { id: contentId },
+      data: {
+        processingStatus: failure.willRetry ? 'queued' : 'failed',
+        metadata: {
+          ...((await prisma.content.findUnique({ where: { id: contentId } }))?.metadata || {}),
+          error: error.message,
+          nextRetryAt: failure.willRetry ? failure.nextAttemptAt.toISOString() : null
+        }
+      }
+    });
+    await cache.del(`content:${contentId}`);
+  }
+}
+
+module.exports = {
+  reuseRenditionsJob
+};
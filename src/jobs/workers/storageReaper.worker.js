@@ -0,0 +1,217 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { prisma } = require('../../config/database');
+const { storageConfig } = require('../../config/storage');
+const { getBucketName } = require('../../config/minio');
+const {
+  listObjectsWithPrefix, deleteKeys, deletePrefix, listUploadedParts, abortMultipartUpload
+} = require('../../services/media/minioMediaStore');
+const { SESSION_TTL_MS, finishSession } = require('../../modules/uploads/uploadSessionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Objects younger than this are never reaped, so uploads and jobs still writing are left alone
+const ORPHAN_GRACE_MS = (Number(process.env.STORAGE_ORPHAN_GRACE_HOURS) || 24) * HOUR_MS;
+const CONTENT_BATCH_SIZE = 1000;
+
+// Prefixes whose next path segment is a content ID: hls/{id}/..., thumbnails/{id}/... or thumbnails/{id}.jpg
+const CONTENT_SCOPED_PREFIXES = ['hls/', 'thumbnails/', 'audio/', 'docs/', 'quarantine/'];
+// Prefixes whose objects are kept only while a content row points at them by key
+const REFERENCED_PREFIXES = ['uploads/', 'documents/'];
+
+const emptyTally = () => ({ count: 0, bytes: 0 });
+
+/**
+ * Walk every content row once and collect the live IDs and every object key
+ * they reference: upload sources, s3:// URLs in metadata, fingerprinted
+ * sources that identical re-uploads share, and earlier document versions.
+ */
+async function loadLiveReferences() {
+  const liveIds = new Set();
+  const referencedKeys = new Set();
+  const urlPattern = new RegExp(`s3://${getBucketName()}/([^"]+)`, 'g');
+
+  let cursor;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    // eslint-disable-next-line no-await-in-loop
+    const batch = await prisma.content.findMany({
+      select: { id: true, metadata: true, featuredImage: true },
+      orderBy: { id: 'asc' },
+      take: CONTENT_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    batch.forEach((content) => {
+      liveIds.add(content.id);
+      if (content.metadata?.sourceObjectKey) referencedKeys.add(content.metadata.sourceObjectKey);
+      const text = JSON.stringify({ metadata: content.metadata, featuredImage: content.featuredImage });
+      [...text.matchAll(urlPattern)].forEach((match) => referencedKeys.add(match[1]));
+    });
+    if (batch.length < CONTENT_BATCH_SIZE) break;
+    cursor = batch[batch.length - 1].id;
+  }
+
+  const fingerprints = await prisma.mediaFingerprint.findMany({ select: { objectKey: true } });
+  fingerprints.forEach((fingerprint) => referencedKeys.add(fingerprint.objectKey));
+
+  // Earlier files of documents, kept in their version history
+  const versions = await prisma.documentVersion.findMany({ select: { objectKey: true }, distinct: ['objectKey'] });
+  versions.forEach((version) => referencedKeys.add(version.objectKey));
+
+  // Parts of uploads still in progress
+  const parts = await prisma.uploadSessionPart.findMany({
+    where: { session: { status: { in: ['active', 'completing'] } } },
+    select: { objectKey: true }
+  });
+  parts.forEach((part) => referencedKeys.add(part.objectKey));
+
+  return { liveIds, referencedKeys };
+}
+
+/**
+ * Expire chunked upload sessions past their expiry, deleting the parts received
+ * so far. Direct uploads have their multipart upload aborted, which discards the
+ * parts clients already sent to storage.
+ */
+async function reapUploadSessions({ dryRun, now }) {
+  const tally = emptyTally();
+  const sessions = await prisma.uploadSession.findMany({
+    where: { status: { in: ['active', 'completing'] }, expiresAt: { lt: new Date(now) } },
+    include: { parts: { select: { size: true } } }
+  });
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const session of sessions) {
+    let reclaimed = session.parts.reduce((sum, part) => sum + part.size, 0);
+    if (session.mode === 'direct') {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const parts = await listUploadedParts(session.objectKey, session.s3UploadId);
+        reclaimed += parts.reduce((sum, part) => sum + part.size, 0);
+        // eslint-disable-next-line no-await-in-loop
+        if (!dryRun) await abortMultipartUpload(session.objectKey, session.s3UploadId);
+      } catch (error) {
+        // Already completed or aborted
+        console.log(`[Reaper] Multipart upload for ${session.id} is gone: ${error.message}`);
+      }
+    } else if (!dryRun) {
+      // eslint-disable-next-line no-await-in-loop
+      await deletePrefix(`uploads/parts/${session.id}/`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    if (!dryRun) await finishSession(session.id, 'expired');
+    tally.count += 1;
+    tally.bytes += reclaimed;
+  }
+  return tally;
+}
+
+// tus keeps each upload as {id} plus {id}.json; finished uploads stay until reaped too
+async function reapTusUploads({ dryRun, now }) {
+  const tally = emptyTally();
+  const root = storageConfig.local.tusDir;
+  if (!(await fs.pathExists(root))) return tally;
+
+  const uploads = new Map();
+  // eslint-disable-next-line no-restricted-syntax
+  for (const entry of await fs.readdir(root)) {
+    // eslint-disable-next-line no-await-in-loop
+    const stat = await fs.stat(path.join(root, entry));
+    const id = entry.replace(/\.json$/, '');
+    const upload = uploads.get(id) || { files: [], lastActivity: 0, bytes: 0 };
+    upload.files.push(entry);
+    upload.lastActivity = Math.max(upload.lastActivity, stat.mtimeMs);
+    upload.bytes += stat.size;
+    uploads.set(id, upload);
+  }
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const upload of uploads.values()) {
+    // eslint-disable-next-line no-continue
+    if (now - upload.lastActivity < SESSION_TTL_MS) continue;
+    if (!dryRun) {
+      // eslint-disable-next-line no-await-in-loop
+      await Promise.all(upload.files.map((file) => fs.remove(path.join(root, file))));
+    }
+    tally.count += 1;
+    tally.bytes += upload.bytes;
+  }
+  return tally;
+}
+
+/**
+ * Delete storage left behind by deleted content: per-content output prefixes
+ * whose ID has no content row, and sources or documents no row points at.
+ */
+async function reapOrphanedObjects({ dryRun, now }) {
+  const { liveIds, referencedKeys } = await loadLiveReferences();
+  const cutoff = now - ORPHAN_GRACE_MS;
+  const prefixes = emptyTally();
+  const objects = emptyTally();
+  const doomed = [];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const prefix of CONTENT_SCOPED_PREFIXES) {
+    const groups = new Map();
+    // eslint-disable-next-line no-await-in-loop
+    (await listObjectsWithPrefix(prefix)).forEach((object) => {
+      const id = object.key.slice(prefix.length).split('/')[0].replace(/\.[^.]+$/, '');
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(object);
+    });
+    groups.forEach((group, id) => {
+      const newest = Math.max(...group.map((object) => new Date(object.lastModified).getTime()));
+      if (liveIds.has(id) || newest > cutoff) return;
+      prefixes.count += 1;
+      prefixes.bytes += group.reduce((sum, object) => sum + object.size, 0);
+      doomed.push(...group.map((object) => object.key));
+    });
+  }
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const prefix of REFERENCED_PREFIXES) {
+    // eslint-disable-next-line no-await-in-loop
+    (await listObjectsWithPrefix(prefix)).forEach((object) => {
+      if (referencedKeys.has(object.key) || new Date(object.lastModified).getTime() > cutoff) return;
+      objects.count += 1;
+      objects.bytes += object.size;
+      doomed.push(object.key);
+    });
+  }
+
+  if (!dryRun) await deleteKeys(doomed);
+  return { orphanedPrefixes: prefixes, orphanedObjects: objects };
+}
+
+/**
+ * Reclaim storage: expire stale upload sessions and delete objects no content
+ * row accounts for. Safe to run from several instances at once; deletes are
+ * idempotent.
+ * @param {object} [options] - { dryRun: report what would be reclaimed without deleting anything }
+ * @returns {Promise<object>} Counts and bytes per category, plus reclaimedBytes in total
+ */
+async function reapStorage({ dryRun = false } = {}) {
+  const startedAt = new Date();
+  const context = { dryRun, now: startedAt.getTime() };
+
+  const uploadSessions = await reapUploadSessions(context);
+  const tusUploads = await reapTusUploads(context);
+  const { orphanedPrefixes, orphanedObjects } = await reapOrphanedObjects(context);
+
+  const report = {
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    uploadSessions,
+    tusUploads,
+    orphanedPrefixes,
+    orphanedObjects,
+    reclaimedBytes: [uploadSessions, tusUploads, orphanedPrefixes, orphanedObjects]
+      .reduce((sum, tally) => sum + tally.bytes, 0)
+  };
+  console.log(`[Reaper] ${dryRun ? 'Would reclaim' : 'Reclaimed'} ${report.reclaimedBytes} bytes`, report);
+  return report;
+}
+
+module.exports = {
+  reapStorage
+};
@@ -1,246 +1,616 @@
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const { prisma } = require('../../config/database');
-const { getObjectStream, putObjectBuffer } = require('../../services/media/minioMediaStore');
+const { putObjectBuffer, downloadToFile, uploadDirectory } = require('../../services/media/minioMediaStore');
+const { generateThumbnails } = require('../../services/media/ffmpegService');
 const { cache } = require('../../config/redis');
+const { createMasterPlaylist } = require('../../services/media/hlsPlaylist');
+const {
+  TEXT_SUBTITLE_CODECS, formatTimestamp, parseSubtitles, normalizeLanguage, languageLabel
+} = require('../../services/media/subtitles');
+const { fitChaptersToDuration, parseChaptersFromDescription } = require('../../services/media/chapters');
+const TranscriptService = require('../../modules/content/services/transcriptService');
+const HlsManifestService = require('../../modules/content/services/hlsManifestService');
+const StorageService = require('../../modules/users/storageService');
+const { MediaRejectedError, validateMediaFile } = require('../../services/media/mediaValidation');
+const { quarantineObject } = require('../../modules/uploads/quarantineService');
+const { ensureJobRecord, handleJobFailure, failJobPermanently } = require('../queues/videoQueue');
+const { createCheckpointer } = require('./checkpointer');
+const { runContentScheduler } = require('./contentScheduler.worker');
 
 const execAsync = promisify(exec);
 
 const TEMP_DIR = process.env.TEMP_DIR || path.join(process.cwd(), 'temp', 'video-processing');
 
-// HLS Configuration - Simple quality levels only
+// Number of CPU threads a single job may spend on concurrent renditions
+const CPU_BUDGET = Math.max(Number(process.env.VIDEO_TRANSCODE_CPU_BUDGET) || os.cpus().length, 1);
+
+const HLS_SEGMENT_SECONDS = 10;
+const KEYFRAME_INTERVAL_SECONDS = 2;
+const DEFAULT_FRAME_RATE = 30;
+// Rungs below this height are capped at DEFAULT_FRAME_RATE even for high frame rate sources
+const HIGH_FRAME_RATE_MIN_HEIGHT = 720;
+
+// Frames offered to the creator as thumbnail choices
+const THUMBNAIL_CANDIDATE_COUNT = 5;
+const THUMBNAIL_MAX_WIDTH = 1280;
+
+// Scrub-preview sprite sheets: one tile every `interval` seconds, ~SPRITE_TARGET_FRAMES per video
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+const SPRITE_TARGET_FRAMES = 100;
+const SPRITE_MIN_INTERVAL_SECONDS = 2;
+
+// HLS rendition ladder, highest first. Rungs taller than the source are dropped per job.
+// cpuCost is the number of encoder threads a rung is given out of CPU_BUDGET.
 const HLS_CONFIGS = [
-  { name: '1080p', bitrate: '5000k', audioBitrate: '192k' },
-  { name: '720p', bitrate: '3000k', audioBitrate: '128k' },
-  { name: '480p', bitrate: '1500k', audioBitrate: '128k' },
-  { name: '360p', bitrate: '800k', audioBitrate: '96k' }
+  {
+    name: '1080p', height: 1080, bitrate: '5000k', audioBitrate: '192k', cpuCost: 4
+  },
+  {
+    name: '720p', height: 720, bitrate: '3000k', audioBitrate: '128k', cpuCost: 2
+  },
+  {
+    name: '480p', height: 480, bitrate: '1500k', audioBitrate: '128k', cpuCost: 1
+  },
+  {
+    name: '360p', height: 360, bitrate: '800k', audioBitrate: '96k', cpuCost: 1
+  }
 ];
 
+function toEven(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+// ffprobe reports rates as fractions, e.g. "30000/1001"
+function parseFrameRate(rate) {
+  if (!rate || typeof rate !== 'string') return 0;
+  const [num, den] = rate.split('/').map(Number);
+  if (!num || !den) return Number(num) || 0;
+  return num / den;
+}
+
+async function probeSource(localInputPath) {
+  const metadataCommand = `ffprobe -v quiet -print_format json -show_format -show_streams "${localInputPath}"`;
+  const { stdout } = await execAsync(metadataCommand, { maxBuffer: 10 * 1024 * 1024 });
+  const metadata = JSON.parse(stdout);
+
+  const videoStream = metadata.streams.find((stream) => stream.codec_type === 'video');
+  if (!videoStream) {
+    throw new Error('No video stream found');
+  }
+
+  const frameRate = parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate);
+
+  // Kept JSON-serialisable: the result is stored as the probe stage checkpoint
+  return {
+    width: parseInt(videoStream.width, 10),
+    height: parseInt(videoStream.height, 10),
+    frameRate: frameRate > 0 && frameRate <= 120 ? frameRate : 0,
+    duration: parseFloat(videoStream.duration) || parseFloat(metadata.format?.duration) || 0,
+    hasAudio: metadata.streams.some((stream) => stream.codec_type === 'audio'),
+    fileSize: parseInt(metadata.format?.size, 10) || 0,
+    // index is relative to the subtitle streams, as used by -map 0:s:<index>
+    subtitleStreams: metadata.streams
+      .filter((stream) => stream.codec_type === 'subtitle')
+      .map((stream, index) => ({
+        index,
+        codec: stream.codec_name,
+        language: stream.tags?.language || null,
+        title: stream.tags?.title || null
+      }))
+  };
+}
+
+/**
+ * Build the rendition ladder for a probed source. Rungs are matched against the
+ * source's short side so portrait clips are treated like their landscape equivalent,
+ * nothing is upscaled, and a source smaller than the lowest rung gets a single
+ * rendition at its native size.
+ */
+function buildRenditionLadder(source) {
+  const shortSide = Math.min(source.width, source.height);
+  let rungs = HLS_CONFIGS.filter((config) => config.height <= shortSide);
+
+  if (rungs.length === 0) {
+    const lowest = HLS_CONFIGS[HLS_CONFIGS.length - 1];
+    rungs = [{ ...lowest, name: `${toEven(shortSide)}p`, height: shortSide }];
+  }
+
+  return rungs.map((rung) => {
+    const scale = rung.height / shortSide;
+    const sourceFrameRate = source.frameRate || DEFAULT_FRAME_RATE;
+    const frameRate = rung.height >= HIGH_FRAME_RATE_MIN_HEIGHT
+      ? sourceFrameRate
+      : Math.min(sourceFrameRate, DEFAULT_FRAME_RATE);
+    // High frame rate renditions need more bits for the same quality
+    const videoKbps = Math.round(parseInt(rung.bitrate, 10) * (frameRate > DEFAULT_FRAME_RATE ? 1.5 : 1));
+
+    return {
+      name: rung.name,
+      width: toEven(source.width * scale),
+      height: toEven(source.height * scale),
+      frameRate,
+      bitrate: `${videoKbps}k`,
+      audioBitrate: rung.audioBitrate,
+      cpuCost: Math.min(rung.cpuCost, CPU_BUDGET)
+    };
+  });
+}
+
+async function transcodeRendition(localInputPath, hlsDir, rendition, source) {
+  const streamDir = path.join(hlsDir, rendition.name);
+  // A failed earlier attempt may have left partial segments behind
+  await fs.emptyDir(streamDir);
+
+  const playlistPath = path.join(streamDir, 'playlist.m3u8');
+  const segmentPattern = path.join(streamDir, 'segment-%03d.ts');
+  const videoKbps = parseInt(rendition.bitrate, 10);
+  // Fixed GOP so segment boundaries line up across renditions
+  const gopSize = Math.max(1, Math.round(rendition.frameRate * KEYFRAME_INTERVAL_SECONDS));
+  const frameRateArgs = source.frameRate && rendition.frameRate < source.frameRate ? `-r ${rendition.frameRate} ` : '';
+  const audioArgs = source.hasAudio ? `-c:a aac -b:a ${rendition.audioBitrate} -ac 2 ` : '-an ';
+
+  console.log(`${rendition.name}: ${source.width}x${source.height} -> ${rendition.width}x${rendition.height} @ ${rendition.frameRate.toFixed(2)}fps`);
+
+  const hlsCommand = `ffmpeg -hide_banner -loglevel error -y -i "${localInputPath}" `
+    + `-vf "scale=${rendition.width}:${rendition.height}" ${frameRateArgs}`
+    + `-c:v libx264 -threads ${rendition.cpuCost} `
+    + `-b:v ${videoKbps}k -maxrate ${Math.round(videoKbps * 1.07)}k -bufsize ${videoKbps * 2}k `
+    + `-g ${gopSize} -keyint_min ${gopSize} -sc_threshold 0 `
+    + `${audioArgs}`
+    + `-f hls -hls_time ${HLS_SEGMENT_SECONDS} -hls_list_size 0 -hls_playlist_type vod `
+    + `-hls_segment_filename "${segmentPattern}" `
+    + `"${playlistPath}"`;
+
+  await execAsync(hlsCommand, { maxBuffer: 10 * 1024 * 1024 });
+  console.log(`${rendition.name} stream generated.`);
+
+  return {
+    ...rendition,
+    playlistPath,
+    streamDir
+  };
+}
+
+/**
+ * Run tasks concurrently while the sum of their `cost` stays within `budget`.
+ * A task costlier than the whole budget still runs, just on its own. On failure
+ * no new tasks are started and the first error is thrown once in-flight tasks
+ * have settled, so callers can safely clean up their working directory.
+ */
+function runWithCpuBudget(tasks, budget) {
+  const results = new Array(tasks.length);
+  if (tasks.length === 0) return Promise.resolve(results);
+
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let inFlight = 0;
+    let usedBudget = 0;
+    let firstError = null;
+
+    const settle = (cost) => {
+      inFlight -= 1;
+      usedBudget -= cost;
+      if (inFlight > 0 || (!firstError && next < tasks.length)) {
+        // eslint-disable-next-line no-use-before-define
+        launch();
+      } else if (firstError) {
+        reject(firstError);
+      } else {
+        resolve(results);
+      }
+    };
+
+    const start = (index) => {
+      const { cost, run } = tasks[index];
+      inFlight += 1;
+      usedBudget += cost;
+      run()
+        .then((value) => {
+          results[index] = value;
+        })
+        .catch((error) => {
+          firstError = firstError || error;
+        })
+        .finally(() => settle(cost));
+    };
+
+    const launch = () => {
+      while (!firstError && next < tasks.length) {
+        if (inFlight > 0 && usedBudget + tasks[next].cost > budget) break;
+        start(next);
+        next += 1;
+      }
+    };
+
+    launch();
+  });
+}
+
+/**
+ * Grab frames spread evenly through the video, skipping the very start and end
+ * (often black or credits), and upload them as thumbnail candidates.
+ */
+async function generateThumbnailCandidates(localInputPath, tempDir, contentId, source) {
+  const count = source.duration > THUMBNAIL_CANDIDATE_COUNT ? THUMBNAIL_CANDIDATE_COUNT : 1;
+  const timestamps = Array.from(
+    { length: count },
+    (_, i) => Number(((source.duration * (i + 1)) / (count + 1)).toFixed(3))
+  );
+  const candidatesDir = path.join(tempDir, 'thumbnails');
+  await fs.emptyDir(candidatesDir);
+
+  const files = await generateThumbnails(localInputPath, candidatesDir, count, {
+    timestamps,
+    filename: 'candidate-%i.jpg',
+    size: `${Math.min(toEven(source.width), THUMBNAIL_MAX_WIDTH)}x?`
+  });
+
+  const candidates = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [index, file] of files.entries()) {
+    // eslint-disable-next-line no-await-in-loop
+    const buffer = await fs.readFile(file);
+    // eslint-disable-next-line no-await-in-loop
+    const url = await putObjectBuffer(`thumbnails/${contentId}/candidate-${index + 1}.jpg`, buffer, 'image/jpeg');
+    candidates.push({ index: index + 1, time: timestamps[index], url });
+  }
+  console.log(`Uploaded ${candidates.length} thumbnail candidate(s).`);
+  return { candidates };
+}
+
+/**
+ * Tile low-res frames into sprite sheets and write a WebVTT thumbnail track
+ * (`sprite-001.jpg#xywh=x,y,w,h` per cue) for hover-scrubbing in the player.
+ */
+async function generateScrubPreview(localInputPath, tempDir, hlsBaseKey, source) {
+  const duration = Math.max(source.duration, 1);
+  const interval = Math.max(Math.ceil(duration / SPRITE_TARGET_FRAMES), SPRITE_MIN_INTERVAL_SECONDS);
+  const frameCount = Math.ceil(duration / interval);
+  const tileWidth = SPRITE_TILE_WIDTH;
+  const tileHeight = toEven((SPRITE_TILE_WIDTH * source.height) / source.width);
+  const rows = Math.min(SPRITE_ROWS, Math.ceil(frameCount / SPRITE_COLUMNS));
+  const tilesPerSheet = SPRITE_COLUMNS * rows;
+
+  const spriteDir = path.join(tempDir, 'sprites');
+  await fs.emptyDir(spriteDir);
+  const spriteCommand = `ffmpeg -hide_banner -loglevel error -y -i "${localInputPath}" `
+    + `-vf "fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${SPRITE_COLUMNS}x${rows}" `
+    + `-q:v 5 "${path.join(spriteDir, 'sprite-%03d.jpg')}"`;
+  await execAsync(spriteCommand, { maxBuffer: 10 * 1024 * 1024 });
+
+  const cues = Array.from({ length: frameCount }, (_, i) => {
+    const sheet = Math.floor(i / tilesPerSheet) + 1;
+    const position = i % tilesPerSheet;
+    const x = (position % SPRITE_COLUMNS) * tileWidth;
+    const y = Math.floor(position / SPRITE_COLUMNS) * tileHeight;
+    const start = formatTimestamp(i * interval);
+    const end = formatTimestamp(Math.min((i + 1) * interval, duration));
+    return `${start} --> ${end}\nsprite-${String(sheet).padStart(3, '0')}.jpg#xywh=${x},${y},${tileWidth},${tileHeight}`;
+  });
+  await fs.writeFile(path.join(spriteDir, 'thumbnails.vtt'), `WEBVTT\n\n${cues.join('\n\n')}\n`);
+
+  const baseKey = `${hlsBaseKey}/thumbnails`;
+  const uploadedFiles = await uploadDirectory(spriteDir, baseKey);
+  console.log(`Uploaded scrub preview: ${uploadedFiles.length - 1} sprite sheet(s), ${frameCount} tiles.`);
+  return {
+    vttUrl: `s3://videos/${baseKey}/thumbnails.vtt`,
+    sprites: uploadedFiles.filter((key) => key.endsWith('.jpg')).sort(),
+    interval,
+    tileWidth,
+    tileHeight,
+    columns: SPRITE_COLUMNS,
+    rows
+  };
+}
+
+/**
+ * Convert the source's text subtitle streams to WebVTT caption tracks. A language
+ * that already has an uploaded track keeps it; only the first stream per language
+ * is used.
+ */
+async function extractEmbeddedSubtitles(localInputPath, tempDir, contentId, source) {
+  const streams = (source.subtitleStreams || []).filter((stream) => TEXT_SUBTITLE_CODECS.includes(stream.codec));
+  if (streams.length === 0) return { languages: [] };
+
+  const uploaded = await prisma.transcript.findMany({
+    where: { contentId, source: 'upload' },
+    select: { language: true }
+  });
+  const taken = new Set(uploaded.map((transcript) => transcript.language));
+  const languages = [];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const stream of streams) {
+    const language = normalizeLanguage(stream.language) || 'und';
+    if (!taken.has(language)) {
+      taken.add(language);
+      const vttPath = path.join(tempDir, `subtitles-${stream.index}.vtt`);
+      // eslint-disable-next-line no-await-in-loop
+      await execAsync(`ffmpeg -hide_banner -loglevel error -y -i "${localInputPath}" -map 0:s:${stream.index} -c:s webvtt "${vttPath}"`);
+      // eslint-disable-next-line no-await-in-loop
+      const cues = parseSubtitles(await fs.readFile(vttPath, 'utf8'));
+      if (cues.length > 0) {
+        // eslint-disable-next-line no-await-in-loop
+        await TranscriptService.saveTranscript(contentId, {
+          language,
+          label: stream.title || languageLabel(language),
+          source: 'embedded',
+          cues,
+          duration: source.duration
+        });
+        languages.push(language);
+      }
+    }
+  }
+
+  console.log(`Extracted ${languages.length} embedded subtitle track(s): ${languages.join(', ') || 'none'}`);
+  return { languages };
+}
+
+/**
+ * Process a PROCESS_VIDEO job. Each stage (download, validate, probe, thumbnail, sprites, subtitles,
+ * one per rendition, upload, finalize) is checkpointed on the Job row, and rendition
+ * output is uploaded as soon as it is encoded, so a retried job only redoes the
+ * stages that never finished. On failure the job is handed back to the queue
+ * for a backoff retry or the dead-letter list; a source that fails validation
+ * is quarantined instead, as retrying cannot change the verdict.
+ */
 async function processJob(job) {
-  const { contentId, sourceObjectKey } = job.payload;
-  console.log(`Processing video for contentId: ${contentId}`);
+  const { contentId, sourceObjectKey, userId } = job.payload;
+  console.log(`Processing video for contentId: ${contentId} (attempt ${(job.attempts || 0) + 1})`);
 
   const tempDir = path.join(TEMP_DIR, contentId);
   const localInputPath = path.join(tempDir, 'input.mp4');
-  const thumbnailPath = path.join(tempDir, 'thumbnail.jpg');
   const hlsDir = path.join(tempDir, 'hls');
+  const hlsBaseKey = `hls/${contentId}`;
+  let willRetry = false;
 
   try {
+    const jobRecord = await ensureJobRecord(job);
+    const checkpoints = createCheckpointer(job.id, jobRecord.stages || {});
+
     // 1. Update status to 'processing'
     await prisma.content.update({
       where: { id: contentId },
-      data: { processingStatus: 'processing' },
+      data: { processingStatus: 'processing' }
     });
+    await prisma.job.update({ where: { id: job.id }, data: { status: 'PROCESSING' } });
 
-    // 2. Create temp directories
+    // 2. Create temp directories (kept between attempts on this node so the source isn't re-fetched)
     await fs.ensureDir(tempDir);
     await fs.ensureDir(hlsDir);
 
-    // 3. Download from MinIO
-    console.log(`Downloading ${sourceObjectKey} to ${localInputPath}...`);
-    const readStream = await getObjectStream(sourceObjectKey);
-    const writeStream = fs.createWriteStream(localInputPath);
-    await new Promise((resolve, reject) => {
-        readStream.pipe(writeStream);
-        writeStream.on('finish', resolve);
-        writeStream.on('error', reject);
+    // 3. Download from MinIO, whenever a pending stage still needs the source locally
+    const probed = checkpoints.result('probe');
+    const pendingLadder = probed ? buildRenditionLadder(probed) : null;
+    const needsSource = !pendingLadder
+      || !checkpoints.isDone('validate')
+      || !Array.isArray(checkpoints.result('thumbnail')?.candidates)
+      || !checkpoints.isDone('sprites')
+      || !checkpoints.isDone('subtitles')
+      || pendingLadder.some((rendition) => !checkpoints.isDone(`rendition:${rendition.name}`));
+    const hasLocalSource = await fs.pathExists(localInputPath);
+    await checkpoints.run('download', async () => {
+      console.log(`Downloading ${sourceObjectKey} to ${localInputPath}...`);
+      const downloaded = await downloadToFile(sourceObjectKey, localInputPath);
+      console.log('Download complete.');
+      return downloaded;
+    }, {
+      skip: !needsSource || (checkpoints.isDone('download') && hasLocalSource)
     });
-    console.log('Download complete.');
 
-    // 4. Get video metadata first
+    // 4. Validate the source before anything parses it: declared type, malware scan, ffprobe limits
+    const stored = await prisma.content.findUnique({ where: { id: contentId }, select: { metadata: true } });
+    const validation = await checkpoints.run('validate', () => validateMediaFile(localInputPath, {
+      kind: 'video', declaredType: stored?.metadata?.contentType
+    }));
+
+    // 5. Probe the source
     console.log('Getting video metadata...');
-    const metadataCommand = `ffprobe -v quiet -print_format json -show_format -show_streams "${localInputPath}"`;
-    const { stdout: metadataOutput } = await execAsync(metadataCommand);
-    const metadata = JSON.parse(metadataOutput);
-    
-    // Find video stream
-    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-    if (!videoStream) {
-      throw new Error('No video stream found');
-    }
-    
-    const originalWidth = parseInt(videoStream.width);
-    const originalHeight = parseInt(videoStream.height);
-    const originalAspectRatio = originalWidth / originalHeight;
-    
-    console.log(`Original video: ${originalWidth}x${originalHeight} (aspect ratio: ${originalAspectRatio.toFixed(2)})`);
-
-    // 5. Generate thumbnail
-    console.log('Generating thumbnail...');
-    const thumbnailCommand = `ffmpeg -i "${localInputPath}" -ss 00:00:01.000 -vframes 1 "${thumbnailPath}"`;
-    await execAsync(thumbnailCommand);
-    console.log('Thumbnail generated.');
-
-    // 6. Upload thumbnail to MinIO
-    const thumbnailKey = `thumbnails/${contentId}.jpg`;
-    const thumbnailBuffer = await fs.readFile(thumbnailPath);
-    const thumbnailUrl = await putObjectBuffer(thumbnailKey, thumbnailBuffer, 'image/jpeg');
-    console.log(`Thumbnail uploaded to: ${thumbnailUrl}`);
-
-    // 7. Use all quality levels - maintain original aspect ratio
-    const targetConfigs = HLS_CONFIGS;
-    console.log(`Original video: ${originalWidth}x${originalHeight} (aspect ratio: ${originalAspectRatio.toFixed(2)})`);
-    console.log('Generating all quality levels while maintaining original aspect ratio');
-
-    // 8. Generate HLS streams for selected qualities
+    const source = await checkpoints.run('probe', () => probeSource(localInputPath));
+    console.log(`Original video: ${source.width}x${source.height} @ ${(source.frameRate || 0).toFixed(2)}fps`);
+
+    // 6. Build the rendition ladder from the source resolution and frame rate
+    const renditions = buildRenditionLadder(source);
+    console.log(`Rendition ladder: ${renditions.map((r) => r.name).join(', ')} (CPU budget: ${CPU_BUDGET})`);
+    // download, validate, probe, thumbnail, sprites, subtitles, upload, finalize + one per rendition
+    checkpoints.setTotalStages(8 + renditions.length);
+
+    // 7. Generate thumbnail candidates and the scrub-preview sprite sheets
+    console.log('Generating thumbnails...');
+    // Checkpoints written before candidates existed hold a single thumbnailUrl; redo those
+    const { candidates } = await checkpoints.run(
+      'thumbnail',
+      () => generateThumbnailCandidates(localInputPath, tempDir, contentId, source),
+      { skip: Array.isArray(checkpoints.result('thumbnail')?.candidates) }
+    );
+    const scrubPreview = await checkpoints.run(
+      'sprites',
+      () => generateScrubPreview(localInputPath, tempDir, hlsBaseKey, source)
+    );
+
+    // 8. Convert embedded text subtitles into WebVTT caption tracks
+    await checkpoints.run('subtitles', () => extractEmbeddedSubtitles(localInputPath, tempDir, contentId, source));
+
+    // 9. Encode renditions concurrently within the CPU budget, uploading each as it finishes
     console.log('Generating HLS streams...');
-    const hlsStreams = [];
-    
-    for (const config of targetConfigs) {
-      console.log(`Processing ${config.name} stream...`);
-      const streamDir = path.join(hlsDir, config.name);
-      await fs.ensureDir(streamDir);
-      
-      const playlistPath = path.join(streamDir, 'playlist.m3u8');
-      const segmentPattern = path.join(streamDir, 'segment-%03d.ts');
-      
-      // Define target resolutions for each quality level
-      const targetResolutions = {
-        '1080p': { width: 1920, height: 1080 },
-        '720p': { width: 1280, height: 720 },
-        '480p': { width: 854, height: 480 },
-        '360p': { width: 640, height: 360 }
-      };
-
-      const target = targetResolutions[config.name];
-      const outputWidth = target.width;
-      const outputHeight = target.height;
-      
-      console.log(`${config.name}: ${originalWidth}x${originalHeight} -> ${outputWidth}x${outputHeight} (with padding if needed)`);
-      
-      // FFmpeg command with scale and pad filters to maintain aspect ratio
-      const hlsCommand = `ffmpeg -i "${localInputPath}" ` +
-        `-vf "scale=w=${outputWidth}:h=${outputHeight}:force_original_aspect_ratio=decrease,pad=${outputWidth}:${outputHeight}:(ow-iw)/2:(oh-ih)/2:black" ` +
-        `-c:v libx264 -c:a aac ` +
-        `-b:v ${config.bitrate} -b:a ${config.audioBitrate} ` +
-        `-f hls -hls_time 10 -hls_list_size 0 ` +
-        `-hls_segment_filename "${segmentPattern}" ` +
-        `"${playlistPath}"`;
-      
-      await execAsync(hlsCommand);
-      console.log(`${config.name} stream generated.`);
-      
-      hlsStreams.push({
-        name: config.name,
-        width: outputWidth,
-        height: outputHeight,
-        bitrate: config.bitrate,
-        playlistPath: playlistPath,
-        streamDir: streamDir
-      });
-    }
+    const hlsStreams = await runWithCpuBudget(
+      renditions.map((rendition) => ({
+        cost: rendition.cpuCost,
+        run: () => checkpoints.run(`rendition:${rendition.name}`, async () => {
+          const stream = await transcodeRendition(localInputPath, hlsDir, rendition, source);
+          const uploadedFiles = await uploadDirectory(stream.streamDir, `${hlsBaseKey}/${stream.name}`);
+          console.log(`${stream.name}: uploaded ${uploadedFiles.length} files.`);
+          return {
+            name: stream.name,
+            width: stream.width,
+            height: stream.height,
+            frameRate: stream.frameRate,
+            bitrate: stream.bitrate,
+            audioBitrate: stream.audioBitrate,
+            uploadedFiles
+          };
+        })
+      })),
+      CPU_BUDGET
+    );
 
-    // 7. Create master playlist
-    console.log('Creating master playlist...');
-    const masterPlaylistPath = path.join(hlsDir, 'master.m3u8');
-    const masterPlaylist = createMasterPlaylist(hlsStreams);
-    await fs.writeFile(masterPlaylistPath, masterPlaylist);
-    console.log('Master playlist created.');
-
-    // 8. Upload HLS files to MinIO
-    console.log('Uploading HLS files to MinIO...');
-    const hlsBaseKey = `hls/${contentId}`;
-    const uploadedFiles = [];
-    
-    // Upload master playlist
-    const masterPlaylistBuffer = await fs.readFile(masterPlaylistPath);
+    // 10. Create and upload master playlist, with embedded and already uploaded caption tracks
     const masterPlaylistKey = `${hlsBaseKey}/master.m3u8`;
-    await putObjectBuffer(masterPlaylistKey, masterPlaylistBuffer, 'application/vnd.apple.mpegurl');
-    uploadedFiles.push(masterPlaylistKey);
-    
-    // Upload individual stream files
-    for (const stream of hlsStreams) {
-      const streamFiles = await fs.readdir(stream.streamDir);
-      for (const file of streamFiles) {
-        const filePath = path.join(stream.streamDir, file);
-        const fileBuffer = await fs.readFile(filePath);
-        const fileKey = `${hlsBaseKey}/${stream.name}/${file}`;
-        
-        const contentType = file.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/MP2T';
-        await putObjectBuffer(fileKey, fileBuffer, contentType);
-        uploadedFiles.push(fileKey);
-      }
-    }
-    
-    console.log(`Uploaded ${uploadedFiles.length} HLS files.`);
+    const { chapters } = await checkpoints.run('upload', async () => {
+      console.log('Creating master playlist...');
+      const subtitles = await prisma.transcript.findMany({
+        where: { contentId },
+        select: { language: true, label: true },
+        orderBy: { language: 'asc' }
+      });
 
-    // 9. Update content with HLS URLs and completed status
+      // Now that the duration is known, close the last chapter and drop any past the end
+      const current = await prisma.content.findUnique({ where: { id: contentId } });
+      const fittedChapters = current?.metadata?.chaptersSource === 'manual'
+        ? fitChaptersToDuration(current.metadata.chapters, source.duration)
+        : parseChaptersFromDescription(current?.description, source.duration);
+      const chaptersUri = await HlsManifestService.writeChaptersTrack(contentId, fittedChapters);
+
+      const masterPlaylist = createMasterPlaylist(hlsStreams, subtitles, { chaptersUri });
+      await putObjectBuffer(masterPlaylistKey, Buffer.from(masterPlaylist), 'application/vnd.apple.mpegurl');
+      console.log('Master playlist uploaded.');
+      return { masterPlaylistKey, chapters: fittedChapters };
+    });
+
+    // 11. Update content with HLS URLs and completed status
     const hlsMasterUrl = `s3://videos/${masterPlaylistKey}`;
-    const hlsStreamUrls = hlsStreams.map(stream => ({
-      name: stream.name,
-      width: stream.width,
-      height: stream.height,
-      bitrate: stream.bitrate,
-      playlistUrl: `s3://videos/${hlsBaseKey}/${stream.name}/playlist.m3u8`
-    }));
+    await checkpoints.run('finalize', async () => {
+      const uploadedFiles = [masterPlaylistKey, ...hlsStreams.flatMap((stream) => stream.uploadedFiles)];
+      const hlsStreamUrls = hlsStreams.map((stream) => ({
+        name: stream.name,
+        width: stream.width,
+        height: stream.height,
+        frameRate: Number(stream.frameRate.toFixed(3)),
+        bitrate: stream.bitrate,
+        audioBitrate: stream.audioBitrate,
+        playlistUrl: `s3://videos/${hlsBaseKey}/${stream.name}/playlist.m3u8`
+      }));
 
-    await prisma.content.update({
-      where: { id: contentId },
-      data: {
-        processingStatus: 'completed',
-        featuredImage: thumbnailUrl,
-        metadata: {
-          ...((await prisma.content.findUnique({ where: { id: contentId } }))?.metadata || {}),
-          thumbnailUrl: thumbnailUrl,
-          hlsMasterUrl: hlsMasterUrl,
-          hlsStreams: hlsStreamUrls,
-          uploadedFiles: uploadedFiles,
-          // Simple video metadata
-          duration: parseFloat(videoStream.duration) || 0,
-          resolution: `${originalWidth}x${originalHeight}`,
-          fileSize: parseInt(metadata.format.size) || 0
+      // Keep the creator's thumbnail choice across reprocessing
+      const existingMetadata = (await prisma.content.findUnique({ where: { id: contentId } }))?.metadata || {};
+      const selected = candidates.find((candidate) => candidate.index === existingMetadata.selectedThumbnail);
+      const thumbnailUrl = existingMetadata.customThumbnailUrl || (selected || candidates[0]).url;
+
+      // Attempts checkpointed before chapters existed return no chapters; keep what is stored
+      const chapterFields = {};
+      if (chapters) {
+        chapterFields.chapters = chapters;
+        if (existingMetadata.chaptersSource !== 'manual') {
+          chapterFields.chaptersSource = chapters.length > 0 ? 'description' : null;
         }
-      },
+      }
+
+      await prisma.content.update({
+        where: { id: contentId },
+        data: {
+          processingStatus: 'completed',
+          featuredImage: thumbnailUrl,
+          metadata: {
+            ...existingMetadata,
+            thumbnailUrl,
+            thumbnailCandidates: candidates,
+            selectedThumbnail: existingMetadata.customThumbnailUrl ? null : (selected || candidates[0]).index,
+            scrubPreview,
+            ...chapterFields,
+            validation,
+            hlsMasterUrl,
+            hlsStreams: hlsStreamUrls,
+            uploadedFiles,
+            error: null,
+            failedStage: null,
+            nextRetryAt: null,
+            // Simple video metadata
+            duration: source.duration,
+            resolution: `${source.width}x${source.height}`,
+            frameRate: Number((source.frameRate || 0).toFixed(3)),
+            fileSize: source.fileSize
+          }
+        }
+      });
+      console.log(`Uploaded ${uploadedFiles.length} HLS files.`);
     });
-    
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'COMPLETED', progress: 100, completedAt: new Date(), result: { hlsMasterUrl }
+      }
+    });
+
     // Clear cache to ensure API returns fresh data
     const cacheKey = `content:${contentId}`;
     await cache.del(cacheKey);
+    await StorageService.invalidate(userId);
     console.log(`Cache cleared for content: ${contentId}`);
-    
-    console.log('Content updated successfully with HLS streaming URLs.');
 
+    // A video published before it was ready goes live now instead of on the scheduler's next run
+    await runContentScheduler({ contentId })
+      .catch((err) => console.error(`Scheduled publish failed for ${contentId}: ${err.message}`));
+
+    console.log('Content updated successfully with HLS streaming URLs.');
   } catch (error) {
     console.error(`Error processing video for contentId: ${contentId}`, error);
-    // Update status to 'failed'
+
+    if (error instanceof MediaRejectedError) {
+      try {
+        await quarantineObject(contentId, sourceObjectKey, error);
+        await failJobPermanently(job, error);
+        await StorageService.invalidate(userId);
+        return;
+      } catch (quarantineError) {
+        // Left to the normal retry path; validation runs again on the next attempt
+        console.error(`Failed to quarantine ${sourceObjectKey}:`, quarantineError.message);
+      }
+    }
+
+    let failure = { willRetry: false };
+    try {
+      failure = await handleJobFailure(job, error);
+    } catch (queueError) {
+      console.error(`Failed to record failure for job ${job.id}:`, queueError.message);
+    }
+    ({ willRetry } = failure);
+
+    // Keep 'queued' while a retry is pending; 'failed' only once the job is dead-lettered
     await prisma.content.update({
       where: { id: contentId },
-      data: { 
-          processingStatus: 'failed',
-          metadata: {
-            ...((await prisma.content.findUnique({ where: { id: contentId } }))?.metadata || {}),
-            error: error.message,
-          }
-      },
+      data: {
+        processingStatus: willRetry ? 'queued' : 'failed',
+        metadata: {
+          ...((await prisma.content.findUnique({ where: { id: contentId } }))?.metadata || {}),
+          error: error.message,
+          failedStage: error.stage || null,
+          nextRetryAt: willRetry ? failure.nextAttemptAt.toISOString() : null
+        }
+      }
     });
-    
+
     // Clear cache even on failure to ensure fresh data
     const cacheKey = `content:${contentId}`;
     await cache.del(cacheKey);
     console.log(`Cache cleared for failed content: ${contentId}`);
   } finally {
-    // Cleanup local files
-    await fs.remove(tempDir).catch(err => console.error(`Failed to delete temp directory: ${err.message}`));
-    console.log('Cleanup complete.');
+    // Cleanup local files, unless a retry may still reuse the downloaded source
+    if (!willRetry) {
+      await fs.remove(tempDir).catch((err) => console.error(`Failed to delete temp directory: ${err.message}`));
+      console.log('Cleanup complete.');
+    }
   }
 }
 
-function createMasterPlaylist(streams) {
-  let playlist = '#EXTM3U\n#EXT-X-VERSION:3\n\n';
-  
-  // Sort streams by bitrate (lowest to highest)
-  const sortedStreams = streams.sort((a, b) => parseInt(a.bitrate) - parseInt(b.bitrate));
-  
-  sortedStreams.forEach(stream => {
-    playlist += `#EXT-X-STREAM-INF:BANDWIDTH=${parseInt(stream.bitrate) * 1000},RESOLUTION=${stream.width}x${stream.height},NAME="${stream.name}"\n`;
-    playlist += `${stream.name}/playlist.m3u8\n\n`;
-  });
-  
-  return playlist;
-}
-
 module.exports = {
   processJob,
-};
\ No newline at end of file
+  buildRenditionLadder
+};
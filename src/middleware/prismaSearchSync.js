@@ -1,17 +1,28 @@
 const searchService = require('../services/searchService');
 const { logger } = require('./logger');
 
+// Full-text body: the article itself, or the text the document worker extracted
+const searchableBody = (content) => {
+  if (content.type === 'article') return content.bodyText ?? content.body;
+  if (content.type === 'document') return content.metadata?.textContent || undefined;
+  return undefined;
+};
+
+// Only published content that did not fail validation is searchable
+const isIndexable = (content) => content.status === 'published' && content.processingStatus !== 'rejected';
+
 // The Prisma models that should be indexed in Meilisearch.
 const SEARCHABLE_MODELS = {
   Content: {
     indexName: 'content',
-    include: { author: true },
+    include: { author: true, transcripts: { select: { text: true } } },
     transform: (content) => ({
       id: `${content.type}-${content.id}`,
       contentType: content.type,
       title: content.title,
       description: content.description,
-      content: content.type === 'article' ? content.body : undefined,
+      content: searchableBody(content),
+      transcript: content.transcripts?.length ? content.transcripts.map((t) => t.text).join('\n') : undefined,
       tags: content.tags || [],
       category: content.category,
       authorId: content.authorId,
@@ -65,17 +76,34 @@ const prismaSearchSyncMiddleware = async (params, next) => {
       return result;
     }
 
+    // Handle Transcript changes by re-indexing the parent Content
+    if (model === 'Transcript' && ['create', 'update', 'upsert', 'delete', 'deleteMany'].includes(action)) {
+      const contentId = result?.contentId || args.where?.contentId;
+      if (contentId) {
+        const content = await prisma.content.findUnique({
+          where: { id: contentId },
+          include: SEARCHABLE_MODELS.Content.include
+        });
+        if (content && isIndexable(content)) {
+          const contentDoc = SEARCHABLE_MODELS.Content.transform(content);
+          await searchService.addOrUpdateDocuments('content', [contentDoc]);
+          logger.info(`Re-indexed Content #${content.id} due to Transcript ${action}.`);
+        }
+      }
+      return result;
+    }
+
     const modelConfig = SEARCHABLE_MODELS[model];
     if (!modelConfig) {
       return result;
     }
 
-    // Handle Content model logic (publish/unpublish)
-    if (model === 'Content' && result.status !== 'published') {
+    // Handle Content model logic (publish/unpublish, quarantine)
+    if (model === 'Content' && !isIndexable(result)) {
       if (action === 'update') {
         const documentId = `${result.type}-${result.id}`;
         await searchService.deleteDocument(modelConfig.indexName, documentId);
-        logger.info(`Removed unpublished ${model} #${result.id} from Meilisearch.`);
+        logger.info(`Removed unpublished or rejected ${model} #${result.id} from Meilisearch.`);
       }
       return result;
     }
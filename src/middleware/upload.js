@@ -3,6 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const { v7: uuidv7 } = require('uuid');
 const { logger } = require('./logger');
+const StorageService = require('../modules/users/storageService');
 
 // File type configurations
 const fileTypes = {
@@ -43,7 +44,10 @@ const fileTypes = {
       'application/vnd.openxmlformats-officedocument.presentationml.presentation',
       'application/vnd.ms-excel',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.oasis.opendocument.text',
       'text/plain',
+      'text/markdown',
+      'text/x-markdown',
       // Add image mimetypes
       'image/jpeg',
       'image/jpg',
@@ -52,7 +56,7 @@ const fileTypes = {
       'image/webp'
     ],
     extensions: [
-      '.pdf', '.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.txt',
+      '.pdf', '.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.odt', '.txt', '.md', '.markdown',
       // Add image extensions
       '.jpg', '.jpeg', '.png', '.gif', '.webp'
     ],
@@ -71,19 +75,28 @@ const fileTypes = {
     extensions: ['.mp3', '.wav', '.ogg', '.m4a', '.aac', '.webm'],
     maxSize: 25 * 1024 * 1024, // 25MB
     destination: 'uploads/audio/'
+  },
+  subtitles: {
+    mimeTypes: [
+      'text/vtt',
+      'application/x-subrip',
+      'application/x-srt',
+      'text/srt',
+      'text/plain'
+    ],
+    extensions: ['.srt', '.vtt'],
+    maxSize: 2 * 1024 * 1024, // 2MB
+    destination: 'uploads/subtitles/'
   }
 };
 
 // Helper function to determine file type
 const getFileType = (file) => {
-  const entries = Object.entries(fileTypes);
-  for (let i = 0; i < entries.length; i += 1) {
-    const [type, config] = entries[i];
-    if (config.mimeTypes.includes(file.mimetype)) {
-      return type;
-    }
-  }
-  return null;
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const matches = Object.entries(fileTypes).filter(([, config]) => config.mimeTypes.includes(file.mimetype));
+  // Generic mimetypes like text/plain belong to several types; the extension decides
+  const match = matches.find(([, config]) => config.extensions.includes(extension)) || matches[0];
+  return match ? match[0] : null;
 };
 
 // Helper function to check for dangerous filenames
@@ -281,6 +294,13 @@ const uploadMiddleware = {
     useMemoryStorage: true
   }).single('document'),
 
+  // Caption files (SRT/WebVTT)
+  subtitleMemory: createUploadMiddleware({
+    allowedTypes: ['subtitles'],
+    maxFiles: 1,
+    useMemoryStorage: true
+  }).single('file'),
+
   videoMemory: createUploadMiddleware({
     allowedTypes: ['videos'],
     maxFiles: 1,
@@ -345,6 +365,33 @@ const validateUploadedFile = (req, res, next) => {
   next();
 };
 
+// Rejects uploads that would take the user over their storage quota. Runs after
+// multer, once the file sizes are known; a successful upload drops the cached usage.
+const enforceStorageQuota = async (req, res, next) => {
+  const files = req.files ? [].concat(...Object.values(req.files)) : [req.file].filter(Boolean);
+  const bytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+  const userId = req.user?.userId || req.user?.id;
+  if (!bytes || !userId) {
+    return next();
+  }
+
+  try {
+    await StorageService.assertCanStore(userId, bytes);
+  } catch (error) {
+    if (error.code === 'STORAGE_QUOTA_EXCEEDED') {
+      return res.status(413).json({ error: error.message, code: error.code });
+    }
+    return next(error);
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      StorageService.invalidate(userId).catch(() => {});
+    }
+  });
+  return next();
+};
+
 // Error handling middleware for upload errors
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -404,6 +451,7 @@ module.exports = {
   createUploadMiddleware,
   validateUploadedFile,
   handleUploadError,
+  enforceStorageQuota,
   fileTypes,
   getFileType,
   isDangerousFilename
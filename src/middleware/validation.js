@@ -112,7 +112,7 @@ const schemas = {
   search: Joi.object({
     q: Joi.string().min(1).max(100).required(),
     category: Joi.string().valid('technology', 'education', 'entertainment', 'business', 'health', 'lifestyle', 'other').optional(),
-    type: Joi.string().valid('article', 'video', 'document', 'all').default('all'),
+    type: Joi.string().valid('article', 'video', 'audio', 'document', 'all').default('all'),
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(50)
       .default(20)
@@ -162,6 +162,15 @@ exports.getRetentionData = async (req, res, next) => {
     const sinceDate = new Date();
     sinceDate.setDate(sinceDate.getDate() - period);
 
+    if (req.query.groupBy === 'chapter') {
+      const chapterRetention = await metricsService.getRetentionData(
+        contentId,
+        { startDate: sinceDate, endDate: new Date() },
+        { groupBy: 'chapter' }
+      );
+      return res.status(200).json(chapterRetention);
+    }
+
     const dailySummaries = await prisma.analyticsSummaryDaily.findMany({
       where: {
         contentId,
@@ -197,6 +197,15 @@ router.get('/creator/audience', /* protect, */ creatorController.getAudienceStat
  *           type: integer
  *           default: 30
  *         description: The time period in days to retrieve data for.
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, chapter]
+ *           default: day
+ *         description: >
+ *           'chapter' reports, for each video chapter, the share of views that reached it
+ *           and the share of those that watched it to the end.
  *     responses:
  *       200:
  *         description: Audience retention data formatted for charts.
@@ -114,9 +114,14 @@ exports.aggregateViewsByPeriod = async (contentId, period) => {
  * Fetches audience retention data from daily summaries.
  * @param {string} contentId - The ID of the content.
  * @param {{startDate: Date, endDate: Date}} dateRange - The date range to query.
+ * @param {{groupBy?: 'day' | 'chapter'}} [options] - 'chapter' reports retention per video chapter instead.
  * @returns {Promise<Object>} Data formatted for retention chart.
  */
-exports.getRetentionData = async (contentId, dateRange) => {
+exports.getRetentionData = async (contentId, dateRange, { groupBy } = {}) => {
+  if (groupBy === 'chapter') {
+    return exports.getChapterRetentionData(contentId, dateRange);
+  }
+
   const dailySummaries = await prisma.analyticsSummaryDaily.findMany({
     where: {
       contentId,
@@ -143,6 +148,65 @@ exports.getRetentionData = async (contentId, dateRange) => {
   };
 };
 
+/**
+ * Breaks audience retention down by chapter using raw view durations.
+ * Views are assumed to start at 0:00, so a view of N seconds reached every
+ * chapter starting before N and finished every chapter ending at or before N.
+ * @param {string} contentId - The ID of the content.
+ * @param {{startDate: Date, endDate: Date}} dateRange - The date range to query.
+ * @returns {Promise<Object>} Data formatted for a per-chapter retention chart, plus the chapter rows.
+ */
+exports.getChapterRetentionData = async (contentId, dateRange) => {
+  const content = await prisma.content.findUnique({
+    where: { id: contentId },
+    select: { metadata: true }
+  });
+  const chapters = content?.metadata?.chapters || [];
+  const duration = Number(content?.metadata?.duration) || 0;
+
+  const views = await prisma.contentView.findMany({
+    where: {
+      contentId,
+      viewedAt: {
+        gte: dateRange.startDate,
+        lte: dateRange.endDate
+      }
+    },
+    select: {
+      duration: true
+    }
+  });
+  const watched = views.map((view) => view.duration || 0);
+
+  const rows = chapters.map((chapter) => {
+    const end = chapter.end ?? duration;
+    const reached = watched.filter((seconds) => seconds > chapter.start).length;
+    const completed = watched.filter((seconds) => seconds >= end).length;
+    return {
+      title: chapter.title,
+      start: chapter.start,
+      end,
+      views: reached,
+      reachedRate: exports.calculateRetentionRate(watched.length, reached),
+      completionRate: exports.calculateRetentionRate(reached, completed),
+      dropOffs: reached - completed
+    };
+  });
+
+  return {
+    labels: rows.map((row) => row.title),
+    datasets: [{
+      label: 'Viewers Reaching Chapter (%)',
+      data: rows.map((row) => row.reachedRate)
+    }, {
+      label: 'Chapter Completion (%)',
+      data: rows.map((row) => row.completionRate)
+    }],
+    totalViews: watched.length,
+    chapters: rows
+  };
+};
+
 /**
  * Fetches and aggregates traffic source data from daily summaries.
  * @param {string} contentId - The ID of the content.
@@ -0,0 +1,71 @@
+// Tests for who may get a playback token
+jest.mock('../../../config/database', () => ({
+  prisma: {
+    content: {
+      findUnique: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../../config/auth', () => ({
+  authConfig: {
+    jwt: {
+      secret: 'test-secret',
+      issuer: 'mediaverse-test'
+    }
+  }
+}));
+
+jest.mock('../../../services/media/minioMediaStore', () => ({
+  getObjectBuffer: jest.fn(),
+  getPresignedUrl: jest.fn()
+}));
+
+const { prisma } = require('../../../config/database');
+const PlaybackService = require('../services/playbackService');
+
+const video = (overrides = {}) => ({
+  id: 'video-1',
+  type: 'video',
+  authorId: 'author-1',
+  status: 'published',
+  visibility: 'public',
+  processingStatus: 'completed',
+  ...overrides
+});
+
+describe('PlaybackService.issueToken', () => {
+  it('issues a token for published public content', async () => {
+    prisma.content.findUnique.mockResolvedValue(video());
+
+    const result = await PlaybackService.issueToken('video-1');
+
+    expect(result.token).toEqual(expect.any(String));
+    expect(result.masterUrl).toBe(`/api/content/playback/${result.token}/master.m3u8`);
+  });
+
+  it.each(['archived', 'scheduled', 'draft'])('refuses %s content to other viewers', async (status) => {
+    prisma.content.findUnique.mockResolvedValue(video({ status }));
+
+    await expect(PlaybackService.issueToken('video-1', { userId: 'viewer-1', role: 'user' }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' });
+    await expect(PlaybackService.issueToken('video-1'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' });
+  });
+
+  it.each(['archived', 'scheduled'])('lets the author and staff play %s content', async (status) => {
+    prisma.content.findUnique.mockResolvedValue(video({ status }));
+
+    await expect(PlaybackService.issueToken('video-1', { userId: 'author-1', role: 'user' }))
+      .resolves.toHaveProperty('token');
+    await expect(PlaybackService.issueToken('video-1', { userId: 'mod-1', role: 'moderator' }))
+      .resolves.toHaveProperty('token');
+  });
+
+  it('refuses private content to other viewers', async () => {
+    prisma.content.findUnique.mockResolvedValue(video({ visibility: 'private' }));
+
+    await expect(PlaybackService.issueToken('video-1', { userId: 'viewer-1', role: 'user' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -23,9 +23,20 @@
  *         title:
  *           type: string
  *           description: Article title
+ *         slug:
+ *           type: string
+ *           description: URL slug generated from the title
  *         content:
  *           type: string
- *           description: Article content (markdown or HTML)
+ *           description: Article body as Markdown
+ *         blocks:
+ *           type: array
+ *           description: Article body as rich-text blocks (see ArticleBlock)
+ *           items:
+ *             $ref: '#/components/schemas/ArticleBlock'
+ *         html:
+ *           type: string
+ *           description: Sanitized HTML rendered from the blocks
  *         excerpt:
  *           type: string
  *           description: Article excerpt/summary
@@ -52,6 +63,24 @@
  *         authorId:
  *           type: string
  *           description: Author user ID
+ *         collaborators:
+ *           type: array
+ *           description: Co-authors and editors who have accepted, in the order they joined
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [coauthor, editor]
+ *               user:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   username:
+ *                     type: string
+ *                   profile:
+ *                     type: object
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -61,6 +90,16 @@
  *         publishedAt:
  *           type: string
  *           format: date-time
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When a scheduled article goes live
+ *         unpublishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the article is taken down again
  *         metadata:
  *           type: object
  *           description: Additional article metadata
@@ -74,13 +113,127 @@
  *         status: "published"
  *         visibility: "public"
  *         featuredImage: "https://example.com/image.jpg"
+ *     Collaborator:
+ *       type: object
+ *       description: A user invited to work on an article or document
+ *       properties:
+ *         contentId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [coauthor, editor, viewer]
+ *           description: >
+ *             coauthor edits and is credited, editor edits without credit, viewer
+ *             reads the draft and its history
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined]
+ *         invitedById:
+ *           type: string
+ *           nullable: true
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         user:
+ *           type: object
+ *         invitedBy:
+ *           type: object
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ArticleBlock:
+ *       type: object
+ *       description: >
+ *         One block of an article body. Text fields (text, list items) take a string
+ *         or runs of { text, bold, italic, code, link }.
+ *       required:
+ *         - type
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [heading, paragraph, quote, list, code, image, embed]
+ *         level:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 6
+ *           description: heading
+ *         text:
+ *           description: heading, paragraph, quote
+ *           oneOf:
+ *             - type: string
+ *             - type: array
+ *               items:
+ *                 type: object
+ *         cite:
+ *           type: string
+ *           description: quote
+ *         ordered:
+ *           type: boolean
+ *           description: list
+ *         items:
+ *           type: array
+ *           description: list
+ *         code:
+ *           type: string
+ *           description: code
+ *         language:
+ *           type: string
+ *           description: code
+ *         url:
+ *           type: string
+ *           description: image; http(s) or a path on this site
+ *         alt:
+ *           type: string
+ *           description: image
+ *         caption:
+ *           type: string
+ *           description: image
+ *         contentType:
+ *           type: string
+ *           enum: [video, document]
+ *           description: embed
+ *         contentId:
+ *           type: string
+ *           description: embed; must be published and not private, unless it is your own
+ *       example:
+ *         type: paragraph
+ *         text:
+ *           - text: "React is "
+ *           - text: "a JavaScript library"
+ *             bold: true
+ *     PublishSchedule:
+ *       type: object
+ *       description: >
+ *         Optional body of the publish endpoints. Without publishAt the content goes live
+ *         now; videos and audio wait until processing has completed either way.
+ *       properties:
+ *         publishAt:
+ *           type: string
+ *           description: ISO 8601 time to go live. Without an offset it is read in `timezone`.
+ *           example: "2026-11-02T09:00"
+ *         unpublishAt:
+ *           type: string
+ *           nullable: true
+ *           description: ISO 8601 time to take the content down again; null clears it.
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone for times without an offset. Defaults to UTC.
+ *           example: "Asia/Ho_Chi_Minh"
  */
 
 // Article controller for managing blog posts and articles
 const ContentService = require('./contentService');
+const ArticleRevisionService = require('./services/articleRevisionService');
+const ArticleSlugService = require('./services/articleSlugService');
+const CollaboratorService = require('./services/collaboratorService');
 const { asyncHandler, AppError } = require('../../middleware/errorHandler');
 const { authenticateToken, requireActiveUser } = require('../../middleware/auth');
 const searchService = require('../../services/searchService'); // Import the search service
+const richText = require('../../services/articles/richText');
 
 class ArticleController {
   /**
@@ -99,14 +252,18 @@ class ArticleController {
    *             type: object
    *             required:
    *               - title
-   *               - content
    *             properties:
    *               title:
    *                 type: string
    *                 description: Article title
    *               content:
    *                 type: string
-   *                 description: Article content
+   *                 description: Article body as Markdown. Send either content or blocks.
+   *               blocks:
+   *                 type: array
+   *                 description: Article body as rich-text blocks (a JSON string in multipart forms)
+   *                 items:
+   *                   $ref: '#/components/schemas/ArticleBlock'
    *               excerpt:
    *                 type: string
    *                 description: Article excerpt/summary
@@ -222,7 +379,12 @@ class ArticleController {
    *                 description: Article title
    *               content:
    *                 type: string
-   *                 description: Article content
+   *                 description: Article body as Markdown. Send either content or blocks.
+   *               blocks:
+   *                 type: array
+   *                 description: Article body as rich-text blocks (a JSON string in multipart forms)
+   *                 items:
+   *                   $ref: '#/components/schemas/ArticleBlock'
    *               excerpt:
    *                 type: string
    *                 description: Article excerpt/summary
@@ -250,14 +412,21 @@ class ArticleController {
    *                 type: string
    *                 format: date-time
    *                 description: Scheduled publish time
+   *               changeSummary:
+   *                 type: string
+   *                 maxLength: 500
+   *                 description: What changed, kept with the revision this save creates
    *             example:
    *               title: "Updated React Guide"
    *               content: "# Updated Introduction\n\nNew content here..."
    *               category: "programming"
    *               tags: ["react", "javascript", "tutorial", "updated"]
+   *               changeSummary: "Rewrote the introduction"
    *     responses:
    *       200:
-   *         description: Article updated successfully
+   *         description: >
+   *           Article updated successfully. Saves that change the title, content or
+   *           description add a revision.
    *         content:
    *           application/json:
    *             schema:
@@ -322,7 +491,7 @@ class ArticleController {
    *         description: Article ID
    *     responses:
    *       200:
-   *         description: Article retrieved successfully
+   *         description: Article retrieved successfully, with its table of contents (data.toc)
    *         content:
    *           application/json:
    *             schema:
@@ -332,7 +501,22 @@ class ArticleController {
    *                   type: boolean
    *                   example: true
    *                 data:
-   *                   $ref: '#/components/schemas/Article'
+   *                   allOf:
+   *                     - $ref: '#/components/schemas/Article'
+   *                     - type: object
+   *                       properties:
+   *                         toc:
+   *                           type: array
+   *                           description: Headings in order; id is the anchor of the heading in html
+   *                           items:
+   *                             type: object
+   *                             properties:
+   *                               id:
+   *                                 type: string
+   *                               level:
+   *                                 type: integer
+   *                               text:
+   *                                 type: string
    *       404:
    *         $ref: '#/components/responses/NotFound'
    *       500:
@@ -347,12 +531,66 @@ class ArticleController {
       throw new AppError('Content is not an article', 400, 'INVALID_CONTENT_TYPE');
     }
 
+    // Articles saved before the block format are read from their Markdown
+    if (!article.blocks && article.content) {
+      article.blocks = await richText.fromMarkdown(article.content);
+      article.html = richText.renderHtml(article.blocks);
+    }
+    article.toc = richText.tableOfContents(article.blocks || []);
+
     res.json({
       success: true,
       data: article
     });
   });
 
+  /**
+   * @swagger
+   * /api/content/articles/{id}/markdown:
+   *   get:
+   *     summary: Export an article as Markdown
+   *     description: >
+   *       Downloads the article body as a .md file. Sending the file back as `content`
+   *       gives the same blocks. Unpublished and private articles can only be exported
+   *       by their author and staff.
+   *     tags: [Articles]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Article ID
+   *     responses:
+   *       200:
+   *         description: The article as Markdown
+   *         content:
+   *           text/markdown:
+   *             schema:
+   *               type: string
+   *       404:
+   *         $ref: '#/components/responses/NotFound'
+   */
+  static exportArticleMarkdown = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const article = await ContentService.getContent(id);
+    if (article.type !== 'article') {
+      throw new AppError('Content is not an article', 400, 'INVALID_CONTENT_TYPE');
+    }
+
+    const isEditor = req.user && (article.authorId === req.user.userId
+      || ['admin', 'moderator'].includes(req.user.role)
+      || await CollaboratorService.acceptedRole(article.id, req.user.userId));
+    if (!isEditor && (article.status !== 'published' || article.visibility === 'private')) {
+      throw new AppError('Article not found', 404, 'ARTICLE_NOT_FOUND');
+    }
+
+    res.attachment(`${article.slug || article.id}.md`);
+    res.type('text/markdown; charset=utf-8');
+    res.send(article.content ? `${article.content}\n` : '');
+  });
+
   /**
    * @swagger
    * /api/content/articles/slug/{slug}:
@@ -365,10 +603,12 @@ class ArticleController {
    *         required: true
    *         schema:
    *           type: string
-   *         description: Article slug (SEO-friendly URL)
+   *         description: Article slug (SEO-friendly URL), current or from before a title change
    *     responses:
    *       200:
-   *         description: Article retrieved successfully
+   *         description: >
+   *           Article retrieved successfully. The canonical slug is also sent as a
+   *           Link header with rel="canonical".
    *         content:
    *           application/json:
    *             schema:
@@ -379,48 +619,49 @@ class ArticleController {
    *                   example: true
    *                 data:
    *                   $ref: '#/components/schemas/Article'
+   *                 canonical:
+   *                   type: object
+   *                   properties:
+   *                     slug:
+   *                       type: string
+   *                     url:
+   *                       type: string
+   *                       example: /api/content/articles/slug/getting-started-with-react-hooks
+   *                     redirected:
+   *                       type: boolean
+   *                       description: True when the requested slug is an old one
    *       404:
    *         $ref: '#/components/responses/NotFound'
    *       500:
    *         $ref: '#/components/responses/InternalServerError'
    */
   static getArticleBySlug = asyncHandler(async (req, res) => {
-    const { slug } = req.params;
-
-    // Find article by generating slug from title or storing slug in metadata
-    const articles = await require('../../config/database').prisma.content.findMany({
-      where: {
-        type: 'article',
-        status: 'published',
-        visibility: { in: ['public', 'unlisted'] }
-      },
-      include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            profile: {
-              select: {
-                displayName: true,
-                avatarUrl: true
-              }
+    const slug = req.params.slug.toLowerCase();
+
+    const { content: article, redirected } = await ArticleSlugService.resolve(slug, {
+      author: {
+        select: {
+          id: true,
+          username: true,
+          profile: {
+            select: {
+              displayName: true,
+              avatarUrl: true
             }
           }
-        },
-        _count: {
-          select: {
-            likes: true,
-            comments: true
-          }
         }
-      }
+      },
+      _count: {
+        select: {
+          likes: true,
+          comments: true
+        }
+      },
+      ...CollaboratorService.creditsInclude()
     });
 
-    // Simple slug matching (in production, you might want to store slugs in database)
-    const article = articles.find((a) => a.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') === slug
-      || a.metadata?.slug === slug);
-
-    if (!article) {
+    if (!article || article.type !== 'article' || article.status !== 'published'
+      || !['public', 'unlisted'].includes(article.visibility)) {
       throw new AppError('Article not found', 404, 'ARTICLE_NOT_FOUND');
     }
 
@@ -429,9 +670,18 @@ class ArticleController {
       views: (article.stats?.views || 0) + 1
     });
 
+    // Old slugs still resolve; clients should move to the canonical one
+    const canonicalUrl = `${req.baseUrl}/articles/slug/${article.slug}`;
+    res.set('Link', `<${canonicalUrl}>; rel="canonical"`);
+
     res.json({
       success: true,
-      data: article
+      data: article,
+      canonical: {
+        slug: article.slug,
+        url: canonicalUrl,
+        redirected
+      }
     });
   });
 
@@ -489,7 +739,10 @@ class ArticleController {
    * @swagger
    * /api/content/articles/{id}/publish:
    *   post:
-   *     summary: Publish an article
+   *     summary: Publish an article now or on a schedule
+   *     description: >
+   *       Followers are notified when a public article goes live. Publishing an article
+   *       that is already live only changes its unpublishAt.
    *     tags: [Articles]
    *     security:
    *       - bearerAuth: []
@@ -500,9 +753,14 @@ class ArticleController {
    *         schema:
    *           type: string
    *         description: Article ID
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/PublishSchedule'
    *     responses:
    *       200:
-   *         description: Article published successfully
+   *         description: Article published, or scheduled (status "scheduled")
    *         content:
    *           application/json:
    *             schema:
@@ -516,12 +774,18 @@ class ArticleController {
    *                   example: "Article published successfully"
    *                 data:
    *                   $ref: '#/components/schemas/Article'
+   *       400:
+   *         description: >
+   *           publishAt or unpublishAt is not a valid time, or unpublishAt is not after
+   *           go-live (INVALID_SCHEDULE)
    *       401:
    *         $ref: '#/components/responses/Unauthorized'
    *       403:
    *         $ref: '#/components/responses/Forbidden'
    *       404:
    *         $ref: '#/components/responses/NotFound'
+   *       409:
+   *         description: publishAt was given for content that is already live (ALREADY_PUBLISHED)
    *       500:
    *         $ref: '#/components/responses/InternalServerError'
    */
@@ -529,11 +793,13 @@ class ArticleController {
     const { id } = req.params;
     const { userId } = req.user;
 
-    const publishedArticle = await ContentService.publishContent(id, userId);
+    const publishedArticle = await ContentService.publishContent(id, userId, req.body || {});
 
     res.json({
       success: true,
-      message: 'Article published successfully',
+      message: publishedArticle.status === 'scheduled'
+        ? 'Article scheduled for publishing'
+        : 'Article published successfully',
       data: publishedArticle
     });
   });
@@ -543,6 +809,7 @@ class ArticleController {
    * /api/content/users/{userId}/articles:
    *   get:
    *     summary: Get user's articles
+   *     description: Articles the user wrote or co-authored
    *     tags: [Articles]
    *     parameters:
    *       - in: path
@@ -613,7 +880,7 @@ class ArticleController {
       require('../../config/database').prisma.content.findMany({
         where: {
           type: 'article',
-          authorId: userId,
+          OR: [{ authorId: userId }, CollaboratorService.coauthoredBy(userId)],
           status: status === 'all' ? undefined : status
         },
         include: {
@@ -634,7 +901,8 @@ class ArticleController {
               likes: true,
               comments: true
             }
-          }
+          },
+          ...CollaboratorService.creditsInclude()
         },
         orderBy: { createdAt: 'desc' },
         skip,
@@ -643,7 +911,7 @@ class ArticleController {
       require('../../config/database').prisma.content.count({
         where: {
           type: 'article',
-          authorId: userId,
+          OR: [{ authorId: userId }, CollaboratorService.coauthoredBy(userId)],
           status: status === 'all' ? undefined : status
         }
       })
@@ -1099,27 +1367,313 @@ class ArticleController {
     });
   });
 
-  // Get article revisions (for future implementation)
+  /**
+   * @swagger
+   * /api/content/articles/{id}/revisions:
+   *   get:
+   *     summary: List an article's revisions, newest first
+   *     description: >
+   *       Every save that changes the title, content or description is kept as a revision,
+   *       with the saver's `role` on the article (author, coauthor, editor or staff).
+   *       Only the author, collaborators and admins/moderators can see them.
+   *     tags: [Articles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Revisions without their text
+   *       403:
+   *         $ref: '#/components/responses/Forbidden'
+   */
   static getArticleRevisions = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const { page, limit } = req.query;
 
-    // This would require a revisions table in the future
-    // For now, return basic info
-    const article = await ContentService.getContent(id, false);
-
-    if (article.type !== 'article') {
-      throw new AppError('Content is not an article', 400, 'INVALID_CONTENT_TYPE');
-    }
+    const { revisions, currentRevision, total } = await ArticleRevisionService.listRevisions(id, req.user, {
+      page,
+      limit
+    });
 
     res.json({
       success: true,
       data: {
-        current: article,
-        revisions: [] // Placeholder for future implementation
+        currentRevision,
+        revisions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
       }
     });
   });
 
+  /**
+   * @swagger
+   * /api/content/articles/{id}/revisions/{revision}:
+   *   get:
+   *     summary: Get one revision with its text
+   *     tags: [Articles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: revision
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The revision
+   *       404:
+   *         description: Revision not found
+   */
+  static getArticleRevision = asyncHandler(async (req, res) => {
+    const { id, revision: number } = req.params;
+
+    const { revision } = await ArticleRevisionService.getRevision(id, number, req.user);
+    const { body, ...rest } = revision;
+
+    res.json({
+      success: true,
+      data: { ...rest, content: body }
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/articles/{id}/revisions/diff:
+   *   get:
+   *     summary: Compare two revisions
+   *     tags: [Articles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: to
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: >
+   *           Title and description changes as from/to pairs (null when unchanged), and a
+   *           line diff of the content as hunks and as a unified diff
+   *       404:
+   *         description: Revision not found
+   *       422:
+   *         description: The revisions differ too much to compare
+   */
+  static diffArticleRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await ArticleRevisionService.diffRevisions(id, from, to, req.user);
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/articles/{id}/revisions/{revision}/restore:
+   *   post:
+   *     summary: Restore an earlier revision
+   *     description: >
+   *       Saves the revision's title, content and description as the article's current
+   *       text. This adds a new revision, so the revisions in between are kept.
+   *     tags: [Articles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: revision
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               changeSummary:
+   *                 type: string
+   *                 maxLength: 500
+   *                 description: Defaults to "Restored revision N"
+   *     responses:
+   *       200:
+   *         description: Article restored
+   *       404:
+   *         description: Revision not found
+   *       409:
+   *         description: The article already has this revision's text
+   */
+  static restoreArticleRevision = asyncHandler(async (req, res) => {
+    const { id, revision: number } = req.params;
+    const { userId } = req.user;
+
+    const { revision, content } = await ArticleRevisionService.getRevision(id, number, req.user);
+    if (!ArticleRevisionService.changesText(content, revision)) {
+      throw new AppError(`The article already has the text of revision ${number}`, 409, 'REVISION_IS_CURRENT');
+    }
+
+    const restoredArticle = await ContentService.updateContent(id, {
+      title: revision.title,
+      content: revision.body,
+      description: revision.description,
+      changeSummary: req.body.changeSummary || `Restored revision ${number}`,
+      restoredFrom: revision.revision
+    }, userId);
+
+    res.json({
+      success: true,
+      message: `Revision ${number} restored`,
+      data: restoredArticle
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/articles/{id}/draft:
+   *   get:
+   *     summary: Get your autosaved draft of an article
+   *     description: >
+   *       Drafts are kept per user and never change the article. stale is true when the
+   *       article was saved after the draft was started from baseRevision.
+   *     tags: [Articles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The draft
+   *       404:
+   *         description: No draft saved
+   *   put:
+   *     summary: Autosave a draft of an article
+   *     description: >
+   *       Fields left out keep their drafted value. Saving the article clears your draft.
+   *     tags: [Articles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               title:
+   *                 type: string
+   *               content:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               baseRevision:
+   *                 type: integer
+   *                 description: Revision the edits started from; defaults to the current one
+   *     responses:
+   *       200:
+   *         description: Draft saved
+   *   delete:
+   *     summary: Discard your draft of an article
+   *     tags: [Articles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Draft discarded
+   *       404:
+   *         description: No draft saved
+   */
+  static getArticleDraft = asyncHandler(async (req, res) => {
+    const draft = await ArticleRevisionService.getDraft(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: draft
+    });
+  });
+
+  static saveArticleDraft = asyncHandler(async (req, res) => {
+    const draft = await ArticleRevisionService.saveDraft(req.params.id, req.user, req.body);
+
+    res.json({
+      success: true,
+      message: 'Draft saved',
+      data: draft
+    });
+  });
+
+  static discardArticleDraft = asyncHandler(async (req, res) => {
+    const discarded = await ArticleRevisionService.discardDraft(req.params.id, req.user);
+    if (!discarded) {
+      throw new AppError('No draft saved for this article', 404, 'DRAFT_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      message: 'Draft discarded'
+    });
+  });
+
   /**
    * @swagger
    * /api/content/articles/{id}/featured-image:
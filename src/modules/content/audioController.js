@@ -0,0 +1,349 @@
+const ContentService = require('./contentService');
+const PodcastFeedService = require('./services/podcastFeedService');
+const PlaybackService = require('./services/playbackService');
+const { prisma } = require('../../config/database');
+const { getPresignedUrl } = require('../../services/media/minioMediaStore');
+
+// Download links are checked per request, so they only need to outlive the redirect
+const DOWNLOAD_URL_TTL = 300;
+
+// Author card and counters returned with every audio item
+const AUTHOR_INCLUDE = {
+  author: { select: { id: true, username: true, profile: { select: { displayName: true, avatarUrl: true } } } },
+  _count: { select: { likes: true, comments: true } }
+};
+
+/**
+ * Whether the requester may see an audio item: items that are not live (drafts,
+ * scheduled, unpublished) and private items are only visible to their author,
+ * unlisted and public ones to anyone with the link.
+ * @private
+ */
+const canAccessAudio = (content, userId) => {
+  if (content.status !== 'published' || content.visibility === 'private') {
+    return Boolean(userId) && content.authorId === userId;
+  }
+  return true;
+};
+
+/**
+ * Whether an id belongs to an audio item, so the audio endpoints never touch
+ * other content.
+ * @private
+ */
+const isAudio = async (id) => {
+  const content = await prisma.content.findUnique({ where: { id }, select: { type: true } });
+  return content?.type === 'audio';
+};
+
+const notFound = (res) => res.status(404).json({ error: 'Audio not found', code: 'NOT_FOUND' });
+
+class AudioController {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Audio
+   *     description: Audio and podcast episodes
+   */
+
+  /**
+   * @swagger
+   * /api/content/audio:
+   *   get:
+   *     summary: Get all audio
+   *     tags: [Audio]
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 50
+   *           default: 20
+   *       - in: query
+   *         name: authorId
+   *         schema:
+   *           type: string
+   *         description: Only audio by this creator
+   *       - in: query
+   *         name: sortBy
+   *         schema:
+   *           type: string
+   *           enum: [recent, popular, oldest]
+   *           default: recent
+   *     responses:
+   *       200:
+   *         description: Published audio visible to the caller, plus the caller's own private items
+   */
+  static async getAllAudio(req, res) {
+    try {
+      const {
+        page = 1, limit = 20, authorId, sortBy = 'recent'
+      } = req.query;
+      const take = Math.min(Number(limit) || 20, 50);
+      const skip = (Number(page) - 1) * take;
+      const userId = req.user?.id || req.user?.userId;
+
+      const where = { type: 'audio', status: 'published' };
+      if (authorId) where.authorId = authorId;
+      where.OR = userId
+        ? [{ visibility: 'public' }, { visibility: 'private', authorId: userId }]
+        : [{ visibility: 'public' }];
+
+      let orderBy = { createdAt: 'desc' };
+      if (sortBy === 'popular') orderBy = { views: 'desc' };
+      if (sortBy === 'oldest') orderBy = { createdAt: 'asc' };
+
+      const [items, total] = await Promise.all([
+        prisma.content.findMany({
+          where,
+          orderBy,
+          skip,
+          take,
+          include: AUTHOR_INCLUDE
+        }),
+        prisma.content.count({ where })
+      ]);
+
+      return res.json({
+        success: true,
+        data: items.map(ContentService.transformContentResponse),
+        pagination: {
+          page: Number(page), limit: take, total, pages: Math.ceil(total / take)
+        }
+      });
+    } catch (error) {
+      return res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/audio/{id}:
+   *   get:
+   *     summary: Get an audio item by ID
+   *     description: >
+   *       Once processing completes, metadata carries hlsMasterUrl, mp3Url, waveformUrl
+   *       (peaks JSON for the player), duration and the measured/target loudness.
+   *     tags: [Audio]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The audio item
+   *       404:
+   *         description: Not found
+   */
+  static async getAudio(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id || req.user?.userId;
+
+      const content = await prisma.content.findUnique({
+        where: { id },
+        include: AUTHOR_INCLUDE
+      });
+      if (!content || content.type !== 'audio' || !canAccessAudio(content, userId)) {
+        return notFound(res);
+      }
+
+      if (userId !== content.authorId) {
+        await prisma.content.update({ where: { id }, data: { views: { increment: 1 } } });
+      }
+
+      return res.json({ success: true, data: ContentService.transformContentResponse(content) });
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/audio/{id}:
+   *   put:
+   *     summary: Update audio metadata
+   *     tags: [Audio]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async updateAudio(req, res) {
+    try {
+      if (!(await isAudio(req.params.id))) return notFound(res);
+      const userId = req.user?.id || req.user?.userId;
+      const updated = await ContentService.updateContent(req.params.id, req.body, userId);
+      return res.json({ success: true, message: 'Audio updated successfully', data: updated });
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message || 'Update failed', code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/audio/{id}:
+   *   delete:
+   *     summary: Delete an audio item
+   *     tags: [Audio]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async deleteAudio(req, res) {
+    try {
+      if (!(await isAudio(req.params.id))) return notFound(res);
+      const userId = req.user?.id || req.user?.userId;
+      const result = await ContentService.deleteContent(req.params.id, userId);
+      return res.json({ success: true, message: result.message });
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/audio/{id}/publish:
+   *   post:
+   *     summary: Publish an audio item now or on a schedule
+   *     description: >
+   *       Public, published audio is listed in its creator's podcast feed. Takes an optional
+   *       PublishSchedule body; audio that has not finished processing goes live once it has.
+   *     tags: [Audio]
+   *     security:
+   *       - bearerAuth: []
+   */
+  static async publish(req, res) {
+    try {
+      if (!(await isAudio(req.params.id))) return notFound(res);
+      const userId = req.user?.id || req.user?.userId;
+      const updated = await ContentService.publishContent(req.params.id, userId, req.body || {});
+      const message = updated.status === 'scheduled' ? 'Audio scheduled for publishing' : 'Audio published successfully';
+      return res.json({ success: true, message, data: updated });
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/audio/{id}/stream:
+   *   get:
+   *     summary: Redirect to the audio HLS master playlist
+   *     tags: [Audio]
+   *     parameters:
+   *       - in: query
+   *         name: quality
+   *         schema:
+   *           type: string
+   *           example: aac_128k
+   *         description: Redirect to a single rendition playlist instead of the master
+   *     responses:
+   *       302:
+   *         description: Redirect to the playlist behind a fresh playback token
+   */
+  static async stream(req, res) {
+    try {
+      const { quality } = req.query;
+      if (quality && !/^[\w-]+$/.test(quality)) {
+        return res.status(400).json({ error: 'Invalid quality', code: 'VALIDATION_ERROR' });
+      }
+
+      const { token, masterUrl } = await PlaybackService.issueToken(req.params.id, req.user);
+      return res.redirect(quality ? PlaybackService.getPlaylistUrl(token, `${quality}/playlist.m3u8`) : masterUrl);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/audio/{id}/playback:
+   *   get:
+   *     summary: Issue a playback token
+   *     description: Same contract as the video playback endpoint.
+   *     tags: [Audio]
+   */
+  static async playback(req, res) {
+    try {
+      const playback = await PlaybackService.issueToken(req.params.id, req.user);
+      return res.json({ success: true, data: playback });
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/audio/{id}/download:
+   *   get:
+   *     summary: Redirect to the loudness-normalized MP3
+   *     description: >
+   *       Used as the podcast feed enclosure URL. Access is checked on every request
+   *       and the redirect is to a presigned URL that expires after a few minutes.
+   *     tags: [Audio]
+   *     responses:
+   *       302:
+   *         description: Redirect to a short-lived presigned URL
+   *       404:
+   *         description: Not found, or not visible to the requester
+   */
+  static async download(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id || req.user?.userId;
+      const content = await prisma.content.findUnique({ where: { id } });
+      if (!content || content.type !== 'audio' || !canAccessAudio(content, userId)) {
+        return notFound(res);
+      }
+      if (content.processingStatus !== 'completed') {
+        return res.status(400).json({ error: 'Audio is not ready', code: 'AUDIO_NOT_READY' });
+      }
+
+      return res.redirect(await getPresignedUrl(`audio/${id}/episode.mp3`, DOWNLOAD_URL_TTL));
+    } catch (error) {
+      return res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/podcasts/{userId}/feed.xml:
+   *   get:
+   *     summary: Creator podcast RSS feed
+   *     description: >
+   *       RSS 2.0 feed with iTunes tags listing the creator's published, public,
+   *       fully processed audio, newest first.
+   *     tags: [Audio]
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The feed
+   *         content:
+   *           application/rss+xml: {}
+   *       404:
+   *         description: User not found
+   */
+  static async podcastFeed(req, res) {
+    try {
+      const xml = await PodcastFeedService.getCreatorFeed(req.params.userId);
+      res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+      return res.send(xml);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+}
+
+module.exports = AudioController;
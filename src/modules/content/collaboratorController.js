@@ -0,0 +1,263 @@
+// Collaborator controller for inviting co-authors, editors and draft viewers to articles and documents
+const CollaboratorService = require('./services/collaboratorService');
+const { asyncHandler } = require('../../middleware/errorHandler');
+
+class CollaboratorController {
+  /**
+   * @swagger
+   * /api/content/articles/{id}/collaborators:
+   *   get:
+   *     summary: List the collaborators of an article
+   *     description: >
+   *       Everyone invited to the article with their role and whether they have
+   *       accepted. The same list for documents is at
+   *       /api/content/documents/{id}/collaborators. Open to the author, staff and
+   *       accepted collaborators.
+   *     tags: [Articles, Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Article or document ID
+   *     responses:
+   *       200:
+   *         description: Collaborators retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Collaborator'
+   *       403:
+   *         $ref: '#/components/responses/Forbidden'
+   *       404:
+   *         $ref: '#/components/responses/NotFound'
+   */
+  static getCollaborators = asyncHandler(async (req, res) => {
+    const collaborators = await CollaboratorService.listCollaborators(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: collaborators
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/articles/{id}/collaborators/{userId}:
+   *   put:
+   *     summary: Invite a collaborator to an article, or change their role
+   *     description: >
+   *       Co-authors are credited next to the author and can edit; editors can edit
+   *       without credit; viewers can read the draft and its history. The user is
+   *       sent a notification and joins once they accept. Changing the role of
+   *       someone who has already accepted takes effect at once. Only the author
+   *       and staff can invite, and only the author can publish or change
+   *       visibility. Documents use /api/content/documents/{id}/collaborators/{userId}.
+   *     tags: [Articles, Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Article or document ID
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User to invite
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - role
+   *             properties:
+   *               role:
+   *                 type: string
+   *                 enum: [coauthor, editor, viewer]
+   *     responses:
+   *       200:
+   *         description: Invitation sent, or role changed
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/Collaborator'
+   *                 message:
+   *                   type: string
+   *                   example: "Invitation sent"
+   *       400:
+   *         description: Invalid role, the author themselves, or content that is not an article or document
+   *       403:
+   *         description: Not the author
+   *       404:
+   *         description: Content or user not found
+   */
+  static inviteCollaborator = asyncHandler(async (req, res) => {
+    const { id, userId } = req.params;
+    const collaborator = await CollaboratorService.invite(id, req.user, userId, req.body.role);
+
+    res.json({
+      success: true,
+      data: collaborator,
+      message: collaborator.status === 'accepted' ? 'Collaborator role updated' : 'Invitation sent'
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/articles/{id}/collaborators/{userId}:
+   *   delete:
+   *     summary: Remove a collaborator from an article
+   *     description: >
+   *       Also withdraws a pending invitation. The author and staff can remove anyone;
+   *       collaborators can remove themselves. Documents use
+   *       /api/content/documents/{id}/collaborators/{userId}.
+   *     tags: [Articles, Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Collaborator removed successfully
+   *       403:
+   *         description: Not the author
+   *       404:
+   *         description: Content not found, or the user is not a collaborator (COLLABORATOR_NOT_FOUND)
+   */
+  static removeCollaborator = asyncHandler(async (req, res) => {
+    const { id, userId } = req.params;
+    await CollaboratorService.removeCollaborator(id, req.user, userId);
+
+    res.json({
+      success: true,
+      message: 'Collaborator removed successfully'
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/collaborations/invitations:
+   *   get:
+   *     summary: List my collaboration invitations
+   *     tags: [Content]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, accepted, declined, all]
+   *           default: pending
+   *     responses:
+   *       200:
+   *         description: Invitations retrieved successfully, newest first
+   */
+  static getInvitations = asyncHandler(async (req, res) => {
+    const invitations = await CollaboratorService.listInvitations(req.user, req.query);
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/collaborations/{id}/accept:
+   *   post:
+   *     summary: Accept an invitation to collaborate
+   *     description: Whoever sent the invitation is notified.
+   *     tags: [Content]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Article or document ID
+   *     responses:
+   *       200:
+   *         description: Invitation accepted
+   *       404:
+   *         description: No pending invitation for this content (INVITATION_NOT_FOUND)
+   */
+  static acceptInvitation = asyncHandler(async (req, res) => {
+    const collaborator = await CollaboratorService.respond(req.params.id, req.user, true);
+
+    res.json({
+      success: true,
+      data: collaborator,
+      message: 'Invitation accepted'
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/collaborations/{id}/decline:
+   *   post:
+   *     summary: Decline an invitation to collaborate
+   *     description: Whoever sent the invitation is notified. The author can invite the user again.
+   *     tags: [Content]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Article or document ID
+   *     responses:
+   *       200:
+   *         description: Invitation declined
+   *       404:
+   *         description: No pending invitation for this content (INVITATION_NOT_FOUND)
+   */
+  static declineInvitation = asyncHandler(async (req, res) => {
+    const collaborator = await CollaboratorService.respond(req.params.id, req.user, false);
+
+    res.json({
+      success: true,
+      data: collaborator,
+      message: 'Invitation declined'
+    });
+  });
+}
+
+module.exports = CollaboratorController;
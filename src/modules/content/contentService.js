@@ -2,6 +2,14 @@
 const { prisma, handleDatabaseError } = require('../../config/database');
 const { cache } = require('../../config/redis');
 const { AppError } = require('../../middleware/errorHandler');
+const { parseChaptersFromDescription } = require('../../services/media/chapters');
+const richText = require('../../services/articles/richText');
+const HlsManifestService = require('./services/hlsManifestService');
+const ArticleRevisionService = require('./services/articleRevisionService');
+const ArticleSlugService = require('./services/articleSlugService');
+const PublishScheduleService = require('./services/publishScheduleService');
+const CollaboratorService = require('./services/collaboratorService');
+const StorageService = require('../users/storageService');
 
 class ContentService {
   // Helper method to transform content response (map body to content for API)
@@ -14,6 +22,12 @@ class ContentService {
       delete content.body;
     }
 
+    // Article blocks and their HTML; the plain text is only kept for search
+    if (content.bodyBlocks !== undefined) {
+      Object.assign(content, { blocks: content.bodyBlocks, html: content.bodyHtml });
+    }
+    ['bodyBlocks', 'bodyHtml', 'bodyText'].forEach((field) => Reflect.deleteProperty(content, field));
+
     // Transform MinIO URLs to proxy URLs for security
     if (content.featuredImage) {
       content.featuredImage = ContentService.transformMinIOUrlToProxy(content.featuredImage);
@@ -37,18 +51,64 @@ class ContentService {
         metadata.thumbnails = metadata.thumbnails.map(url => ContentService.transformMinIOUrlToProxy(url));
       }
       
-      // Transform HLS URLs
-      if (metadata.hlsMasterUrl) {
-        metadata.hlsMasterUrl = ContentService.transformMinIOUrlToProxy(metadata.hlsMasterUrl);
+      // HLS is only served through signed playback playlists, so point players
+      // at the stream endpoint, which issues a token and redirects
+      const streamPath = content.type === 'audio' ? 'audio' : 'videos';
+      const qualityParam = content.type === 'audio' ? 'quality' : 'res';
+      if (metadata.hlsMasterUrl && content.id) {
+        metadata.hlsMasterUrl = `/api/content/${streamPath}/${content.id}/stream`;
       }
       
-      if (metadata.hlsStreams && Array.isArray(metadata.hlsStreams)) {
+      if (metadata.hlsStreams && Array.isArray(metadata.hlsStreams) && content.id) {
         metadata.hlsStreams = metadata.hlsStreams.map(stream => ({
           ...stream,
-          playlistUrl: ContentService.transformMinIOUrlToProxy(stream.playlistUrl)
+          playlistUrl: `/api/content/${streamPath}/${content.id}/stream?${qualityParam}=${encodeURIComponent(stream.name)}`
         }));
       }
-      
+
+      // Transform thumbnail candidates and scrub-preview track
+      if (Array.isArray(metadata.thumbnailCandidates)) {
+        metadata.thumbnailCandidates = metadata.thumbnailCandidates.map((candidate) => ({
+          ...candidate,
+          url: ContentService.transformMinIOUrlToProxy(candidate.url)
+        }));
+      }
+
+      if (metadata.scrubPreview?.vttUrl) {
+        metadata.scrubPreview = {
+          ...metadata.scrubPreview,
+          vttUrl: ContentService.transformMinIOUrlToProxy(metadata.scrubPreview.vttUrl)
+        };
+      }
+
+      // Transform audio download and waveform URLs
+      if (metadata.mp3Url) {
+        metadata.mp3Url = ContentService.transformMinIOUrlToProxy(metadata.mp3Url);
+      }
+      if (metadata.waveformUrl) {
+        metadata.waveformUrl = ContentService.transformMinIOUrlToProxy(metadata.waveformUrl);
+      }
+
+      // Transform document cover, page thumbnails, extracted text and PDF rendition
+      if (metadata.coverUrl) {
+        metadata.coverUrl = ContentService.transformMinIOUrlToProxy(metadata.coverUrl);
+      }
+      if (metadata.textUrl) {
+        metadata.textUrl = ContentService.transformMinIOUrlToProxy(metadata.textUrl);
+      }
+      if (metadata.pdfRendition?.url) {
+        metadata.pdfRendition = {
+          ...metadata.pdfRendition,
+          url: ContentService.transformMinIOUrlToProxy(metadata.pdfRendition.url)
+        };
+      }
+      if (Array.isArray(metadata.pageThumbnails)) {
+        metadata.pageThumbnails = metadata.pageThumbnails.map((thumbnail) => ({
+          ...thumbnail,
+          url: ContentService.transformMinIOUrlToProxy(thumbnail.url)
+        }));
+      }
+
       content.metadata = metadata;
     }
 
@@ -125,6 +185,62 @@ class ContentService {
     return metadata;
   }
 
+  /**
+   * Turn an article body, sent as blocks or as Markdown, into what is stored:
+   * the blocks, their Markdown (body), sanitized HTML and plain text.
+   * @param {object} input - { blocks } or { content } (Markdown)
+   * @param {string|null} userId - Who is saving; their own unpublished media may be embedded
+   * @returns {Promise<{body: string, bodyBlocks: Array, bodyHtml: string, bodyText: string}>}
+   */
+  static async prepareArticleBody({ blocks, content }, userId) {
+    const parsed = blocks ? richText.normalizeBlocks(blocks) : await richText.fromMarkdown(content);
+    const bodyText = richText.toPlainText(parsed);
+    if (blocks && bodyText.length < 100) {
+      throw new AppError('Article content must be at least 100 characters long', 400, 'VALIDATION_ERROR');
+    }
+    if (bodyText.length > 50000) {
+      throw new AppError('Article content cannot exceed 50,000 characters', 400, 'VALIDATION_ERROR');
+    }
+
+    const bodyBlocks = await this.resolveEmbeds(parsed, userId);
+    return {
+      body: richText.toMarkdown(bodyBlocks),
+      bodyBlocks,
+      bodyHtml: richText.renderHtml(bodyBlocks),
+      bodyText
+    };
+  }
+
+  /**
+   * Checks the videos and documents an article embeds and stores their titles
+   * with the blocks. Readers must be able to open them: they have to be
+   * published and not private, unless they are the saving user's own.
+   * @throws {AppError} 400 INVALID_EMBED
+   */
+  static async resolveEmbeds(blocks, userId) {
+    const ids = [...new Set(blocks.filter((block) => block.type === 'embed').map((block) => block.contentId))];
+    if (ids.length === 0) return blocks;
+
+    const targets = await prisma.content.findMany({
+      where: { id: { in: ids } },
+      select: {
+        id: true, type: true, title: true, status: true, visibility: true, authorId: true
+      }
+    });
+    const byId = new Map(targets.map((target) => [target.id, target]));
+
+    return blocks.map((block) => {
+      if (block.type !== 'embed') return block;
+      const target = byId.get(block.contentId);
+      const viewable = target && (target.authorId === userId
+        || (target.status === 'published' && target.visibility !== 'private'));
+      if (!viewable || target.type !== block.contentType) {
+        throw new AppError(`Embedded ${block.contentType} ${block.contentId} was not found`, 400, 'INVALID_EMBED');
+      }
+      return { ...block, title: target.title };
+    });
+  }
+
   // Helper method to update content stats
   static async updateContentStats(contentId, statsUpdate = {}) {
     const cacheKey = `content:stats:${contentId}`;
@@ -168,18 +284,20 @@ class ContentService {
   // Create article
   static async createArticle(userId, articleData) {
     try {
-      const baseMetadata = this.generateContentMetadata(articleData, 'article');
+      const articleBody = await this.prepareArticleBody(articleData, userId);
+      const baseMetadata = this.generateContentMetadata({ ...articleData, content: articleBody.bodyText }, 'article');
       const metadata = {
         ...baseMetadata,
         processingStatus: 'completed',
         uploadStatus: 'completed'
       };
 
-      const content = await prisma.content.create({
+      const content = await ArticleSlugService.saveWithSlug(articleData.title, null, (slug) => prisma.content.create({
         data: {
           type: 'article',
           title: articleData.title,
-          body: articleData.content,
+          slug,
+          ...articleBody,
           description: articleData.description,
           featuredImage: articleData.featuredImage || null,
           category: articleData.category,
@@ -208,7 +326,9 @@ class ContentService {
             }
           }
         }
-      });
+      }));
+
+      await ArticleRevisionService.recordRevision(content, userId);
 
       // Cache the content
       await cache.set(`content:${content.id}`, content, 3600);
@@ -234,6 +354,13 @@ class ContentService {
         useAdaptiveStorage: videoData.useAdaptiveStorage
       });
 
+      // Pick up a "0:00 Intro" chapter list from the description
+      const chapters = parseChaptersFromDescription(videoData.description, videoData.duration);
+      if (chapters.length > 0) {
+        metadata.chapters = chapters;
+        metadata.chaptersSource = 'description';
+      }
+
       const content = await prisma.content.create({
         data: {
           type: 'video',
@@ -281,7 +408,14 @@ class ContentService {
         pageCount: documentData.pageCount || 0,
         fileSize: documentData.fileSize || 0,
         documentUrl: documentData.documentUrl,
-        textContent: documentData.textContent
+        textContent: documentData.textContent,
+        // The stored file, which the document worker reads back
+        uploadPath: documentData.uploadPath,
+        filename: documentData.filename,
+        originalName: documentData.originalName,
+        mimetype: documentData.mimetype,
+        extension: documentData.extension,
+        validation: documentData.validation
       });
 
       const content = await prisma.content.create({
@@ -296,7 +430,8 @@ class ContentService {
           visibility: documentData.visibility || 'public',
           author: {
             connect: { id: userId }
-          }
+          },
+          ...(documentData.folderId ? { folder: { connect: { id: documentData.folderId } } } : {})
         },
         include: {
           author: {
@@ -324,8 +459,8 @@ class ContentService {
     }
   }
 
-  // Update content
-  static async updateContent(contentId, updateData, userId = null) {
+  // Update content. `planned` marks an update already worked out by PublishScheduleService.plan
+  static async updateContent(contentId, updateData, userId = null, { planned = false } = {}) {
     try {
       // Check if content exists and user has permission
       const existingContent = await prisma.content.findUnique({
@@ -341,17 +476,28 @@ class ContentService {
         throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
       }
 
-      // Check permission (author or admin/moderator)
+      // Check permission (author, accepted co-author or editor, or admin/moderator)
+      let relation = userId ? 'author' : null;
       if (userId && existingContent.authorId !== userId) {
-        const user = await prisma.user.findUnique({
-          where: { id: userId },
-          select: { role: true }
-        });
+        relation = await CollaboratorService.acceptedRole(contentId, userId);
+        if (!CollaboratorService.canEdit(relation)) {
+          const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { role: true }
+          });
 
-        if (!user || !['admin', 'moderator'].includes(user.role)) {
-          throw new AppError('Unauthorized to update this content', 403, 'UNAUTHORIZED');
+          if (!user || !['admin', 'moderator'].includes(user.role)) {
+            throw new AppError('Unauthorized to update this content', 403, 'UNAUTHORIZED');
+          }
+          relation = 'staff';
         }
       }
+      // Collaborators edit the content; publishing and who can see it stay with the author
+      const authorOnly = ['status', 'visibility', 'publishAt', 'unpublishAt'];
+      if (relation && !['author', 'staff'].includes(relation)
+        && authorOnly.some((field) => updateData[field] !== undefined)) {
+        throw new AppError('Only the author can publish this content or change its visibility', 403, 'UNAUTHORIZED');
+      }
 
       // Map 'content' field to 'body' field (for database schema compatibility)
       if (updateData.content !== undefined) {
@@ -359,6 +505,22 @@ class ContentService {
         delete updateData.content;
       }
 
+      // Article text arrives as Markdown or as blocks and is stored in both forms, plus HTML and plain text
+      if (existingContent.type === 'article' && (updateData.body !== undefined || updateData.blocks !== undefined)) {
+        Object.assign(updateData, await this.prepareArticleBody({
+          blocks: updateData.blocks,
+          content: updateData.body
+        }, userId));
+      }
+
+      // Article saves that change the text are kept as revisions; these two describe the save
+      // and are left out of the update by the field filter below
+      const { changeSummary, restoredFrom } = updateData;
+      const revised = existingContent.type === 'article' && ArticleRevisionService.changesText(existingContent, updateData);
+      if (revised) {
+        await ArticleRevisionService.ensureHistory(existingContent);
+      }
+
       // Handle video-specific fields that should go into metadata FIRST
       // This must be done before any other processing
       const videoFields = {};
@@ -381,7 +543,11 @@ class ContentService {
       let metadata = existingContent.metadata || {};
       if (updateData.body && existingContent.type === 'article') {
         const newMetadata = this.generateContentMetadata(
-          { content: updateData.body, tags: updateData.tags || existingContent.tags, category: updateData.category || existingContent.category },
+          {
+            content: updateData.bodyText,
+            tags: updateData.tags || existingContent.tags,
+            category: updateData.category || existingContent.category
+          },
           'article'
         );
         metadata = { ...metadata, ...newMetadata };
@@ -393,11 +559,34 @@ class ContentService {
         delete updateData.metadata; // Remove metadata from updateData to avoid conflict
       }
 
+      // Re-parse description chapters unless the creator has edited them directly
+      let chaptersChanged = false;
+      if (existingContent.type === 'video' && updateData.description !== undefined
+        && metadata.chaptersSource !== 'manual') {
+        const chapters = parseChaptersFromDescription(updateData.description, metadata.duration);
+        chaptersChanged = JSON.stringify(chapters) !== JSON.stringify(metadata.chapters || []);
+        metadata = { ...metadata, chapters, chaptersSource: chapters.length > 0 ? 'description' : null };
+      }
+
+      // Setting a status directly drops any pending schedule; publishContent sends its own
+      let scheduleData = updateData.status === undefined ? {} : {
+        publishAt: updateData.publishAt === undefined ? null : updateData.publishAt,
+        unpublishAt: updateData.unpublishAt === undefined ? null : updateData.unpublishAt
+      };
+      // Publishing through an update is planned like publishContent: media waits for
+      // processing, publishedAt is set and followers are told once it is live
+      let live = false;
+      if (updateData.status === 'published' && !planned) {
+        ({ data: scheduleData, live } = PublishScheduleService.plan(existingContent, {}));
+      }
+
       // Filter updateData to only include fields that exist in the schema
       const allowedFields = [
-        'type', 'title', 'body', 'description', 'featuredImage', 'status', 'visibility',
+        'type', 'title', 'body', 'bodyBlocks', 'bodyHtml', 'bodyText', 'description', 'featuredImage',
+        'status', 'visibility',
         'category', 'tags', 'stats', 'uploadStatus', 'processingStatus', 'views',
-        'likesCount', 'commentsCount', 'trendingScore', 'relevanceScore', 'publishedAt'
+        'likesCount', 'commentsCount', 'trendingScore', 'relevanceScore', 'publishedAt',
+        'publishAt', 'unpublishAt'
       ];
 
       const filteredUpdateData = {};
@@ -406,11 +595,13 @@ class ContentService {
           filteredUpdateData[field] = updateData[field];
         }
       }
+      Object.assign(filteredUpdateData, scheduleData);
 
-      const updatedContent = await prisma.content.update({
+      const save = (slugData = {}) => prisma.content.update({
         where: { id: contentId },
         data: {
           ...filteredUpdateData,
+          ...slugData,
           metadata,
           updatedAt: new Date()
         },
@@ -430,9 +621,38 @@ class ContentService {
         }
       });
 
+      // A retitled article moves to a new slug; the old one keeps resolving to it
+      const reslug = ArticleSlugService.needsNewSlug(existingContent, updateData.title);
+      const updatedContent = reslug
+        ? await ArticleSlugService.saveWithSlug(
+          updateData.title || existingContent.title,
+          contentId,
+          (slug) => save({ slug })
+        )
+        : await save();
+      if (reslug) {
+        await ArticleSlugService.keepRedirect(existingContent, updatedContent.slug);
+      }
+
+      if (chaptersChanged) {
+        await HlsManifestService.publishChapters(contentId, metadata.chapters);
+      }
+
+      if (revised) {
+        await ArticleRevisionService.recordRevision(updatedContent, userId, {
+          summary: changeSummary,
+          restoredFrom,
+          role: relation
+        });
+      }
+
       // Update cache
       await cache.set(`content:${contentId}`, updatedContent, 3600);
 
+      if (live) {
+        await PublishScheduleService.notifyFollowers(updatedContent);
+      }
+
       return this.transformContentResponse(updatedContent);
     } catch (error) {
       console.error('Error updating content:', error);
@@ -477,6 +697,7 @@ class ContentService {
       // Remove from cache
       await cache.del(`content:${contentId}`);
       await cache.del(`content:stats:${contentId}`);
+      await StorageService.invalidate(existingContent.authorId);
 
       return { success: true, message: 'Content deleted successfully' };
     } catch (error) {
@@ -485,13 +706,20 @@ class ContentService {
     }
   }
 
-  // Publish content
-  static async publishContent(contentId, userId = null) {
+  // Publish content now or at `schedule.publishAt`, optionally until `schedule.unpublishAt`
+  static async publishContent(contentId, userId = null, schedule = {}) {
+    const existingContent = await prisma.content.findUnique({ where: { id: contentId } });
+    if (!existingContent) {
+      throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
+    }
+    // Outside the try below, so a bad schedule reaches the client as a 400/409
+    const { data, live } = PublishScheduleService.plan(existingContent, schedule);
+
     try {
-      const content = await this.updateContent(contentId, {
-        status: 'published',
-        publishedAt: new Date()
-      }, userId);
+      const content = await this.updateContent(contentId, data, userId, { planned: true });
+      if (live) {
+        await PublishScheduleService.notifyFollowers(content);
+      }
 
       return content;
     } catch (error) {
@@ -527,7 +755,8 @@ class ContentService {
                 likes: true,
                 comments: true
               }
-            }
+            },
+            ...CollaboratorService.creditsInclude()
           }
         });
 
@@ -604,7 +833,8 @@ class ContentService {
         OR: [
           { title: { contains: q, mode: 'insensitive' } },
           { description: { contains: q, mode: 'insensitive' } },
-          { tags: { has: q } }
+          { tags: { has: q } },
+          { transcripts: { some: { text: { contains: q, mode: 'insensitive' } } } }
         ]
       } : {};
 
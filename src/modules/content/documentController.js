@@ -92,13 +92,56 @@
 // Document controller for managing PDF and document uploads
 const path = require('path');
 const ContentService = require('./contentService');
+const { prisma } = require('../../config/database');
 const { asyncHandler, AppError } = require('../../middleware/errorHandler');
 const { authenticateToken, requireActiveUser } = require('../../middleware/auth');
 const { uploadMiddleware, validateUploadedFile, handleUploadError } = require('../../middleware/upload');
-// Document queue removed - will be rebuilt from scratch
+const { MediaRejectedError, validateDocumentBuffer } = require('../../services/media/mediaValidation');
+const { quarantineBuffer } = require('../uploads/quarantineService');
+const { enqueueProcessDocument } = require('../../jobs/queues/videoQueue');
+const { getObjectBuffer, getObjectStream } = require('../../services/media/minioMediaStore');
+const FolderService = require('./services/folderService');
+const DocumentSearchService = require('./services/documentSearchService');
+const DocumentVersionService = require('./services/documentVersionService');
+const CollaboratorService = require('./services/collaboratorService');
 const fs = require('fs').promises;
 const searchService = require('../../services/searchService'); // Import the search service
 
+// The document worker and quarantine record progress in metadata; older rows only have a status
+const documentProcessingStatus = (document) => {
+  if (document.metadata?.processingStatus) return document.metadata.processingStatus;
+  const byStatus = { draft: 'processing', published: 'completed', failed: 'failed' };
+  return byStatus[document.status] || 'unknown';
+};
+
+// Quarantined uploads keep their record but have no file to serve
+const assertNotRejected = (document) => {
+  if (document.processingStatus === 'rejected' || documentProcessingStatus(document) === 'rejected') {
+    throw new AppError('This document failed validation and was quarantined', 409, 'DOCUMENT_REJECTED');
+  }
+};
+
+// Metadata holds the text up to a size cap; the worker keeps all of it in text.json
+const documentFullText = async (document) => {
+  if (!document.metadata?.textTruncated) return document.metadata?.textContent || '';
+  const { pages } = JSON.parse((await getObjectBuffer(`docs/${document.id}/text.json`)).toString('utf8'));
+  return pages.map((entry) => entry.text).filter(Boolean).join('\n\n');
+};
+
+// Private documents are open to their author, staff, collaborators and users of folders shared with them
+const assertCanViewDocument = async (document, user, message) => {
+  if (document.visibility !== 'private' || (user && document.author.id === user.userId)) return;
+  const viewer = user ? await prisma.user.findUnique({
+    where: { id: user.userId },
+    select: { role: true }
+  }) : null;
+  if ((!viewer || !['admin', 'moderator'].includes(viewer.role))
+    && !(await FolderService.canViewDocument(document, user))
+    && !(await CollaboratorService.acceptedRole(document.id, user?.userId))) {
+    throw new AppError(message, 403, 'UNAUTHORIZED');
+  }
+};
+
 class DocumentController {
   /**
    * @swagger
@@ -181,8 +224,15 @@ class DocumentController {
    *         $ref: '#/components/responses/Unauthorized'
    *       403:
    *         $ref: '#/components/responses/Forbidden'
+   *       422:
+   *         description: >
+   *           The file does not match its declared type or failed the malware scan. It is
+   *           quarantined and the document is recorded as a private draft with
+   *           processingStatus "rejected", left out of listings and search.
    *       500:
    *         $ref: '#/components/responses/InternalServerError'
+   *       503:
+   *         description: The malware scanner is unavailable
    */
   static uploadDocument = asyncHandler(async (req, res) => {
     const { userId } = req.user;
@@ -194,6 +244,43 @@ class DocumentController {
     }
 
     const documentFile = req.file;
+
+    if (req.body.folderId) {
+      await FolderService.requireAccess(req.body.folderId, req.user, 'editor');
+    }
+
+    // Check the bytes match the declared type and scan clean before storing anything
+    let validation = null;
+    let rejection = null;
+    try {
+      validation = await validateDocumentBuffer(documentFile.buffer, documentFile.mimetype);
+    } catch (error) {
+      if (!(error instanceof MediaRejectedError)) {
+        console.error('Document validation failed:', error.message);
+        throw new AppError('File could not be scanned, try again later', 503, 'SCANNER_UNAVAILABLE');
+      }
+      rejection = error;
+    }
+    if (rejection) {
+      // Keep a record of the rejected upload for its owner and moderators
+      // The record stays a private draft whatever the client asked for
+      const rejected = await ContentService.createDocument(userId, {
+        ...req.body,
+        status: 'draft',
+        visibility: 'private',
+        fileSize: documentFile.size,
+        originalName: documentFile.originalname,
+        mimetype: documentFile.mimetype
+      });
+      await quarantineBuffer(rejected.id, documentFile.originalname, documentFile.buffer, rejection);
+      return res.status(422).json({
+        success: false,
+        error: rejection.message,
+        code: rejection.code,
+        data: { id: rejected.id, processingStatus: 'rejected' }
+      });
+    }
+
     // Upload document to MinIO
     const { putObjectBuffer } = require('../../services/media/minioMediaStore');
     const key = `documents/${userId}/${Date.now()}-${documentFile.originalname || documentFile.filename || 'document'}`;
@@ -208,14 +295,21 @@ class DocumentController {
       originalName: documentFile.originalname,
       mimetype: documentFile.mimetype,
       uploadPath: key,
-      extension: path.extname(documentFile.originalname).toLowerCase()
+      extension: path.extname(documentFile.originalname).toLowerCase(),
+      validation
     };
 
     // Create document record in database
     const document = await ContentService.createDocument(userId, documentData);
+    await DocumentVersionService.recordInitialVersion(document.id, {
+      objectKey: key,
+      buffer: documentFile.buffer,
+      filename: documentFile.originalname || 'document',
+      mimetype: documentFile.mimetype || 'application/octet-stream',
+      userId
+    });
 
-    // Queue document processing job
-    await DocumentController.queueDocumentProcessing(document.id, documentFile);
+    await DocumentController.queueDocumentProcessing(document);
 
     res.status(201).json({
       success: true,
@@ -229,31 +323,23 @@ class DocumentController {
     });
   });
 
-  // Queue document processing
-  static async queueDocumentProcessing(documentId, documentFile) {
+  // Queue text extraction and page rendering for a stored document
+  static async queueDocumentProcessing(document) {
     try {
-      const processingJob = {
-        documentId,
-        filePath: documentFile.path,
-        filename: documentFile.filename,
-        originalName: documentFile.originalname,
-        mimetype: documentFile.mimetype,
-        fileSize: documentFile.size,
-        extension: path.extname(documentFile.originalname).toLowerCase(),
-        jobType: 'document_processing'
-      };
-
-      // Document queue removed - will be rebuilt from scratch
-      console.log('Document processing queue disabled - will be rebuilt');
-
-      console.log(`Document processing queued for document ID: ${documentId}`);
+      await enqueueProcessDocument({
+        contentId: document.id,
+        sourceObjectKey: document.metadata.uploadPath,
+        userId: document.author?.id || document.authorId,
+        version: document.metadata.currentVersion || 1
+      });
+      console.log(`Document processing queued for document ID: ${document.id}`);
     } catch (error) {
       console.error('Error queuing document processing:', error);
 
-      // Update document status to failed
-      await ContentService.updateContent(documentId, {
-        status: 'failed',
+      await ContentService.updateContent(document.id, {
+        processingStatus: 'failed',
         metadata: {
+          processingStatus: 'failed',
           error: 'Failed to queue processing job'
         }
       });
@@ -351,7 +437,8 @@ class DocumentController {
 
     const where = {
       type: 'document',
-      status: 'published'
+      status: 'published',
+      processingStatus: { not: 'rejected' }
     };
 
     if (category) {
@@ -377,7 +464,7 @@ class DocumentController {
           : { createdAt: 'desc' };
 
     const [documents, total] = await Promise.all([
-      require('../../config/database').prisma.content.findMany({
+      prisma.content.findMany({
         where,
         select: {
           id: true,
@@ -409,7 +496,7 @@ class DocumentController {
         skip,
         take: parseInt(limit)
       }),
-      require('../../config/database').prisma.content.count({ where })
+      prisma.content.count({ where })
     ]);
 
     res.json({
@@ -471,6 +558,20 @@ class DocumentController {
    *               category: "programming"
    *               tags: ["react", "javascript", "guide", "updated"]
    *               visibility: "public"
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             description: >
+   *               Uploads a new file as the document's next version. The previous files stay
+   *               in its version history. Other fields update the document as with JSON.
+   *             properties:
+   *               document:
+   *                 type: string
+   *                 format: binary
+   *               changeNote:
+   *                 type: string
+   *                 maxLength: 500
+   *                 description: What changed in this version
    *     responses:
    *       200:
    *         description: Document updated successfully
@@ -501,13 +602,48 @@ class DocumentController {
   static updateDocument = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { userId } = req.user;
+    const { changeNote, ...fields } = req.body || {};
+
+    if (!req.file) {
+      const updatedDocument = await ContentService.updateContent(id, fields, userId);
+
+      return res.json({
+        success: true,
+        message: 'Document updated successfully',
+        data: updatedDocument
+      });
+    }
+
+    // A new file becomes the next version, checked like a first upload
+    let validation;
+    try {
+      validation = await validateDocumentBuffer(req.file.buffer, req.file.mimetype);
+    } catch (error) {
+      if (!(error instanceof MediaRejectedError)) {
+        console.error('Document validation failed:', error.message);
+        throw new AppError('File could not be scanned, try again later', 503, 'SCANNER_UNAVAILABLE');
+      }
+      // The document keeps its current file; the rejected one is not stored
+      throw new AppError(error.message, 422, error.code);
+    }
+
+    const { document, version } = await DocumentVersionService.uploadVersion(id, req.file, req.user, {
+      changeNote,
+      validation
+    });
+    await DocumentController.queueDocumentProcessing(document);
 
-    const updatedDocument = await ContentService.updateContent(id, req.body, userId);
+    const updatedDocument = Object.keys(fields).length > 0
+      ? await ContentService.updateContent(id, fields, userId)
+      : await ContentService.getContent(id, false);
 
     res.json({
       success: true,
-      message: 'Document updated successfully',
-      data: updatedDocument
+      message: `Version ${version.version} uploaded successfully. Processing will begin shortly.`,
+      data: {
+        ...updatedDocument,
+        currentVersion: DocumentVersionService.formatVersion(version, true)
+      }
     });
   });
 
@@ -567,7 +703,7 @@ class DocumentController {
    * @swagger
    * /api/content/documents/{id}/publish:
    *   post:
-   *     summary: Publish a document
+   *     summary: Publish a document now or on a schedule
    *     tags: [Documents]
    *     security:
    *       - bearerAuth: []
@@ -578,9 +714,14 @@ class DocumentController {
    *         schema:
    *           type: string
    *         description: Document ID
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/PublishSchedule'
    *     responses:
    *       200:
-   *         description: Document published successfully
+   *         description: Document published, or scheduled (status "scheduled")
    *         content:
    *           application/json:
    *             schema:
@@ -594,12 +735,18 @@ class DocumentController {
    *                   example: "Document published successfully"
    *                 data:
    *                   $ref: '#/components/schemas/Document'
+   *       400:
+   *         description: >
+   *           publishAt or unpublishAt is not a valid time, or unpublishAt is not after
+   *           go-live (INVALID_SCHEDULE)
    *       401:
    *         $ref: '#/components/responses/Unauthorized'
    *       403:
    *         $ref: '#/components/responses/Forbidden'
    *       404:
    *         $ref: '#/components/responses/NotFound'
+   *       409:
+   *         description: publishAt was given for content that is already live (ALREADY_PUBLISHED)
    *       500:
    *         $ref: '#/components/responses/InternalServerError'
    */
@@ -607,16 +754,18 @@ class DocumentController {
     const { id } = req.params;
     const { userId } = req.user;
 
-    const publishedDocument = await ContentService.publishContent(id, userId);
+    const publishedDocument = await ContentService.publishContent(id, userId, req.body || {});
 
     res.json({
       success: true,
-      message: 'Document published successfully',
+      message: publishedDocument.status === 'scheduled'
+        ? 'Document scheduled for publishing'
+        : 'Document published successfully',
       data: publishedDocument
     });
   });
 
-  // Get user's documents
+  // Get user's documents, including ones they co-authored
   static getUserDocuments = asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const { page = 1, limit = 20, status = 'published' } = req.query;
@@ -624,10 +773,10 @@ class DocumentController {
     const skip = (page - 1) * limit;
 
     const [documents, total] = await Promise.all([
-      require('../../config/database').prisma.content.findMany({
+      prisma.content.findMany({
         where: {
           type: 'document',
-          authorId: userId,
+          OR: [{ authorId: userId }, CollaboratorService.coauthoredBy(userId)],
           status: status === 'all' ? undefined : status
         },
         include: {
@@ -648,16 +797,17 @@ class DocumentController {
               likes: true,
               comments: true
             }
-          }
+          },
+          ...CollaboratorService.creditsInclude()
         },
         orderBy: { createdAt: 'desc' },
         skip,
         take: parseInt(limit)
       }),
-      require('../../config/database').prisma.content.count({
+      prisma.content.count({
         where: {
           type: 'document',
-          authorId: userId,
+          OR: [{ authorId: userId }, CollaboratorService.coauthoredBy(userId)],
           status: status === 'all' ? undefined : status
         }
       })
@@ -783,9 +933,7 @@ class DocumentController {
     const status = {
       documentId: document.id,
       status: document.status,
-      processingStatus: document.status === 'draft' ? 'processing'
-        : document.status === 'published' ? 'completed'
-          : document.status === 'failed' ? 'failed' : 'unknown',
+      processingStatus: documentProcessingStatus(document),
       metadata: document.metadata,
       createdAt: document.createdAt,
       updatedAt: document.updatedAt
@@ -828,6 +976,8 @@ class DocumentController {
    *         description: Document preview retrieved successfully
    *       404:
    *         description: Document not found
+   *       409:
+   *         description: The document failed validation and was quarantined (DOCUMENT_REJECTED)
    */
   static getDocumentPreview = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -839,16 +989,15 @@ class DocumentController {
       throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
     }
 
-    // Check if user has access to this document
-    if (document.visibility === 'private' && (!req.user || document.author.id !== req.user?.userId)) {
-      const user = req.user ? await require('../../config/database').prisma.user.findUnique({
-        where: { id: req.user.userId },
-        select: { role: true }
-      }) : null;
+    await assertCanViewDocument(document, req.user, 'Unauthorized to view this document');
 
-      if (!user || !['admin', 'moderator'].includes(user.role)) {
-        throw new AppError('Unauthorized to view this document', 403, 'UNAUTHORIZED');
-      }
+    assertNotRejected(document);
+
+    // Office documents and Markdown are previewed through their PDF rendition
+    if (format === 'pdf' && document.metadata?.pdfRendition?.key) {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'inline');
+      return (await getObjectStream(document.metadata.pdfRendition.key)).pipe(res);
     }
 
     // If format is 'pdf' or 'file', serve the actual file
@@ -858,9 +1007,10 @@ class DocumentController {
         throw new AppError('Document file not found', 404, 'FILE_NOT_FOUND');
       }
       // Stream from MinIO if s3 URL, else fallback to local
-      const { getObjectStream } = require('../../services/media/minioMediaStore');
       let stream;
-      if (fileUrl.startsWith('s3://')) {
+      if (document.metadata?.uploadPath) {
+        stream = await getObjectStream(document.metadata.uploadPath);
+      } else if (fileUrl.startsWith('s3://')) {
         const parts = fileUrl.replace('s3://', '').split('/')
         const key = parts.slice(1).join('/');
         stream = await getObjectStream(key);
@@ -877,15 +1027,19 @@ class DocumentController {
     }
 
     // Return JSON metadata for text/html format
+    const currentPage = parseInt(page, 10);
+    const pageThumbnail = (document.metadata?.pageThumbnails || []).find((thumbnail) => thumbnail.page === currentPage);
     const previewData = {
       documentId: document.id,
       title: document.title,
       description: document.description,
       pageCount: document.metadata?.pageCount || 0,
-      currentPage: parseInt(page),
+      currentPage,
       textContent: document.metadata?.textContent || null,
       previewText: document.metadata?.previewText || null,
       thumbnailUrl: document.featuredImage || null,
+      pageThumbnailUrl: pageThumbnail?.url || null,
+      outline: document.metadata?.outline || [],
       format,
       // URL to get PDF file directly for embedding
       pdfUrl: `/api/content/documents/${id}/preview?format=pdf`,
@@ -916,6 +1070,15 @@ class DocumentController {
    *         schema:
    *           type: string
    *         description: Document ID
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [original, pdf]
+   *           default: original
+   *         description: >
+   *           The uploaded file, or its PDF version. Office documents and Markdown are
+   *           converted to PDF after upload; PDFs are returned as uploaded.
    *     responses:
    *       200:
    *         description: Document file
@@ -924,13 +1087,24 @@ class DocumentController {
    *             schema:
    *               type: string
    *               format: binary
+   *       400:
+   *         description: Unknown format
    *       403:
    *         description: Download not allowed
    *       404:
-   *         description: Document not found
+   *         description: Document not found, or it has no PDF version
+   *       409:
+   *         description: >
+   *           The PDF version is still being generated (PDF_NOT_READY), or the document
+   *           failed validation and was quarantined (DOCUMENT_REJECTED)
    */
   static downloadDocument = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const { format = 'original' } = req.query;
+
+    if (!['original', 'pdf'].includes(format)) {
+      throw new AppError('format must be "original" or "pdf"', 400, 'INVALID_FORMAT');
+    }
 
     const document = await ContentService.getContent(id, false);
 
@@ -938,16 +1112,23 @@ class DocumentController {
       throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
     }
 
-    // Check if user has access to download
-    if (document.visibility === 'private' && (!req.user || document.author.id !== req.user?.userId)) {
-      const user = req.user ? await require('../../config/database').prisma.user.findUnique({
-        where: { id: req.user.userId },
-        select: { role: true }
-      }) : null;
+    await assertCanViewDocument(document, req.user, 'Unauthorized to download this document');
 
-      if (!user || !['admin', 'moderator'].includes(user.role)) {
-        throw new AppError('Unauthorized to download this document', 403, 'UNAUTHORIZED');
+    assertNotRejected(document);
+
+    // PDFs are served as uploaded; anything else needs its converted rendition
+    if (format === 'pdf' && document.metadata?.mimetype !== 'application/pdf') {
+      const rendition = document.metadata?.pdfRendition;
+      if (!rendition?.key) {
+        if (['queued', 'processing'].includes(document.metadata?.processingStatus)) {
+          throw new AppError('The PDF version is still being generated', 409, 'PDF_NOT_READY');
+        }
+        throw new AppError('This document has no PDF version', 404, 'PDF_NOT_AVAILABLE');
       }
+      const baseName = path.parse(document.metadata?.originalName || document.title).name;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.pdf"`);
+      return (await getObjectStream(rendition.key)).pipe(res);
     }
 
     // Get file path from metadata
@@ -960,7 +1141,10 @@ class DocumentController {
     const filename = document.metadata?.originalName || `${document.title}.${document.metadata?.extension || 'pdf'}`;
     res.setHeader('Content-Type', document.metadata?.mimetype || 'application/octet-stream');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    const { getObjectStream } = require('../../services/media/minioMediaStore');
+    // documentUrl is rewritten to a proxy URL in responses; the stored key is authoritative
+    if (document.metadata?.uploadPath) {
+      return (await getObjectStream(document.metadata.uploadPath)).pipe(res);
+    }
     if (fileUrl.startsWith('s3://')) {
       const parts = fileUrl.replace('s3://', '').split('/')
       const key = parts.slice(1).join('/');
@@ -972,6 +1156,198 @@ class DocumentController {
     fileStream.pipe(res);
   });
 
+  /**
+   * @swagger
+   * /api/content/documents/{id}/versions:
+   *   get:
+   *     summary: List a document's versions, newest first
+   *     tags: [Documents]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Versions with uploader, size, SHA-256 checksum and change note
+   *       403:
+   *         description: Unauthorized to view this document
+   */
+  static listVersions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const document = await ContentService.getContent(id, false);
+
+    if (document.type !== 'document') {
+      throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
+    }
+    await assertCanViewDocument(document, req.user, 'Unauthorized to view this document');
+
+    const versions = await DocumentVersionService.listVersions({ ...document, authorId: document.author.id });
+
+    res.json({
+      success: true,
+      data: versions
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/documents/{id}/versions/{version}/download:
+   *   get:
+   *     summary: Download the file of one version
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: version
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The file as it was uploaded
+   *       404:
+   *         description: Version not found
+   */
+  static downloadVersion = asyncHandler(async (req, res) => {
+    const { id, version: number } = req.params;
+
+    const document = await ContentService.getContent(id, false);
+
+    if (document.type !== 'document') {
+      throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
+    }
+    await assertCanViewDocument(document, req.user, 'Unauthorized to download this document');
+
+    await DocumentVersionService.ensureHistory({ ...document, authorId: document.author.id });
+    const version = await DocumentVersionService.getVersion(id, number);
+
+    res.setHeader('Content-Type', version.mimetype);
+    res.setHeader('Content-Disposition', `attachment; filename="${version.filename}"`);
+    res.setHeader('X-Document-Version', String(version.version));
+    if (version.checksum) res.setHeader('X-Checksum-SHA256', version.checksum);
+    return (await getObjectStream(version.objectKey)).pipe(res);
+  });
+
+  /**
+   * @swagger
+   * /api/content/documents/{id}/versions/{version}/restore:
+   *   post:
+   *     summary: Roll a document back to an earlier version
+   *     description: >
+   *       Saves the chosen version again as the newest one and reprocesses it. Versions
+   *       in between are kept.
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: version
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               changeNote:
+   *                 type: string
+   *                 maxLength: 500
+   *                 description: Defaults to "Restored version N"
+   *     responses:
+   *       200:
+   *         description: Document restored; the new version is returned
+   *       403:
+   *         description: Only the author and admins/moderators can restore versions
+   *       404:
+   *         description: Version not found
+   *       409:
+   *         description: The version's file is already the current one
+   */
+  static restoreVersion = asyncHandler(async (req, res) => {
+    const { id, version: number } = req.params;
+
+    const { document, version } = await DocumentVersionService.restoreVersion(
+      id,
+      number,
+      req.user,
+      req.body.changeNote
+    );
+    await DocumentController.queueDocumentProcessing(document);
+
+    res.json({
+      success: true,
+      message: `Version ${number} restored as version ${version.version}`,
+      data: DocumentVersionService.formatVersion(version, true)
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/documents/{id}/versions/diff:
+   *   get:
+   *     summary: Compare the extracted text of two versions
+   *     tags: [Documents]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: to
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Line diff as hunks and as a unified diff, with added/removed line counts
+   *       404:
+   *         description: Version not found
+   *       409:
+   *         description: The text of one of the versions has not been extracted yet
+   *       422:
+   *         description: The versions differ too much to compare
+   */
+  static diffVersions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const document = await ContentService.getContent(id, false);
+
+    if (document.type !== 'document') {
+      throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
+    }
+    await assertCanViewDocument(document, req.user, 'Unauthorized to view this document');
+
+    const diff = await DocumentVersionService.diffVersions({ ...document, authorId: document.author.id }, from, to);
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  });
+
   // Reprocess document (admin/moderator only)
   static reprocessDocument = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -987,31 +1363,27 @@ class DocumentController {
       throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
     }
 
-    // Reset document status to draft and clear metadata
+    if (!document.metadata?.uploadPath) {
+      throw new AppError('Document file not available', 404, 'FILE_NOT_AVAILABLE');
+    }
+
+    // Clear the previous results; the worker fills them in again
     const updatedDocument = await ContentService.updateContent(id, {
-      status: 'draft',
+      processingStatus: 'queued',
       metadata: {
-        ...document.metadata,
+        processingStatus: 'queued',
         error: null,
+        failedStage: null,
         pageCount: 0,
         textContent: null,
-        previewText: null
+        textTruncated: false,
+        previewText: null,
+        pageThumbnails: [],
+        outline: []
       }
     });
 
-    // Queue for reprocessing if file exists
-    if (document.metadata?.uploadPath) {
-      const documentFile = {
-        path: document.metadata.uploadPath,
-        filename: document.metadata.filename,
-        originalname: document.metadata.originalName,
-        mimetype: document.metadata.mimetype,
-        size: document.metadata.fileSize,
-        extension: document.metadata.extension
-      };
-
-      await DocumentController.queueDocumentProcessing(id, documentFile);
-    }
+    await DocumentController.queueDocumentProcessing(updatedDocument);
 
     res.json({
       success: true,
@@ -1045,9 +1417,7 @@ class DocumentController {
       comments: document._count?.comments || 0,
       pageCount: document.metadata?.pageCount || 0,
       fileSize: document.metadata?.fileSize || 0,
-      processingStatus: document.status === 'draft' ? 'processing'
-        : document.status === 'published' ? 'completed'
-          : document.status === 'failed' ? 'failed' : 'unknown',
+      processingStatus: documentProcessingStatus(document),
       engagementRate: 0
     };
 
@@ -1091,10 +1461,89 @@ class DocumentController {
     });
   });
 
-  // Search within document text
+  /**
+   * @swagger
+   * /api/content/documents/{id}/search:
+   *   get:
+   *     summary: Search inside a document
+   *     description: |
+   *       Matches words and "quoted phrases" against the extracted text of each page,
+   *       case-insensitively. A page matches when every term occurs on it. Offsets
+   *       index into the page's text as returned by text.json; end is exclusive.
+   *     tags: [Documents]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *         example: 'budget "quarterly report"'
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *           maximum: 200
+   *         description: Number of hits to return
+   *     responses:
+   *       200:
+   *         description: Hits in reading order
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     documentId:
+   *                       type: string
+   *                     processingStatus:
+   *                       type: string
+   *                     terms:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                     totalHits:
+   *                       type: integer
+   *                     pages:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           page:
+   *                             type: integer
+   *                           hits:
+   *                             type: integer
+   *                     hits:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           page:
+   *                             type: integer
+   *                           start:
+   *                             type: integer
+   *                           end:
+   *                             type: integer
+   *                           term:
+   *                             type: string
+   *                           snippet:
+   *                             type: string
+   *                             description: HTML-escaped text around the hit, which is wrapped in <mark>
+   *       403:
+   *         description: Unauthorized to search in this document
+   */
   static searchInDocument = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { q } = req.query;
+    const { q, limit } = req.query;
 
     const document = await ContentService.getContent(id, false);
 
@@ -1102,48 +1551,82 @@ class DocumentController {
       throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
     }
 
-    // Check if user has access to this document
-    if (document.visibility === 'private' && document.author.id !== req.user?.userId) {
-      const user = await require('../../config/database').prisma.user.findUnique({
-        where: { id: req.user.userId },
-        select: { role: true }
-      });
-
-      if (!user || !['admin', 'moderator'].includes(user.role)) {
-        throw new AppError('Unauthorized to search in this document', 403, 'UNAUTHORIZED');
-      }
-    }
-
-    const textContent = document.metadata?.textContent || '';
-    const searchResults = [];
-
-    if (q && textContent) {
-      const searchTerm = q.toLowerCase();
-      const lines = textContent.split('\n');
-      const matches = [];
-
-      lines.forEach((line, index) => {
-        const lineLower = line.toLowerCase();
-        if (lineLower.includes(searchTerm)) {
-          matches.push({
-            line: index + 1,
-            text: line.trim(),
-            preview: line.trim().substring(0, 200) + (line.trim().length > 200 ? '...' : '')
-          });
-        }
-      });
+    await assertCanViewDocument(document, req.user, 'Unauthorized to search in this document');
 
-      searchResults.push({
-        documentId: document.id,
-        documentTitle: document.title,
-        matches,
-        totalMatches: matches.length
-      });
-    }
+    const results = await DocumentSearchService.searchDocument(document.id, q, { limit });
 
     res.json({
       success: true,
-      data: searchResults
+      data: {
+        documentId: document.id,
+        documentTitle: document.title,
+        // Hits only exist once text extraction has finished
+        processingStatus: documentProcessingStatus(document),
+        ...results
+      }
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/documents/library/search:
+   *   get:
+   *     summary: Search inside the documents in your library
+   *     description: |
+   *       Same matching as in-document search, across the documents you wrote and the
+   *       documents in folders you own or that are shared with you. Pass folderId to
+   *       search one folder and its subfolders. Each result carries its first three hits.
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: folderId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 50
+   *     responses:
+   *       200:
+   *         description: Matching documents, most recently updated first
+   *       403:
+   *         description: No viewer access to the folder
+   *       404:
+   *         description: Folder not found
+   */
+  static searchLibrary = asyncHandler(async (req, res) => {
+    const {
+      q, folderId, page, limit
+    } = req.query;
+
+    const { terms, results, total } = await DocumentSearchService.searchLibrary(req.user, q, { folderId, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        terms,
+        results,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
     });
   });
 
@@ -1158,11 +1641,12 @@ class DocumentController {
     }
 
     // Get documents with similar tags or category
-    const recommendations = await require('../../config/database').prisma.content.findMany({
+    const recommendations = await prisma.content.findMany({
       where: {
         id: { not: id },
         type: 'document',
         status: 'published',
+        processingStatus: { not: 'rejected' },
         visibility: { in: ['public', 'unlisted'] },
         OR: [
           { category: document.category },
@@ -1240,19 +1724,9 @@ class DocumentController {
       throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
     }
 
-    // Check access permissions
-    if (document.visibility === 'private' && document.author.id !== req.user?.userId) {
-      const user = await require('../../config/database').prisma.user.findUnique({
-        where: { id: req.user.userId },
-        select: { role: true }
-      });
-
-      if (!user || !['admin', 'moderator'].includes(user.role)) {
-        throw new AppError('Unauthorized to extract text from this document', 403, 'UNAUTHORIZED');
-      }
-    }
+    await assertCanViewDocument(document, req.user, 'Unauthorized to extract text from this document');
 
-    const textContent = document.metadata?.textContent || '';
+    const textContent = await documentFullText(document);
     const wordCount = textContent.split(/\s+/).filter((w) => w.length > 0).length;
 
     const responseData = {
@@ -1386,61 +1860,23 @@ class DocumentController {
    *               targetFolderId:
    *                 type: string
    *                 nullable: true
+   *                 description: Destination folder (editor access required), or null for the top level
    *     responses:
    *       200:
    *         description: Documents moved successfully
+   *       403:
+   *         description: No editor access to the target folder
+   *       404:
+   *         description: Target folder not found
    */
   static bulkMoveDocuments = asyncHandler(async (req, res) => {
     const { documentIds, targetFolderId } = req.body;
-    const { userId } = req.user;
 
     if (!documentIds || !Array.isArray(documentIds) || documentIds.length === 0) {
       throw new AppError('Document IDs are required', 400, 'INVALID_REQUEST');
     }
 
-    const results = {
-      moved: 0,
-      failed: 0,
-      details: []
-    };
-
-    for (const docId of documentIds) {
-      try {
-        const document = await ContentService.getContent(docId, false);
-
-        // Check ownership
-        if (document.author.id !== userId && !['admin', 'moderator'].includes(req.user.role)) {
-          results.failed++;
-          results.details.push({
-            id: docId,
-            status: 'failed',
-            message: 'Unauthorized'
-          });
-          continue;
-        }
-
-        await ContentService.updateContent(docId, {
-          metadata: {
-            ...document.metadata,
-            folderId: targetFolderId
-          }
-        });
-
-        results.moved++;
-        results.details.push({
-          id: docId,
-          status: 'success',
-          message: 'Moved successfully'
-        });
-      } catch (error) {
-        results.failed++;
-        results.details.push({
-          id: docId,
-          status: 'failed',
-          message: error.message
-        });
-      }
-    }
+    const results = await FolderService.moveDocuments(req.user, documentIds, targetFolderId || null);
 
     res.json({
       success: true,
@@ -1475,44 +1911,26 @@ class FolderController {
    *                 type: string
    *               parentId:
    *                 type: string
+   *                 description: Parent folder; you need editor access to it
    *               visibility:
    *                 type: string
-   *                 enum: [private, shared]
+   *                 enum: [private, shared, public]
+   *                 description: >
+   *                   private is owner only; shared adds the users it is shared with;
+   *                   public lets anyone browse it and its published public documents
    *     responses:
    *       201:
    *         description: Folder created successfully
+   *       403:
+   *         description: No editor access to the parent folder
+   *       404:
+   *         description: Parent folder not found
+   *       409:
+   *         description: A sibling folder already has this name
    */
   static createFolder = asyncHandler(async (req, res) => {
-    const {
-      name, description, parentId, visibility = 'private'
-    } = req.body;
-    const { userId } = req.user;
-
-    // Validate folder name
-    if (!name || name.trim().length === 0) {
-      throw new AppError('Folder name is required', 400, 'INVALID_REQUEST');
-    }
-
-    if (name.length > 100) {
-      throw new AppError('Folder name cannot exceed 100 characters', 400, 'INVALID_REQUEST');
-    }
-
-    // Create folder metadata in user profile or separate table
-    // For now, store in a simple structure
-    const folder = {
-      id: require('crypto').randomUUID(),
-      name: name.trim(),
-      description: description || '',
-      parentId: parentId || null,
-      visibility,
-      authorId: userId,
-      documentCount: 0,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const folder = await FolderService.createFolder(req.user, req.body);
 
-    // In production, store in a dedicated folders table
-    // For now, return the created folder
     res.status(201).json({
       success: true,
       data: folder,
@@ -1525,6 +1943,9 @@ class FolderController {
    * /api/content/folders:
    *   get:
    *     summary: Get user's folders
+   *     description: >
+   *       Top-level folders by default, the subfolders of parentId, or with shared=true
+   *       the folders other users have shared with you.
    *     tags: [Documents]
    *     security:
    *       - bearerAuth: []
@@ -1534,6 +1955,11 @@ class FolderController {
    *         schema:
    *           type: string
    *       - in: query
+   *         name: shared
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *       - in: query
    *         name: page
    *         schema:
    *           type: number
@@ -1548,27 +1974,150 @@ class FolderController {
    *         description: Folders retrieved successfully
    */
   static getFolders = asyncHandler(async (req, res) => {
-    const { parentId, page = 1, limit = 20 } = req.query;
-    const { userId } = req.user;
+    const {
+      parentId, shared, page, limit
+    } = req.query;
 
-    // In production, query from folders table
-    // For now, return mock data
-    const folders = [];
+    const { folders, total } = await FolderService.listFolders(req.user, {
+      parentId, shared, page, limit
+    });
 
     res.json({
       success: true,
       data: {
         folders,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: 0,
-          pages: 0
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
         }
       }
     });
   });
 
+  /**
+   * @swagger
+   * /api/content/folders/{folderId}:
+   *   get:
+   *     summary: Get a folder with its path and your access to it
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: folderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: >
+   *           The folder, with path (breadcrumbs, top-level first) and access
+   *           (owner, editor, viewer or public)
+   *       404:
+   *         description: Folder not found
+   */
+  static getFolder = asyncHandler(async (req, res) => {
+    const folder = await FolderService.getFolder(req.params.folderId, req.user);
+
+    res.json({
+      success: true,
+      data: folder
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/folders/{folderId}:
+   *   put:
+   *     summary: Rename, move or reorder a folder
+   *     description: Editors can rename, move and reorder; only the owner can change visibility.
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: folderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               visibility:
+   *                 type: string
+   *                 enum: [private, shared, public]
+   *               parentId:
+   *                 type: string
+   *                 nullable: true
+   *                 description: New parent folder, or null for the top level
+   *               position:
+   *                 type: integer
+   *                 description: 0-based position among its siblings
+   *     responses:
+   *       200:
+   *         description: Folder updated successfully
+   *       400:
+   *         description: The move would nest the folder in itself or too deep
+   *       403:
+   *         description: Not allowed for your access level
+   *       404:
+   *         description: Folder not found
+   *       409:
+   *         description: A sibling folder already has this name
+   */
+  static updateFolder = asyncHandler(async (req, res) => {
+    const folder = await FolderService.updateFolder(req.params.folderId, req.user, req.body);
+
+    res.json({
+      success: true,
+      data: folder,
+      message: 'Folder updated successfully'
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/content/folders/{folderId}:
+   *   delete:
+   *     summary: Delete a folder and its subfolders
+   *     description: Documents in them are moved to the deleted folder's parent. Owner only.
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: folderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Folder deleted successfully
+   *       403:
+   *         description: Not the owner
+   *       404:
+   *         description: Folder not found
+   */
+  static deleteFolder = asyncHandler(async (req, res) => {
+    const result = await FolderService.deleteFolder(req.params.folderId, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Folder deleted successfully'
+    });
+  });
+
   /**
    * @swagger
    * /api/content/folders/{folderId}/documents:
@@ -1602,177 +2151,158 @@ class FolderController {
    *     responses:
    *       200:
    *         description: Documents retrieved successfully
+   *       404:
+   *         description: Folder not found
    */
   static getFolderDocuments = asyncHandler(async (req, res) => {
     const { folderId } = req.params;
-    const { page = 1, limit = 20, sortBy = 'name' } = req.query;
-    const { userId } = req.user;
-
-    const skip = (page - 1) * limit;
+    const { page, limit, sortBy } = req.query;
 
-    // Get documents with matching folderId in metadata
-    const [documents, total] = await Promise.all([
-      require('../../config/database').prisma.content.findMany({
-        where: {
-          type: 'document',
-          authorId: userId,
-          metadata: {
-            path: ['folderId'],
-            equals: folderId
-          }
-        },
-        include: {
-          author: {
-            select: {
-              id: true,
-              username: true,
-              profile: {
-                select: {
-                  displayName: true,
-                  avatarUrl: true
-                }
-              }
-            }
-          },
-          _count: {
-            select: {
-              likes: true,
-              comments: true
-            }
-          }
-        },
-        orderBy: sortBy === 'name' ? { title: 'asc' }
-          : sortBy === 'size' ? { metadata: { path: ['fileSize'], sort: 'desc' } }
-            : { createdAt: 'desc' },
-        skip,
-        take: parseInt(limit)
-      }),
-      require('../../config/database').prisma.content.count({
-        where: {
-          type: 'document',
-          authorId: userId,
-          metadata: {
-            path: ['folderId'],
-            equals: folderId
-          }
-        }
-      })
-    ]);
+    const folder = await FolderService.getFolder(folderId, req.user);
+    const { documents, total } = await FolderService.listDocuments(folderId, req.user, { page, limit, sortBy });
 
     res.json({
       success: true,
       data: {
         folder: {
-          id: folderId,
-          name: 'Folder Name', // In production, fetch from folders table
-          path: 'Root/Folder'
+          id: folder.id,
+          name: folder.name,
+          path: folder.path,
+          access: folder.access
         },
-        documents,
+        documents: documents.map((document) => ContentService.transformContentResponse(document)),
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+          page,
+          limit,
           total,
           pages: Math.ceil(total / limit)
         }
       }
     });
   });
-}
-
-// Document processing utilities
-class DocumentProcessingUtils {
-  // Extract PDF metadata and text (to be implemented)
-  static async extractPDFMetadata(filePath, extension) {
-    try {
-      // This would use pdf-parse or similar library to extract metadata
-      // For now, return basic info
-      const stats = await fs.stat(filePath);
-
-      return {
-        pageCount: 0, // Would be extracted from PDF
-        textContent: null, // Would be extracted from PDF
-        previewText: null, // Would be first few pages
-        fileSize: stats.size,
-        createdAt: stats.birthtime
-      };
-    } catch (error) {
-      console.error('Error extracting PDF metadata:', error);
-      throw error;
-    }
-  }
-
-  // Extract document metadata for other formats
-  static async extractDocumentMetadata(filePath, extension) {
-    try {
-      const stats = await fs.stat(filePath);
-
-      // For non-PDF documents, we might not be able to extract text content
-      return {
-        pageCount: extension === '.pdf' ? 0 : null,
-        textContent: null,
-        previewText: null,
-        fileSize: stats.size,
-        createdAt: stats.birthtime
-      };
-    } catch (error) {
-      console.error('Error extracting document metadata:', error);
-      throw error;
-    }
-  }
 
-  // Process document (to be implemented with document processing service)
-  static async processDocument(documentId, filePath, metadata) {
-    try {
-      const { extension } = metadata;
-
-      let extractedData;
-
-      if (extension === '.pdf') {
-        extractedData = await DocumentProcessingUtils.extractPDFMetadata(filePath, extension);
-      } else {
-        extractedData = await DocumentProcessingUtils.extractDocumentMetadata(filePath, extension);
-      }
+  /**
+   * @swagger
+   * /api/content/folders/{folderId}/shares:
+   *   get:
+   *     summary: List the users a folder is shared with
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: folderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Shares retrieved successfully
+   *       403:
+   *         description: Editor access required
+   *       404:
+   *         description: Folder not found
+   */
+  static getFolderShares = asyncHandler(async (req, res) => {
+    const shares = await FolderService.listShares(req.params.folderId, req.user);
 
-      await ContentService.updateContent(documentId, {
-        metadata: {
-          ...metadata,
-          ...extractedData,
-          processingStatus: 'completed',
-          processedAt: new Date().toISOString()
-        }
-      });
+    res.json({
+      success: true,
+      data: shares
+    });
+  });
 
-      return { success: true };
-    } catch (error) {
-      console.error('Error processing document:', error);
+  /**
+   * @swagger
+   * /api/content/folders/{folderId}/shares/{userId}:
+   *   put:
+   *     summary: Share a folder with a user
+   *     description: >
+   *       Gives the user viewer or editor access to the folder, its subfolders and
+   *       their documents, private ones included. Owner only; has no effect while
+   *       the folder is private.
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: folderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - role
+   *             properties:
+   *               role:
+   *                 type: string
+   *                 enum: [viewer, editor]
+   *     responses:
+   *       200:
+   *         description: Folder shared successfully
+   *       403:
+   *         description: Not the owner
+   *       404:
+   *         description: Folder or user not found
+   */
+  static shareFolder = asyncHandler(async (req, res) => {
+    const { folderId, userId } = req.params;
+    const share = await FolderService.shareFolder(folderId, req.user, userId, req.body.role);
 
-      await ContentService.updateContent(documentId, {
-        status: 'failed',
-        metadata: {
-          ...metadata,
-          error: error.message,
-          failedAt: new Date().toISOString()
-        }
-      });
+    res.json({
+      success: true,
+      data: share,
+      message: 'Folder shared successfully'
+    });
+  });
 
-      throw error;
-    }
-  }
+  /**
+   * @swagger
+   * /api/content/folders/{folderId}/shares/{userId}:
+   *   delete:
+   *     summary: Stop sharing a folder with a user
+   *     description: The owner can remove anyone; users can remove themselves.
+   *     tags: [Documents]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: folderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Share removed successfully
+   *       403:
+   *         description: Not the owner
+   *       404:
+   *         description: Folder or share not found
+   */
+  static unshareFolder = asyncHandler(async (req, res) => {
+    const { folderId, userId } = req.params;
+    await FolderService.unshareFolder(folderId, req.user, userId);
 
-  // Generate document preview (placeholder)
-  static async generatePreview(documentId, filePath) {
-    try {
-      // This would generate a preview image or text excerpt
-      // For now, return placeholder
-      return {
-        previewUrl: null,
-        previewType: 'text'
-      };
-    } catch (error) {
-      console.error('Error generating document preview:', error);
-      throw error;
-    }
-  }
+    res.json({
+      success: true,
+      message: 'Share removed successfully'
+    });
+  });
 }
 
 module.exports = { DocumentController, FolderController };
@@ -0,0 +1,60 @@
+const PlaybackService = require('./services/playbackService');
+
+class PlaybackController {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Playback
+   *     description: Token-protected HLS playlists for video and audio
+   */
+
+  /**
+   * @swagger
+   * /api/content/playback/{token}/{playlistPath}:
+   *   get:
+   *     summary: Serve a signed HLS playlist
+   *     description: >
+   *       Serves master.m3u8, rendition and subtitle playlists for the content the token was issued for.
+   *       Segment URIs are rewritten to presigned URLs expiring with the token; nested playlist URIs stay
+   *       relative so they resolve back to this endpoint. Access is re-checked on every request.
+   *       Obtain the token from GET /api/content/videos/{id}/playback or /api/content/audio/{id}/playback.
+   *     tags: [Playback]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: playlistPath
+   *         required: true
+   *         schema:
+   *           type: string
+   *           example: 720p/playlist.m3u8
+   *     responses:
+   *       200:
+   *         description: The playlist
+   *         content:
+   *           application/vnd.apple.mpegurl:
+   *             schema:
+   *               type: string
+   *       401:
+   *         description: Token invalid or expired
+   *       404:
+   *         description: Playlist or content not found
+   *       410:
+   *         description: Content was removed by moderation
+   */
+  static async getPlaylist(req, res) {
+    try {
+      const playlist = await PlaybackService.getPlaylist(req.params.token, req.params[0]);
+      res.set('Content-Type', 'application/vnd.apple.mpegurl');
+      res.set('Cache-Control', 'private, no-store');
+      return res.send(playlist);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+}
+
+module.exports = PlaybackController;
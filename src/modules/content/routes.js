@@ -8,10 +8,13 @@ const ArticleController = require('./articleController');
 const { DocumentController, FolderController } = require('./documentController');
 const FeedController = require('./feedController');
 const InteractionController = require('./interactionController');
+const CollaboratorController = require('./collaboratorController');
 
 // Import middleware
-const { authenticateToken, requireActiveUser } = require('../../middleware/auth');
-const { uploadMiddleware, handleUploadError } = require('../../middleware/upload');
+const {
+  authenticateToken, requireActiveUser, optionalAuth, requireModerator
+} = require('../../middleware/auth');
+const { uploadMiddleware, handleUploadError, enforceStorageQuota } = require('../../middleware/upload');
 const { trackLike, trackComment } = require('../../middleware/trackInteraction');
 
 // Import validation middleware
@@ -32,8 +35,25 @@ const {
   validateGenerateDownloadLink,
   validateBulkMoveDocuments,
   validateCreateFolder,
+  validateUpdateFolder,
+  validateShareFolder,
   validateGetFolders,
-  validateFolderDocuments
+  validateFolderDocuments,
+  validateDocumentSearch,
+  validateLibrarySearch,
+  validateTranscriptParams,
+  validateChapterParams,
+  validateDocumentVersionParams,
+  validateRestoreVersion,
+  validateVersionDiff,
+  validateRevisionList,
+  validateArticleRevisionParams,
+  validateRestoreRevision,
+  validateArticleDraft,
+  validatePublishSchedule,
+  validateCollaboratorParams,
+  validateCollaboratorRole,
+  validateInvitationQuery
 } = require('./validation');
 
 // Article routes
@@ -43,6 +63,7 @@ router.post(
   requireActiveUser,
   uploadMiddleware.contentFilesMemory, // memory storage
   handleUploadError,
+  enforceStorageQuota,
   validateArticleCreate,
   ArticleController.createArticle
 );
@@ -75,12 +96,21 @@ router.get(
   ArticleController.getArticleBySlug
 );
 
+// Markdown export; the same Markdown can be sent back as content
+router.get(
+  '/articles/:id/markdown',
+  optionalAuth,
+  validateContentId,
+  ArticleController.exportArticleMarkdown
+);
+
 router.put(
   '/articles/:id',
   authenticateToken,
   requireActiveUser,
   uploadMiddleware.contentFilesMemory, // memory storage
   handleUploadError,
+  enforceStorageQuota,
   validateContentId,
   validateArticleUpdate,
   ArticleController.updateArticle
@@ -94,6 +124,7 @@ router.post(
   validateContentId,
   uploadMiddleware.imageMemory,
   handleUploadError,
+  enforceStorageQuota,
   ArticleController.uploadFeaturedImage
 );
 
@@ -110,6 +141,7 @@ router.post(
   authenticateToken,
   requireActiveUser,
   validateContentId,
+  validatePublishSchedule,
   ArticleController.publishArticle
 );
 
@@ -144,12 +176,89 @@ router.get(
   authenticateToken,
   requireActiveUser,
   validateContentId,
+  validateRevisionList,
   ArticleController.getArticleRevisions
 );
 
+router.get(
+  '/articles/:id/revisions/diff',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  validateVersionDiff,
+  ArticleController.diffArticleRevisions
+);
+
+router.get(
+  '/articles/:id/revisions/:revision',
+  authenticateToken,
+  requireActiveUser,
+  validateArticleRevisionParams,
+  ArticleController.getArticleRevision
+);
+
+router.post(
+  '/articles/:id/revisions/:revision/restore',
+  authenticateToken,
+  requireActiveUser,
+  validateArticleRevisionParams,
+  validateRestoreRevision,
+  ArticleController.restoreArticleRevision
+);
+
+// Autosave drafts, kept apart from the article until it is saved
+router.get(
+  '/articles/:id/draft',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  ArticleController.getArticleDraft
+);
+
+router.put(
+  '/articles/:id/draft',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  validateArticleDraft,
+  ArticleController.saveArticleDraft
+);
+
+router.delete(
+  '/articles/:id/draft',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  ArticleController.discardArticleDraft
+);
+
+router.get(
+  '/articles/:id/collaborators',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  CollaboratorController.getCollaborators
+);
+
+router.put(
+  '/articles/:id/collaborators/:userId',
+  authenticateToken,
+  requireActiveUser,
+  validateCollaboratorParams,
+  validateCollaboratorRole,
+  CollaboratorController.inviteCollaborator
+);
+
+router.delete(
+  '/articles/:id/collaborators/:userId',
+  authenticateToken,
+  requireActiveUser,
+  validateCollaboratorParams,
+  CollaboratorController.removeCollaborator
+);
+
 // Video routes
 const VideoController = require('./videoController');
-const { optionalAuth, requireModerator } = require('../../middleware/auth');
 
 // Listing
 router.get(
@@ -192,6 +301,14 @@ router.get(
   VideoController.stream
 );
 
+// Playback token
+router.get(
+  '/videos/:id/playback',
+  optionalAuth,
+  validateContentId,
+  VideoController.playback
+);
+
 // Reprocess (admin/moderator)
 router.post(
   '/videos/:id/reprocess',
@@ -209,6 +326,20 @@ router.get(
   VideoController.queueStatus
 );
 
+router.post(
+  '/admin/queue-status/dead-letter/:jobId/replay',
+  authenticateToken,
+  requireModerator,
+  VideoController.replayDeadLetter
+);
+
+router.put(
+  '/admin/queue-status/users/:userId/weight',
+  authenticateToken,
+  requireModerator,
+  VideoController.setSchedulerWeight
+);
+
 // Stats
 router.get(
   '/videos/:id/stats',
@@ -218,11 +349,71 @@ router.get(
   VideoController.stats
 );
 
-// Placeholder transcript endpoint
+// Transcripts and caption tracks
 router.get(
   '/videos/:id/transcript',
+  optionalAuth,
+  validateContentId,
+  VideoController.getTranscript
+);
+
+router.post(
+  '/videos/:id/transcripts',
+  authenticateToken,
+  requireActiveUser,
   validateContentId,
-  async (req, res) => res.json({ success: true, data: { videoId: req.params.id, transcript: null, status: 'not_available' } })
+  uploadMiddleware.subtitleMemory,
+  handleUploadError,
+  enforceStorageQuota,
+  VideoController.uploadTranscript
+);
+
+router.delete(
+  '/videos/:id/transcripts/:language',
+  authenticateToken,
+  requireActiveUser,
+  validateTranscriptParams,
+  VideoController.deleteTranscript
+);
+
+// Chapters
+router.get(
+  '/videos/:id/chapters',
+  optionalAuth,
+  validateContentId,
+  VideoController.getChapters
+);
+
+router.put(
+  '/videos/:id/chapters',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  VideoController.replaceChapters
+);
+
+router.post(
+  '/videos/:id/chapters',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  VideoController.addChapter
+);
+
+router.put(
+  '/videos/:id/chapters/:index',
+  authenticateToken,
+  requireActiveUser,
+  validateChapterParams,
+  VideoController.updateChapter
+);
+
+router.delete(
+  '/videos/:id/chapters/:index',
+  authenticateToken,
+  requireActiveUser,
+  validateChapterParams,
+  VideoController.deleteChapter
 );
 
 // Publish video
@@ -231,6 +422,7 @@ router.post(
   authenticateToken,
   requireActiveUser,
   validateContentId,
+  validatePublishSchedule,
   VideoController.publish
 );
 
@@ -251,6 +443,82 @@ router.get(
   VideoController.uploadStatus
 );
 
+// Audio routes
+const AudioController = require('./audioController');
+
+router.get(
+  '/audio',
+  optionalAuth,
+  AudioController.getAllAudio
+);
+
+router.get(
+  '/audio/:id',
+  optionalAuth,
+  validateContentId,
+  AudioController.getAudio
+);
+
+router.put(
+  '/audio/:id',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  AudioController.updateAudio
+);
+
+router.delete(
+  '/audio/:id',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  AudioController.deleteAudio
+);
+
+router.get(
+  '/audio/:id/stream',
+  optionalAuth,
+  validateContentId,
+  AudioController.stream
+);
+
+router.get(
+  '/audio/:id/playback',
+  optionalAuth,
+  validateContentId,
+  AudioController.playback
+);
+
+router.get(
+  '/audio/:id/download',
+  optionalAuth,
+  validateContentId,
+  AudioController.download
+);
+
+router.post(
+  '/audio/:id/publish',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  validatePublishSchedule,
+  AudioController.publish
+);
+
+// Signed HLS playlists (the token authorizes the request)
+const PlaybackController = require('./playbackController');
+
+router.get(
+  '/playback/:token/*',
+  PlaybackController.getPlaylist
+);
+
+// Creator podcast feed
+router.get(
+  '/podcasts/:userId/feed.xml',
+  AudioController.podcastFeed
+);
+
 // Document routes
 router.post(
   '/documents',
@@ -258,6 +526,7 @@ router.post(
   requireActiveUser,
   uploadMiddleware.documentMemory,
   handleUploadError,
+  enforceStorageQuota,
   validateDocumentUpload,
   DocumentController.uploadDocument
 );
@@ -273,6 +542,14 @@ router.get(
   DocumentController.searchDocuments
 );
 
+router.get(
+  '/documents/library/search',
+  authenticateToken,
+  requireActiveUser,
+  validateLibrarySearch,
+  DocumentController.searchLibrary
+);
+
 router.get(
   '/documents/category/:category',
   validateCategoryContent,
@@ -302,6 +579,9 @@ router.put(
   '/documents/:id',
   authenticateToken,
   requireActiveUser,
+  uploadMiddleware.documentMemory,
+  handleUploadError,
+  enforceStorageQuota,
   validateContentId,
   DocumentController.updateDocument
 );
@@ -319,6 +599,7 @@ router.post(
   authenticateToken,
   requireActiveUser,
   validateContentId,
+  validatePublishSchedule,
   DocumentController.publishDocument
 );
 
@@ -359,10 +640,69 @@ router.put(
 
 router.get(
   '/documents/:id/search',
+  optionalAuth,
   validateContentId,
+  validateDocumentSearch,
   DocumentController.searchInDocument
 );
 
+// Document versions
+router.get(
+  '/documents/:id/versions',
+  optionalAuth,
+  validateContentId,
+  DocumentController.listVersions
+);
+
+router.get(
+  '/documents/:id/versions/diff',
+  optionalAuth,
+  validateContentId,
+  validateVersionDiff,
+  DocumentController.diffVersions
+);
+
+router.get(
+  '/documents/:id/versions/:version/download',
+  authenticateToken,
+  validateDocumentVersionParams,
+  DocumentController.downloadVersion
+);
+
+router.post(
+  '/documents/:id/versions/:version/restore',
+  authenticateToken,
+  requireActiveUser,
+  validateDocumentVersionParams,
+  validateRestoreVersion,
+  DocumentController.restoreVersion
+);
+
+router.get(
+  '/documents/:id/collaborators',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  CollaboratorController.getCollaborators
+);
+
+router.put(
+  '/documents/:id/collaborators/:userId',
+  authenticateToken,
+  requireActiveUser,
+  validateCollaboratorParams,
+  validateCollaboratorRole,
+  CollaboratorController.inviteCollaborator
+);
+
+router.delete(
+  '/documents/:id/collaborators/:userId',
+  authenticateToken,
+  requireActiveUser,
+  validateCollaboratorParams,
+  CollaboratorController.removeCollaborator
+);
+
 router.get(
   '/documents/:id/recommendations',
   validateContentId,
@@ -413,6 +753,28 @@ router.get(
   FolderController.getFolders
 );
 
+router.get(
+  '/folders/:folderId',
+  authenticateToken,
+  requireActiveUser,
+  FolderController.getFolder
+);
+
+router.put(
+  '/folders/:folderId',
+  authenticateToken,
+  requireActiveUser,
+  validateUpdateFolder,
+  FolderController.updateFolder
+);
+
+router.delete(
+  '/folders/:folderId',
+  authenticateToken,
+  requireActiveUser,
+  FolderController.deleteFolder
+);
+
 router.get(
   '/folders/:folderId/documents',
   authenticateToken,
@@ -421,6 +783,53 @@ router.get(
   FolderController.getFolderDocuments
 );
 
+router.get(
+  '/folders/:folderId/shares',
+  authenticateToken,
+  requireActiveUser,
+  FolderController.getFolderShares
+);
+
+router.put(
+  '/folders/:folderId/shares/:userId',
+  authenticateToken,
+  requireActiveUser,
+  validateShareFolder,
+  FolderController.shareFolder
+);
+
+router.delete(
+  '/folders/:folderId/shares/:userId',
+  authenticateToken,
+  requireActiveUser,
+  FolderController.unshareFolder
+);
+
+// Collaboration invitation routes
+router.get(
+  '/collaborations/invitations',
+  authenticateToken,
+  requireActiveUser,
+  validateInvitationQuery,
+  CollaboratorController.getInvitations
+);
+
+router.post(
+  '/collaborations/:id/accept',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  CollaboratorController.acceptInvitation
+);
+
+router.post(
+  '/collaborations/:id/decline',
+  authenticateToken,
+  requireActiveUser,
+  validateContentId,
+  CollaboratorController.declineInvitation
+);
+
 // Feed routes
 router.get(
   '/feed/personalized',
@@ -0,0 +1,295 @@
+const { structuredPatch, formatPatch } = require('diff');
+const { prisma } = require('../../../config/database');
+const { AppError } = require('../../../middleware/errorHandler');
+const CollaboratorService = require('./collaboratorService');
+
+// Fields a revision snapshots; saves that change none of them add no revision
+const REVISED_FIELDS = ['title', 'body', 'description'];
+const MAX_RECORD_ATTEMPTS = 3;
+const DIFF_CONTEXT_LINES = 3;
+// Long articles rewritten wholesale are expensive to diff; give up rather than block the process
+const DIFF_TIMEOUT_MS = 2000;
+
+const authorSelect = {
+  select: {
+    id: true,
+    username: true,
+    profile: { select: { displayName: true, avatarUrl: true } }
+  }
+};
+
+/**
+ * Loads an article for its author, admins/moderators and its collaborators.
+ * Every collaborator can read the revisions; autosave drafts are for those
+ * who can edit (`edit`).
+ * @private
+ */
+async function loadEditableArticle(contentId, user, { edit = true } = {}) {
+  const content = await prisma.content.findUnique({ where: { id: contentId } });
+  if (!content) {
+    throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
+  }
+  if (content.type !== 'article') {
+    throw new AppError('Content is not an article', 400, 'INVALID_CONTENT_TYPE');
+  }
+  const relation = await CollaboratorService.relationOf(content, user);
+  if (!relation || (edit && !CollaboratorService.canEdit(relation))) {
+    throw new AppError('Unauthorized to edit this article', 403, 'UNAUTHORIZED');
+  }
+  return content;
+}
+
+async function latestRevisionNumber(contentId) {
+  const latest = await prisma.articleRevision.findFirst({
+    where: { contentId },
+    orderBy: { revision: 'desc' },
+    select: { revision: true }
+  });
+  return latest?.revision || 0;
+}
+
+const snapshot = (content) => ({
+  title: content.title,
+  body: content.body || '',
+  description: content.description ?? null
+});
+
+class ArticleRevisionService {
+  /**
+   * Whether an update would change the revised text of an article.
+   * @param {object} existing - The article row before the update.
+   * @param {object} updateData - Fields being written (body, not content).
+   */
+  static changesText(existing, updateData) {
+    return REVISED_FIELDS.some((field) => updateData[field] !== undefined
+      && (updateData[field] || '') !== (existing[field] || ''));
+  }
+
+  /**
+   * Articles written before revisions were kept get their current text
+   * recorded as revision 1 before anything overwrites it.
+   * @param {object} content - The article row.
+   */
+  static async ensureHistory(content) {
+    if ((await latestRevisionNumber(content.id)) > 0) return;
+    try {
+      await prisma.articleRevision.create({
+        data: {
+          contentId: content.id,
+          revision: 1,
+          ...snapshot(content),
+          authorId: content.authorId,
+          role: 'author',
+          createdAt: content.updatedAt || content.createdAt
+        }
+      });
+    } catch (error) {
+      // Another save recorded it first
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+
+  /**
+   * Records the article's text as its newest revision, and clears the saving
+   * user's autosave draft, which the save supersedes.
+   * @param {object} content - The article row after the save.
+   * @param {string|null} userId - Who saved it.
+   * @param {object} [options] - { summary, restoredFrom, role: what the saver is to the article }
+   * @returns {Promise<object>} The revision.
+   */
+  static async recordRevision(content, userId, { summary = '', restoredFrom = null, role = 'author' } = {}) {
+    let revision = null;
+    // Concurrent saves of one article race for the next number; the loser takes the one after
+    for (let attempt = 1; !revision; attempt += 1) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const number = (await latestRevisionNumber(content.id)) + 1;
+        // eslint-disable-next-line no-await-in-loop
+        revision = await prisma.articleRevision.create({
+          data: {
+            contentId: content.id,
+            revision: number,
+            ...snapshot(content),
+            summary: String(summary || '').trim(),
+            authorId: userId,
+            role: userId ? role : null,
+            restoredFrom
+          }
+        });
+      } catch (error) {
+        if (error.code !== 'P2002' || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+      }
+    }
+
+    if (userId) {
+      await prisma.articleDraft.deleteMany({ where: { contentId: content.id, userId } });
+    }
+    return revision;
+  }
+
+  /**
+   * Lists an article's revisions, newest first, without their text.
+   * @param {string} contentId - The article ID.
+   * @param {object} user - The authenticated user.
+   * @param {object} options - { page, limit }
+   */
+  static async listRevisions(contentId, user, { page = 1, limit = 20 } = {}) {
+    const content = await loadEditableArticle(contentId, user, { edit: false });
+    await this.ensureHistory(content);
+
+    const where = { contentId };
+    const [revisions, total] = await Promise.all([
+      prisma.articleRevision.findMany({
+        where,
+        select: {
+          revision: true,
+          title: true,
+          summary: true,
+          role: true,
+          restoredFrom: true,
+          createdAt: true,
+          author: authorSelect
+        },
+        orderBy: { revision: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.articleRevision.count({ where })
+    ]);
+    const current = await latestRevisionNumber(contentId);
+
+    return {
+      revisions: revisions.map((revision) => ({ ...revision, current: revision.revision === current })),
+      currentRevision: current,
+      total
+    };
+  }
+
+  /**
+   * One revision with its text.
+   * @throws {AppError} 404 REVISION_NOT_FOUND
+   */
+  static async getRevision(contentId, number, user) {
+    const content = await loadEditableArticle(contentId, user, { edit: false });
+    await this.ensureHistory(content);
+
+    const revision = await prisma.articleRevision.findUnique({
+      where: { contentId_revision: { contentId, revision: number } },
+      include: { author: authorSelect }
+    });
+    if (!revision) {
+      throw new AppError(`Revision ${number} not found`, 404, 'REVISION_NOT_FOUND');
+    }
+    return { revision, content };
+  }
+
+  /**
+   * Compares two revisions: the title and description as before/after pairs
+   * (null when unchanged) and the body as a line diff.
+   * @returns {Promise<object>} { from, to, title, description, body: { stats, hunks, unified } }
+   */
+  static async diffRevisions(contentId, from, to, user) {
+    const [{ revision: older }, { revision: newer }] = await Promise.all([
+      this.getRevision(contentId, from, user),
+      this.getRevision(contentId, to, user)
+    ]);
+
+    const patch = structuredPatch(
+      `revision ${from}`,
+      `revision ${to}`,
+      `${older.body}\n`,
+      `${newer.body}\n`,
+      '',
+      '',
+      { context: DIFF_CONTEXT_LINES, timeout: DIFF_TIMEOUT_MS }
+    );
+    if (!patch) {
+      throw new AppError('These revisions differ too much to compare', 422, 'DIFF_TOO_LARGE');
+    }
+
+    const lines = patch.hunks.flatMap((hunk) => hunk.lines);
+    const changed = (field) => ((older[field] || '') === (newer[field] || '')
+      ? null
+      : { from: older[field], to: newer[field] });
+    return {
+      from,
+      to,
+      title: changed('title'),
+      description: changed('description'),
+      body: {
+        stats: {
+          added: lines.filter((line) => line.startsWith('+')).length,
+          removed: lines.filter((line) => line.startsWith('-')).length
+        },
+        hunks: patch.hunks,
+        unified: formatPatch(patch)
+      }
+    };
+  }
+
+  /**
+   * The user's autosave draft of an article. `stale` means someone saved the
+   * article after the draft was started.
+   * @throws {AppError} 404 DRAFT_NOT_FOUND
+   */
+  static async getDraft(contentId, user) {
+    await loadEditableArticle(contentId, user);
+    const draft = await prisma.articleDraft.findUnique({
+      where: { contentId_userId: { contentId, userId: user.userId } }
+    });
+    if (!draft) {
+      throw new AppError('No draft saved for this article', 404, 'DRAFT_NOT_FOUND');
+    }
+    return this.formatDraft(draft, await latestRevisionNumber(contentId));
+  }
+
+  /**
+   * Autosaves a user's edits without touching the article. Fields left out
+   * keep their drafted value.
+   * @param {string} contentId - The article ID.
+   * @param {object} user - The authenticated user.
+   * @param {object} data - { title?, content?, description?, baseRevision? }
+   */
+  static async saveDraft(contentId, user, {
+    title, content: body, description, baseRevision
+  }) {
+    const article = await loadEditableArticle(contentId, user);
+    await this.ensureHistory(article);
+    const current = await latestRevisionNumber(contentId);
+
+    const fields = { title, body, description };
+    Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+    const draft = await prisma.articleDraft.upsert({
+      where: { contentId_userId: { contentId, userId: user.userId } },
+      create: {
+        contentId, userId: user.userId, ...fields, baseRevision: baseRevision || current
+      },
+      update: { ...fields, ...(baseRevision ? { baseRevision } : {}) }
+    });
+    return this.formatDraft(draft, current);
+  }
+
+  /**
+   * Discards the user's draft.
+   * @returns {Promise<boolean>} False if there was none.
+   */
+  static async discardDraft(contentId, user) {
+    await loadEditableArticle(contentId, user);
+    const { count } = await prisma.articleDraft.deleteMany({ where: { contentId, userId: user.userId } });
+    return count > 0;
+  }
+
+  static formatDraft(draft, currentRevision) {
+    return {
+      title: draft.title,
+      content: draft.body,
+      description: draft.description,
+      baseRevision: draft.baseRevision,
+      currentRevision,
+      stale: Boolean(draft.baseRevision) && draft.baseRevision < currentRevision,
+      updatedAt: draft.updatedAt
+    };
+  }
+}
+
+module.exports = ArticleRevisionService;
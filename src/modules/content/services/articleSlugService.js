@@ -0,0 +1,127 @@
+const { prisma } = require('../../../config/database');
+const { generateSlug, removeAccents } = require('../../../utils');
+
+// Leaves room for a "-N" collision suffix within 80 characters
+const MAX_BASE_LENGTH = 74;
+const MAX_SAVE_ATTEMPTS = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Slug a title would get before any collision suffix. Accents are folded
+ * first so "Tiếng Việt" becomes "tieng-viet" rather than "ting-vit".
+ * @private
+ */
+function baseSlug(title) {
+  const folded = removeAccents(String(title || ''));
+  return generateSlug(folded).slice(0, MAX_BASE_LENGTH).replace(/-+$/, '') || 'article';
+}
+
+/**
+ * Whether `slug` is the title's base slug, with or without a collision suffix.
+ * @private
+ */
+const derivesFrom = (slug, title) => new RegExp(`^${escapeRegExp(baseSlug(title))}(-\\d+)?$`).test(slug);
+
+const isSlugConflict = (error) => error.code === 'P2002' && String(error.meta?.target || '').includes('slug');
+
+class ArticleSlugService {
+  /**
+   * The first free slug for a title: its base slug, else base-2, base-3, ...
+   * Slugs held by other articles, current or as redirects, are taken; the
+   * article's own redirects can be reclaimed.
+   * @param {string} title
+   * @param {string|null} [contentId] - The article being renamed, if any.
+   * @returns {Promise<string>}
+   */
+  static async allocate(title, contentId = null) {
+    const base = baseSlug(title);
+    const near = { OR: [{ slug: base }, { slug: { startsWith: `${base}-` } }] };
+    const others = contentId ? { NOT: { id: contentId } } : {};
+    const [articles, redirects] = await Promise.all([
+      prisma.content.findMany({ where: { ...near, ...others }, select: { slug: true } }),
+      prisma.articleSlugRedirect.findMany({
+        where: { ...near, ...(contentId ? { NOT: { contentId } } : {}) },
+        select: { slug: true }
+      })
+    ]);
+
+    const taken = new Set([...articles, ...redirects].map((entry) => entry.slug));
+    let slug = base;
+    for (let suffix = 2; taken.has(slug); suffix += 1) {
+      slug = `${base}-${suffix}`;
+    }
+    return slug;
+  }
+
+  /**
+   * Whether saving `title` should give the article a new slug. Articles from
+   * before slugs were stored get one on their next save.
+   * @param {object} content - The article row before the save.
+   * @param {string} [title] - The new title, if it is being changed.
+   */
+  static needsNewSlug(content, title) {
+    if (content.type !== 'article') return false;
+    if (!content.slug) return true;
+    return title !== undefined && !derivesFrom(content.slug, title);
+  }
+
+  /**
+   * Runs `save(slug)` with a freshly allocated slug. Two saves can allocate
+   * the same one; the loser allocates again.
+   * @param {string} title
+   * @param {string|null} contentId
+   * @param {function(string): Promise<object>} save - Writes the row with the slug.
+   */
+  static async saveWithSlug(title, contentId, save) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        return await save(await this.allocate(title, contentId));
+      } catch (error) {
+        if (!isSlugConflict(error) || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * After a rename, keeps the old slug pointing at the article and drops any
+   * redirect the article has just taken back as its slug. Drafts never had
+   * public links, so their old slugs are simply released.
+   * @param {object} previous - The article row before the rename.
+   * @param {string} slug - The new slug.
+   */
+  static async keepRedirect(previous, slug) {
+    const published = previous.status === 'published' || Boolean(previous.publishedAt);
+    await prisma.$transaction([
+      prisma.articleSlugRedirect.deleteMany({ where: { slug, contentId: previous.id } }),
+      ...(previous.slug && previous.slug !== slug && published ? [
+        prisma.articleSlugRedirect.upsert({
+          where: { slug: previous.slug },
+          create: { slug: previous.slug, contentId: previous.id },
+          update: { contentId: previous.id }
+        })
+      ] : [])
+    ]);
+  }
+
+  /**
+   * Finds the article a slug belongs to, directly or through a redirect.
+   * @param {string} slug
+   * @param {object} [include] - Prisma include for the article.
+   * @returns {Promise<{content: object|null, redirected: boolean}>}
+   */
+  static async resolve(slug, include) {
+    const content = await prisma.content.findUnique({ where: { slug }, include });
+    if (content) {
+      return { content, redirected: false };
+    }
+    const redirect = await prisma.articleSlugRedirect.findUnique({
+      where: { slug },
+      include: { content: include ? { include } : true }
+    });
+    return { content: redirect?.content || null, redirected: Boolean(redirect) };
+  }
+}
+
+module.exports = ArticleSlugService;
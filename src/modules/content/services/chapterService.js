@@ -0,0 +1,130 @@
+const { prisma } = require('../../../config/database');
+const { AppError } = require('../../../middleware/errorHandler');
+const { cache } = require('../../../config/redis');
+const { validateChapters, parseChaptersFromDescription } = require('../../../services/media/chapters');
+const HlsManifestService = require('./hlsManifestService');
+
+/**
+ * Loads a video the user may edit chapters for (its author, or an admin/moderator).
+ * @param {string} contentId - The video ID.
+ * @param {object} user - The authenticated user from the JWT.
+ * @returns {Promise<object>} The video.
+ * @private
+ */
+const verifyChapterEditor = async (contentId, user) => {
+  const content = await prisma.content.findUnique({ where: { id: contentId } });
+  if (!content || content.type !== 'video') {
+    throw new AppError('Video not found', 404, 'NOT_FOUND');
+  }
+
+  const userId = user?.id || user?.userId;
+  if (content.authorId !== userId && !['admin', 'moderator'].includes(user?.role)) {
+    throw new AppError('Unauthorized to edit chapters for this video', 403, 'UNAUTHORIZED');
+  }
+
+  return content;
+};
+
+/**
+ * Maps a path index to a position in the stored chapter list.
+ * @private
+ */
+const resolveIndex = (chapters, index) => {
+  const position = Number(index);
+  if (!Number.isInteger(position) || position < 0 || position >= chapters.length) {
+    throw new AppError('Chapter not found', 404, 'CHAPTER_NOT_FOUND');
+  }
+  return position;
+};
+
+class ChapterService {
+  /**
+   * Returns a video's chapters and where they came from: "description" when
+   * parsed from a timestamp list in the description, "manual" once edited
+   * through the chapters API.
+   * @param {object} content - The video.
+   * @returns {object} { chapters, source }
+   */
+  static formatChapters(content) {
+    const metadata = content.metadata || {};
+    return {
+      chapters: metadata.chapters || [],
+      source: metadata.chaptersSource || null
+    };
+  }
+
+  /**
+   * Replaces all chapters. An empty list hands chapters back to the description,
+   * which is parsed again.
+   * @param {string} contentId - The video ID.
+   * @param {Array} chapters - { start, title } with start in seconds or as a timestamp.
+   * @param {object} user - The authenticated user.
+   * @returns {Promise<object>} { chapters, source }
+   */
+  static async replaceChapters(contentId, chapters, user) {
+    const content = await verifyChapterEditor(contentId, user);
+    if (Array.isArray(chapters) && chapters.length === 0) {
+      const parsed = parseChaptersFromDescription(content.description, content.metadata?.duration);
+      return this.saveChapters(content, parsed, parsed.length > 0 ? 'description' : null);
+    }
+    return this.saveChapters(content, this.validate(chapters, content), 'manual');
+  }
+
+  static async addChapter(contentId, chapter, user) {
+    const content = await verifyChapterEditor(contentId, user);
+    const existing = content.metadata?.chapters || [];
+    return this.saveChapters(content, this.validate([...existing, chapter], content), 'manual');
+  }
+
+  static async updateChapter(contentId, index, chapter, user) {
+    const content = await verifyChapterEditor(contentId, user);
+    const existing = [...(content.metadata?.chapters || [])];
+    const position = resolveIndex(existing, index);
+    existing[position] = { ...existing[position], ...chapter };
+    return this.saveChapters(content, this.validate(existing, content), 'manual');
+  }
+
+  static async deleteChapter(contentId, index, user) {
+    const content = await verifyChapterEditor(contentId, user);
+    const existing = [...(content.metadata?.chapters || [])];
+    existing.splice(resolveIndex(existing, index), 1);
+    return this.saveChapters(content, this.validate(existing, content), 'manual');
+  }
+
+  /**
+   * Validates chapters against the video's duration (once processing has
+   * measured it) and throws a 400 listing every problem.
+   * @param {Array} chapters - Candidate chapter list.
+   * @param {object} content - The video.
+   * @returns {Array} Sorted chapters with end times.
+   */
+  static validate(chapters, content) {
+    const { chapters: valid, errors } = validateChapters(
+      (chapters || []).map(({ start, title }) => ({ start, title })),
+      content.metadata?.duration
+    );
+    if (errors.length > 0) {
+      throw new AppError(`Invalid chapters: ${errors.join('; ')}`, 400, 'INVALID_CHAPTERS');
+    }
+    return valid;
+  }
+
+  /**
+   * Stores chapters on the video's metadata and republishes the chapters track.
+   * @param {object} content - The video.
+   * @param {Array} chapters - Validated chapters.
+   * @param {string|null} source - "manual", "description" or null.
+   * @returns {Promise<object>} { chapters, source }
+   */
+  static async saveChapters(content, chapters, source) {
+    const updated = await prisma.content.update({
+      where: { id: content.id },
+      data: { metadata: { ...(content.metadata || {}), chapters, chaptersSource: source } }
+    });
+    await HlsManifestService.publishChapters(content.id, chapters);
+    await cache.del(`content:${content.id}`);
+    return this.formatChapters(updated);
+  }
+}
+
+module.exports = ChapterService;
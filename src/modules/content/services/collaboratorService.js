@@ -0,0 +1,301 @@
+const { prisma } = require('../../../config/database');
+const { cache } = require('../../../config/redis');
+const { AppError } = require('../../../middleware/errorHandler');
+const NotificationService = require('../../notifications/services/notificationService');
+
+const STAFF_ROLES = ['admin', 'moderator'];
+// Co-authors are credited next to the author and editors edit without credit.
+// Viewers can read the item and its history while it is still a draft.
+const COLLABORATOR_ROLES = ['coauthor', 'editor', 'viewer'];
+const EDITING_ROLES = ['coauthor', 'editor'];
+const COLLABORATIVE_TYPES = ['article', 'document'];
+
+// How an invitation describes each role: "... invited you to co-author "Title""
+const INVITE_PHRASES = { coauthor: 'co-author', editor: 'edit', viewer: 'read the draft of' };
+
+const userSelect = {
+  select: {
+    id: true,
+    username: true,
+    profile: { select: { displayName: true, avatarUrl: true } }
+  }
+};
+
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+const nameOf = (user) => user?.profile?.displayName || user?.username || 'Someone';
+
+/**
+ * Loads an article or document; other content types have no collaborators.
+ * @private
+ */
+async function loadContent(contentId) {
+  const content = await prisma.content.findUnique({
+    where: { id: contentId },
+    select: {
+      id: true, type: true, title: true, authorId: true
+    }
+  });
+  if (!content) {
+    throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
+  }
+  if (!COLLABORATIVE_TYPES.includes(content.type)) {
+    throw new AppError('Only articles and documents can have collaborators', 400, 'INVALID_CONTENT_TYPE');
+  }
+  return content;
+}
+
+/**
+ * loadContent, for the author or staff only.
+ * @private
+ */
+async function loadManagedContent(contentId, user, message) {
+  const content = await loadContent(contentId);
+  if (content.authorId !== user.userId && !isStaff(user)) {
+    throw new AppError(message, 403, 'UNAUTHORIZED');
+  }
+  return content;
+}
+
+async function notify(userId, title, message, data) {
+  try {
+    await NotificationService.createNotification(userId, 'collaboration', title, message, data);
+  } catch (error) {
+    console.error(`Failed to send collaboration notification to ${userId}:`, error.message || error);
+  }
+}
+
+class CollaboratorService {
+  /**
+   * The role a user has accepted on an item, or null (not invited, or not yet accepted).
+   * @param {string} contentId
+   * @param {string|null} userId
+   */
+  static async acceptedRole(contentId, userId) {
+    if (!userId) return null;
+    const collaborator = await prisma.contentCollaborator.findUnique({
+      where: { contentId_userId: { contentId, userId } },
+      select: { role: true, status: true }
+    });
+    return collaborator?.status === 'accepted' ? collaborator.role : null;
+  }
+
+  /**
+   * What a user is to an item: author, coauthor, editor, viewer or staff, or
+   * null for anyone else. Staff who are only viewers count as staff.
+   * @param {{id: string, authorId: string}} content
+   * @param {{userId: string, role: string}|null} user
+   */
+  static async relationOf(content, user) {
+    if (!user) return null;
+    if (content.authorId === user.userId) return 'author';
+    const role = await this.acceptedRole(content.id, user.userId);
+    if (EDITING_ROLES.includes(role)) return role;
+    return isStaff(user) ? 'staff' : role;
+  }
+
+  /**
+   * Whether a relation from relationOf allows editing the item.
+   * @param {string|null} relation
+   */
+  static canEdit(relation) {
+    return relation === 'author' || relation === 'staff' || EDITING_ROLES.includes(relation);
+  }
+
+  /**
+   * Prisma include for the collaborators shown with an item: accepted co-authors
+   * and editors, in the order they joined.
+   */
+  static creditsInclude() {
+    return {
+      collaborators: {
+        where: { status: 'accepted', role: { in: EDITING_ROLES } },
+        select: { role: true, user: userSelect },
+        orderBy: { createdAt: 'asc' }
+      }
+    };
+  }
+
+  /**
+   * The collaborators shown with an item; see creditsInclude.
+   * @param {string} contentId
+   */
+  static async credits(contentId) {
+    const { collaborators } = await prisma.content.findUnique({
+      where: { id: contentId },
+      select: this.creditsInclude()
+    }) || { collaborators: [] };
+    return collaborators;
+  }
+
+  /**
+   * Prisma filter for items a user has co-authored, for author listings.
+   * @param {string} userId
+   */
+  static coauthoredBy(userId) {
+    return { collaborators: { some: { userId, status: 'accepted', role: 'coauthor' } } };
+  }
+
+  /**
+   * Everyone invited to an item, with where their invitation stands. Open to
+   * the author, staff and accepted collaborators.
+   * @param {string} contentId
+   * @param {object} user - The authenticated user.
+   */
+  static async listCollaborators(contentId, user) {
+    const content = await loadContent(contentId);
+    if (!(await this.relationOf(content, user))) {
+      throw new AppError('Unauthorized to view the collaborators of this content', 403, 'UNAUTHORIZED');
+    }
+    return prisma.contentCollaborator.findMany({
+      where: { contentId },
+      include: { user: userSelect, invitedBy: userSelect },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Invites a user to an item, or changes the role of someone already on it.
+   * A new invitation, or one sent again after being declined, waits for the
+   * user to accept it; they are notified. Accepted collaborators just get the
+   * new role.
+   * @param {string} contentId
+   * @param {object} user - The authenticated user (the author or staff).
+   * @param {string} targetUserId - Who to invite.
+   * @param {string} role - coauthor, editor or viewer.
+   */
+  static async invite(contentId, user, targetUserId, role) {
+    const content = await loadManagedContent(contentId, user, 'Only the author can invite collaborators');
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      throw new AppError(`role must be one of: ${COLLABORATOR_ROLES.join(', ')}`, 400, 'INVALID_REQUEST');
+    }
+    if (targetUserId === content.authorId) {
+      throw new AppError('The author cannot be invited to their own content', 400, 'INVALID_REQUEST');
+    }
+    const [target, inviter, existing] = await Promise.all([
+      prisma.user.findUnique({ where: { id: targetUserId }, select: { id: true } }),
+      prisma.user.findUnique({ where: { id: user.userId }, ...userSelect }),
+      prisma.contentCollaborator.findUnique({ where: { contentId_userId: { contentId, userId: targetUserId } } })
+    ]);
+    if (!target) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const accepted = existing?.status === 'accepted';
+    const collaborator = await prisma.contentCollaborator.upsert({
+      where: { contentId_userId: { contentId, userId: targetUserId } },
+      create: {
+        contentId, userId: targetUserId, role, invitedById: user.userId
+      },
+      update: accepted ? { role } : {
+        role, status: 'pending', invitedById: user.userId, respondedAt: null
+      },
+      include: { user: userSelect, invitedBy: userSelect }
+    });
+
+    if (accepted) {
+      await cache.del(`content:${contentId}`);
+    } else {
+      await notify(
+        targetUserId,
+        'Collaboration invitation',
+        `${nameOf(inviter)} invited you to ${INVITE_PHRASES[role]} "${content.title}"`,
+        {
+          contentId,
+          contentType: content.type,
+          contentTitle: content.title,
+          role,
+          invitedById: user.userId,
+          acceptUrl: `/api/content/collaborations/${contentId}/accept`,
+          declineUrl: `/api/content/collaborations/${contentId}/decline`
+        }
+      );
+    }
+    return collaborator;
+  }
+
+  /**
+   * Takes a user off an item. The author and staff can remove anyone;
+   * collaborators can remove themselves.
+   */
+  static async removeCollaborator(contentId, user, targetUserId) {
+    if (targetUserId === user.userId) {
+      await loadContent(contentId);
+    } else {
+      await loadManagedContent(contentId, user, 'Only the author can remove other collaborators');
+    }
+    const { count } = await prisma.contentCollaborator.deleteMany({ where: { contentId, userId: targetUserId } });
+    if (count === 0) {
+      throw new AppError('This user is not a collaborator', 404, 'COLLABORATOR_NOT_FOUND');
+    }
+    await cache.del(`content:${contentId}`);
+  }
+
+  /**
+   * The user's invitations, pending ones by default.
+   * @param {object} user - The authenticated user.
+   * @param {object} [options] - { status: pending, accepted, declined or all }
+   */
+  static async listInvitations(user, { status = 'pending' } = {}) {
+    return prisma.contentCollaborator.findMany({
+      where: { userId: user.userId, ...(status === 'all' ? {} : { status }) },
+      include: {
+        content: {
+          select: {
+            id: true, type: true, title: true, status: true, author: userSelect
+          }
+        },
+        invitedBy: userSelect
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Accepts or declines the user's pending invitation to an item, and lets
+   * whoever invited them know.
+   * @param {string} contentId
+   * @param {object} user - The authenticated user.
+   * @param {boolean} accept
+   * @throws {AppError} 404 INVITATION_NOT_FOUND
+   */
+  static async respond(contentId, user, accept) {
+    const status = accept ? 'accepted' : 'declined';
+    const { count } = await prisma.contentCollaborator.updateMany({
+      where: { contentId, userId: user.userId, status: 'pending' },
+      data: { status, respondedAt: new Date() }
+    });
+    if (count === 0) {
+      throw new AppError('No pending invitation for this content', 404, 'INVITATION_NOT_FOUND');
+    }
+
+    const collaborator = await prisma.contentCollaborator.findUnique({
+      where: { contentId_userId: { contentId, userId: user.userId } },
+      include: {
+        user: userSelect,
+        content: {
+          select: {
+            id: true, type: true, title: true, authorId: true
+          }
+        }
+      }
+    });
+    await cache.del(`content:${contentId}`);
+
+    const { content } = collaborator;
+    await notify(
+      collaborator.invitedById || content.authorId,
+      accept ? 'Collaboration invitation accepted' : 'Collaboration invitation declined',
+      `${nameOf(collaborator.user)} ${status} your invitation to ${INVITE_PHRASES[collaborator.role]} "${content.title}"`,
+      {
+        contentId,
+        contentType: content.type,
+        contentTitle: content.title,
+        role: collaborator.role,
+        userId: user.userId
+      }
+    );
+    return collaborator;
+  }
+}
+
+module.exports = CollaboratorService;
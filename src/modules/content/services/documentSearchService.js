@@ -0,0 +1,198 @@
+const { prisma } = require('../../../config/database');
+const { AppError } = require('../../../middleware/errorHandler');
+const FolderService = require('./folderService');
+
+const MAX_TERMS = 10;
+// Characters of page text kept on each side of a hit in its snippet
+const SNIPPET_CONTEXT = 60;
+// Hits returned per document in library results
+const LIBRARY_HITS_PER_DOCUMENT = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const squash = (text) => text.replace(/\s+/g, ' ');
+
+/**
+ * Split a query into words and "quoted phrases". Every term must appear on a
+ * page for it to match. Words inside a phrase may be split by any whitespace,
+ * since extracted text breaks lines wherever the page did.
+ * @private
+ */
+function parseQuery(q) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match = pattern.exec(q);
+  while (match && terms.length < MAX_TERMS) {
+    const words = (match[1] !== undefined ? match[1] : match[2].replace(/"/g, '')).split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+      terms.push({
+        text: words.join(' '),
+        phrase: words.length > 1,
+        words,
+        regex: new RegExp(words.map(escapeRegExp).join('\\s+'), 'giu')
+      });
+    }
+    match = pattern.exec(q);
+  }
+  if (terms.length === 0) {
+    throw new AppError('Search query is required', 400, 'VALIDATION_ERROR');
+  }
+  return terms;
+}
+
+/**
+ * Prisma filter for pages containing every word of every term. Phrases are
+ * checked for adjacency afterwards, in findHits.
+ * @private
+ */
+const pageFilter = (terms) => ({
+  AND: [...new Set(terms.flatMap((term) => term.words.map((word) => word.toLowerCase())))]
+    .map((word) => ({ text: { contains: word, mode: 'insensitive' } }))
+});
+
+/**
+ * Snippet around a hit, HTML-escaped, with the hit wrapped in <mark>.
+ * @private
+ */
+function highlight(text, start, end) {
+  const from = Math.max(0, start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, end + SNIPPET_CONTEXT);
+  return [
+    from > 0 ? '…' : '',
+    escapeHtml(squash(text.slice(from, start)).trimStart()),
+    `<mark>${escapeHtml(squash(text.slice(start, end)))}</mark>`,
+    escapeHtml(squash(text.slice(end, to)).trimEnd()),
+    to < text.length ? '…' : ''
+  ].join('');
+}
+
+/**
+ * Hits on one page, in reading order; empty unless every term occurs on it.
+ * Offsets index into the page's text (as in text.json); end is exclusive.
+ * @private
+ */
+function findHits(page, terms) {
+  const hits = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const term of terms) {
+    const found = [...page.text.matchAll(term.regex)];
+    if (found.length === 0) return [];
+    found.forEach((match) => hits.push({
+      page: page.page,
+      start: match.index,
+      end: match.index + match[0].length,
+      term: term.text,
+      snippet: highlight(page.text, match.index, match.index + match[0].length)
+    }));
+  }
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+const hitsForPages = (pages, terms) => pages
+  .sort((a, b) => a.page - b.page)
+  .flatMap((page) => findHits(page, terms));
+
+class DocumentSearchService {
+  /**
+   * Replace the searchable text of a document with its extracted pages.
+   * @param {string} contentId
+   * @param {Array<{page: number, text: string}>} pages
+   */
+  static async indexPages(contentId, pages) {
+    await prisma.$transaction([
+      prisma.documentPage.deleteMany({ where: { contentId } }),
+      prisma.documentPage.createMany({
+        data: pages.map((page) => ({ contentId, page: page.page, text: page.text || '' }))
+      })
+    ]);
+  }
+
+  /**
+   * Search inside one document.
+   * @param {string} contentId
+   * @param {string} q - Words and "quoted phrases", all of which must be on the page
+   * @param {{limit: number}} options
+   * @returns {Promise<{terms: string[], totalHits: number, pages: Array, hits: Array}>}
+   *   pages lists every matching page with its hit count; hits holds the first `limit` hits
+   */
+  static async searchDocument(contentId, q, { limit = 50 } = {}) {
+    const terms = parseQuery(q);
+    const pages = await prisma.documentPage.findMany({
+      where: { contentId, ...pageFilter(terms) },
+      select: { page: true, text: true }
+    });
+    const hits = hitsForPages(pages, terms);
+    const perPage = new Map();
+    hits.forEach((hit) => perPage.set(hit.page, (perPage.get(hit.page) || 0) + 1));
+
+    return {
+      terms: terms.map((term) => term.text),
+      totalHits: hits.length,
+      pages: [...perPage].map(([page, count]) => ({ page, hits: count })),
+      hits: hits.slice(0, limit)
+    };
+  }
+
+  /**
+   * Search across a user's library: documents they wrote and documents in the
+   * folders they own or that are shared with them, or only those below
+   * `folderId`. total counts the documents whose pages contain every word;
+   * the few among them where a phrase's words are not adjacent are left out
+   * of the results.
+   * @param {{userId: string, role: string}} user
+   * @param {string} q
+   * @param {{folderId?: string, page: number, limit: number}} options
+   */
+  static async searchLibrary(user, q, { folderId, page = 1, limit = 20 } = {}) {
+    const terms = parseQuery(q);
+    const scope = folderId
+      ? { folderId: { in: await FolderService.viewableSubtree(folderId, user) } }
+      : { OR: [{ authorId: user.userId }, { folderId: { in: await FolderService.libraryFolderIds(user) } }] };
+    const where = {
+      type: 'document',
+      ...scope,
+      documentPages: { some: pageFilter(terms) }
+    };
+
+    const [documents, total] = await Promise.all([
+      prisma.content.findMany({
+        where,
+        select: {
+          id: true, title: true, folderId: true, updatedAt: true, metadata: true
+        },
+        orderBy: { updatedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.content.count({ where })
+    ]);
+
+    const pages = documents.length > 0 ? await prisma.documentPage.findMany({
+      where: { contentId: { in: documents.map((document) => document.id) }, ...pageFilter(terms) },
+      select: { contentId: true, page: true, text: true }
+    }) : [];
+
+    const results = documents.map((document) => {
+      const hits = hitsForPages(pages.filter((entry) => entry.contentId === document.id), terms);
+      return {
+        documentId: document.id,
+        title: document.title,
+        folderId: document.folderId,
+        pageCount: document.metadata?.pageCount || 0,
+        updatedAt: document.updatedAt,
+        totalHits: hits.length,
+        hits: hits.slice(0, LIBRARY_HITS_PER_DOCUMENT)
+      };
+    }).filter((result) => result.totalHits > 0);
+
+    return { terms: terms.map((term) => term.text), results, total };
+  }
+}
+
+module.exports = DocumentSearchService;
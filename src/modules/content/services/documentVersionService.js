@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const path = require('path');
+const { structuredPatch, formatPatch } = require('diff');
+const { prisma } = require('../../../config/database');
+const { cache } = require('../../../config/redis');
+const { getBucketName } = require('../../../config/minio');
+const { AppError } = require('../../../middleware/errorHandler');
+const { getObjectBuffer, putObjectBuffer, copyObject } = require('../../../services/media/minioMediaStore');
+const CollaboratorService = require('./collaboratorService');
+
+const MAX_CHANGE_NOTE_LENGTH = 500;
+const DIFF_CONTEXT_LINES = 3;
+// Diffs of very different long texts are expensive; give up rather than block the process
+const DIFF_TIMEOUT_MS = 2000;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * MinIO prefix for a version's file and extracted text. It sits under the
+ * document's docs/ prefix, so it is accounted and reaped with the document.
+ * @private
+ */
+const versionPrefix = (contentId, version) => `docs/${contentId}/versions/${version}`;
+
+const uploaderSelect = {
+  select: {
+    id: true,
+    username: true,
+    profile: { select: { displayName: true } }
+  }
+};
+
+/**
+ * Loads a document the user may add versions to (its author, a co-author or
+ * editor, or an admin/moderator).
+ * @private
+ */
+async function loadEditableDocument(contentId, user) {
+  const content = await prisma.content.findUnique({ where: { id: contentId } });
+  if (!content) {
+    throw new AppError('Content not found', 404, 'CONTENT_NOT_FOUND');
+  }
+  if (content.type !== 'document') {
+    throw new AppError('Content is not a document', 400, 'INVALID_CONTENT_TYPE');
+  }
+  if (!CollaboratorService.canEdit(await CollaboratorService.relationOf(content, user))) {
+    throw new AppError('Unauthorized to change this document', 403, 'UNAUTHORIZED');
+  }
+  return content;
+}
+
+function normalizeChangeNote(changeNote) {
+  const note = String(changeNote || '').trim();
+  if (note.length > MAX_CHANGE_NOTE_LENGTH) {
+    throw new AppError(`changeNote cannot exceed ${MAX_CHANGE_NOTE_LENGTH} characters`, 400, 'VALIDATION_ERROR');
+  }
+  return note;
+}
+
+/**
+ * Creates the next version row from `buildData(number)`. Two saves racing for
+ * the same number lose the unique constraint; the loser is told to retry.
+ * @private
+ */
+async function createNextVersion(contentId, buildData) {
+  const latest = await prisma.documentVersion.findFirst({
+    where: { contentId },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+  const version = (latest?.version || 0) + 1;
+  try {
+    return await prisma.documentVersion.create({ data: { contentId, version, ...buildData(version) } });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new AppError('Another version was saved at the same time, try again', 409, 'VERSION_CONFLICT');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Points the document at a version's file and queues it for processing again.
+ * @private
+ */
+async function makeCurrent(content, version, metadata = {}) {
+  const updated = await prisma.content.update({
+    where: { id: content.id },
+    data: {
+      processingStatus: 'queued',
+      metadata: {
+        ...(content.metadata || {}),
+        uploadPath: version.objectKey,
+        documentUrl: `s3://${getBucketName()}/${version.objectKey}`,
+        originalName: version.filename,
+        mimetype: version.mimetype,
+        extension: path.extname(version.filename).toLowerCase(),
+        fileSize: version.size,
+        currentVersion: version.version,
+        // The worker fills these in again from the new file
+        processingStatus: 'queued',
+        error: null,
+        failedStage: null,
+        pageCount: 0,
+        textContent: null,
+        textTruncated: false,
+        previewText: null,
+        pageThumbnails: [],
+        outline: [],
+        pdfRendition: null,
+        conversionError: null,
+        ...metadata
+      }
+    }
+  });
+  await cache.del(`content:${content.id}`);
+  return updated;
+}
+
+async function loadVersionText(contentId, version) {
+  if (!version.textKey) {
+    throw new AppError(
+      `The text of version ${version.version} has not been extracted yet`,
+      409,
+      'VERSION_TEXT_NOT_READY'
+    );
+  }
+  const { pages } = JSON.parse((await getObjectBuffer(version.textKey)).toString('utf8'));
+  return pages.map((entry) => entry.text).filter(Boolean).join('\n\n');
+}
+
+class DocumentVersionService {
+  /**
+   * Records the first version of a newly uploaded document.
+   * @param {string} contentId - The document ID.
+   * @param {object} upload - { objectKey, buffer, filename, mimetype, userId }
+   */
+  static async recordInitialVersion(contentId, {
+    objectKey, buffer, filename, mimetype, userId
+  }) {
+    return prisma.documentVersion.create({
+      data: {
+        contentId,
+        version: 1,
+        objectKey,
+        filename,
+        mimetype,
+        size: buffer.length,
+        checksum: sha256(buffer),
+        uploadedById: userId
+      }
+    });
+  }
+
+  /**
+   * Documents uploaded before versions were kept get their current file
+   * recorded as version 1 the first time their history is needed.
+   * @param {object} content - The document row.
+   */
+  static async ensureHistory(content) {
+    const existing = await prisma.documentVersion.count({ where: { contentId: content.id } });
+    const uploadPath = content.metadata?.uploadPath;
+    if (existing > 0 || !uploadPath) return;
+
+    const buffer = await getObjectBuffer(uploadPath);
+    let textKey = null;
+    if (content.metadata?.textUrl) {
+      textKey = `${versionPrefix(content.id, 1)}/text.json`;
+      await copyObject(`docs/${content.id}/text.json`, textKey).catch((error) => {
+        console.error(`Failed to keep the text of ${content.id} as version 1: ${error.message}`);
+        textKey = null;
+      });
+    }
+
+    try {
+      await prisma.documentVersion.create({
+        data: {
+          contentId: content.id,
+          version: 1,
+          objectKey: uploadPath,
+          filename: content.metadata.originalName || path.basename(uploadPath),
+          mimetype: content.metadata.mimetype || 'application/octet-stream',
+          size: buffer.length,
+          checksum: sha256(buffer),
+          uploadedById: content.authorId,
+          textKey,
+          createdAt: content.createdAt
+        }
+      });
+    } catch (error) {
+      // Another request recorded it first
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+
+  /**
+   * Stores a new file for a document as its next version and makes it current.
+   * @param {string} contentId - The document ID.
+   * @param {object} file - The multer file (memory storage).
+   * @param {object} user - The authenticated user.
+   * @param {object} [options] - { changeNote: what changed, validation: result of the upload checks }
+   * @returns {Promise<{document: object, version: object}>}
+   */
+  static async uploadVersion(contentId, file, user, { changeNote, validation } = {}) {
+    const content = await loadEditableDocument(contentId, user);
+    const note = normalizeChangeNote(changeNote);
+    await this.ensureHistory(content);
+
+    const filename = path.basename(file.originalname || 'document');
+    const mimetype = file.mimetype || 'application/octet-stream';
+    // The row claims the version number before anything is written to its key
+    const version = await createNextVersion(contentId, (number) => ({
+      objectKey: `${versionPrefix(contentId, number)}/${filename}`,
+      filename,
+      mimetype,
+      size: file.buffer.length,
+      checksum: sha256(file.buffer),
+      changeNote: note,
+      uploadedById: user.userId
+    }));
+    try {
+      await putObjectBuffer(version.objectKey, file.buffer, mimetype);
+    } catch (error) {
+      await prisma.documentVersion.delete({ where: { id: version.id } });
+      throw error;
+    }
+
+    const document = await makeCurrent(content, version, { validation });
+    return { document, version };
+  }
+
+  /**
+   * Rolls a document back by saving an earlier version again as the newest
+   * one, so the history itself is never rewritten.
+   * @param {string} contentId - The document ID.
+   * @param {number} number - The version to restore.
+   * @param {object} user - The authenticated user.
+   * @param {string} [changeNote] - Defaults to "Restored version N".
+   * @returns {Promise<{document: object, version: object}>}
+   */
+  static async restoreVersion(contentId, number, user, changeNote) {
+    const content = await loadEditableDocument(contentId, user);
+    const note = normalizeChangeNote(changeNote) || `Restored version ${number}`;
+    await this.ensureHistory(content);
+
+    const target = await this.getVersion(contentId, number);
+    if (content.metadata?.uploadPath === target.objectKey) {
+      throw new AppError(`Version ${number} is already the current file`, 409, 'VERSION_IS_CURRENT');
+    }
+
+    const version = await createNextVersion(contentId, () => ({
+      objectKey: target.objectKey,
+      filename: target.filename,
+      mimetype: target.mimetype,
+      size: target.size,
+      checksum: target.checksum,
+      changeNote: note,
+      uploadedById: user.userId,
+      restoredFrom: target.version
+    }));
+
+    const document = await makeCurrent(content, version);
+    return { document, version };
+  }
+
+  /**
+   * Lists a document's versions, newest first.
+   * @param {object} content - The document row.
+   */
+  static async listVersions(content) {
+    await this.ensureHistory(content);
+    const versions = await prisma.documentVersion.findMany({
+      where: { contentId: content.id },
+      include: { uploadedBy: uploaderSelect },
+      orderBy: { version: 'desc' }
+    });
+    return versions.map((version, index) => this.formatVersion(version, index === 0));
+  }
+
+  /**
+   * One version of a document.
+   * @throws {AppError} 404 VERSION_NOT_FOUND
+   */
+  static async getVersion(contentId, number) {
+    const version = await prisma.documentVersion.findUnique({
+      where: { contentId_version: { contentId, version: number } }
+    });
+    if (!version) {
+      throw new AppError(`Version ${number} not found`, 404, 'VERSION_NOT_FOUND');
+    }
+    return version;
+  }
+
+  /**
+   * Line diff between the extracted text of two versions.
+   * @param {object} content - The document row.
+   * @param {number} from - Older side.
+   * @param {number} to - Newer side.
+   * @returns {Promise<object>} { from, to, stats: { added, removed }, hunks, unified }
+   */
+  static async diffVersions(content, from, to) {
+    await this.ensureHistory(content);
+    const [fromVersion, toVersion] = await Promise.all([
+      this.getVersion(content.id, from),
+      this.getVersion(content.id, to)
+    ]);
+    const [fromText, toText] = await Promise.all([
+      loadVersionText(content.id, fromVersion),
+      loadVersionText(content.id, toVersion)
+    ]);
+
+    const patch = structuredPatch(`version ${from}`, `version ${to}`, `${fromText}\n`, `${toText}\n`, '', '', {
+      context: DIFF_CONTEXT_LINES,
+      timeout: DIFF_TIMEOUT_MS
+    });
+    if (!patch) {
+      throw new AppError('These versions differ too much to compare', 422, 'DIFF_TOO_LARGE');
+    }
+
+    const lines = patch.hunks.flatMap((hunk) => hunk.lines);
+    return {
+      from,
+      to,
+      stats: {
+        added: lines.filter((line) => line.startsWith('+')).length,
+        removed: lines.filter((line) => line.startsWith('-')).length
+      },
+      hunks: patch.hunks,
+      unified: formatPatch(patch)
+    };
+  }
+
+  /**
+   * Stores the extracted text of a version, for diffs. Called by the document worker.
+   * @param {string} contentId - The document ID.
+   * @param {number} number - The version the text was extracted from.
+   * @param {Buffer} textJson - The text.json contents.
+   */
+  static async saveVersionText(contentId, number, textJson) {
+    const textKey = `${versionPrefix(contentId, number)}/text.json`;
+    await putObjectBuffer(textKey, textJson, 'application/json');
+    await prisma.documentVersion.updateMany({ where: { contentId, version: number }, data: { textKey } });
+  }
+
+  static formatVersion(version, current = false) {
+    return {
+      version: version.version,
+      filename: version.filename,
+      mimetype: version.mimetype,
+      size: version.size,
+      checksum: version.checksum,
+      changeNote: version.changeNote,
+      restoredFrom: version.restoredFrom,
+      uploadedBy: version.uploadedBy || (version.uploadedById ? { id: version.uploadedById } : null),
+      createdAt: version.createdAt,
+      textAvailable: Boolean(version.textKey),
+      current
+    };
+  }
+}
+
+module.exports = DocumentVersionService;
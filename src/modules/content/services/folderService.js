@@ -0,0 +1,493 @@
+const { prisma } = require('../../../config/database');
+const { cache } = require('../../../config/redis');
+const { AppError } = require('../../../middleware/errorHandler');
+
+const MAX_DEPTH = 10;
+const STAFF_ROLES = ['admin', 'moderator'];
+
+// What each level of access allows, lowest first. "public" is what anyone gets
+// from a public folder; shares grant viewer or editor.
+const ACCESS_RANK = {
+  public: 1, viewer: 2, editor: 3, owner: 4
+};
+const SHARE_ROLES = ['viewer', 'editor'];
+
+const higherRole = (a, b) => ((ACCESS_RANK[b] || 0) > (ACCESS_RANK[a] || 0) ? b : a);
+
+const folderCounts = { _count: { select: { documents: true, children: true } } };
+
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+/**
+ * The folder followed by its ancestors, nearest first.
+ * @private
+ */
+async function getAncestry(folderId) {
+  const chain = [];
+  let nextId = folderId;
+  while (nextId && chain.length <= MAX_DEPTH) {
+    // eslint-disable-next-line no-await-in-loop
+    const folder = await prisma.folder.findUnique({ where: { id: nextId } });
+    if (!folder) break;
+    chain.push(folder);
+    nextId = folder.parentId;
+  }
+  return chain;
+}
+
+/**
+ * Ids of a folder and everything below it, with the depth of its subtree.
+ * `filter` narrows which descendants are followed.
+ * @private
+ */
+async function getSubtree(folderId, filter = {}) {
+  const ids = [folderId];
+  let level = [folderId];
+  let height = 1;
+  while (level.length > 0) {
+    // eslint-disable-next-line no-await-in-loop
+    const children = await prisma.folder.findMany({
+      where: { parentId: { in: level }, ...filter },
+      select: { id: true }
+    });
+    level = children.map((child) => child.id);
+    ids.push(...level);
+    if (level.length > 0) height += 1;
+  }
+  return { ids, height };
+}
+
+async function assertUniqueName(ownerId, parentId, name, exceptId = null) {
+  const existing = await prisma.folder.findFirst({
+    where: {
+      ownerId, parentId, name: { equals: name, mode: 'insensitive' }, ...(exceptId ? { id: { not: exceptId } } : {})
+    },
+    select: { id: true }
+  });
+  if (existing) {
+    throw new AppError('A folder with this name already exists here', 409, 'FOLDER_EXISTS');
+  }
+}
+
+class FolderService {
+  /**
+   * Work out what a user may do with a folder. The owner has full access. A
+   * private folder hides itself and everything below it from everyone else;
+   * shares and public visibility on a folder reach every non-private folder
+   * below it.
+   * @param {string} folderId
+   * @param {{userId: string, role: string}|null} user
+   * @returns {Promise<{folder: object, chain: object[], role: string|null}>}
+   *   role is owner, editor, viewer, public or null
+   */
+  static async getAccess(folderId, user) {
+    const chain = await getAncestry(folderId);
+    if (chain.length === 0) {
+      throw new AppError('Folder not found', 404, 'FOLDER_NOT_FOUND');
+    }
+    const [folder] = chain;
+    if (user && (folder.ownerId === user.userId || isStaff(user))) {
+      return { folder, chain, role: 'owner' };
+    }
+
+    const shares = user ? await prisma.folderShare.findMany({
+      where: { userId: user.userId, folderId: { in: chain.map((entry) => entry.id) } }
+    }) : [];
+    let role = null;
+    // eslint-disable-next-line no-restricted-syntax
+    for (const entry of chain) {
+      if (entry.visibility === 'private') break;
+      if (entry.visibility === 'public') role = higherRole(role, 'public');
+      const share = shares.find((candidate) => candidate.folderId === entry.id);
+      if (share) role = higherRole(role, share.role);
+    }
+    return { folder, chain, role };
+  }
+
+  /**
+   * getAccess, failing unless the user has at least `needed` access. Folders the
+   * user cannot see at all are reported as missing.
+   */
+  static async requireAccess(folderId, user, needed) {
+    const access = await FolderService.getAccess(folderId, user);
+    if (!access.role) {
+      throw new AppError('Folder not found', 404, 'FOLDER_NOT_FOUND');
+    }
+    if (ACCESS_RANK[access.role] < ACCESS_RANK[needed]) {
+      throw new AppError('You do not have permission to do this in this folder', 403, 'FOLDER_FORBIDDEN');
+    }
+    return access;
+  }
+
+  /**
+   * Whether a user may open a private document through a folder shared with them.
+   * @param {{folderId: string|null}} document
+   * @param {{userId: string, role: string}|null} user
+   */
+  static async canViewDocument(document, user) {
+    if (!document.folderId || !user) return false;
+    try {
+      const { role } = await FolderService.getAccess(document.folderId, user);
+      return ACCESS_RANK[role] >= ACCESS_RANK.viewer;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Ids of the folders whose documents a user can open below `folderId`: the
+   * whole subtree for its owner, otherwise the non-private folders.
+   */
+  static async viewableSubtree(folderId, user) {
+    const { role } = await FolderService.requireAccess(folderId, user, 'viewer');
+    const { ids } = await getSubtree(folderId, role === 'owner' ? {} : { visibility: { not: 'private' } });
+    return ids;
+  }
+
+  /**
+   * Ids of every folder in a user's library: the folders they own, and the
+   * folders shared with them together with what those folders reach.
+   */
+  static async libraryFolderIds(user) {
+    const [owned, shares] = await Promise.all([
+      prisma.folder.findMany({ where: { ownerId: user.userId }, select: { id: true } }),
+      prisma.folderShare.findMany({ where: { userId: user.userId }, select: { folderId: true } })
+    ]);
+    const ids = new Set(owned.map((folder) => folder.id));
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { folderId } of shares) {
+      if (!ids.has(folderId)) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          (await FolderService.viewableSubtree(folderId, user)).forEach((id) => ids.add(id));
+        } catch (error) {
+          // Shares on folders that are private or sit under a private folder grant nothing
+          if (!(error instanceof AppError)) throw error;
+        }
+      }
+    }
+    return [...ids];
+  }
+
+  /**
+   * Create a folder. Subfolders belong to the owner of the tree they are created
+   * in, so editors of a shared folder can add to it.
+   */
+  static async createFolder(user, {
+    name, description = '', parentId = null, visibility = 'private'
+  }) {
+    let ownerId = user.userId;
+    if (parentId) {
+      const { folder: parent, chain } = await FolderService.requireAccess(parentId, user, 'editor');
+      if (chain.length >= MAX_DEPTH) {
+        throw new AppError(`Folders cannot be nested more than ${MAX_DEPTH} levels deep`, 400, 'FOLDER_TOO_DEEP');
+      }
+      ownerId = parent.ownerId;
+    }
+    await assertUniqueName(ownerId, parentId, name);
+
+    const last = await prisma.folder.findFirst({
+      where: { ownerId, parentId },
+      orderBy: { position: 'desc' },
+      select: { position: true }
+    });
+
+    return prisma.folder.create({
+      data: {
+        ownerId,
+        parentId,
+        name,
+        description,
+        visibility,
+        position: last ? last.position + 1 : 0
+      },
+      include: folderCounts
+    });
+  }
+
+  /**
+   * Folders in one level of a tree: the user's top-level folders, the children
+   * of parentId the user can see, or (shared) the folders shared with the user.
+   */
+  static async listFolders(user, {
+    parentId = null, shared = false, page = 1, limit = 20
+  }) {
+    let where;
+    if (shared) {
+      where = {
+        visibility: { not: 'private' },
+        ownerId: { not: user.userId },
+        shares: { some: { userId: user.userId } }
+      };
+    } else if (parentId) {
+      const { role } = await FolderService.requireAccess(parentId, user, 'public');
+      where = role === 'owner' ? { parentId } : { parentId, visibility: { not: 'private' } };
+    } else {
+      where = { ownerId: user.userId, parentId: null };
+    }
+
+    const [folders, total] = await Promise.all([
+      prisma.folder.findMany({
+        where,
+        include: folderCounts,
+        orderBy: shared ? { name: 'asc' } : [{ position: 'asc' }, { name: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.folder.count({ where })
+    ]);
+    return { folders, total };
+  }
+
+  /**
+   * A folder with its breadcrumb path (root first) and the caller's access.
+   */
+  static async getFolder(folderId, user) {
+    const { chain, role } = await FolderService.requireAccess(folderId, user, 'public');
+    const folder = await prisma.folder.findUnique({ where: { id: folderId }, include: folderCounts });
+    // Others only see the path up to where the tree stops being visible to them
+    const hidden = chain.findIndex((entry) => entry.visibility === 'private');
+    const visible = role === 'owner' || hidden === -1 ? chain : chain.slice(0, hidden);
+    return {
+      ...folder,
+      access: role,
+      path: visible.slice().reverse().map((entry) => ({ id: entry.id, name: entry.name }))
+    };
+  }
+
+  /**
+   * Rename, describe, move or reorder a folder. Editors may do all of these;
+   * only the owner may change visibility. Folders stay within their owner's tree.
+   */
+  static async updateFolder(folderId, user, data) {
+    const { folder, role } = await FolderService.requireAccess(folderId, user, 'editor');
+    const update = {};
+
+    if (data.visibility !== undefined && data.visibility !== folder.visibility) {
+      if (role !== 'owner') {
+        throw new AppError('Only the owner can change folder visibility', 403, 'FOLDER_FORBIDDEN');
+      }
+      update.visibility = data.visibility;
+    }
+    if (data.description !== undefined) update.description = data.description;
+
+    const parentId = data.parentId === undefined ? folder.parentId : data.parentId;
+    if (parentId !== folder.parentId) {
+      if (!parentId && role !== 'owner') {
+        throw new AppError('Only the owner can move a folder to the top level', 403, 'FOLDER_FORBIDDEN');
+      }
+      if (parentId) {
+        const target = await FolderService.requireAccess(parentId, user, 'editor');
+        if (target.folder.ownerId !== folder.ownerId) {
+          throw new AppError("Folders cannot be moved into another user's folders", 400, 'INVALID_FOLDER_MOVE');
+        }
+        if (target.chain.some((entry) => entry.id === folderId)) {
+          throw new AppError('A folder cannot be moved into itself', 400, 'INVALID_FOLDER_MOVE');
+        }
+        const { height } = await getSubtree(folderId);
+        if (target.chain.length + height > MAX_DEPTH) {
+          throw new AppError(`Folders cannot be nested more than ${MAX_DEPTH} levels deep`, 400, 'FOLDER_TOO_DEEP');
+        }
+      }
+      update.parentId = parentId;
+    }
+
+    const name = data.name === undefined ? folder.name : data.name;
+    if (name !== folder.name || update.parentId !== undefined) {
+      await assertUniqueName(folder.ownerId, parentId, name, folderId);
+      update.name = name;
+    }
+
+    // Place the folder among its (new) siblings; moved folders go last unless told otherwise
+    const position = data.position ?? (update.parentId !== undefined ? Number.MAX_SAFE_INTEGER : null);
+    if (position === null) {
+      return prisma.folder.update({ where: { id: folderId }, data: update, include: folderCounts });
+    }
+
+    const siblings = await prisma.folder.findMany({
+      where: { ownerId: folder.ownerId, parentId, id: { not: folderId } },
+      orderBy: [{ position: 'asc' }, { name: 'asc' }],
+      select: { id: true }
+    });
+    const order = siblings.map((sibling) => sibling.id);
+    order.splice(Math.min(position, order.length), 0, folderId);
+
+    const [updated] = await prisma.$transaction([
+      prisma.folder.update({ where: { id: folderId }, data: update, include: folderCounts }),
+      ...order.map((id, index) => prisma.folder.update({ where: { id }, data: { position: index } }))
+    ]);
+    return { ...updated, position: order.indexOf(folderId) };
+  }
+
+  /**
+   * Delete a folder and its subfolders. Their documents are kept and moved up
+   * to the deleted folder's parent.
+   * @returns {Promise<{deletedFolders: number, movedDocuments: number}>}
+   */
+  static async deleteFolder(folderId, user) {
+    const { folder, role } = await FolderService.requireAccess(folderId, user, 'editor');
+    if (role !== 'owner') {
+      throw new AppError('Only the owner can delete a folder', 403, 'FOLDER_FORBIDDEN');
+    }
+
+    const { ids } = await getSubtree(folderId);
+    const documents = await prisma.content.findMany({ where: { folderId: { in: ids } }, select: { id: true } });
+    await prisma.$transaction([
+      prisma.content.updateMany({ where: { folderId: { in: ids } }, data: { folderId: folder.parentId } }),
+      // Subfolders go with it (onDelete: Cascade)
+      prisma.folder.delete({ where: { id: folderId } })
+    ]);
+    await Promise.all(documents.map((document) => cache.del(`content:${document.id}`)));
+
+    return { deletedFolders: ids.length, movedDocuments: documents.length };
+  }
+
+  /**
+   * Documents directly in a folder. Visitors of a public folder only see its
+   * published public documents; owners, editors and viewers see all of them
+   * except quarantined uploads.
+   */
+  static async listDocuments(folderId, user, { page = 1, limit = 20, sortBy = 'name' }) {
+    const { role } = await FolderService.requireAccess(folderId, user, 'public');
+    const where = {
+      type: 'document',
+      folderId,
+      processingStatus: { not: 'rejected' },
+      ...(role === 'public' ? { visibility: 'public', status: 'published' } : {})
+    };
+    const orderBy = {
+      name: { title: 'asc' },
+      size: { metadata: { path: ['fileSize'], sort: 'desc' } },
+      recent: { createdAt: 'desc' }
+    }[sortBy];
+
+    const [documents, total] = await Promise.all([
+      prisma.content.findMany({
+        where,
+        include: {
+          author: {
+            select: {
+              id: true,
+              username: true,
+              profile: { select: { displayName: true, avatarUrl: true } }
+            }
+          },
+          _count: { select: { likes: true, comments: true } }
+        },
+        orderBy,
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.content.count({ where })
+    ]);
+    return { documents, total, access: role };
+  }
+
+  /**
+   * Move documents into a folder, or to the top level when targetFolderId is
+   * null. Users move their own documents into folders they can edit; staff can
+   * move any document.
+   * @returns {Promise<{moved: number, failed: number, details: object[]}>}
+   */
+  static async moveDocuments(user, documentIds, targetFolderId) {
+    if (targetFolderId) {
+      await FolderService.requireAccess(targetFolderId, user, 'editor');
+    }
+
+    const documents = await prisma.content.findMany({
+      where: { id: { in: documentIds } },
+      select: { id: true, type: true, authorId: true }
+    });
+    const byId = new Map(documents.map((document) => [document.id, document]));
+
+    const results = { moved: 0, failed: 0, details: [] };
+    const movable = [];
+    documentIds.forEach((id) => {
+      const document = byId.get(id);
+      let message = null;
+      if (!document || document.type !== 'document') message = 'Document not found';
+      else if (document.authorId !== user.userId && !isStaff(user)) message = 'Unauthorized';
+
+      if (message) {
+        results.failed += 1;
+        results.details.push({ id, status: 'failed', message });
+      } else {
+        movable.push(id);
+        results.moved += 1;
+        results.details.push({ id, status: 'success', message: 'Moved successfully' });
+      }
+    });
+
+    if (movable.length > 0) {
+      await prisma.content.updateMany({ where: { id: { in: movable } }, data: { folderId: targetFolderId || null } });
+      await Promise.all(movable.map((id) => cache.del(`content:${id}`)));
+    }
+    return results;
+  }
+
+  /**
+   * Users a folder is shared with. Visible to anyone who can edit the folder.
+   */
+  static async listShares(folderId, user) {
+    await FolderService.requireAccess(folderId, user, 'editor');
+    return prisma.folderShare.findMany({
+      where: { folderId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            profile: { select: { displayName: true, avatarUrl: true } }
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Give a user viewer or editor access to a folder and everything below it.
+   * Shares on a private folder take effect once it is shared or public.
+   */
+  static async shareFolder(folderId, user, targetUserId, role) {
+    const { folder, role: access } = await FolderService.requireAccess(folderId, user, 'editor');
+    if (access !== 'owner') {
+      throw new AppError('Only the owner can share a folder', 403, 'FOLDER_FORBIDDEN');
+    }
+    if (!SHARE_ROLES.includes(role)) {
+      throw new AppError(`role must be one of: ${SHARE_ROLES.join(', ')}`, 400, 'INVALID_REQUEST');
+    }
+    if (targetUserId === folder.ownerId) {
+      throw new AppError('A folder cannot be shared with its owner', 400, 'INVALID_REQUEST');
+    }
+    const target = await prisma.user.findUnique({ where: { id: targetUserId }, select: { id: true } });
+    if (!target) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    return prisma.folderShare.upsert({
+      where: { folderId_userId: { folderId, userId: targetUserId } },
+      create: { folderId, userId: targetUserId, role },
+      update: { role }
+    });
+  }
+
+  /**
+   * Remove a user's share. The owner can remove anyone; users can leave a
+   * folder shared with them.
+   */
+  static async unshareFolder(folderId, user, targetUserId) {
+    if (targetUserId !== user.userId) {
+      const { role } = await FolderService.requireAccess(folderId, user, 'editor');
+      if (role !== 'owner') {
+        throw new AppError('Only the owner can remove other users from a folder', 403, 'FOLDER_FORBIDDEN');
+      }
+    }
+    const { count } = await prisma.folderShare.deleteMany({ where: { folderId, userId: targetUserId } });
+    if (count === 0) {
+      throw new AppError('Folder is not shared with this user', 404, 'SHARE_NOT_FOUND');
+    }
+  }
+}
+
+module.exports = FolderService;
@@ -0,0 +1,76 @@
+const { prisma } = require('../../../config/database');
+const { putObjectBuffer, deletePrefix } = require('../../../services/media/minioMediaStore');
+const { createMasterPlaylist } = require('../../../services/media/hlsPlaylist');
+const { toChaptersWebVTT, toHlsChaptersJson } = require('../../../services/media/chapters');
+
+// Chapter files live next to the renditions; the URI is relative to master.m3u8
+const CHAPTERS_DIR = 'chapters';
+const CHAPTERS_JSON_URI = `${CHAPTERS_DIR}/chapters.json`;
+
+class HlsManifestService {
+  /**
+   * Writes the chapters track (WebVTT for <track kind="chapters"> and the JSON
+   * advertised in the master playlist) under hls/<id>/chapters/, or removes it
+   * when there are no chapters.
+   * @param {string} contentId - The video ID.
+   * @param {Array} chapters - Chapters with start and end set.
+   * @returns {Promise<string|null>} The chapters URI for the master playlist, or null.
+   */
+  static async writeChaptersTrack(contentId, chapters) {
+    const prefix = `hls/${contentId}/${CHAPTERS_DIR}`;
+    const entries = toHlsChaptersJson(chapters || []);
+    if (entries.length === 0) {
+      await deletePrefix(`${prefix}/`);
+      return null;
+    }
+
+    await putObjectBuffer(`${prefix}/chapters.vtt`, Buffer.from(toChaptersWebVTT(chapters)), 'text/vtt');
+    await putObjectBuffer(`${prefix}/chapters.json`, Buffer.from(JSON.stringify(entries)), 'application/json');
+    return CHAPTERS_JSON_URI;
+  }
+
+  /**
+   * Rewrites hls/<id>/master.m3u8 from the stored renditions, current caption
+   * tracks and chapters. Skipped while the video is still processing: the worker
+   * writes the master playlist itself once encoding finishes.
+   * @param {string} contentId - The video ID.
+   * @returns {Promise<boolean>} Whether the playlist was written.
+   */
+  static async refreshMasterPlaylist(contentId) {
+    const content = await prisma.content.findUnique({ where: { id: contentId } });
+    const streams = content?.metadata?.hlsStreams;
+    if (content?.processingStatus !== 'completed' || !Array.isArray(streams) || streams.length === 0) {
+      return false;
+    }
+
+    const subtitles = await prisma.transcript.findMany({
+      where: { contentId },
+      select: { language: true, label: true },
+      orderBy: { language: 'asc' }
+    });
+    const hasChapters = toHlsChaptersJson(content.metadata.chapters || []).length > 0;
+    await putObjectBuffer(
+      `hls/${contentId}/master.m3u8`,
+      Buffer.from(createMasterPlaylist(streams, subtitles, { chaptersUri: hasChapters ? CHAPTERS_JSON_URI : null })),
+      'application/vnd.apple.mpegurl'
+    );
+    return true;
+  }
+
+  /**
+   * Publishes a processed video's chapters: writes the track and refreshes the
+   * master playlist. A no-op until processing has finished.
+   * @param {string} contentId - The video ID.
+   * @param {Array} chapters - The chapters now stored on the video.
+   * @returns {Promise<boolean>} Whether anything was published.
+   */
+  static async publishChapters(contentId, chapters) {
+    const content = await prisma.content.findUnique({ where: { id: contentId }, select: { processingStatus: true } });
+    if (content?.processingStatus !== 'completed') return false;
+
+    await this.writeChaptersTrack(contentId, chapters);
+    return this.refreshMasterPlaylist(contentId);
+  }
+}
+
+module.exports = HlsManifestService;
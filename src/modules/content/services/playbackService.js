@@ -0,0 +1,167 @@
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../../../config/database');
+const { authConfig } = require('../../../config/auth');
+const { AppError } = require('../../../middleware/errorHandler');
+const { getObjectBuffer, getPresignedUrl } = require('../../../services/media/minioMediaStore');
+
+// Playback tokens use their own audience so API access tokens are never accepted in their place
+const PLAYBACK_AUDIENCE = 'mediaverse-playback';
+const PLAYBACK_TOKEN_TTL = Number(process.env.PLAYBACK_TOKEN_TTL_SECONDS) || 900;
+const MIN_SEGMENT_URL_TTL = 60;
+const PLAYABLE_TYPES = ['video', 'audio'];
+const PLAYLIST_PATH_PATTERN = /^[\w-]+(\/[\w.-]+)*\.m3u8$/;
+const URI_ATTRIBUTE_PATTERN = /URI="([^"]+)"/;
+
+const isStaff = (user) => ['admin', 'moderator'].includes(user?.role);
+
+/**
+ * Throws unless the viewer may play the content. Items that are not live
+ * (drafts, scheduled, archived) and private items are limited to their author
+ * and staff; removed items are only visible to staff.
+ * @param {object} content - The content row.
+ * @param {object} viewer - { id, role } or null for anonymous viewers.
+ * @private
+ */
+const assertCanPlay = (content, viewer) => {
+  if (!content || !PLAYABLE_TYPES.includes(content.type)) {
+    throw new AppError('Content not found', 404, 'NOT_FOUND');
+  }
+  if (content.status === 'removed' && !isStaff(viewer)) {
+    throw new AppError('Content has been removed', 410, 'CONTENT_REMOVED');
+  }
+
+  const isOwner = !!viewer?.id && content.authorId === viewer.id;
+  const restricted = content.status !== 'published' || content.visibility === 'private';
+  if (restricted && !isOwner && !isStaff(viewer)) {
+    throw new AppError('Content not found', 404, 'NOT_FOUND');
+  }
+  if (content.processingStatus !== 'completed') {
+    throw new AppError('Content is not ready for playback', 400, 'PLAYBACK_NOT_READY');
+  }
+};
+
+class PlaybackService {
+  /**
+   * Issues a short-lived playback token bound to the viewer and the content.
+   * Players load everything through the returned master URL; the token sits in
+   * the path so relative variant and subtitle URIs keep it automatically.
+   * @param {string} contentId - The video or audio ID.
+   * @param {object} user - The authenticated user, or undefined for anonymous viewers.
+   * @returns {Promise<object>} { token, expiresAt, masterUrl }
+   */
+  static async issueToken(contentId, user) {
+    const content = await prisma.content.findUnique({ where: { id: contentId } });
+    const viewer = user ? { id: user.id || user.userId, role: user.role } : null;
+    assertCanPlay(content, viewer);
+
+    const token = jwt.sign(
+      { cid: content.id, sub: viewer?.id || 'anonymous', role: viewer?.role },
+      authConfig.jwt.secret,
+      { expiresIn: PLAYBACK_TOKEN_TTL, issuer: authConfig.jwt.issuer, audience: PLAYBACK_AUDIENCE }
+    );
+
+    return {
+      token,
+      expiresAt: new Date(Date.now() + PLAYBACK_TOKEN_TTL * 1000).toISOString(),
+      masterUrl: this.getPlaylistUrl(token, 'master.m3u8')
+    };
+  }
+
+  static getPlaylistUrl(token, playlistPath) {
+    return `/api/content/playback/${token}/${playlistPath}`;
+  }
+
+  /**
+   * Verifies a playback token and re-checks access against the current content
+   * row, so unpublishing, making private or removing an item stops playback at
+   * the next playlist request.
+   * @param {string} token - The playback token.
+   * @returns {Promise<object>} { content, expiresAt } with expiresAt in epoch seconds.
+   */
+  static async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, authConfig.jwt.secret, {
+        issuer: authConfig.jwt.issuer, audience: PLAYBACK_AUDIENCE
+      });
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      throw new AppError(
+        expired ? 'Playback token expired' : 'Invalid playback token',
+        401,
+        expired ? 'PLAYBACK_TOKEN_EXPIRED' : 'INVALID_PLAYBACK_TOKEN'
+      );
+    }
+
+    const content = await prisma.content.findUnique({ where: { id: payload.cid } });
+    const viewer = payload.sub === 'anonymous' ? null : { id: payload.sub, role: payload.role };
+    assertCanPlay(content, viewer);
+    return { content, expiresAt: payload.exp };
+  }
+
+  /**
+   * Loads a playlist under hls/<id>/ and rewrites its media URIs to presigned
+   * URLs that expire with the token. Nested playlist URIs are left relative so
+   * they are requested through this endpoint again.
+   * @param {string} token - The playback token.
+   * @param {string} playlistPath - Path relative to the content's HLS root, e.g. "720p/playlist.m3u8".
+   * @returns {Promise<string>} The rewritten playlist.
+   */
+  static async getPlaylist(token, playlistPath) {
+    if (!PLAYLIST_PATH_PATTERN.test(playlistPath || '') || playlistPath.split('/').includes('..')) {
+      throw new AppError('Playlist not found', 404, 'PLAYLIST_NOT_FOUND');
+    }
+
+    const { content, expiresAt } = await this.verifyToken(token);
+    const hlsRoot = `hls/${content.id}`;
+    const playlistKey = `${hlsRoot}/${playlistPath}`;
+
+    let playlist;
+    try {
+      playlist = (await getObjectBuffer(playlistKey)).toString('utf8');
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        throw new AppError('Playlist not found', 404, 'PLAYLIST_NOT_FOUND');
+      }
+      throw error;
+    }
+
+    const expiresIn = Math.max(expiresAt - Math.floor(Date.now() / 1000), MIN_SEGMENT_URL_TTL);
+    return this.rewritePlaylist(playlist, path.posix.dirname(playlistKey), hlsRoot, expiresIn);
+  }
+
+  /**
+   * Replaces segment lines and URI="..." attributes (EXT-X-MAP, EXT-X-KEY) with
+   * presigned URLs. URIs resolving outside the content's HLS root are dropped.
+   * @param {string} playlist - Playlist text.
+   * @param {string} baseKey - Object key of the playlist's directory.
+   * @param {string} hlsRoot - The content's HLS root, hls/<id>.
+   * @param {number} expiresIn - Presigned URL lifetime in seconds.
+   * @returns {Promise<string>} The rewritten playlist.
+   */
+  static async rewritePlaylist(playlist, baseKey, hlsRoot, expiresIn) {
+    const signUri = async (uri) => {
+      if (/^[a-z]+:\/\//i.test(uri) || uri.endsWith('.m3u8')) return uri;
+      const key = path.posix.normalize(`${baseKey}/${uri}`);
+      if (!key.startsWith(`${hlsRoot}/`)) return null;
+      return getPresignedUrl(key, expiresIn);
+    };
+
+    const lines = await Promise.all(playlist.split('\n').map(async (line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (trimmed.startsWith('#')) {
+        const match = URI_ATTRIBUTE_PATTERN.exec(trimmed);
+        if (!match) return line;
+        const signed = await signUri(match[1]);
+        return signed ? trimmed.replace(URI_ATTRIBUTE_PATTERN, `URI="${signed}"`) : null;
+      }
+      return signUri(trimmed);
+    }));
+
+    return lines.filter((line) => line !== null).join('\n');
+  }
+}
+
+module.exports = PlaybackService;
@@ -0,0 +1,137 @@
+const { prisma } = require('../../../config/database');
+const { AppError } = require('../../../middleware/errorHandler');
+const { cache } = require('../../../config/redis');
+const ContentService = require('../contentService');
+
+const FEED_CACHE_TTL = 300;
+const FEED_EPISODE_LIMIT = 300;
+
+const getFeedCacheKey = (userId) => `podcast:feed:${userId}`;
+
+/**
+ * Escapes text for use in XML element content and attribute values.
+ * @private
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Formats seconds as HH:MM:SS for itunes:duration.
+ * @private
+ */
+const formatDuration = (totalSeconds) => {
+  const seconds = Math.max(Math.round(Number(totalSeconds) || 0), 0);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+};
+
+/**
+ * Turns a stored or proxied URL into an absolute one; podcast clients fetch the
+ * feed from outside the web app, so relative links are useless to them.
+ * @private
+ */
+const toAbsoluteUrl = (baseUrl, url) => {
+  const proxied = ContentService.transformMinIOUrlToProxy(url);
+  if (!proxied) return null;
+  return proxied.startsWith('/') ? `${baseUrl}${proxied}` : proxied;
+};
+
+class PodcastFeedService {
+  /**
+   * Builds the RSS 2.0 podcast feed (with the iTunes namespace) for a creator's
+   * published, public audio. Episodes link to the normalized MP3 download.
+   * The rendered XML is cached briefly; publishing an episode does not
+   * invalidate it, so new episodes appear within FEED_CACHE_TTL seconds.
+   * @param {string} userId - The creator's user ID.
+   * @returns {Promise<string>} The feed XML.
+   */
+  static async getCreatorFeed(userId) {
+    const cached = await cache.get(getFeedCacheKey(userId));
+    if (cached) return cached;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true, username: true, profile: { select: { displayName: true, bio: true, avatarUrl: true } }
+      }
+    });
+    if (!user) {
+      throw new AppError('User not found', 404, 'NOT_FOUND');
+    }
+
+    const episodes = await prisma.content.findMany({
+      where: {
+        authorId: userId,
+        type: 'audio',
+        status: 'published',
+        visibility: 'public',
+        processingStatus: 'completed'
+      },
+      orderBy: { publishedAt: 'desc' },
+      take: FEED_EPISODE_LIMIT
+    });
+
+    const xml = this.renderFeed(user, episodes);
+    await cache.set(getFeedCacheKey(userId), xml, FEED_CACHE_TTL);
+    return xml;
+  }
+
+  /**
+   * Renders the feed XML for a creator and their episodes.
+   * @param {object} user - User with profile.
+   * @param {Array} episodes - Audio content rows, newest first.
+   * @returns {string} The feed XML.
+   */
+  static renderFeed(user, episodes) {
+    const baseUrl = (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+    const author = user.profile?.displayName || user.username;
+    const title = `${author}'s podcast`;
+    const description = user.profile?.bio || `Audio published by ${author} on Mediaverse`;
+    const feedUrl = `${baseUrl}/api/content/podcasts/${user.id}/feed.xml`;
+    const image = toAbsoluteUrl(baseUrl, user.profile?.avatarUrl);
+
+    const items = episodes.map((episode) => {
+      const metadata = episode.metadata || {};
+      const episodeImage = toAbsoluteUrl(baseUrl, episode.featuredImage);
+      const pubDate = new Date(episode.publishedAt || episode.createdAt).toUTCString();
+      return [
+        '    <item>',
+        `      <title>${escapeXml(episode.title)}</title>`,
+        `      <description>${escapeXml(episode.description || '')}</description>`,
+        `      <guid isPermaLink="false">${escapeXml(episode.id)}</guid>`,
+        `      <pubDate>${pubDate}</pubDate>`,
+        `      <enclosure url="${escapeXml(`${baseUrl}/api/content/audio/${episode.id}/download`)}" `
+          + `length="${Number(metadata.mp3Size) || 0}" type="audio/mpeg"/>`,
+        `      <itunes:duration>${formatDuration(metadata.duration)}</itunes:duration>`,
+        '      <itunes:explicit>false</itunes:explicit>',
+        episodeImage ? `      <itunes:image href="${escapeXml(episodeImage)}"/>` : null,
+        '    </item>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" '
+        + 'xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXml(title)}</title>`,
+      `    <description>${escapeXml(description)}</description>`,
+      `    <link>${escapeXml(baseUrl)}</link>`,
+      `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+      '    <language>en</language>',
+      `    <itunes:author>${escapeXml(author)}</itunes:author>`,
+      '    <itunes:explicit>false</itunes:explicit>',
+      image ? `    <itunes:image href="${escapeXml(image)}"/>` : null,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].filter((line) => line !== null).join('\n');
+  }
+}
+
+module.exports = PodcastFeedService;
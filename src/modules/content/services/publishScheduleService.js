@@ -0,0 +1,151 @@
+const { DateTime } = require('luxon');
+const { prisma } = require('../../../config/database');
+const { AppError } = require('../../../middleware/errorHandler');
+const NotificationService = require('../../notifications/services/notificationService');
+
+// Media that cannot be played until its renditions exist
+const PROCESSED_TYPES = ['video', 'audio'];
+const FOLLOWER_BATCH_SIZE = 1000;
+const CONTENT_PATHS = {
+  article: 'articles', video: 'videos', audio: 'audio', document: 'documents'
+};
+
+/**
+ * Reads an ISO 8601 time. One with an offset ("2026-11-01T09:00:00+07:00" or
+ * "...Z") is taken as is; one without is wall-clock time in `timezone`, or UTC.
+ * @private
+ */
+function parseTime(value, timezone, field) {
+  if (value === undefined || value === null) return null;
+  const time = DateTime.fromISO(value, { zone: timezone || 'utc' });
+  if (!time.isValid) {
+    throw new AppError(`${field} must be an ISO 8601 date and time`, 400, 'INVALID_SCHEDULE');
+  }
+  return time.toJSDate();
+}
+
+const isReady = (content) => !PROCESSED_TYPES.includes(content.type) || content.processingStatus === 'completed';
+
+class PublishScheduleService {
+  /**
+   * What publishing an item writes. It goes live now when no publishAt is
+   * given (or it has passed) and its media is ready; otherwise it is
+   * scheduled, and the content scheduler publishes it once both hold.
+   * An unpublishAt left out keeps the one already set; null clears it.
+   * @param {object} content - The row before publishing.
+   * @param {object} schedule - { publishAt, unpublishAt, timezone }
+   * @param {Date} [now]
+   * @returns {{data: object, live: boolean}} The update, and whether it makes the item live.
+   * @throws {AppError} 400 INVALID_SCHEDULE, 409 ALREADY_PUBLISHED
+   */
+  static plan(content, { publishAt, unpublishAt, timezone } = {}, now = new Date()) {
+    const goLiveAt = parseTime(publishAt, timezone, 'publishAt');
+    const takeDownAt = unpublishAt === undefined
+      ? content.unpublishAt || null
+      : parseTime(unpublishAt, timezone, 'unpublishAt');
+
+    if (content.status === 'published' && goLiveAt) {
+      throw new AppError('Content is already published', 409, 'ALREADY_PUBLISHED');
+    }
+    const start = goLiveAt && goLiveAt > now ? goLiveAt : now;
+    if (takeDownAt && takeDownAt <= start) {
+      throw new AppError('unpublishAt must be after the content goes live', 400, 'INVALID_SCHEDULE');
+    }
+
+    // Kept so clients can show the schedule in the zone it was set in
+    const metadata = timezone ? { metadata: { publishTimezone: timezone } } : {};
+    if (content.status === 'published') {
+      return { data: { unpublishAt: takeDownAt, ...metadata }, live: false };
+    }
+    if (start === now && isReady(content)) {
+      return {
+        data: {
+          status: 'published', publishedAt: now, publishAt: null, unpublishAt: takeDownAt, ...metadata
+        },
+        live: true
+      };
+    }
+    return {
+      data: {
+        status: 'scheduled', publishAt: start, unpublishAt: takeDownAt, ...metadata
+      },
+      live: false
+    };
+  }
+
+  /**
+   * Status fields for media created by an upload. Asking for "published"
+   * before the media is processed schedules it to go live once it is.
+   * @param {string} [status] - The status the uploader asked for.
+   */
+  static uploadStatus(status) {
+    if (status === 'published') {
+      return { status: 'scheduled', publishAt: new Date() };
+    }
+    return { status: status || 'draft' };
+  }
+
+  /**
+   * Prisma filter for scheduled items that are due and ready to go live.
+   * @param {Date} now
+   */
+  static dueWhere(now) {
+    return {
+      status: 'scheduled',
+      publishAt: { lte: now },
+      OR: [{ type: { notIn: PROCESSED_TYPES } }, { processingStatus: 'completed' }]
+    };
+  }
+
+  /**
+   * Tells the author's followers that a public item has gone live. Unlisted
+   * and private items are not announced. Failures are logged, not thrown:
+   * the item is live either way.
+   * @param {object} content - The published row, with its author if loaded.
+   * @returns {Promise<number>} Notifications created.
+   */
+  static async notifyFollowers(content) {
+    if (content.visibility !== 'public') return 0;
+
+    const authorName = content.author?.profile?.displayName || content.author?.username || 'Someone';
+    const notification = {
+      type: 'content',
+      title: `New ${content.type} from ${authorName}`,
+      content: `${authorName} published "${content.title}"`,
+      data: {
+        contentId: content.id,
+        contentType: content.type,
+        contentTitle: content.title,
+        authorId: content.authorId,
+        url: `/api/content/${CONTENT_PATHS[content.type] || 'content'}/${content.id}`
+      }
+    };
+
+    let sent = 0;
+    let cursor;
+    try {
+      for (;;) {
+        // eslint-disable-next-line no-await-in-loop
+        const follows = await prisma.follow.findMany({
+          where: { followeeId: content.authorId },
+          select: { id: true, followerId: true },
+          orderBy: { id: 'asc' },
+          take: FOLLOWER_BATCH_SIZE,
+          ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+        });
+        if (follows.length === 0) break;
+        // eslint-disable-next-line no-await-in-loop
+        sent += await NotificationService.bulkCreateNotifications(
+          follows.map((follow) => ({ ...notification, userId: follow.followerId }))
+        );
+        if (follows.length < FOLLOWER_BATCH_SIZE) break;
+        cursor = follows[follows.length - 1].id;
+      }
+    } catch (error) {
+      console.error(`Failed to notify followers of ${content.id}:`, error.message || error);
+    }
+    return sent;
+  }
+}
+
+module.exports = PublishScheduleService;
@@ -0,0 +1,171 @@
+const { prisma } = require('../../../config/database');
+const { AppError } = require('../../../middleware/errorHandler');
+const { cache } = require('../../../config/redis');
+const { putObjectBuffer, deletePrefix } = require('../../../services/media/minioMediaStore');
+const { createSubtitlePlaylist } = require('../../../services/media/hlsPlaylist');
+const {
+  parseSubtitles, toWebVTT, cuesToText, normalizeLanguage, languageLabel
+} = require('../../../services/media/subtitles');
+const ContentService = require('../contentService');
+const HlsManifestService = require('./hlsManifestService');
+
+const MAX_LABEL_LENGTH = 64;
+
+/**
+ * MinIO prefix holding a caption track: the WebVTT file and its HLS playlist.
+ * @private
+ */
+const getTrackPrefix = (contentId, language) => `hls/${contentId}/subs/${language}`;
+
+/**
+ * Loads a video the user may manage captions for (its author, or an admin/moderator).
+ * @param {string} contentId - The video ID.
+ * @param {object} user - The authenticated user from the JWT.
+ * @returns {Promise<object>} The video.
+ * @private
+ */
+const verifyVideoManager = async (contentId, user) => {
+  const content = await prisma.content.findUnique({ where: { id: contentId } });
+  if (!content || content.type !== 'video') {
+    throw new AppError('Video not found', 404, 'NOT_FOUND');
+  }
+
+  const userId = user?.id || user?.userId;
+  if (content.authorId !== userId && !['admin', 'moderator'].includes(user?.role)) {
+    throw new AppError('Unauthorized to manage captions for this video', 403, 'UNAUTHORIZED');
+  }
+
+  return content;
+};
+
+class TranscriptService {
+  /**
+   * Stores a caption track as WebVTT next to the video's HLS output and upserts
+   * its Transcript row. One track is kept per language; saving again replaces it.
+   * @param {string} contentId - The video ID.
+   * @param {object} track - { language, label?, source, cues, duration? }
+   * @returns {Promise<object>} The saved transcript.
+   */
+  static async saveTranscript(contentId, {
+    language, label, source, cues, duration
+  }) {
+    const normalizedLanguage = normalizeLanguage(language);
+    if (!normalizedLanguage) {
+      throw new AppError('language must be a language code such as "en" or "pt-BR"', 400, 'VALIDATION_ERROR');
+    }
+    if (!Array.isArray(cues) || cues.length === 0) {
+      throw new AppError('Subtitle file contains no cues', 400, 'INVALID_SUBTITLES');
+    }
+
+    const trackLabel = String(label || languageLabel(normalizedLanguage)).trim().slice(0, MAX_LABEL_LENGTH);
+    const prefix = getTrackPrefix(contentId, normalizedLanguage);
+    const objectKey = `${prefix}/subtitles.vtt`;
+    const playlistDuration = duration || cues[cues.length - 1].end;
+
+    await putObjectBuffer(objectKey, Buffer.from(toWebVTT(cues)), 'text/vtt');
+    await putObjectBuffer(
+      `${prefix}/playlist.m3u8`,
+      Buffer.from(createSubtitlePlaylist(playlistDuration)),
+      'application/vnd.apple.mpegurl'
+    );
+
+    const data = {
+      label: trackLabel, source, objectKey, cues, text: cuesToText(cues)
+    };
+    return prisma.transcript.upsert({
+      where: { contentId_language: { contentId, language: normalizedLanguage } },
+      create: { contentId, language: normalizedLanguage, ...data },
+      update: data
+    });
+  }
+
+  /**
+   * Imports an uploaded SRT or WebVTT file for a video and republishes its
+   * master playlist so players pick up the new track.
+   * @param {string} contentId - The video ID.
+   * @param {Buffer} buffer - The subtitle file.
+   * @param {object} options - { language, label? }
+   * @param {object} user - The authenticated user.
+   * @returns {Promise<object>} The saved track summary.
+   */
+  static async importSubtitleFile(contentId, buffer, { language, label }, user) {
+    const content = await verifyVideoManager(contentId, user);
+
+    const cues = parseSubtitles(buffer.toString('utf8'));
+    const transcript = await this.saveTranscript(contentId, {
+      language, label, source: 'upload', cues, duration: content.metadata?.duration
+    });
+
+    await HlsManifestService.refreshMasterPlaylist(contentId);
+    await cache.del(`content:${contentId}`);
+    return this.formatTranscript(transcript);
+  }
+
+  /**
+   * Lists a video's caption tracks without their cues.
+   * @param {string} contentId - The video ID.
+   * @returns {Promise<Array>} Track summaries.
+   */
+  static async listTranscripts(contentId) {
+    const transcripts = await prisma.transcript.findMany({
+      where: { contentId },
+      select: {
+        language: true, label: true, source: true, objectKey: true, updatedAt: true
+      },
+      orderBy: { language: 'asc' }
+    });
+    return transcripts.map((transcript) => this.formatTranscript(transcript));
+  }
+
+  /**
+   * Retrieves one caption track with its timestamped cues.
+   * @param {string} contentId - The video ID.
+   * @param {string} language - Language code.
+   * @returns {Promise<object|null>} The transcript, or null if there is none.
+   */
+  static async getTranscript(contentId, language) {
+    const normalizedLanguage = normalizeLanguage(language);
+    if (!normalizedLanguage) return null;
+    const transcript = await prisma.transcript.findUnique({
+      where: { contentId_language: { contentId, language: normalizedLanguage } }
+    });
+    return transcript ? this.formatTranscript(transcript, { includeCues: true }) : null;
+  }
+
+  /**
+   * Removes a caption track and its files, then republishes the master playlist.
+   * @param {string} contentId - The video ID.
+   * @param {string} language - Language code.
+   * @param {object} user - The authenticated user.
+   * @returns {Promise<boolean>} False if the track did not exist.
+   */
+  static async deleteTranscript(contentId, language, user) {
+    await verifyVideoManager(contentId, user);
+    const normalizedLanguage = normalizeLanguage(language);
+    if (!normalizedLanguage) return false;
+    const { count } = await prisma.transcript.deleteMany({ where: { contentId, language: normalizedLanguage } });
+    if (count === 0) return false;
+
+    await deletePrefix(`${getTrackPrefix(contentId, normalizedLanguage)}/`);
+    await HlsManifestService.refreshMasterPlaylist(contentId);
+    await cache.del(`content:${contentId}`);
+    return true;
+  }
+
+  static formatTranscript(transcript, { includeCues = false } = {}) {
+    const formatted = {
+      language: transcript.language,
+      label: transcript.label,
+      source: transcript.source,
+      url: ContentService.transformMinIOUrlToProxy(`s3://videos/${transcript.objectKey}`),
+      updatedAt: transcript.updatedAt
+    };
+    if (includeCues) {
+      formatted.cues = transcript.cues;
+      formatted.text = transcript.text;
+    }
+    return formatted;
+  }
+}
+
+module.exports = TranscriptService;
@@ -1,5 +1,107 @@
 // Content module validation schemas
 const Joi = require('joi');
+const { IANAZone } = require('luxon');
+
+// Rich-text article body; src/services/articles/richText.js describes the block format
+const BLOCK_TYPES = ['heading', 'paragraph', 'quote', 'list', 'code', 'image', 'embed'];
+const LINK_PATTERN = /^(https?:|mailto:|\/(?!\/))/i;
+const IMAGE_URL_PATTERN = /^(https?:|\/(?!\/))/i;
+
+// A plain string, or runs of text with their formatting
+const inlineTextSchema = Joi.alternatives().try(
+  Joi.string().max(10000).allow(''),
+  Joi.array().items(Joi.object({
+    text: Joi.string().max(10000).allow('').required(),
+    bold: Joi.boolean(),
+    italic: Joi.boolean(),
+    code: Joi.boolean(),
+    link: Joi.string().max(2000).pattern(LINK_PATTERN)
+      .messages({ 'string.pattern.base': 'Links must be http(s), mailto or site paths' })
+  })).max(500)
+);
+
+const articleBlockSchema = Joi.alternatives().conditional('.type', {
+  switch: [
+    {
+      is: 'heading',
+      then: Joi.object({
+        type: Joi.string(),
+        level: Joi.number().integer().min(1).max(6)
+          .default(2),
+        text: inlineTextSchema.required()
+      })
+    },
+    { is: 'paragraph', then: Joi.object({ type: Joi.string(), text: inlineTextSchema.required() }) },
+    {
+      is: 'quote',
+      then: Joi.object({ type: Joi.string(), text: inlineTextSchema.required(), cite: Joi.string().max(200).allow('') })
+    },
+    {
+      is: 'list',
+      then: Joi.object({
+        type: Joi.string(),
+        ordered: Joi.boolean().default(false),
+        items: Joi.array().items(inlineTextSchema).min(1).max(200)
+          .required()
+      })
+    },
+    {
+      is: 'code',
+      then: Joi.object({
+        type: Joi.string(),
+        code: Joi.string().max(20000).required(),
+        language: Joi.string().pattern(/^[\w+#.-]{1,30}$/).allow('')
+      })
+    },
+    {
+      is: 'image',
+      then: Joi.object({
+        type: Joi.string(),
+        url: Joi.string().max(2000).pattern(IMAGE_URL_PATTERN).required()
+          .messages({ 'string.pattern.base': 'Image URLs must be http(s) or site paths' }),
+        alt: Joi.string().max(300).allow(''),
+        caption: Joi.string().max(300).allow('')
+      })
+    },
+    {
+      is: 'embed',
+      then: Joi.object({
+        type: Joi.string(),
+        contentType: Joi.string().valid('video', 'document').required(),
+        contentId: Joi.string().pattern(/^[\w-]{1,64}$/).required()
+      })
+    }
+  ],
+  otherwise: Joi.object({ type: Joi.string().valid(...BLOCK_TYPES).required() }).unknown()
+    .messages({ 'any.only': `Block type must be one of: ${BLOCK_TYPES.join(', ')}` })
+});
+
+const articleBlocksSchema = Joi.array().items(articleBlockSchema).min(1).max(1000)
+  .messages({
+    'array.min': 'Article blocks cannot be empty',
+    'array.max': 'An article can have at most 1000 blocks'
+  });
+
+// Multipart forms send the blocks as a JSON string
+const articleBlocksField = Joi.alternatives().conditional(Joi.string(), {
+  then: Joi.string().max(500000).custom((value, helpers) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return helpers.error('blocks.json');
+    }
+    const { error, value: blocks } = articleBlocksSchema.validate(parsed, { stripUnknown: true });
+    if (error) {
+      return helpers.error('blocks.invalid', { reason: error.message });
+    }
+    return blocks;
+  }),
+  otherwise: articleBlocksSchema
+}).messages({
+  'blocks.json': 'Article blocks must be a JSON array',
+  'blocks.invalid': 'Article blocks are invalid: {#reason}'
+});
 
 // Article creation validation schema
 const articleCreateSchema = Joi.object({
@@ -11,14 +113,14 @@ const articleCreateSchema = Joi.object({
       'string.empty': 'Article title is required',
       'any.required': 'Article title is required'
     }),
+  // Markdown; or send the body as blocks instead
   content: Joi.string().min(100).max(50000).trim()
-    .required()
     .messages({
       'string.min': 'Article content must be at least 100 characters long',
       'string.max': 'Article content cannot exceed 50,000 characters',
-      'string.empty': 'Article content is required',
-      'any.required': 'Article content is required'
+      'string.empty': 'Article content is required'
     }),
+  blocks: articleBlocksField,
   description: Joi.string().max(500).allow('').trim()
     .messages({
       'string.max': 'Article description cannot exceed 500 characters'
@@ -82,6 +184,9 @@ const articleCreateSchema = Joi.object({
     .messages({
       'boolean.base': 'Allow comments must be a boolean value'
     })
+}).xor('content', 'blocks').messages({
+  'object.missing': 'Article content is required, as Markdown (content) or as blocks',
+  'object.xor': 'Send the article body as either content or blocks, not both'
 });
 
 // Article update validation schema
@@ -96,6 +201,7 @@ const articleUpdateSchema = Joi.object({
       'string.min': 'Article content must be at least 100 characters long',
       'string.max': 'Article content cannot exceed 50,000 characters'
     }),
+  blocks: articleBlocksField,
   description: Joi.string().max(500).allow('').trim()
     .messages({
       'string.max': 'Article description cannot exceed 500 characters'
@@ -136,7 +242,13 @@ const articleUpdateSchema = Joi.object({
   allowComments: Joi.boolean()
     .messages({
       'boolean.base': 'Allow comments must be a boolean value'
+    }),
+  changeSummary: Joi.string().max(500).allow('').trim()
+    .messages({
+      'string.max': 'Change summary cannot exceed 500 characters'
     })
+}).oxor('content', 'blocks').messages({
+  'object.oxor': 'Send the article body as either content or blocks, not both'
 });
 
 // Video initialization validation schema (for async upload)
@@ -385,6 +497,10 @@ const documentUploadSchema = Joi.object({
   allowComments: Joi.boolean().default(true)
     .messages({
       'boolean.base': 'Allow comments must be a boolean value'
+    }),
+  folderId: Joi.string().allow(null, '').optional()
+    .messages({
+      'string.base': 'folderId must be a string'
     })
 });
 
@@ -424,9 +540,9 @@ const contentSearchSchema = Joi.object({
       'string.max': 'Search query cannot exceed 100 characters',
       'any.required': 'Search query is required'
     }),
-  type: Joi.string().valid('article', 'video', 'document', 'all').default('all')
+  type: Joi.string().valid('article', 'video', 'audio', 'document', 'all').default('all')
     .messages({
-      'any.only': 'Type must be one of: article, video, document, all'
+      'any.only': 'Type must be one of: article, video, audio, document, all'
     }),
   category: Joi.string().valid(
     'technology',
@@ -491,10 +607,10 @@ const feedSchema = Joi.object({
       'number.min': 'Limit must be at least 1',
       'number.max': 'Limit cannot exceed 50'
     }),
-  type: Joi.string().valid('article', 'video', 'document').optional()
+  type: Joi.string().valid('article', 'video', 'audio', 'document').optional()
     .messages({
       'string.base': 'Type must be a string',
-      'any.only': 'Type must be one of: article, video, document'
+      'any.only': 'Type must be one of: article, video, audio, document'
     }),
   category: Joi.string().valid(
     'technology',
@@ -653,9 +769,46 @@ const createFolderSchema = Joi.object({
     .messages({
       'string.base': 'parentId must be a string'
     }),
-  visibility: Joi.string().valid('private', 'shared').default('private')
+  visibility: Joi.string().valid('private', 'shared', 'public').default('private')
     .messages({
-      'any.only': 'Visibility must be either private or shared'
+      'any.only': 'Visibility must be one of: private, shared, public'
+    })
+});
+
+// Folder update validation schema
+const updateFolderSchema = Joi.object({
+  name: Joi.string().min(1).max(100).trim()
+    .messages({
+      'string.empty': 'Folder name cannot be empty',
+      'string.max': 'Folder name cannot exceed 100 characters'
+    }),
+  description: Joi.string().max(500).allow('').trim()
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    }),
+  visibility: Joi.string().valid('private', 'shared', 'public')
+    .messages({
+      'any.only': 'Visibility must be one of: private, shared, public'
+    }),
+  parentId: Joi.string().allow(null)
+    .messages({
+      'string.base': 'parentId must be a string'
+    }),
+  position: Joi.number().integer().min(0)
+    .messages({
+      'number.base': 'Position must be a number',
+      'number.min': 'Position cannot be negative'
+    })
+}).min(1).messages({
+  'object.min': 'Nothing to update'
+});
+
+// Folder share validation schema
+const shareFolderSchema = Joi.object({
+  role: Joi.string().valid('viewer', 'editor').required()
+    .messages({
+      'any.only': 'Role must be either viewer or editor',
+      'any.required': 'Role is required'
     })
 });
 
@@ -665,6 +818,10 @@ const getFoldersSchema = Joi.object({
     .messages({
       'string.base': 'parentId must be a string'
     }),
+  shared: Joi.boolean().default(false)
+    .messages({
+      'boolean.base': 'shared must be a boolean'
+    }),
   page: Joi.number().integer().min(1).default(1)
     .messages({
       'number.base': 'Page must be a number',
@@ -703,6 +860,225 @@ const folderDocumentsSchema = Joi.object({
     })
 });
 
+// In-document search validation schema
+const documentSearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200)
+    .required()
+    .messages({
+      'string.empty': 'Search query is required',
+      'string.max': 'Search query cannot exceed 200 characters',
+      'any.required': 'Search query is required'
+    }),
+  limit: Joi.number().integer().min(1).max(200)
+    .default(50)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 200'
+    })
+});
+
+// Library search validation schema
+const librarySearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200)
+    .required()
+    .messages({
+      'string.empty': 'Search query is required',
+      'string.max': 'Search query cannot exceed 200 characters',
+      'any.required': 'Search query is required'
+    }),
+  folderId: Joi.string().optional()
+    .messages({
+      'string.base': 'folderId must be a string'
+    }),
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1'
+    }),
+  limit: Joi.number().integer().min(1).max(50)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 50'
+    })
+});
+
+// Transcript parameter validation
+const transcriptParamsSchema = Joi.object({
+  id: Joi.string().required().messages({
+    'string.empty': 'Content ID is required',
+    'any.required': 'Content ID is required'
+  }),
+  language: Joi.string().pattern(/^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i).required()
+    .messages({
+      'string.pattern.base': 'Language must be a language code such as "en" or "pt-BR"',
+      'any.required': 'Language is required'
+    })
+});
+
+// Chapter parameter validation; chapters are counted from 0
+const chapterParamsSchema = Joi.object({
+  id: Joi.string().required().messages({
+    'string.empty': 'Content ID is required',
+    'any.required': 'Content ID is required'
+  }),
+  index: Joi.number().integer().min(0).required()
+    .messages({
+      'number.base': 'Chapter index must be a number',
+      'number.integer': 'Chapter index must be an integer',
+      'number.min': 'Chapter index cannot be negative',
+      'any.required': 'Chapter index is required'
+    })
+});
+
+// Document version parameter validation
+const documentVersionParamsSchema = Joi.object({
+  id: Joi.string().required().messages({
+    'string.empty': 'Content ID is required',
+    'any.required': 'Content ID is required'
+  }),
+  version: Joi.number().integer().min(1).required()
+    .messages({
+      'number.base': 'Version must be a number',
+      'number.integer': 'Version must be an integer',
+      'number.min': 'Version must be at least 1',
+      'any.required': 'Version is required'
+    })
+});
+
+// Restore document version validation schema
+const restoreVersionSchema = Joi.object({
+  changeNote: Joi.string().trim().max(500).allow('')
+    .optional()
+    .messages({
+      'string.max': 'changeNote cannot exceed 500 characters'
+    })
+});
+
+// Version diff validation schema
+const versionDiffSchema = Joi.object({
+  from: Joi.number().integer().min(1).required()
+    .messages({
+      'number.base': 'from must be a version number',
+      'any.required': 'from is required'
+    }),
+  to: Joi.number().integer().min(1).required()
+    .messages({
+      'number.base': 'to must be a version number',
+      'any.required': 'to is required'
+    })
+});
+
+// Article revision list validation schema
+const revisionListSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1'
+    }),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+// Article revision parameter validation
+const articleRevisionParamsSchema = Joi.object({
+  id: Joi.string().required().messages({
+    'string.empty': 'Content ID is required',
+    'any.required': 'Content ID is required'
+  }),
+  revision: Joi.number().integer().min(1).required()
+    .messages({
+      'number.base': 'Revision must be a number',
+      'number.integer': 'Revision must be an integer',
+      'number.min': 'Revision must be at least 1',
+      'any.required': 'Revision is required'
+    })
+});
+
+// Restore article revision validation schema
+const restoreRevisionSchema = Joi.object({
+  changeSummary: Joi.string().max(500).allow('').trim()
+    .messages({
+      'string.max': 'Change summary cannot exceed 500 characters'
+    })
+});
+
+// Article autosave draft validation schema; drafts may be incomplete, so only maximums apply
+const articleDraftSchema = Joi.object({
+  title: Joi.string().max(200).allow('')
+    .messages({
+      'string.max': 'Article title cannot exceed 200 characters'
+    }),
+  content: Joi.string().max(50000).allow('')
+    .messages({
+      'string.max': 'Article content cannot exceed 50,000 characters'
+    }),
+  description: Joi.string().max(500).allow('')
+    .messages({
+      'string.max': 'Article description cannot exceed 500 characters'
+    }),
+  baseRevision: Joi.number().integer().min(1)
+    .messages({
+      'number.base': 'baseRevision must be a revision number'
+    })
+}).or('title', 'content', 'description').messages({
+  'object.missing': 'A draft needs a title, content or description'
+});
+
+// Publish/schedule validation schema. Times are ISO 8601; ones without an
+// offset are read in `timezone`, which is why they are not parsed as dates here
+const scheduleTimeSchema = Joi.string().trim().max(64);
+const publishScheduleSchema = Joi.object({
+  publishAt: scheduleTimeSchema,
+  unpublishAt: scheduleTimeSchema.allow(null),
+  timezone: Joi.string().trim().max(64)
+    .custom((value, helpers) => (IANAZone.isValidZone(value) ? value : helpers.error('any.invalid')))
+    .messages({
+      'any.invalid': 'Timezone must be an IANA time zone such as Europe/Paris'
+    })
+});
+
+// Collaborator parameter validation
+const collaboratorParamsSchema = Joi.object({
+  id: Joi.string().required().messages({
+    'string.empty': 'Content ID is required',
+    'any.required': 'Content ID is required'
+  }),
+  userId: Joi.string().required().messages({
+    'string.empty': 'User ID is required',
+    'any.required': 'User ID is required'
+  })
+});
+
+// Collaborator invitation validation schema
+const collaboratorRoleSchema = Joi.object({
+  role: Joi.string().valid('coauthor', 'editor', 'viewer').required()
+    .messages({
+      'any.only': 'Role must be one of coauthor, editor or viewer',
+      'any.required': 'Role is required'
+    })
+});
+
+// Collaboration invitations query schema
+const invitationQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'accepted', 'declined', 'all').default('pending')
+    .messages({
+      'any.only': 'Status must be one of pending, accepted, declined or all'
+    })
+});
+
 // Validation middleware factory
 const validate = (schema, property = 'body') => (req, res, next) => {
   const { error, value } = schema.validate(req[property], {
@@ -751,8 +1127,25 @@ const validateExtractText = validate(extractTextSchema, 'query');
 const validateGenerateDownloadLink = validate(generateDownloadLinkSchema);
 const validateBulkMoveDocuments = validate(bulkMoveDocumentsSchema);
 const validateCreateFolder = validate(createFolderSchema);
+const validateUpdateFolder = validate(updateFolderSchema);
+const validateShareFolder = validate(shareFolderSchema);
 const validateGetFolders = validate(getFoldersSchema, 'query');
 const validateFolderDocuments = validate(folderDocumentsSchema, 'query');
+const validateDocumentSearch = validate(documentSearchSchema, 'query');
+const validateLibrarySearch = validate(librarySearchSchema, 'query');
+const validateTranscriptParams = validate(transcriptParamsSchema, 'params');
+const validateChapterParams = validate(chapterParamsSchema, 'params');
+const validateDocumentVersionParams = validate(documentVersionParamsSchema, 'params');
+const validateRestoreVersion = validate(restoreVersionSchema);
+const validateVersionDiff = validate(versionDiffSchema, 'query');
+const validateRevisionList = validate(revisionListSchema, 'query');
+const validateArticleRevisionParams = validate(articleRevisionParamsSchema, 'params');
+const validateRestoreRevision = validate(restoreRevisionSchema);
+const validateArticleDraft = validate(articleDraftSchema);
+const validatePublishSchedule = validate(publishScheduleSchema);
+const validateCollaboratorParams = validate(collaboratorParamsSchema, 'params');
+const validateCollaboratorRole = validate(collaboratorRoleSchema);
+const validateInvitationQuery = validate(invitationQuerySchema, 'query');
 
 module.exports = {
   // Schemas
@@ -774,8 +1167,25 @@ module.exports = {
   generateDownloadLinkSchema,
   bulkMoveDocumentsSchema,
   createFolderSchema,
+  updateFolderSchema,
+  shareFolderSchema,
   getFoldersSchema,
   folderDocumentsSchema,
+  documentSearchSchema,
+  librarySearchSchema,
+  transcriptParamsSchema,
+  chapterParamsSchema,
+  documentVersionParamsSchema,
+  restoreVersionSchema,
+  versionDiffSchema,
+  revisionListSchema,
+  articleRevisionParamsSchema,
+  restoreRevisionSchema,
+  articleDraftSchema,
+  publishScheduleSchema,
+  collaboratorParamsSchema,
+  collaboratorRoleSchema,
+  invitationQuerySchema,
 
   // Middleware functions
   validate,
@@ -797,6 +1207,23 @@ module.exports = {
   validateGenerateDownloadLink,
   validateBulkMoveDocuments,
   validateCreateFolder,
+  validateUpdateFolder,
+  validateShareFolder,
   validateGetFolders,
-  validateFolderDocuments
+  validateFolderDocuments,
+  validateDocumentSearch,
+  validateLibrarySearch,
+  validateTranscriptParams,
+  validateChapterParams,
+  validateDocumentVersionParams,
+  validateRestoreVersion,
+  validateVersionDiff,
+  validateRevisionList,
+  validateArticleRevisionParams,
+  validateRestoreRevision,
+  validateArticleDraft,
+  validatePublishSchedule,
+  validateCollaboratorParams,
+  validateCollaboratorRole,
+  validateInvitationQuery
 };
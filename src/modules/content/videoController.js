@@ -1,9 +1,13 @@
 const ContentService = require('./contentService');
+const TranscriptService = require('./services/transcriptService');
+const PlaybackService = require('./services/playbackService');
+const ChapterService = require('./services/chapterService');
 const { prisma } = require('../../config/database');
 const { AppError } = require('../../middleware/errorHandler');
-const { createVideoQueue, enqueueProcessVideo } = require('../../jobs/queues/videoQueue');
+const { createVideoQueue, enqueueProcessVideo, replayDeadLetterJob } = require('../../jobs/queues/videoQueue');
+const { getSchedulerMetrics, setUserWeight } = require('../../jobs/queues/videoScheduler');
 const { getObjectStream } = require('../../services/media/minioMediaStore');
-const { queue } = require('../../config/redis');
+const { queue, cache } = require('../../config/redis');
 
 class VideoController {
   /**
@@ -207,21 +211,73 @@ class VideoController {
    *         schema:
    *           type: string
    *           enum: [480p, 720p, 1080p]
-   *         description: Video resolution
+   *         description: Rendition to redirect to instead of the master playlist
+   *     responses:
+   *       302:
+   *         description: Redirect to the master (or rendition) playlist behind a fresh playback token
+   *       404:
+   *         description: Video not found or not visible to the caller
+   *       410:
+   *         description: Video was removed by moderation
+   */
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/playback:
+   *   get:
+   *     summary: Issue a playback token
+   *     description: >
+   *       Returns a short-lived token bound to the caller and this video, and the master playlist
+   *       URL that embeds it. Playlists served under that URL have each segment rewritten to a
+   *       presigned URL expiring with the token; request a new token to keep playing past expiresAt.
+   *       Draft and private videos are only playable by their author.
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Video ID
    *     responses:
    *       200:
-   *         description: HLS playlist content
+   *         description: Playback token issued
    *         content:
-   *           application/vnd.apple.mpegurl:
+   *           application/json:
    *             schema:
-   *               type: string
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     token:
+   *                       type: string
+   *                     expiresAt:
+   *                       type: string
+   *                       format: date-time
+   *                     masterUrl:
+   *                       type: string
+   *                       example: /api/content/playback/{token}/master.m3u8
+   *       400:
+   *         description: Video is still processing
+   *       404:
+   *         description: Video not found or not visible to the caller
+   *       410:
+   *         description: Video was removed by moderation
    */
 
   /**
    * @swagger
    * /api/content/videos/{id}/thumbnail:
    *   put:
-   *     summary: Update video thumbnail URL
+   *     summary: Choose the video thumbnail
+   *     description: >
+   *       Pick one of the candidates generated during processing (`metadata.thumbnailCandidates`)
+   *       by its index, or set a custom image URL. The choice is kept when the video is reprocessed.
    *     tags: [Video]
    *     security:
    *       - bearerAuth: []
@@ -238,14 +294,22 @@ class VideoController {
    *         application/json:
    *           schema:
    *             type: object
-   *             required: [thumbnailUrl]
    *             properties:
+   *               candidate:
+   *                 type: integer
+   *                 minimum: 1
+   *                 description: Index of a thumbnail candidate
    *               thumbnailUrl:
    *                 type: string
    *                 format: uri
+   *                 description: Custom thumbnail, used when no candidate is given
    *     responses:
    *       200:
    *         description: Thumbnail updated successfully
+   *       400:
+   *         description: Neither a valid candidate nor a thumbnailUrl was given
+   *       403:
+   *         description: Not the video's author or a moderator
    */
 
   /**
@@ -253,6 +317,9 @@ class VideoController {
    * /api/content/videos/{id}/transcript:
    *   get:
    *     summary: Get video transcript
+   *     description: >
+   *       Returns the timestamped cues of one caption track plus the list of available tracks.
+   *       Without `language`, the first uploaded track (or else the first embedded one) is returned.
    *     tags: [Video]
    *     parameters:
    *       - in: path
@@ -261,6 +328,12 @@ class VideoController {
    *         schema:
    *           type: string
    *         description: Video ID
+   *       - in: query
+   *         name: language
+   *         schema:
+   *           type: string
+   *           example: en
+   *         description: BCP 47 language code
    *     responses:
    *       200:
    *         description: Transcript data
@@ -271,12 +344,308 @@ class VideoController {
    *               properties:
    *                 videoId:
    *                   type: string
-   *                 transcript:
+   *                 status:
+   *                   type: string
+   *                   enum: [available, not_available]
+   *                 language:
    *                   type: string
    *                   nullable: true
-   *                 status:
+   *                 label:
+   *                   type: string
+   *                   nullable: true
+   *                 source:
    *                   type: string
-   *                   enum: [not_available]
+   *                   enum: [upload, embedded]
+   *                   nullable: true
+   *                 url:
+   *                   type: string
+   *                   nullable: true
+   *                   description: WebVTT file
+   *                 transcript:
+   *                   type: string
+   *                   nullable: true
+   *                   description: Plain text of all cues
+   *                 cues:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       start:
+   *                         type: number
+   *                         description: Seconds
+   *                       end:
+   *                         type: number
+   *                       text:
+   *                         type: string
+   *                 tracks:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       language:
+   *                         type: string
+   *                       label:
+   *                         type: string
+   *                       source:
+   *                         type: string
+   *                       url:
+   *                         type: string
+   *       404:
+   *         description: Video or requested language not found
+   */
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/transcripts:
+   *   post:
+   *     summary: Upload a caption file (SRT or WebVTT)
+   *     description: >
+   *       Stores the track as WebVTT and adds it to the HLS master playlist as a subtitles rendition.
+   *       Uploading again for the same language replaces the track, including one extracted from the video file.
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Video ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required: [file, language]
+   *             properties:
+   *               file:
+   *                 type: string
+   *                 format: binary
+   *               language:
+   *                 type: string
+   *                 example: en
+   *               label:
+   *                 type: string
+   *                 example: English (CC)
+   *     responses:
+   *       201:
+   *         description: Caption track saved
+   *       400:
+   *         description: Invalid file or language
+   *       403:
+   *         description: Not the video's author or a moderator
+   */
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/transcripts/{language}:
+   *   delete:
+   *     summary: Delete a caption track
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Video ID
+   *       - in: path
+   *         name: language
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Caption track deleted
+   *       404:
+   *         description: No track for this language
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Chapter:
+   *       type: object
+   *       required: [start, title]
+   *       properties:
+   *         start:
+   *           oneOf:
+   *             - type: number
+   *             - type: string
+   *           description: Start in seconds, or a timestamp such as "1:05" or "01:02:03"
+   *           example: "1:30"
+   *         end:
+   *           type: number
+   *           nullable: true
+   *           readOnly: true
+   *           description: Start of the next chapter, or the video duration for the last one
+   *         title:
+   *           type: string
+   *           maxLength: 100
+   *           example: Setup
+   */
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/chapters:
+   *   get:
+   *     summary: Get video chapters
+   *     description: >
+   *       Chapters are parsed from a "0:00 Intro" list in the description (the list must start at 0:00
+   *       and have at least two entries) until they are edited through this API, after which the
+   *       description is no longer parsed. Processed videos also publish a WebVTT chapters track
+   *       (`chaptersUrl`) and advertise the chapters in the HLS master playlist.
+   *     tags: [Video]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Video ID
+   *     responses:
+   *       200:
+   *         description: Chapters
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     chapters:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/Chapter'
+   *                     source:
+   *                       type: string
+   *                       nullable: true
+   *                       enum: [description, manual]
+   *                     chaptersUrl:
+   *                       type: string
+   *                       nullable: true
+   *   put:
+   *     summary: Replace all chapters
+   *     description: Sending an empty list reverts to chapters parsed from the description.
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Video ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [chapters]
+   *             properties:
+   *               chapters:
+   *                 type: array
+   *                 maxItems: 100
+   *                 items:
+   *                   $ref: '#/components/schemas/Chapter'
+   *     responses:
+   *       200:
+   *         description: Chapters saved
+   *       400:
+   *         description: >
+   *           Invalid chapters (bad timestamp or title, duplicate start, or a start past the
+   *           video duration once it is known)
+   *   post:
+   *     summary: Add a chapter
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Video ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Chapter'
+   *     responses:
+   *       201:
+   *         description: Chapter added; the list is returned in start order
+   *       400:
+   *         description: Invalid chapter
+   */
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/chapters/{index}:
+   *   put:
+   *     summary: Update a chapter
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Video ID
+   *       - in: path
+   *         name: index
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 0
+   *         description: Position in the chapter list (start order)
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Chapter'
+   *     responses:
+   *       200:
+   *         description: Chapter updated
+   *       404:
+   *         description: No chapter at this index
+   *   delete:
+   *     summary: Delete a chapter
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Video ID
+   *       - in: path
+   *         name: index
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 0
+   *     responses:
+   *       200:
+   *         description: Chapter deleted
+   *       404:
+   *         description: No chapter at this index
    */
 
   /**
@@ -315,10 +684,102 @@ class VideoController {
    *             schema:
    *               type: object
    *               properties:
-   *                 queueName:
-   *                   type: string
-   *                 length:
+   *                 queues:
+   *                   type: array
+   *                   items: { type: string }
+   *                 lengths:
+   *                   type: object
+   *                   additionalProperties: { type: integer }
+   *                 total:
    *                   type: integer
+   *                 delayed:
+   *                   type: object
+   *                   description: Jobs waiting out a retry backoff
+   *                   properties:
+   *                     count: { type: integer }
+   *                     nextDueAt: { type: string, format: date-time, nullable: true }
+   *                 deadLetter:
+   *                   type: array
+   *                   description: Jobs that exhausted their retry attempts
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       jobId: { type: string }
+   *                       contentId: { type: string }
+   *                       userId: { type: string }
+   *                       attempts: { type: integer }
+   *                       error:
+   *                         type: object
+   *                         properties:
+   *                           message: { type: string }
+   *                           stage: { type: string }
+   *                           failedAt: { type: string, format: date-time }
+   */
+
+  /**
+   * @swagger
+   * /api/content/admin/queue-status/dead-letter/{jobId}/replay:
+   *   post:
+   *     summary: Requeue a dead-lettered video job
+   *     description: Resets the attempt counter and pushes the job back onto its queue. Completed stages are skipped unless resetStages is true.
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: jobId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               resetStages:
+   *                 type: boolean
+   *                 default: false
+   *     responses:
+   *       200:
+   *         description: Job requeued
+   *       404:
+   *         description: Job is not in the dead-letter queue
+   */
+
+  /**
+   * @swagger
+   * /api/content/admin/queue-status/users/{userId}/weight:
+   *   put:
+   *     summary: Set a user's fair-share weight in the video scheduler (admin/moderator only)
+   *     description: A user with weight 2 gets twice as many dispatches as a weight 1 user while both have jobs waiting in the same lane.
+   *     tags: [Video]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [weight]
+   *             properties:
+   *               weight:
+   *                 type: number
+   *                 minimum: 0.1
+   *                 maximum: 100
+   *                 default: 1
+   *     responses:
+   *       200:
+   *         description: Weight updated
+   *       400:
+   *         description: Invalid weight
    */
 
   /**
@@ -449,6 +910,7 @@ class VideoController {
    *               contentType:
    *                 type: string
    *                 example: video/mp4
+   *                 description: audio/* creates audio content processed by the audio worker
    *               totalSize:
    *                 type: integer
    *                 minimum: 1
@@ -610,8 +1072,8 @@ class VideoController {
       }
 
       // Check access permissions
-      if (content.status === 'draft') {
-        // Draft content: only owner can view
+      if (content.status !== 'published') {
+        // Drafts, scheduled and unpublished videos: only owner can view
         if (!userId || content.authorId !== userId) {
           return res.status(404).json({ error: 'Video not found', code: 'NOT_FOUND' });
         }
@@ -691,22 +1153,31 @@ class VideoController {
     try {
       const { id } = req.params;
       const { res: quality } = req.query;
-      const content = await prisma.content.findUnique({ where: { id } });
-      if (!content) return res.status(404).json({ error: 'Not found', code: 'NOT_FOUND' });
-      if (content.type !== 'video') return res.status(400).json({ error: 'Content is not a video', code: 'INVALID_CONTENT_TYPE' });
-      if (content.status !== 'published' || content.processingStatus !== 'completed') return res.status(400).json({ error: 'Video is not ready', code: 'VIDEO_NOT_READY' });
+      if (quality && !/^[\w-]+$/.test(quality)) {
+        return res.status(400).json({ error: 'Invalid quality', code: 'VALIDATION_ERROR' });
+      }
 
-      // Generate proxy URL for HLS streaming
-      const bucket = 'videos';
-      const baseKey = content.metadata?.hlsMasterKey || `hls/${id}/master.m3u8`;
-      const objectKey = quality ? `hls/${id}/${quality}/playlist.m3u8` : baseKey;
-      
-      // Redirect to proxy URL instead of streaming directly
-      const proxyUrl = `/api/storage/${bucket}/${objectKey}`;
-      res.redirect(proxyUrl);
+      // Players follow the redirect into the tokenized playlist URLs
+      const { token, masterUrl } = await PlaybackService.issueToken(id, req.user);
+      res.redirect(quality ? PlaybackService.getPlaylistUrl(token, `${quality}/playlist.m3u8`) : masterUrl);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'STREAMING_PREPARATION_FAILED' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/playback:
+   *   get:
+   *     summary: Issue a playback token
+   *     tags: [Video]
+   */
+  static async playback(req, res) {
+    try {
+      const playback = await PlaybackService.issueToken(req.params.id, req.user);
+      res.json({ success: true, data: playback });
     } catch (error) {
-      const status = error.$metadata?.httpStatusCode === 404 ? 404 : 500;
-      res.status(status).json({ error: status === 404 ? 'Playlist not found' : error.message, code: status === 404 ? 'PLAYLIST_NOT_FOUND' : 'STREAMING_PREPARATION_FAILED' });
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
     }
   }
 
@@ -735,14 +1206,19 @@ class VideoController {
    * @swagger
    * /api/content/videos/{id}/publish:
    *   post:
-   *     summary: Publish a video
+   *     summary: Publish a video now or on a schedule
+   *     description: >
+   *       Takes an optional PublishSchedule body. A video that has not finished
+   *       processing is scheduled and goes live once processing completes.
    *     tags: [Video]
    */
   static async publish(req, res) {
     try {
       const { id } = req.params;
-      const updated = await ContentService.publishContent(id, req.user?.id);
-      res.json({ success: true, message: 'Video published successfully', data: updated });
+      const userId = req.user?.id || req.user?.userId;
+      const updated = await ContentService.publishContent(id, userId, req.body || {});
+      const message = updated.status === 'scheduled' ? 'Video scheduled for publishing' : 'Video published successfully';
+      res.json({ success: true, message, data: updated });
     } catch (error) {
       res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
     }
@@ -758,18 +1234,239 @@ class VideoController {
   static async updateThumbnail(req, res) {
     try {
       const { id } = req.params;
-      const { thumbnailUrl } = req.body || {};
-      if (!thumbnailUrl) return res.status(400).json({ error: 'thumbnailUrl is required', code: 'VALIDATION_ERROR' });
+      const { candidate, thumbnailUrl } = req.body || {};
+      if (candidate === undefined && !thumbnailUrl) {
+        return res.status(400).json({ error: 'candidate or thumbnailUrl is required', code: 'VALIDATION_ERROR' });
+      }
       const existing = await prisma.content.findUnique({ where: { id } });
-      if (!existing) return res.status(404).json({ error: 'Not found', code: 'NOT_FOUND' });
-      const metadata = { ...(existing.metadata || {}), thumbnails: [thumbnailUrl] };
-      const updated = await prisma.content.update({ where: { id }, data: { metadata } });
+      if (!existing || existing.type !== 'video') return res.status(404).json({ error: 'Not found', code: 'NOT_FOUND' });
+
+      const userId = req.user?.id || req.user?.userId;
+      if (existing.authorId !== userId && !['admin', 'moderator'].includes(req.user?.role)) {
+        return res.status(403).json({ error: 'Unauthorized to update this video', code: 'UNAUTHORIZED' });
+      }
+
+      const metadata = { ...(existing.metadata || {}) };
+      if (candidate !== undefined) {
+        const selected = (metadata.thumbnailCandidates || []).find((c) => c.index === Number(candidate));
+        if (!selected) return res.status(400).json({ error: 'Unknown thumbnail candidate', code: 'INVALID_THUMBNAIL_CANDIDATE' });
+        Object.assign(metadata, {
+          thumbnailUrl: selected.url, selectedThumbnail: selected.index, customThumbnailUrl: null
+        });
+      } else {
+        Object.assign(metadata, { thumbnailUrl, selectedThumbnail: null, customThumbnailUrl: thumbnailUrl });
+      }
+      metadata.thumbnails = [metadata.thumbnailUrl];
+
+      const updated = await prisma.content.update({
+        where: { id },
+        data: { metadata, featuredImage: metadata.thumbnailUrl }
+      });
+      await cache.del(`content:${id}`);
       res.json({ success: true, message: 'Video thumbnail updated successfully', data: ContentService.transformContentResponse(updated) });
     } catch (error) {
       res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
     }
   }
 
+  /**
+   * @swagger
+   * /api/content/videos/{id}/transcript:
+   *   get:
+   *     summary: Get video transcript cues
+   *     tags: [Video]
+   */
+  static async getTranscript(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id || req.user?.userId;
+      const content = await prisma.content.findUnique({ where: { id } });
+      if (!content || content.type !== 'video') return res.status(404).json({ error: 'Video not found', code: 'NOT_FOUND' });
+
+      // Same visibility rules as the video itself
+      const isOwner = !!userId && content.authorId === userId;
+      if (!isOwner && (content.status !== 'published' || content.visibility === 'private')) {
+        return res.status(404).json({ error: 'Video not found', code: 'NOT_FOUND' });
+      }
+
+      const tracks = await TranscriptService.listTranscripts(id);
+      const { language } = req.query;
+      const selected = language
+        ? tracks.find((track) => track.language.toLowerCase() === String(language).toLowerCase())
+        : tracks.find((track) => track.source === 'upload') || tracks[0];
+
+      if (language && !selected) {
+        return res.status(404).json({ error: `No transcript for language '${language}'`, code: 'TRANSCRIPT_NOT_FOUND' });
+      }
+      if (!selected) {
+        return res.json({
+          success: true,
+          data: {
+            videoId: id, status: 'not_available', transcript: null, cues: [], tracks
+          }
+        });
+      }
+
+      const transcript = await TranscriptService.getTranscript(id, selected.language);
+      res.json({
+        success: true,
+        data: {
+          videoId: id,
+          status: 'available',
+          language: transcript.language,
+          label: transcript.label,
+          source: transcript.source,
+          url: transcript.url,
+          transcript: transcript.text,
+          cues: transcript.cues,
+          tracks
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/transcripts:
+   *   post:
+   *     summary: Upload a caption file
+   *     tags: [Video]
+   */
+  static async uploadTranscript(req, res) {
+    try {
+      const { id } = req.params;
+      if (!req.file) return res.status(400).json({ error: 'Subtitle file is required', code: 'VALIDATION_ERROR' });
+      const { language, label } = req.body || {};
+      if (!language) return res.status(400).json({ error: 'language is required', code: 'VALIDATION_ERROR' });
+
+      const track = await TranscriptService.importSubtitleFile(id, req.file.buffer, { language, label }, req.user);
+      res.status(201).json({ success: true, message: 'Caption track saved', data: track });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/transcripts/{language}:
+   *   delete:
+   *     summary: Delete a caption track
+   *     tags: [Video]
+   */
+  static async deleteTranscript(req, res) {
+    try {
+      const { id, language } = req.params;
+      const deleted = await TranscriptService.deleteTranscript(id, language, req.user);
+      if (!deleted) return res.status(404).json({ error: `No transcript for language '${language}'`, code: 'TRANSCRIPT_NOT_FOUND' });
+      res.json({ success: true, message: 'Caption track deleted' });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/chapters:
+   *   get:
+   *     summary: Get video chapters
+   *     tags: [Video]
+   */
+  static async getChapters(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id || req.user?.userId;
+      const content = await prisma.content.findUnique({ where: { id } });
+      if (!content || content.type !== 'video') return res.status(404).json({ error: 'Video not found', code: 'NOT_FOUND' });
+
+      const isOwner = !!userId && content.authorId === userId;
+      if (!isOwner && (content.status !== 'published' || content.visibility === 'private')) {
+        return res.status(404).json({ error: 'Video not found', code: 'NOT_FOUND' });
+      }
+
+      const { chapters, source } = ChapterService.formatChapters(content);
+      const chaptersUrl = chapters.length > 0 && content.processingStatus === 'completed'
+        ? ContentService.transformMinIOUrlToProxy(`s3://videos/hls/${id}/chapters/chapters.vtt`)
+        : null;
+      res.json({ success: true, data: { chapters, source, chaptersUrl } });
+    } catch (error) {
+      res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/chapters:
+   *   put:
+   *     summary: Replace all chapters
+   *     tags: [Video]
+   */
+  static async replaceChapters(req, res) {
+    try {
+      const { chapters } = req.body || {};
+      if (!Array.isArray(chapters)) return res.status(400).json({ error: 'chapters must be an array', code: 'VALIDATION_ERROR' });
+
+      const data = await ChapterService.replaceChapters(req.params.id, chapters, req.user);
+      res.json({ success: true, message: 'Chapters saved', data });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/chapters:
+   *   post:
+   *     summary: Add a chapter
+   *     tags: [Video]
+   */
+  static async addChapter(req, res) {
+    try {
+      const data = await ChapterService.addChapter(req.params.id, req.body || {}, req.user);
+      res.status(201).json({ success: true, message: 'Chapter added', data });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/chapters/{index}:
+   *   put:
+   *     summary: Update a chapter
+   *     tags: [Video]
+   */
+  static async updateChapter(req, res) {
+    try {
+      const { id, index } = req.params;
+      const { start, title } = req.body || {};
+      const changes = Object.fromEntries(Object.entries({ start, title }).filter(([, value]) => value !== undefined));
+
+      const data = await ChapterService.updateChapter(id, index, changes, req.user);
+      res.json({ success: true, message: 'Chapter updated', data });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/videos/{id}/chapters/{index}:
+   *   delete:
+   *     summary: Delete a chapter
+   *     tags: [Video]
+   */
+  static async deleteChapter(req, res) {
+    try {
+      const { id, index } = req.params;
+      const data = await ChapterService.deleteChapter(id, index, req.user);
+      res.json({ success: true, message: 'Chapter deleted', data });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
   /**
    * @swagger
    * /api/content/videos/{id}/reprocess:
@@ -788,7 +1485,8 @@ class VideoController {
 
       await prisma.content.update({ where: { id }, data: { status: 'draft', processingStatus: 'queued', metadata: { ...content.metadata, error: null } } });
       const queue = createVideoQueue();
-      const { jobId } = await enqueueProcessVideo(queue, { contentId: id, sourceObjectKey: sourceKey, userId: content.authorId });
+      // Re-encodes go to the low lane so they never hold up fresh uploads
+      const { jobId } = await enqueueProcessVideo(queue, { contentId: id, sourceObjectKey: sourceKey, userId: content.authorId }, { lane: 'low' });
       res.json({ success: true, message: 'Video queued for reprocessing', data: { jobId } });
     } catch (error) {
       res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
@@ -806,16 +1504,65 @@ class VideoController {
     try {
       // Per-user queues used; return total length across all registered queues
       const { redisQueue } = require('../../config/redis');
-      const { REGISTRY_KEY } = require('../../jobs/queues/videoQueue');
+      const { REGISTRY_KEY, getDelayedStats, listDeadLetterJobs } = require('../../jobs/queues/videoQueue');
       const queues = await redisQueue.sMembers(REGISTRY_KEY);
+      const lengths = {};
       let total = 0;
       for (const qn of queues || []) {
         // queue.length uses list_queue:<queueName>
-        // reuse helper for convenience
         // eslint-disable-next-line no-await-in-loop
-        total += await require('../../config/redis').queue.length(qn);
+        lengths[qn] = await queue.length(qn);
+        total += lengths[qn];
+      }
+      const [delayed, deadLetter, scheduler] = await Promise.all([
+        getDelayedStats(), listDeadLetterJobs(), getSchedulerMetrics()
+      ]);
+      res.json({
+        success: true,
+        data: {
+          queues: queues || [], lengths, total, delayed, deadLetter, scheduler
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/admin/queue-status/dead-letter/{jobId}/replay:
+   *   post:
+   *     summary: Replay a dead-lettered video job
+   *     tags: [Video]
+   */
+  static async replayDeadLetter(req, res) {
+    try {
+      const { jobId } = req.params;
+      const resetStages = String(req.body?.resetStages) === 'true';
+      const job = await replayDeadLetterJob(jobId, { resetStages });
+      if (!job) return res.status(404).json({ error: 'Dead-letter job not found', code: 'NOT_FOUND' });
+      res.json({ success: true, message: 'Job requeued', data: { jobId: job.id, contentId: job.payload.contentId, resetStages } });
+    } catch (error) {
+      res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/content/admin/queue-status/users/{userId}/weight:
+   *   put:
+   *     summary: Set a user's fair-share weight in the video scheduler
+   *     tags: [Video]
+   */
+  static async setSchedulerWeight(req, res) {
+    try {
+      const { userId } = req.params;
+      const weight = Number(req.body?.weight);
+      if (!Number.isFinite(weight) || weight < 0.1 || weight > 100) {
+        return res.status(400).json({ error: 'weight must be a number between 0.1 and 100', code: 'VALIDATION_ERROR' });
       }
-      res.json({ success: true, data: { queues: queues || [], total } });
+      await setUserWeight(userId, weight);
+      res.json({ success: true, message: 'Scheduler weight updated', data: { userId, weight } });
     } catch (error) {
       res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
     }
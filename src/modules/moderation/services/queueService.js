@@ -10,6 +10,8 @@ const SLA_HOURS = 24;
  * @returns {Promise<number>} A reputation score, e.g., from 0 to 1.
  */
 const getUserReputation = async (userId) => {
+  // Reports raised by the system (e.g. duplicate upload detection) have no reporter
+  if (!userId) return 0.5;
   const user = await prisma.user.findUnique({ where: { id: userId } });
   // Example logic: admins/moderators have higher reputation
   if (user && (user.role === 'admin' || user.role === 'moderator')) {
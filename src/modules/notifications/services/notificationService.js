@@ -107,6 +107,7 @@ class NotificationService {
       follow: 'follows',
       upload: 'uploads',
       content: 'uploads',
+      collaboration: 'system',
       system: 'system',
       security: 'system',
       admin: 'system',
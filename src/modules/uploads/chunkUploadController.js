@@ -1,59 +1,213 @@
-const path = require('path');
-const fs = require('fs-extra');
 const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
 const { v7: uuidv7 } = require('uuid');
-const { PutObjectCommand } = require('@aws-sdk/client-s3');
-const { getS3Client, getBucketName } = require('../../config/minio');
 const { prisma } = require('../../config/database');
-const { createVideoQueue, enqueueProcessVideo } = require('../../jobs/queues/videoQueue');
+const { AppError } = require('../../middleware/errorHandler');
+const {
+  getObjectStream, uploadMultipart, createMultipartUpload, getPresignedPartUrl, listUploadedParts,
+  completeMultipartUpload, abortMultipartUpload, deleteObject, deletePrefix
+} = require('../../services/media/minioMediaStore');
+const {
+  createVideoQueue, enqueueProcessVideo, enqueueProcessAudio, enqueueReuseRenditions
+} = require('../../jobs/queues/videoQueue');
+const {
+  hashObject, findMatches, recordFingerprint, flagPossibleRepost
+} = require('./fingerprintService');
+const {
+  partCount, expectedPartSize, createSession, getActiveSession, listActiveSessions, recordPart, removeParts,
+  claimForCompletion, releaseSession, finishSession
+} = require('./uploadSessionService');
+const StorageService = require('../users/storageService');
+const PublishScheduleService = require('../content/services/publishScheduleService');
 
-const TEMP_ROOT = process.env.CHUNK_TEMP_DIR || path.join(process.cwd(), 'tmp', 'chunks');
+// Part checksums are SHA-1, hex encoded
+const CHECKSUM_PATTERN = /^[a-f0-9]{40}$/i;
 
-function hash(str) {
-  return crypto.createHash('sha1').update(str).digest('hex');
+// Direct uploads go straight to storage as an S3 multipart upload, which requires
+// every part but the last to be at least 5 MB and allows at most 10,000 parts
+const DIRECT_MIN_PART_SIZE = 5 * 1024 * 1024;
+const DIRECT_MAX_PARTS = 10000;
+const DIRECT_URL_TTL_SECONDS = Number(process.env.DIRECT_UPLOAD_URL_TTL_SECONDS) || 21600;
+
+// Parts sent through the API are kept in storage, not on the receiving instance's disk,
+// so any instance can take the next part or complete the upload
+const partsPrefix = (uploadId) => `uploads/parts/${uploadId}/`;
+
+const requestUserId = (req) => req.user?.userId || req.user?.id;
+
+// Presigned PUT URLs for the given parts of a direct upload
+async function signPartUrls(session, indexes) {
+  const parts = await Promise.all(indexes.map(async (index) => ({
+    index,
+    partNumber: index + 1,
+    url: await getPresignedPartUrl(session.objectKey, session.s3UploadId, index + 1, DIRECT_URL_TTL_SECONDS)
+  })));
+  return { parts, urlsExpireAt: new Date(Date.now() + DIRECT_URL_TTL_SECONDS * 1000).toISOString() };
+}
+
+// ETags are quoted hex digests; clients may send them with or without the quotes
+function normalizeEtag(etag) {
+  return String(etag || '').replace(/"/g, '').toLowerCase();
+}
+
+function missingPartsError(missingParts) {
+  return Object.assign(new AppError(`Missing parts: ${missingParts.join(', ')}`, 400, 'UPLOAD_INCOMPLETE'), {
+    details: { missingParts }
+  });
+}
+
+function sendError(res, e) {
+  if (e instanceof AppError) {
+    return res.status(e.statusCode).json({ error: e.message, code: e.code, ...e.details });
+  }
+  return res.status(500).json({ error: e.message, code: 'INTERNAL_ERROR' });
+}
+
+/**
+ * Progress of a session: parts received so far and their total size. For direct
+ * uploads storage is asked, since parts never pass through the API.
+ */
+async function describeSession(session) {
+  let received;
+  if (session.mode === 'direct') {
+    received = (await listUploadedParts(session.objectKey, session.s3UploadId))
+      .map((part) => ({ index: part.partNumber - 1, size: part.size }));
+  } else {
+    received = Object.values(session.receivedParts);
+  }
+  return {
+    uploadId: session.uploadId,
+    filename: session.filename,
+    title: session.title,
+    mediaType: session.mediaType,
+    mode: session.mode,
+    totalSize: session.totalSize,
+    chunkSize: session.chunkSize,
+    partCount: partCount(session),
+    receivedParts: received.map((part) => part.index).sort((a, b) => a - b),
+    uploadedBytes: received.reduce((sum, part) => sum + part.size, 0),
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+// The stored parts in order as one stream, hashing the whole file and each part as they pass
+function streamStoredParts(session, fingerprint) {
+  async function* readParts() {
+    for (let index = 0; index < partCount(session); index += 1) {
+      const part = session.receivedParts[index];
+      const partDigest = crypto.createHash('sha1');
+      // eslint-disable-next-line no-await-in-loop, no-restricted-syntax
+      for await (const chunk of await getObjectStream(part.objectKey)) {
+        fingerprint.digest.update(chunk);
+        partDigest.update(chunk);
+        // eslint-disable-next-line no-param-reassign
+        fingerprint.size += chunk.length;
+        yield chunk;
+      }
+      if (partDigest.digest('hex') !== part.checksum) fingerprint.corruptParts.push(index);
+    }
+  }
+  return Readable.from(readParts());
 }
 
 async function initUpload(req, res) {
   try {
-    const userId = req.user?.userId || req.user?.id;
+    const userId = requestUserId(req);
 
     console.log('[Upload Init] Authenticated user object:', req.user);
     console.log(`[Upload Init] User ID from token: ${userId}`);
 
     const {
       filename, contentType = 'video/mp4', totalSize, chunkSize, title, description, category,
-      tags, visibility = 'public', status = 'draft', useAdaptiveStorage = true
+      tags, visibility = 'public', status: contentStatus = 'draft', useAdaptiveStorage = true, partChecksums,
+      mode = 'proxy'
     } = req.body || {};
 
     if (!filename || !totalSize || !chunkSize || !title || !category) {
       return res.status(400).json({ error: 'Missing required fields', code: 'VALIDATION_ERROR' });
     }
+    if (!(Number(totalSize) > 0) || !(Number(chunkSize) > 0)) {
+      return res.status(400).json({ error: 'totalSize and chunkSize must be positive numbers', code: 'VALIDATION_ERROR' });
+    }
 
-    const uploadId = uuidv7();
-    const dir = path.join(TEMP_ROOT, uploadId);
-    await fs.mkdirp(dir);
+    if (!['proxy', 'direct'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "proxy" or "direct"', code: 'VALIDATION_ERROR' });
+    }
 
-    const meta = {
-      uploadId,
-      filename,
-      contentType,
-      totalSize: Number(totalSize),
-      chunkSize: Number(chunkSize),
-      uploadedBytes: 0,
-      receivedParts: {},
+    // Optional SHA-1 per part, in part order; each part is checked against it on arrival and again at completion
+    const expectedParts = Math.ceil(Number(totalSize) / Number(chunkSize));
+    if (mode === 'direct') {
+      if (expectedParts > 1 && Number(chunkSize) < DIRECT_MIN_PART_SIZE) {
+        return res.status(400).json({ error: 'chunkSize must be at least 5 MB for direct uploads', code: 'VALIDATION_ERROR' });
+      }
+      if (expectedParts > DIRECT_MAX_PARTS) {
+        return res.status(400).json({ error: `Direct uploads are limited to ${DIRECT_MAX_PARTS} parts`, code: 'VALIDATION_ERROR' });
+      }
+      if (partChecksums !== undefined) {
+        return res.status(400).json({
+          error: 'partChecksums apply to uploads through the API; direct uploads are verified by ETag',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+    }
+    if (partChecksums !== undefined && (!Array.isArray(partChecksums)
+      || partChecksums.length !== expectedParts
+      || !partChecksums.every((value) => CHECKSUM_PATTERN.test(String(value))))) {
+      return res.status(400).json({
+        error: `partChecksums must list ${expectedParts} hex SHA-1 checksums, one per part`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    await StorageService.assertCanStore(userId, Number(totalSize));
+
+    // audio/* uploads become audio content and go to the audio worker
+    const mediaType = String(contentType).startsWith('audio/') ? 'audio' : 'video';
+
+    const uploadId = uuidv7();
+    const details = {
       title,
       description,
       category,
       tags: Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',').map((t) => t.trim()).filter(Boolean) : []),
       visibility,
-      status,
-      useAdaptiveStorage: String(useAdaptiveStorage) !== 'false',
-      userId
+      status: contentStatus,
+      useAdaptiveStorage: String(useAdaptiveStorage) !== 'false'
     };
-    await fs.writeJson(path.join(dir, 'meta.json'), meta);
-    return res.json({ success: true, data: { uploadId } });
+
+    // Direct mode: open the multipart upload now and hand out a signed URL per part
+    let objectKey = null;
+    let s3UploadId = null;
+    if (mode === 'direct') {
+      objectKey = `uploads/direct/${uploadId}`;
+      s3UploadId = await createMultipartUpload(objectKey, contentType);
+    }
+
+    const session = await createSession({
+      uploadId,
+      userId,
+      filename,
+      contentType,
+      mediaType,
+      mode,
+      totalSize: Number(totalSize),
+      chunkSize: Number(chunkSize),
+      partChecksums: partChecksums ? partChecksums.map((value) => String(value).toLowerCase()) : null,
+      objectKey,
+      s3UploadId,
+      details
+    });
+    const direct = mode === 'direct' ? await signPartUrls(session, [...Array(expectedParts).keys()]) : {};
+
+    return res.json({
+      success: true,
+      data: {
+        uploadId, mediaType, mode, partCount: expectedParts, expiresAt: session.expiresAt, ...direct
+      }
+    });
   } catch (e) {
-    return res.status(500).json({ error: e.message, code: 'INTERNAL_ERROR' });
+    return sendError(res, e);
   }
 }
 
@@ -63,150 +217,325 @@ async function uploadPart(req, res) {
     const { index, checksum } = req.query;
     if (!uploadId || index === undefined) return res.status(400).json({ error: 'Missing uploadId or index', code: 'VALIDATION_ERROR' });
     const partIndex = Number(index);
-    const dir = path.join(TEMP_ROOT, uploadId);
-    const metaPath = path.join(dir, 'meta.json');
-    if (!(await fs.pathExists(metaPath))) return res.status(404).json({ error: 'Upload not found', code: 'NOT_FOUND' });
-    const meta = await fs.readJson(metaPath);
-
-    const partPath = path.join(dir, `part-${partIndex}`);
-    const buffers = [];
-    
-    req.on('data', (chunk) => buffers.push(chunk));
-    
-    req.on('end', async () => {
-      try {
-        const buf = Buffer.concat(buffers);
-        if (checksum) {
-          const h = hash(buf);
-          if (h !== checksum) return res.status(400).json({ error: 'Checksum mismatch', code: 'CHECKSUM_MISMATCH' });
+    const session = await getActiveSession(uploadId, requestUserId(req));
+    if (session.mode === 'direct') {
+      return res.status(409).json({ error: 'Parts of a direct upload go to the presigned URLs returned by init', code: 'DIRECT_UPLOAD' });
+    }
+
+    if (!Number.isInteger(partIndex) || partIndex < 0 || partIndex >= partCount(session)) {
+      return res.status(400).json({ error: `index must be between 0 and ${partCount(session) - 1}`, code: 'INVALID_PART_INDEX' });
+    }
+    const declared = session.partChecksums?.[partIndex] || null;
+    if (declared && checksum && String(checksum).toLowerCase() !== declared) {
+      return res.status(400).json({ error: 'Checksum differs from the one declared at init', code: 'CHECKSUM_MISMATCH' });
+    }
+    const expected = declared || (checksum ? String(checksum).toLowerCase() : null);
+    const expectedSize = expectedPartSize(session, partIndex);
+
+    // Stream the part to its own object, hashing as it arrives; it replaces any earlier attempt only once verified
+    const objectKey = `${partsPrefix(uploadId)}${partIndex}-${uuidv7()}`;
+    const digest = crypto.createHash('sha1');
+    let size = 0;
+    let tooLarge = false;
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > expectedSize) {
+          tooLarge = true;
+          callback(new Error(`Part ${partIndex} is larger than ${expectedSize} bytes`));
+          return;
         }
-        await fs.writeFile(partPath, buf);
-        meta.uploadedBytes += buf.length;
-        meta.receivedParts[partIndex] = buf.length;
-        await fs.writeJson(metaPath, meta);
-        res.json({ success: true, data: { index: partIndex, size: buf.length, uploadedBytes: meta.uploadedBytes } });
-      } catch (error) {
-        res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
+        digest.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    try {
+      await uploadMultipart(objectKey, pipeline(req, meter, () => {}), 'application/octet-stream');
+    } catch (error) {
+      await deleteObject(objectKey).catch(() => {});
+      if (tooLarge) {
+        return res.status(413).json({ error: `Part ${partIndex} is larger than ${expectedSize} bytes`, code: 'PART_TOO_LARGE' });
       }
+      throw error;
+    }
+
+    const actual = digest.digest('hex');
+    if (size !== expectedSize || (expected && actual !== expected)) {
+      await deleteObject(objectKey);
+      return size !== expectedSize
+        ? res.status(400).json({ error: `Part ${partIndex} must be ${expectedSize} bytes, got ${size}`, code: 'PART_SIZE_MISMATCH' })
+        : res.status(400).json({ error: 'Checksum mismatch', code: 'CHECKSUM_MISMATCH' });
+    }
+
+    const replaced = await recordPart(uploadId, {
+      index: partIndex, size, checksum: actual, objectKey
     });
-    
-    req.on('error', (error) => {
-      res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
+    if (replaced) await deleteObject(replaced);
+
+    const { uploadedBytes } = await describeSession(await getActiveSession(uploadId, session.userId));
+    return res.json({
+      success: true,
+      data: {
+        index: partIndex, size, checksum: actual, uploadedBytes
+      }
     });
-    
   } catch (e) {
-    return res.status(500).json({ error: e.message, code: 'INTERNAL_ERROR' });
+    return sendError(res, e);
   }
 }
 
 async function status(req, res) {
   try {
-    const { uploadId } = req.params;
-    const dir = path.join(TEMP_ROOT, uploadId);
-    const metaPath = path.join(dir, 'meta.json');
-    if (!(await fs.pathExists(metaPath))) return res.status(404).json({ error: 'Upload not found', code: 'NOT_FOUND' });
-    const meta = await fs.readJson(metaPath);
-    return res.json({ success: true, data: { uploadedBytes: meta.uploadedBytes, receivedParts: Object.keys(meta.receivedParts).map(Number).sort((a,b)=>a-b) } });
+    const session = await getActiveSession(req.params.uploadId, requestUserId(req));
+    const summary = await describeSession(session);
+    if (session.mode === 'direct') {
+      // Parts still missing get freshly signed URLs
+      const missing = [...Array(summary.partCount).keys()].filter((index) => !summary.receivedParts.includes(index));
+      return res.json({ success: true, data: { ...summary, ...(await signPartUrls(session, missing)) } });
+    }
+    return res.json({ success: true, data: summary });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+// In-progress uploads of the current user, newest activity first, so they can be resumed anywhere
+async function listSessions(req, res) {
+  try {
+    const sessions = await listActiveSessions(requestUserId(req));
+    const data = await Promise.all(sessions.map(describeSession));
+    return res.json({ success: true, data });
   } catch (e) {
-    return res.status(500).json({ error: e.message, code: 'INTERNAL_ERROR' });
+    return sendError(res, e);
   }
 }
 
 async function abort(req, res) {
   try {
-    const { uploadId } = req.params;
-    const dir = path.join(TEMP_ROOT, uploadId);
-    await fs.remove(dir);
+    const session = await getActiveSession(req.params.uploadId, requestUserId(req));
+    if (session.mode === 'direct') {
+      // Discards any parts clients already sent to storage
+      await abortMultipartUpload(session.objectKey, session.s3UploadId).catch((error) => {
+        console.error(`[Upload] Failed to abort multipart upload ${session.s3UploadId}:`, error.message);
+      });
+    } else {
+      await deletePrefix(partsPrefix(session.uploadId));
+    }
+    await finishSession(session.uploadId, 'aborted');
     return res.json({ success: true, message: 'Upload aborted' });
   } catch (e) {
-    return res.status(500).json({ error: e.message, code: 'INTERNAL_ERROR' });
+    return sendError(res, e);
+  }
+}
+
+/**
+ * Join the parts received through the API into one object. The parts are read
+ * from storage once, and hashed on the way through: each is re-checked against
+ * the checksum recorded when it arrived, and the whole file is fingerprinted.
+ * If the same bytes are already stored, the new object is dropped in favour of
+ * the existing one.
+ * @returns {Promise<{objectKey: string, sha256: string, size: number, matches: object}>}
+ */
+async function storeProxiedUpload(session) {
+  const missingParts = [];
+  for (let index = 0; index < partCount(session); index += 1) {
+    if (!session.receivedParts[index]) missingParts.push(index);
+  }
+  if (missingParts.length > 0) throw missingPartsError(missingParts);
+
+  const objectKey = `uploads/chunks/${session.uploadId}`;
+  const fingerprint = { digest: crypto.createHash('sha256'), size: 0, corruptParts: [] };
+  await uploadMultipart(objectKey, streamStoredParts(session, fingerprint), session.contentType);
+
+  const { corruptParts, size } = fingerprint;
+  if (corruptParts.length > 0) {
+    await deleteObject(objectKey);
+    await removeParts(session.uploadId, corruptParts);
+    throw Object.assign(new AppError(
+      `Parts failed checksum verification and must be re-sent: ${corruptParts.join(', ')}`,
+      400,
+      'CHECKSUM_MISMATCH'
+    ), { details: { corruptParts } });
+  }
+  if (size !== session.totalSize) {
+    await deleteObject(objectKey);
+    throw new AppError(`Expected ${session.totalSize} bytes, got ${size}`, 400, 'SIZE_MISMATCH');
+  }
+
+  const sha256 = fingerprint.digest.digest('hex');
+  const matches = await findMatches({
+    sha256, size, userId: session.userId, mediaType: session.mediaType
+  });
+  if (matches.objectKey) {
+    await deleteObject(objectKey);
+  }
+  return {
+    objectKey: matches.objectKey || objectKey, sha256, size, matches
+  };
+}
+
+/**
+ * Check the parts clients uploaded straight to storage against the ETags they
+ * report, then complete the multipart upload. The object is read back once to
+ * fingerprint it; a duplicate of bytes already stored is dropped in favour of
+ * the existing object.
+ * @param {object} session - The upload session
+ * @param {Array<{index: number, etag: string}>} declaredParts - ETags returned to the client by each part PUT
+ * @returns {Promise<{objectKey: string, sha256: string, size: number, matches: object}>}
+ */
+async function storeDirectUpload(session, declaredParts) {
+  if (!Array.isArray(declaredParts)) {
+    throw new AppError('parts must list the ETag returned for each part', 400, 'VALIDATION_ERROR');
   }
+  const declared = new Map(declaredParts.map((part) => [Number(part.index), normalizeEtag(part.etag)]));
+  const uploaded = new Map((await listUploadedParts(session.objectKey, session.s3UploadId))
+    .map((part) => [part.partNumber - 1, part]));
+
+  const missingParts = [];
+  const mismatchedParts = [];
+  for (let index = 0; index < partCount(session); index += 1) {
+    const part = uploaded.get(index);
+    if (!part) {
+      missingParts.push(index);
+    } else if (normalizeEtag(part.etag) !== declared.get(index) || part.size !== expectedPartSize(session, index)) {
+      mismatchedParts.push(index);
+    }
+  }
+  if (missingParts.length > 0) throw missingPartsError(missingParts);
+  if (mismatchedParts.length > 0) {
+    throw Object.assign(new AppError(
+      `Parts do not match the declared ETag or size and must be re-sent: ${mismatchedParts.join(', ')}`,
+      400,
+      'ETAG_MISMATCH'
+    ), { details: { mismatchedParts } });
+  }
+
+  await completeMultipartUpload(
+    session.objectKey,
+    session.s3UploadId,
+    [...uploaded.values()].sort((a, b) => a.partNumber - b.partNumber)
+  );
+
+  const sha256 = await hashObject(session.objectKey);
+  const matches = await findMatches({
+    sha256, size: session.totalSize, userId: session.userId, mediaType: session.mediaType || 'video'
+  });
+  if (matches.objectKey) {
+    await deleteObject(session.objectKey);
+  }
+  return {
+    objectKey: matches.objectKey || session.objectKey, sha256, size: session.totalSize, matches
+  };
 }
 
 async function complete(req, res) {
   try {
-    const { uploadId } = req.params;
-    const dir = path.join(TEMP_ROOT, uploadId);
-    const metaPath = path.join(dir, 'meta.json');
-    if (!(await fs.pathExists(metaPath))) return res.status(404).json({ error: 'Upload not found', code: 'NOT_FOUND' });
-    const meta = await fs.readJson(metaPath);
-
-    const partFiles = (await fs.readdir(dir))
-      .filter((f) => f.startsWith('part-'))
-      .map((f) => ({ f, idx: Number(f.split('-')[1]) }))
-      .sort((a, b) => a.idx - b.idx)
-      .map((x) => x.f);
-
-    const tempVideo = path.join(dir, 'assembled.mp4');
-    const ws = fs.createWriteStream(tempVideo);
-    // eslint-disable-next-line no-restricted-syntax
-    for (const pf of partFiles) {
-      // eslint-disable-next-line no-await-in-loop
-      const buf = await fs.readFile(path.join(dir, pf));
-      ws.write(buf);
-    }
-    ws.end();
-    await new Promise((r) => ws.on('finish', r));
-
-    // Upload to MinIO
-    const s3 = getS3Client();
-    const bucket = getBucketName();
-    const objectKey = `uploads/chunks/${uploadId}`;
-    const fileBuffer = await fs.readFile(tempVideo);
-    await s3.send(new PutObjectCommand({ Bucket: bucket, Key: objectKey, Body: fileBuffer, ContentType: meta.contentType }));
-
-    // Log data before creating content
-    console.log('[Upload] Creating content with data:', {
-      type: 'video',
-      authorId: meta.userId,
-      title: meta.title,
-      description: meta.description || null,
-      category: meta.category,
-      tags: meta.tags,
-      status: meta.status,
-      visibility: meta.visibility,
-      uploadStatus: 'uploaded',
-      processingStatus: 'queued',
-      metadata: {
-        sourceObjectKey: objectKey,
-        originalName: meta.filename,
-        useAdaptiveStorage: meta.useAdaptiveStorage
-      }
-    });
-    
-    // Create Content
-    const content = await prisma.content.create({
-      data: {
-        type: 'video',
-        authorId: meta.userId,
-        title: meta.title,
-        description: meta.description || null,
-        category: meta.category,
-        tags: meta.tags,
-        status: meta.status,
-        visibility: meta.visibility,
+    const session = await getActiveSession(req.params.uploadId, requestUserId(req));
+    // Only one request may assemble a session, whichever instance it reaches
+    if (!(await claimForCompletion(session.uploadId))) {
+      return res.status(409).json({ error: 'Upload is already being completed', code: 'UPLOAD_NOT_ACTIVE' });
+    }
+
+    const mediaType = session.mediaType || 'video';
+    let stored;
+    let content;
+    try {
+      stored = session.mode === 'direct'
+        ? await storeDirectUpload(session, req.body?.parts)
+        : await storeProxiedUpload(session);
+      const { objectKey, sha256 } = stored;
+
+      // Log data before creating content
+      console.log('[Upload] Creating content with data:', {
+        type: mediaType,
+        authorId: session.userId,
+        title: session.title,
+        description: session.description || null,
+        category: session.category,
+        tags: session.tags,
+        status: session.status,
+        visibility: session.visibility,
         uploadStatus: 'uploaded',
         processingStatus: 'queued',
         metadata: {
           sourceObjectKey: objectKey,
-          originalName: meta.filename,
-          useAdaptiveStorage: meta.useAdaptiveStorage
+          sourceSha256: sha256,
+          originalName: session.filename,
+          contentType: session.contentType,
+          useAdaptiveStorage: session.useAdaptiveStorage
         }
-      }
+      });
+
+      // Create Content
+      content = await prisma.content.create({
+        data: {
+          type: mediaType,
+          authorId: session.userId,
+          title: session.title,
+          description: session.description || null,
+          category: session.category,
+          tags: session.tags,
+          ...PublishScheduleService.uploadStatus(session.status),
+          visibility: session.visibility,
+          uploadStatus: 'uploaded',
+          processingStatus: 'queued',
+          metadata: {
+            sourceObjectKey: objectKey,
+            sourceSha256: sha256,
+            originalName: session.filename,
+            contentType: session.contentType,
+            useAdaptiveStorage: session.useAdaptiveStorage
+          }
+        }
+      });
+    } catch (error) {
+      // Nothing was created yet: missing or corrupt parts can be re-sent, and any
+      // other failure retried, instead of the session waiting for the reaper
+      await releaseSession(session.uploadId);
+      throw error;
+    }
+    const {
+      objectKey, sha256, size, matches
+    } = stored;
+    // Kept until now so a proxied upload can be assembled again if creating the content fails
+    if (session.mode !== 'direct') {
+      await deletePrefix(partsPrefix(session.uploadId));
+    }
+    await recordFingerprint({
+      sha256, size, mediaType, objectKey, contentId: content.id, userId: session.userId
     });
+    await StorageService.invalidate(session.userId);
 
-    // Enqueue processing job
+    // Enqueue processing job; a re-upload of the author's own processed file reuses its renditions
     console.log('[Upload] Enqueuing processing job for contentId:', content.id);
-    const queue = createVideoQueue();
-    const { jobId } = await enqueueProcessVideo(queue, { contentId: content.id, sourceObjectKey: objectKey, userId: meta.userId });
+    const jobPayload = { contentId: content.id, sourceObjectKey: objectKey, userId: session.userId };
+    let enqueued;
+    if (matches.own) {
+      enqueued = await enqueueReuseRenditions({ ...jobPayload, reuseFromContentId: matches.own.id });
+    } else if (mediaType === 'audio') {
+      enqueued = await enqueueProcessAudio(jobPayload);
+    } else {
+      enqueued = await enqueueProcessVideo(createVideoQueue(), jobPayload);
+    }
+    const { jobId } = enqueued;
     console.log('[Upload] Job enqueued with jobId:', jobId);
 
-    // Cleanup temp
-    await fs.remove(dir);
+    if (matches.original) {
+      try {
+        await flagPossibleRepost(content.id, matches.original);
+      } catch (flagError) {
+        console.error('[Upload] Failed to flag possible repost:', flagError.message);
+      }
+    }
+
+    await finishSession(session.uploadId, 'completed', content.id);
 
-    return res.json({ success: true, data: { contentId: content.id, jobId } });
+    return res.json({
+      success: true,
+      data: { contentId: content.id, jobId, reusedFrom: matches.own ? matches.own.id : null }
+    });
   } catch (e) {
-    return res.status(500).json({ error: e.message, code: 'INTERNAL_ERROR' });
+    return sendError(res, e);
   }
 }
 
@@ -214,8 +543,7 @@ module.exports = {
   initUpload,
   uploadPart,
   status,
+  listSessions,
   abort,
   complete
 };
-
-
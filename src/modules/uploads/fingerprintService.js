@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { prisma } = require('../../config/database');
+const { getObjectStream } = require('../../services/media/minioMediaStore');
+const { enqueueReport } = require('../moderation/services/queueService');
+
+async function hashStream(stream) {
+  const digest = crypto.createHash('sha256');
+  await new Promise((resolve, reject) => {
+    stream
+      .on('data', (chunk) => digest.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+  return digest.digest('hex');
+}
+
+// Hash a file on disk without loading it into memory
+async function hashFile(filePath) {
+  return hashStream(fs.createReadStream(filePath));
+}
+
+// Hash an object already in storage, e.g. one clients uploaded directly
+async function hashObject(key) {
+  return hashStream(await getObjectStream(key));
+}
+
+/**
+ * Look up earlier uploads of the same bytes.
+ * - own: the uploader's own processed copy of the same media type, whose renditions can be reused
+ * - original: the earliest copy uploaded by someone else (a possible repost)
+ * - objectKey: an already stored source object with these bytes, so it need not be stored again
+ * @param {{sha256: string, size: number, userId: string, mediaType: string}} upload
+ */
+async function findMatches({
+  sha256, size, userId, mediaType
+}) {
+  const matches = await prisma.mediaFingerprint.findMany({
+    where: { sha256, size: BigInt(size) },
+    include: {
+      content: {
+        select: {
+          id: true, type: true, authorId: true, status: true, processingStatus: true
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const own = matches.find((match) => match.userId === userId
+    && match.content.type === mediaType
+    && match.content.processingStatus === 'completed'
+    && match.content.status !== 'removed');
+  const original = matches.find((match) => match.userId !== userId);
+
+  return {
+    own: own ? own.content : null,
+    original: original ? original.content : null,
+    objectKey: matches.length > 0 ? matches[0].objectKey : null
+  };
+}
+
+async function recordFingerprint({
+  sha256, size, mediaType, objectKey, contentId, userId
+}) {
+  return prisma.mediaFingerprint.create({
+    data: {
+      sha256, size: BigInt(size), mediaType, objectKey, contentId, userId
+    }
+  });
+}
+
+/**
+ * Raise a moderation report for an upload whose bytes match another user's
+ * content. The upload itself is not blocked; moderators decide.
+ */
+async function flagPossibleRepost(contentId, original) {
+  const report = await prisma.report.create({
+    data: {
+      contentId,
+      reporterId: null,
+      reason: 'COPYRIGHT',
+      description: `Automatic: identical file to content ${original.id} uploaded earlier by user ${original.authorId}`
+    }
+  });
+  return enqueueReport(report);
+}
+
+module.exports = {
+  hashFile,
+  hashObject,
+  findMatches,
+  recordFingerprint,
+  flagPossibleRepost
+};
@@ -0,0 +1,76 @@
+const path = require('path');
+const { prisma } = require('../../config/database');
+const { cache } = require('../../config/redis');
+const { storageConfig } = require('../../config/storage');
+const { copyObject, deleteObject, putObjectBuffer } = require('../../services/media/minioMediaStore');
+
+// Quarantined files live under quarantine/{contentId}/, out of reach of processing and playback
+const quarantineKey = (contentId, name) => `${storageConfig.validation.quarantinePrefix}${contentId}/${path.basename(name)}`;
+
+// Mark the content rejected and record why, pointing its source at the quarantined copy
+async function recordRejection(contentId, objectKey, rejection) {
+  const content = await prisma.content.findUnique({ where: { id: contentId }, select: { metadata: true } });
+  const metadata = { ...(content?.metadata || {}) };
+  // Documents are streamed from these; the source they named is gone
+  delete metadata.uploadPath;
+  delete metadata.documentUrl;
+  await prisma.content.update({
+    where: { id: contentId },
+    data: {
+      processingStatus: 'rejected',
+      metadata: {
+        ...metadata,
+        // Documents report their processing status from metadata
+        processingStatus: 'rejected',
+        sourceObjectKey: objectKey,
+        quarantine: {
+          code: rejection.code,
+          reason: rejection.message,
+          details: rejection.details || {},
+          objectKey,
+          quarantinedAt: new Date().toISOString()
+        }
+      }
+    }
+  });
+  await cache.del(`content:${contentId}`);
+}
+
+/**
+ * Move a stored source that failed validation into quarantine. Identical bytes
+ * uploaded by other content may share the object; it is copied then and left
+ * for their own validation to judge. The fingerprint is dropped so later
+ * uploads of the same bytes are stored and validated afresh.
+ * @param {string} contentId
+ * @param {string} sourceKey
+ * @param {import('../../services/media/mediaValidation').MediaRejectedError} rejection
+ * @returns {Promise<string>} The quarantined object key
+ */
+async function quarantineObject(contentId, sourceKey, rejection) {
+  const objectKey = quarantineKey(contentId, sourceKey);
+  const shared = await prisma.mediaFingerprint.count({
+    where: { objectKey: sourceKey, contentId: { not: contentId } }
+  });
+  await copyObject(sourceKey, objectKey);
+  if (shared === 0) {
+    await deleteObject(sourceKey);
+  }
+  await prisma.mediaFingerprint.deleteMany({ where: { contentId } });
+  await recordRejection(contentId, objectKey, rejection);
+  console.log(`[Quarantine] ${contentId}: ${rejection.code} - ${rejection.message}`);
+  return objectKey;
+}
+
+// Store a file that failed validation before it was ever written to storage
+async function quarantineBuffer(contentId, filename, buffer, rejection) {
+  const objectKey = quarantineKey(contentId, filename || 'file');
+  await putObjectBuffer(objectKey, buffer, 'application/octet-stream');
+  await recordRejection(contentId, objectKey, rejection);
+  console.log(`[Quarantine] ${contentId}: ${rejection.code} - ${rejection.message}`);
+  return objectKey;
+}
+
+module.exports = {
+  quarantineObject,
+  quarantineBuffer
+};
@@ -11,7 +11,140 @@ const router = express.Router();
  *     description: Chunked video upload endpoints
  */
 
+// List in-progress uploads
+/**
+ * @swagger
+ * /api/uploads/sessions:
+ *   get:
+ *     summary: List the current user's in-progress chunked uploads
+ *     description: >
+ *       Sessions are kept server-side, so an upload started on one device can be
+ *       resumed from another with its uploadId and the status endpoint.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: In-progress uploads, most recently active first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       uploadId: { type: string }
+ *                       filename: { type: string }
+ *                       title: { type: string }
+ *                       mediaType: { type: string, enum: [video, audio] }
+ *                       mode: { type: string, enum: [proxy, direct] }
+ *                       totalSize: { type: integer }
+ *                       chunkSize: { type: integer }
+ *                       partCount: { type: integer }
+ *                       receivedParts:
+ *                         type: array
+ *                         items: { type: integer }
+ *                       uploadedBytes: { type: integer }
+ *                       createdAt: { type: string, format: date-time }
+ *                       expiresAt: { type: string, format: date-time }
+ */
+router.get(
+  '/sessions',
+  authenticateToken,
+  requireActiveUser,
+  ChunkController.listSessions
+);
+
 // Init upload
+/**
+ * @swagger
+ * /api/uploads/videos/chunk/init:
+ *   post:
+ *     summary: Start a chunked video or audio upload
+ *     description: >
+ *       In "proxy" mode (default) parts are PUT to this API. In "direct" mode the
+ *       response carries a presigned S3 URL per part; clients PUT each part straight
+ *       to storage, keep the ETag response header (the bucket's CORS rules must expose
+ *       it) and send the ETags to the complete endpoint.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [filename, totalSize, chunkSize, title, category]
+ *             properties:
+ *               filename: { type: string }
+ *               contentType: { type: string, example: video/mp4 }
+ *               totalSize: { type: integer, description: File size in bytes }
+ *               chunkSize: { type: integer, description: Size of every part except the last }
+ *               title: { type: string }
+ *               description: { type: string }
+ *               category: { type: string }
+ *               mode:
+ *                 type: string
+ *                 enum: [proxy, direct]
+ *                 default: proxy
+ *                 description: Direct uploads need a chunkSize of at least 5 MB and at most 10,000 parts
+ *               partChecksums:
+ *                 type: array
+ *                 description: >
+ *                   Optional SHA-1 (hex) of each part, in order. Parts that do not match are
+ *                   rejected on upload and re-checked before the file is assembled.
+ *                 items: { type: string }
+ *     responses:
+ *       200:
+ *         description: Upload started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     uploadId:
+ *                       type: string
+ *                     mediaType:
+ *                       type: string
+ *                       enum: [video, audio]
+ *                     mode:
+ *                       type: string
+ *                     partCount:
+ *                       type: integer
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Pushed back each time a part arrives
+ *                     parts:
+ *                       type: array
+ *                       description: Direct mode only
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index: { type: integer }
+ *                           partNumber: { type: integer }
+ *                           url: { type: string }
+ *                     urlsExpireAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Missing fields or partChecksums that do not match the part count
+ *       413:
+ *         description: The file does not fit in the user's storage quota
+ */
 router.post(
   '/videos/chunk/init',
   authenticateToken,
@@ -46,7 +179,7 @@ router.post(
  *         name: checksum
  *         schema:
  *           type: string
- *         description: SHA-1 checksum of the chunk (optional)
+ *         description: SHA-1 checksum of the chunk (optional; must match the one declared at init, if any)
  *     requestBody:
  *       required: true
  *       content:
@@ -73,8 +206,16 @@ router.post(
  *                       type: integer
  *                     size:
  *                       type: integer
+ *                     checksum:
+ *                       type: string
  *                     uploadedBytes:
  *                       type: integer
+ *       400:
+ *         description: Invalid index, wrong part size or checksum mismatch
+ *       409:
+ *         description: The upload is in direct mode; parts go to the presigned URLs
+ *       413:
+ *         description: Part is larger than chunkSize
  */
 router.put(
   '/videos/chunk/:uploadId',
@@ -118,6 +259,15 @@ router.put(
  *                     receivedParts:
  *                       type: array
  *                       items: { type: integer }
+ *                     parts:
+ *                       type: array
+ *                       description: Direct mode only; freshly signed URLs for the parts not received yet
+ *                       items:
+ *                         type: object
+ *       404:
+ *         description: No such upload for this user
+ *       410:
+ *         description: The session expired after too long without a part arriving
  */
 router.get(
   '/videos/chunk/:uploadId/status',
@@ -142,6 +292,20 @@ router.get(
  *         schema:
  *           type: string
  *         description: Upload ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parts:
+ *                 type: array
+ *                 description: Direct mode only; the ETag storage returned for each part
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     index: { type: integer }
+ *                     etag: { type: string }
  *     responses:
  *       200:
  *         description: Upload completed and processing started
@@ -160,6 +324,8 @@ router.get(
  *                       type: string
  *                     jobId:
  *                       type: string
+ *       400:
+ *         description: Parts missing, or parts that failed checksum or ETag verification and must be re-sent
  */
 router.post(
   '/videos/chunk/:uploadId/complete',
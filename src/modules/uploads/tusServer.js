@@ -1,12 +1,19 @@
 const { Server } = require('@tus/server');
 const { FileStore } = require('@tus/file-store');
 const express = require('express');
-const { getS3Client, getBucketName } = require('../../config/minio');
-const { enqueueProcessVideo, createVideoQueue } = require('../../jobs/queues/videoQueue');
+const {
+  enqueueProcessVideo, enqueueProcessAudio, enqueueReuseRenditions, createVideoQueue
+} = require('../../jobs/queues/videoQueue');
+const {
+  hashFile, findMatches, recordFingerprint, flagPossibleRepost
+} = require('./fingerprintService');
 const { prisma } = require('../../config/database');
+const { storageConfig } = require('../../config/storage');
 const path = require('path');
 const fs = require('fs-extra');
-const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const { uploadMultipart } = require('../../services/media/minioMediaStore');
+const StorageService = require('../users/storageService');
+const PublishScheduleService = require('../content/services/publishScheduleService');
 
 function parseTusMetadata(headerVal = '') {
   const map = {};
@@ -23,16 +30,30 @@ function parseTusMetadata(headerVal = '') {
 
 function createTusHandler() {
   const router = express.Router();
-  const s3 = getS3Client();
-  const bucket = getBucketName();
-
-  const uploadsDir = process.env.TUS_UPLOAD_DIR || path.join(process.cwd(), 'tmp', 'tus');
+  const uploadsDir = storageConfig.local.tusDir;
   fs.mkdirpSync(uploadsDir);
   const store = new FileStore({ directory: uploadsDir });
 
   const server = new Server({
     path: '/api/uploads/tus',
     datastore: store,
+    // Refuse the upload up front when its declared length does not fit in the user's quota
+    onUploadCreate: async (req, res, upload) => {
+      const metadata = parseTusMetadata(req.headers['upload-metadata']);
+      const userId = req.user?.id || metadata.userId;
+      if (userId && upload.size) {
+        try {
+          await StorageService.assertCanStore(userId, upload.size);
+        } catch (error) {
+          if (error.code === 'STORAGE_QUOTA_EXCEEDED') {
+            // eslint-disable-next-line no-throw-literal
+            throw { status_code: 413, body: error.message };
+          }
+          throw error;
+        }
+      }
+      return res;
+    },
     onUploadFinish: async (req, res, upload) => {
       try {
         const metadata = parseTusMetadata(req.headers['upload-metadata']);
@@ -43,52 +64,67 @@ function createTusHandler() {
           }
         })();
 
-        // Move file from local tus to MinIO
+        const mediaType = String(metadata.contentType || metadata.filetype || '').startsWith('audio/') ? 'audio' : 'video';
+
         const localPath = path.join(uploadsDir, upload.id);
-        const fileBuffer = await fs.readFile(localPath);
-        const objectKey = `uploads/tus/${upload.id}`;
-        await s3.send(new PutObjectCommand({ Bucket: bucket, Key: objectKey, Body: fileBuffer, ContentType: metadata.contentType || 'video/mp4' }));
+        const sha256 = await hashFile(localPath);
+        const { size } = await fs.stat(localPath);
+        const matches = await findMatches({
+          sha256, size, userId, mediaType
+        });
+
+        // Stream file from local tus to MinIO, unless the same bytes are already stored
+        const objectKey = matches.objectKey || `uploads/tus/${upload.id}`;
+        if (!matches.objectKey) {
+          await uploadMultipart(objectKey, fs.createReadStream(localPath), metadata.contentType || 'video/mp4');
+        }
 
         // Create Content record
         const content = await prisma.content.create({
           data: {
-            type: 'video',
+            type: mediaType,
             title: metadata.title || upload.id,
             description: metadata.description || null,
             category: metadata.category || 'other',
             tags,
-            status: metadata.status || 'draft',
+            ...PublishScheduleService.uploadStatus(metadata.status),
             visibility: metadata.visibility || 'public',
             uploadStatus: 'uploaded',
             processingStatus: 'queued',
             author: userId ? { connect: { id: userId } } : undefined,
             metadata: {
               sourceObjectKey: objectKey,
+              sourceSha256: sha256,
               originalName: metadata.filename || upload.metadata?.filename,
+              contentType: metadata.contentType || metadata.filetype || null,
               useAdaptiveStorage: metadata.useAdaptiveStorage !== 'false'
             }
           }
         });
 
-        // Enqueue processing job
-        const queue = createVideoQueue();
-        const { jobId } = await enqueueProcessVideo(queue, { contentId: content.id, sourceObjectKey: objectKey, userId });
-
-        await prisma.job.create({
-          data: {
-            userId: userId || content.authorId,
-            type: 'PROCESS_VIDEO',
-            status: 'PENDING',
-            progress: 0,
-            bullJobId: String(jobId),
-            contentId: content.id,
-            data: {
-              uploadId: upload.id,
-              bucket,
-              key: objectKey
-            }
-          }
+        await recordFingerprint({
+          sha256, size, mediaType, objectKey, contentId: content.id, userId
         });
+        await StorageService.invalidate(userId);
+
+        // Enqueue processing job (this also creates its Job record)
+        const jobPayload = {
+          contentId: content.id, sourceObjectKey: objectKey, userId, uploadId: upload.id
+        };
+        if (matches.own) {
+          await enqueueReuseRenditions({ ...jobPayload, reuseFromContentId: matches.own.id });
+        } else if (mediaType === 'audio') {
+          await enqueueProcessAudio(jobPayload);
+        } else {
+          await enqueueProcessVideo(createVideoQueue(), jobPayload);
+        }
+
+        if (matches.original) {
+          await flagPossibleRepost(content.id, matches.original).catch((flagError) => {
+            // eslint-disable-next-line no-console
+            console.error('Failed to flag possible repost:', flagError.message);
+          });
+        }
       } catch (e) {
         // eslint-disable-next-line no-console
         console.error('onUploadFinish error:', e);
@@ -0,0 +1,161 @@
+const { prisma } = require('../../config/database');
+const { AppError } = require('../../middleware/errorHandler');
+
+// Sessions expire after this long without a part arriving
+const SESSION_TTL_MS = (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_MS);
+
+function partCount(session) {
+  return Math.ceil(session.totalSize / session.chunkSize);
+}
+
+// Every part is chunkSize bytes except the last, which holds the remainder
+function expectedPartSize(session, index) {
+  const count = partCount(session);
+  return index < count - 1 ? session.chunkSize : session.totalSize - session.chunkSize * (count - 1);
+}
+
+// Flatten a row into the shape the upload handlers work with
+function toSession(row) {
+  return {
+    ...row.details,
+    uploadId: row.id,
+    userId: row.userId,
+    filename: row.filename,
+    contentType: row.contentType,
+    mediaType: row.mediaType,
+    mode: row.mode,
+    totalSize: Number(row.totalSize),
+    chunkSize: row.chunkSize,
+    partChecksums: row.partChecksums,
+    objectKey: row.objectKey,
+    s3UploadId: row.s3UploadId,
+    // details.status is the status the content is created with
+    sessionStatus: row.status,
+    expiresAt: row.expiresAt,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+    // Parts received through the API, by index
+    receivedParts: Object.fromEntries((row.parts || []).map((part) => [part.index, part]))
+  };
+}
+
+async function createSession({
+  uploadId, userId, filename, contentType, mediaType, mode, totalSize, chunkSize, partChecksums,
+  objectKey, s3UploadId, details
+}) {
+  const row = await prisma.uploadSession.create({
+    data: {
+      id: uploadId,
+      userId,
+      filename,
+      contentType,
+      mediaType,
+      mode,
+      totalSize: BigInt(totalSize),
+      chunkSize,
+      partChecksums,
+      objectKey,
+      s3UploadId,
+      details,
+      expiresAt: nextExpiry()
+    }
+  });
+  return toSession(row);
+}
+
+/**
+ * Load an in-progress session for its owner. Other users' sessions are
+ * reported as not found.
+ * @param {string} uploadId
+ * @param {string} userId
+ */
+async function getActiveSession(uploadId, userId) {
+  const row = await prisma.uploadSession.findUnique({
+    where: { id: uploadId },
+    include: { parts: { orderBy: { index: 'asc' } } }
+  });
+  if (!row || row.userId !== userId) {
+    throw new AppError('Upload not found', 404, 'NOT_FOUND');
+  }
+  if (row.status === 'expired' || row.expiresAt < new Date()) {
+    throw new AppError('Upload session has expired', 410, 'UPLOAD_EXPIRED');
+  }
+  if (row.status !== 'active') {
+    throw new AppError(`Upload is ${row.status}`, 409, 'UPLOAD_NOT_ACTIVE');
+  }
+  return toSession(row);
+}
+
+async function listActiveSessions(userId) {
+  const rows = await prisma.uploadSession.findMany({
+    where: { userId, status: 'active', expiresAt: { gt: new Date() } },
+    include: { parts: { orderBy: { index: 'asc' } } },
+    orderBy: { updatedAt: 'desc' }
+  });
+  return rows.map(toSession);
+}
+
+/**
+ * Record a verified part and push the session's expiry back. Returns the object
+ * key of the part it replaces, if it was sent before.
+ */
+async function recordPart(uploadId, {
+  index, size, checksum, objectKey
+}) {
+  const [previous] = await prisma.$transaction([
+    prisma.uploadSessionPart.findUnique({ where: { sessionId_index: { sessionId: uploadId, index } } }),
+    prisma.uploadSessionPart.upsert({
+      where: { sessionId_index: { sessionId: uploadId, index } },
+      create: {
+        sessionId: uploadId, index, size, checksum, objectKey
+      },
+      update: { size, checksum, objectKey }
+    }),
+    prisma.uploadSession.update({ where: { id: uploadId }, data: { expiresAt: nextExpiry() } })
+  ]);
+  return previous && previous.objectKey !== objectKey ? previous.objectKey : null;
+}
+
+async function removeParts(uploadId, indexes) {
+  await prisma.uploadSessionPart.deleteMany({ where: { sessionId: uploadId, index: { in: indexes } } });
+}
+
+// Move an active session to "completing"; false when another request got there first
+async function claimForCompletion(uploadId) {
+  const { count } = await prisma.uploadSession.updateMany({
+    where: { id: uploadId, status: 'active' },
+    data: { status: 'completing' }
+  });
+  return count === 1;
+}
+
+// Completion failed before the content was created: let the client fix any parts and retry
+async function releaseSession(uploadId) {
+  await prisma.uploadSession.updateMany({
+    where: { id: uploadId, status: 'completing' },
+    data: { status: 'active', expiresAt: nextExpiry() }
+  });
+}
+
+async function finishSession(uploadId, status, contentId = null) {
+  await prisma.$transaction([
+    prisma.uploadSessionPart.deleteMany({ where: { sessionId: uploadId } }),
+    prisma.uploadSession.update({ where: { id: uploadId }, data: { status, contentId } })
+  ]);
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  partCount,
+  expectedPartSize,
+  createSession,
+  getActiveSession,
+  listActiveSessions,
+  recordPart,
+  removeParts,
+  claimForCompletion,
+  releaseSession,
+  finishSession
+};
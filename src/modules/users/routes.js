@@ -4,8 +4,9 @@ const UserController = require('./userController');
 const FollowController = require('./followController');
 const PreferencesController = require('./preferencesController');
 const ConnectedAccountsController = require('./connectedAccountsController');
+const StorageController = require('./storageController');
 const { authenticateToken, optionalAuth } = require('../../middleware/auth');
-const { uploadMiddleware, handleUploadError } = require('../../middleware/upload');
+const { uploadMiddleware, handleUploadError, enforceStorageQuota } = require('../../middleware/upload');
 const {
   validateProfileUpdate,
   
@@ -22,6 +23,7 @@ const userController = new UserController();
 const followController = new FollowController();
 const preferencesController = new PreferencesController();
 const connectedAccountsController = new ConnectedAccountsController();
+const storageController = new StorageController();
 
 // User profile routes
 router.get(
@@ -43,6 +45,7 @@ router.post(
   authenticateToken,
   uploadMiddleware.avatarMemory,
   handleUploadError,
+  enforceStorageQuota,
   userController.uploadAvatar.bind(userController)
 );
 
@@ -59,6 +62,7 @@ router.post(
   authenticateToken,
   uploadMiddleware.coverImageMemory,
   handleUploadError,
+  enforceStorageQuota,
   userController.uploadCoverImage.bind(userController)
 );
 
@@ -135,6 +139,13 @@ router.delete(
   preferencesController.resetPreferences.bind(preferencesController)
 );
 
+// Storage usage and quota
+router.get(
+  '/storage',
+  authenticateToken,
+  storageController.getStorage.bind(storageController)
+);
+
 // Connected accounts routes
 router.get(
   '/connected-accounts',
@@ -0,0 +1,105 @@
+// Storage usage controller
+const StorageService = require('./storageService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StorageUsage:
+ *       type: object
+ *       properties:
+ *         plan:
+ *           type: string
+ *           example: free
+ *         quotaBytes:
+ *           type: integer
+ *           nullable: true
+ *           description: null when the account has no quota
+ *         usedBytes:
+ *           type: integer
+ *         availableBytes:
+ *           type: integer
+ *           nullable: true
+ *         items:
+ *           type: array
+ *           description: Content items, largest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               contentId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               bytes:
+ *                 type: integer
+ *               sourceBytes:
+ *                 type: integer
+ *                 description: The uploaded original (0 when it is shared with an older item)
+ *               outputBytes:
+ *                 type: integer
+ *                 description: Renditions, thumbnails, captions and other processing output
+ *               fileBytes:
+ *                 type: integer
+ *                 description: Documents and images the item references
+ *         account:
+ *           type: object
+ *           description: Bytes not tied to a content item, by category
+ *           properties:
+ *             documents:
+ *               type: integer
+ *             articleImages:
+ *               type: integer
+ *             avatars:
+ *               type: integer
+ *             covers:
+ *               type: integer
+ *         measuredAt:
+ *           type: string
+ *           format: date-time
+ */
+
+class StorageController {
+  /**
+   * @swagger
+   * /api/users/storage:
+   *   get:
+   *     summary: Get the current user's storage usage and quota
+   *     description: >
+   *       Measured across sources, HLS output, thumbnails, documents and images.
+   *       Cached for up to 10 minutes.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Storage usage retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/StorageUsage'
+   *       401:
+   *         description: Authentication required
+   */
+  // GET /api/users/storage - Get storage usage
+  async getStorage(req, res) {
+    try {
+      const { userId } = req.user;
+      const summary = await StorageService.getSummary(userId);
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : 'Failed to get storage usage',
+        code: error.code || 'INTERNAL_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = StorageController;
@@ -0,0 +1,218 @@
+// Storage accounting: what each user keeps in object storage, and their quota
+const { prisma } = require('../../config/database');
+const { cache } = require('../../config/redis');
+const { storageConfig } = require('../../config/storage');
+const { AppError } = require('../../middleware/errorHandler');
+const { listObjectsWithPrefix } = require('../../services/media/minioMediaStore');
+
+const USAGE_CACHE_TTL = 600; // 10 minutes
+
+// Prefixes the media workers write per content item, by content type
+const CONTENT_PREFIXES = {
+  video: (id) => [`hls/${id}/`, `thumbnails/${id}/`],
+  audio: (id) => [`hls/${id}/`, `audio/${id}/`],
+  document: (id) => [`docs/${id}/`]
+};
+
+// Per-user prefixes for files uploaded outside the media pipeline
+const USER_PREFIXES = {
+  documents: (userId) => `documents/${userId}/`,
+  articleImages: (userId) => `images/articles/${userId}/`,
+  avatars: (userId) => `avatars/${userId}/`,
+  covers: (userId) => `covers/${userId}/`
+};
+
+const S3_URL_PATTERN = /s3:\/\/[^/"]+\/([^"]+)/g;
+
+const usageCacheKey = (userId) => `storage:usage:${userId}`;
+
+const sumSizes = (objects) => objects.reduce((sum, object) => sum + object.size, 0);
+
+// Object keys a content item points at through s3:// URLs in its metadata or featured image
+const referencedKeys = (content) => {
+  const text = JSON.stringify({ metadata: content.metadata, featuredImage: content.featuredImage });
+  return new Set([...text.matchAll(S3_URL_PATTERN)].map((match) => match[1]));
+};
+
+class StorageService {
+  /**
+   * Returns the user's quota in bytes, or null when unlimited. A per-user
+   * override wins over the plan; staff roles are unlimited.
+   * @param {{role: string, storagePlan: string, storageQuotaBytes: bigint|null}} user
+   * @returns {number|null}
+   */
+  static getQuota(user) {
+    const { plans, defaultPlan, unlimitedRoles } = storageConfig.quotas;
+    if (user.storageQuotaBytes !== null && user.storageQuotaBytes !== undefined) {
+      return Number(user.storageQuotaBytes);
+    }
+    if (unlimitedRoles.includes(user.role)) return null;
+    return plans[user.storagePlan] ?? plans[defaultPlan];
+  }
+
+  /**
+   * Measures everything a user keeps in storage, broken down by content item.
+   * Sources shared by several of the user's items (identical re-uploads) are
+   * counted once, on the oldest item. Files under the user's own prefixes that
+   * no item references (avatars, covers, stray uploads) are reported as account files.
+   * @param {string} userId - The user ID.
+   * @param {object} [options] - { fresh: skip the cached measurement }
+   * @returns {Promise<object>} { usedBytes, items, account, measuredAt }
+   */
+  static async getUsage(userId, { fresh = false } = {}) {
+    if (!fresh) {
+      const cached = await cache.get(usageCacheKey(userId));
+      if (cached) return cached;
+    }
+
+    const contents = await prisma.content.findMany({
+      where: { authorId: userId },
+      select: {
+        id: true, title: true, type: true, metadata: true, featuredImage: true, createdAt: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const userObjects = {};
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [category, prefix] of Object.entries(USER_PREFIXES)) {
+      // eslint-disable-next-line no-await-in-loop
+      userObjects[category] = await listObjectsWithPrefix(prefix(userId));
+    }
+    const userObjectSizes = new Map(Object.values(userObjects).flat().map((object) => [object.key, object.size]));
+
+    // A document's first file stays under documents/ in its version history after it is replaced
+    const versions = await prisma.documentVersion.findMany({
+      where: { content: { authorId: userId } },
+      select: { contentId: true, objectKey: true }
+    });
+
+    const attributed = new Set();
+    const items = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const content of contents) {
+      const prefixes = (CONTENT_PREFIXES[content.type] || (() => []))(content.id);
+      // eslint-disable-next-line no-await-in-loop
+      const outputs = (await Promise.all(prefixes.map(listObjectsWithPrefix))).flat();
+
+      let sourceBytes = 0;
+      const sourceKey = content.metadata?.sourceObjectKey;
+      if (sourceKey && !attributed.has(sourceKey)) {
+        // eslint-disable-next-line no-await-in-loop
+        const source = (await listObjectsWithPrefix(sourceKey)).find((object) => object.key === sourceKey);
+        sourceBytes = source ? source.size : 0;
+        attributed.add(sourceKey);
+      }
+
+      let fileBytes = 0;
+      const keys = referencedKeys(content);
+      versions.filter((version) => version.contentId === content.id).forEach((version) => keys.add(version.objectKey));
+      keys.forEach((key) => {
+        if (userObjectSizes.has(key) && !attributed.has(key)) {
+          fileBytes += userObjectSizes.get(key);
+          attributed.add(key);
+        }
+      });
+
+      const outputBytes = sumSizes(outputs);
+      items.push({
+        contentId: content.id,
+        title: content.title,
+        type: content.type,
+        bytes: sourceBytes + outputBytes + fileBytes,
+        sourceBytes,
+        outputBytes,
+        fileBytes
+      });
+    }
+
+    const account = Object.fromEntries(Object.entries(userObjects)
+      .map(([category, objects]) => [category, sumSizes(objects.filter((object) => !attributed.has(object.key)))]));
+
+    const usage = {
+      usedBytes: items.reduce((sum, item) => sum + item.bytes, 0)
+        + Object.values(account).reduce((sum, bytes) => sum + bytes, 0),
+      items: items.sort((a, b) => b.bytes - a.bytes),
+      account,
+      measuredAt: new Date().toISOString()
+    };
+    await cache.set(usageCacheKey(userId), usage, USAGE_CACHE_TTL);
+    return usage;
+  }
+
+  /**
+   * Usage together with the quota, for GET /api/users/storage.
+   * @param {string} userId - The user ID.
+   * @returns {Promise<object>}
+   */
+  static async getSummary(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        role: true, storagePlan: true, storageQuotaBytes: true
+      }
+    });
+    if (!user) throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+
+    const quotaBytes = this.getQuota(user);
+    const usage = await this.getUsage(userId);
+    return {
+      plan: user.storagePlan,
+      quotaBytes,
+      usedBytes: usage.usedBytes,
+      availableBytes: quotaBytes === null ? null : Math.max(0, quotaBytes - usage.usedBytes),
+      items: usage.items,
+      account: usage.account,
+      measuredAt: usage.measuredAt
+    };
+  }
+
+  /**
+   * Bytes promised to the user's chunked uploads still in flight: the declared
+   * size of every session being uploaded or completed.
+   * @param {string} userId - The user ID.
+   * @returns {Promise<number>}
+   */
+  static async getReservedBytes(userId) {
+    const { _sum: sum } = await prisma.uploadSession.aggregate({
+      where: {
+        userId,
+        OR: [
+          { status: 'active', expiresAt: { gt: new Date() } },
+          { status: 'completing' }
+        ]
+      },
+      _sum: { totalSize: true }
+    });
+    return Number(sum.totalSize || 0);
+  }
+
+  /**
+   * Throws 413 STORAGE_QUOTA_EXCEEDED when storing `bytes` more would take the
+   * user over their quota. Uploads still in flight count as stored, so
+   * concurrent uploads cannot share the same free space.
+   * @param {string} userId - The user ID.
+   * @param {number} bytes - Size of the incoming upload.
+   */
+  static async assertCanStore(userId, bytes) {
+    const summary = await this.getSummary(userId);
+    if (summary.quotaBytes === null) return;
+
+    const reservedBytes = await this.getReservedBytes(userId);
+    const availableBytes = Math.max(0, summary.quotaBytes - summary.usedBytes - reservedBytes);
+    if (Number(bytes || 0) > availableBytes) {
+      throw new AppError(
+        `Storage quota exceeded: ${availableBytes} bytes available, upload is ${bytes} bytes`,
+        413,
+        'STORAGE_QUOTA_EXCEEDED'
+      );
+    }
+  }
+
+  // Drop the cached measurement after anything is stored or removed for the user
+  static async invalidate(userId) {
+    if (userId) await cache.del(usageCacheKey(userId));
+  }
+}
+
+module.exports = StorageService;
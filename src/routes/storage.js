@@ -2,9 +2,73 @@ const express = require('express');
 const { getS3Client, getBucketName } = require('../config/minio');
 const { GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { prisma } = require('../config/database');
+const { optionalAuth } = require('../middleware/auth');
+const CollaboratorService = require('../modules/content/services/collaboratorService');
+const FolderService = require('../modules/content/services/folderService');
 
 const router = express.Router();
 
+const MIN_PROXY_EXPIRES_IN = 60;
+const MAX_PROXY_EXPIRES_IN = 3600;
+
+// HLS playlists and segments are only served through signed playback playlists
+// (/api/content/playback/...), so private and draft media can't be fetched by key
+const PLAYBACK_ONLY_KEY_PATTERN = /^hls\/.+\.(m3u8|ts|m4s|aac)$/i;
+
+// Files derived from a content item live under <prefix>/<contentId>/ (or, for
+// older thumbnails, thumbnails/<contentId>.jpg) and are only served to those who
+// can see the item itself
+const CONTENT_KEY_PATTERN = /^(hls|audio|docs|thumbnails)\/([^/.]+)[/.]/;
+
+// Rejected uploads are kept for review only
+const QUARANTINE_KEY_PATTERN = /^quarantine\//;
+
+const STAFF_ROLES = ['admin', 'moderator'];
+
+/**
+ * Whether the requester may read an object stored for a content item: anyone
+ * for published items that are not private, otherwise the author, staff,
+ * collaborators and, for documents, users of a folder shared with them.
+ * Objects of deleted content are not served.
+ * @param {string} contentId
+ * @param {object|undefined} user - The authenticated user, if any.
+ */
+async function canReadContentObject(contentId, user) {
+  const content = await prisma.content.findUnique({
+    where: { id: contentId },
+    select: {
+      id: true, type: true, authorId: true, status: true, visibility: true, folderId: true
+    }
+  });
+  if (!content) return false;
+  if (content.status === 'published' && content.visibility !== 'private') return true;
+  if (!user) return false;
+
+  const userId = user.userId || user.id;
+  if (content.authorId === userId || STAFF_ROLES.includes(user.role)) return true;
+  if (await CollaboratorService.acceptedRole(content.id, userId)) return true;
+  return content.type === 'document' && FolderService.canViewDocument(content, user);
+}
+
+/**
+ * Why an object cannot be served by key, or null when it can.
+ * @returns {Promise<{status: number, error: string, code: string}|null>}
+ */
+async function keyRestriction(objectKey, user) {
+  if (PLAYBACK_ONLY_KEY_PATTERN.test(objectKey)) {
+    return { status: 403, error: 'HLS media requires a playback token', code: 'PLAYBACK_TOKEN_REQUIRED' };
+  }
+  if (QUARANTINE_KEY_PATTERN.test(objectKey)) {
+    return { status: 403, error: 'Access denied', code: 'ACCESS_DENIED' };
+  }
+  const match = objectKey.match(CONTENT_KEY_PATTERN);
+  if (match && !(await canReadContentObject(match[2], user))) {
+    return { status: 404, error: 'File not found', code: 'NOT_FOUND' };
+  }
+  return null;
+}
+
 /**
  * @swagger
  * tags:
@@ -36,12 +100,19 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           default: 3600
- *         description: URL expiration time in seconds (default: 1 hour)
+ *           minimum: 60
+ *           maximum: 3600
+ *         description: URL expiration time in seconds (default and maximum 1 hour, minimum 1 minute)
  *     responses:
  *       302:
  *         description: Redirect to presigned URL
+ *       403:
+ *         description: Bucket not allowed, or HLS media that requires a playback token
  *       404:
- *         description: Object not found
+ *         description: >
+ *           Object not found, or it belongs to a content item (keys under hls/, audio/,
+ *           docs/ and thumbnails/) the requester cannot see. Send the Authorization header
+ *           for drafts, private and other unpublished items.
  *         content:
  *           application/json:
  *             schema:
@@ -69,11 +140,14 @@ const router = express.Router();
  */
 
 // Proxy route for MinIO objects with presigned URLs
-router.get('/:bucket/*', async (req, res) => {
+router.get('/:bucket/*', optionalAuth, async (req, res) => {
   try {
     const bucket = req.params.bucket;
     const objectKey = req.params[0]; // Wildcard parameter captures the rest of the path
-    const expiresIn = parseInt(req.query.expiresIn) || 3600; // Default 1 hour
+    const requestedExpiresIn = parseInt(req.query.expiresIn, 10);
+    const expiresIn = Number.isNaN(requestedExpiresIn)
+      ? MAX_PROXY_EXPIRES_IN // Default 1 hour
+      : Math.min(Math.max(requestedExpiresIn, MIN_PROXY_EXPIRES_IN), MAX_PROXY_EXPIRES_IN);
 
     if (!bucket || !objectKey) {
       return res.status(400).json({
@@ -91,6 +165,14 @@ router.get('/:bucket/*', async (req, res) => {
       });
     }
 
+    const restriction = await keyRestriction(objectKey, req.user);
+    if (restriction) {
+      return res.status(restriction.status).json({
+        error: restriction.error,
+        code: restriction.code
+      });
+    }
+
     const s3Client = getS3Client();
     const bucketName = getBucketName();
 
@@ -169,7 +251,7 @@ router.get('/:bucket/*', async (req, res) => {
  */
 
 // HEAD request to check if object exists
-router.head('/:bucket/*', async (req, res) => {
+router.head('/:bucket/*', optionalAuth, async (req, res) => {
   try {
     const bucket = req.params.bucket;
     const objectKey = req.params[0];
@@ -183,6 +265,10 @@ router.head('/:bucket/*', async (req, res) => {
     if (!allowedBuckets.includes(bucket)) {
       return res.status(403).end();
     }
+    const restriction = await keyRestriction(objectKey, req.user);
+    if (restriction) {
+      return res.status(restriction.status).end();
+    }
 
     const s3Client = getS3Client();
     const bucketName = getBucketName();
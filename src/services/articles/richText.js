@@ -0,0 +1,415 @@
+// Article rich text: the block format, Markdown import/export, and the
+// sanitized HTML and plain text rendered from the blocks
+
+const { generateSlug, removeAccents } = require('../../utils');
+
+const EMBED_PATHS = { video: 'videos', document: 'documents' };
+// "@[video](<content id>)" on a line of its own embeds another Mediaverse item
+const EMBED_PATTERN = /^@\[(video|document)\]\(([\w-]+)\)$/;
+// A quote's last paragraph "— Someone" is its citation
+const CITE_PATTERN = /^[—–]\s*(.+)$/;
+const LANGUAGE_PATTERN = /^[\w+#.-]{1,30}$/;
+const MARKS = ['bold', 'italic', 'code'];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Links and images may point at the web, at mail addresses or at paths on
+ * this site; anything else (javascript:, data:, ...) is dropped. Spaces and
+ * parentheses are percent-encoded so the URL can be written into Markdown as is.
+ * @returns {string|null}
+ */
+function safeUrl(url) {
+  const value = String(url || '').trim();
+  if (/^(https?:|mailto:)/i.test(value) || (value.startsWith('/') && !value.startsWith('//'))) {
+    return value.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+  }
+  return null;
+}
+
+const sameMarks = (a, b) => a.link === b.link && MARKS.every((mark) => Boolean(a[mark]) === Boolean(b[mark]));
+
+/**
+ * Inline text as runs of { text, bold?, italic?, code?, link? }. A plain
+ * string is one unformatted run; neighbouring runs with the same marks merge.
+ */
+function normalizeInline(inline) {
+  const runs = typeof inline === 'string' ? [{ text: inline }] : (inline || []);
+  // Markdown emphasis cannot start or end with whitespace, so it is moved out of bold and italic runs
+  const parts = runs.flatMap((run) => {
+    const text = String(run.text ?? '');
+    if (run.code || !(run.bold || run.italic)) return [{ ...run, text }];
+    const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    const plain = { link: run.link };
+    return [{ ...plain, text: lead }, { ...run, text: core }, { ...plain, text: trail }];
+  });
+  return parts.reduce((merged, run) => {
+    const { text } = run;
+    if (!text) return merged;
+    const next = { text };
+    MARKS.forEach((mark) => {
+      if (run[mark]) next[mark] = true;
+    });
+    const link = run.link ? safeUrl(run.link) : null;
+    if (link) next.link = link;
+
+    const last = merged[merged.length - 1];
+    if (last && sameMarks(last, next)) {
+      last.text += text;
+    } else {
+      merged.push(next);
+    }
+    return merged;
+  }, []);
+}
+
+const inlineText = (runs) => runs.map((run) => run.text).join('');
+
+function normalizeBlock(block) {
+  switch (block?.type) {
+    case 'heading':
+      return { type: 'heading', level: Math.min(Math.max(Number(block.level) || 2, 1), 6), text: normalizeInline(block.text) };
+    case 'paragraph':
+      return { type: 'paragraph', text: normalizeInline(block.text) };
+    case 'quote': {
+      const cite = String(block.cite || '').trim();
+      return { type: 'quote', text: normalizeInline(block.text), ...(cite ? { cite } : {}) };
+    }
+    case 'list':
+      return {
+        type: 'list',
+        ordered: Boolean(block.ordered),
+        items: (block.items || []).map(normalizeInline).filter((item) => item.length > 0)
+      };
+    case 'code': {
+      const language = String(block.language || '').trim();
+      return {
+        type: 'code',
+        code: String(block.code || '').replace(/\n+$/, ''),
+        ...(LANGUAGE_PATTERN.test(language) ? { language } : {})
+      };
+    }
+    case 'image': {
+      const url = safeUrl(block.url);
+      if (!url) return null;
+      const caption = String(block.caption || '').trim();
+      return {
+        type: 'image', url, alt: String(block.alt || '').trim(), ...(caption ? { caption } : {})
+      };
+    }
+    case 'embed':
+      if (!EMBED_PATHS[block.contentType] || !block.contentId) return null;
+      return {
+        type: 'embed',
+        contentType: block.contentType,
+        contentId: String(block.contentId),
+        ...(block.title ? { title: String(block.title) } : {})
+      };
+    default:
+      return null;
+  }
+}
+
+const isEmpty = (block) => (block.text && block.text.length === 0)
+  || (block.items && block.items.length === 0)
+  || (block.type === 'code' && !block.code);
+
+/**
+ * Bring blocks to their stored shape: unknown types, unsafe image URLs and
+ * empty blocks are dropped.
+ * @param {Array<object>} blocks - Already checked against the validation schema
+ * @returns {Array<object>}
+ */
+function normalizeBlocks(blocks) {
+  return (blocks || []).map(normalizeBlock).filter((block) => block && !isEmpty(block));
+}
+
+/**
+ * Anchor ids for the headings, in block order (null for other blocks).
+ * Repeated headings get -2, -3, ...
+ * @private
+ */
+function headingIds(blocks) {
+  const seen = new Map();
+  return blocks.map((block) => {
+    if (block.type !== 'heading') return null;
+    const base = generateSlug(removeAccents(inlineText(block.text))) || 'section';
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base}-${count}` : base;
+  });
+}
+
+/**
+ * The article's headings, with the anchor ids renderHtml gives them.
+ * @returns {Array<{id: string, level: number, text: string}>}
+ */
+function tableOfContents(blocks) {
+  const ids = headingIds(blocks);
+  return blocks
+    .map((block, index) => (block.type === 'heading'
+      ? { id: ids[index], level: block.level, text: inlineText(block.text) }
+      : null))
+    .filter(Boolean);
+}
+
+function renderInline(runs) {
+  return runs.map((run) => {
+    let html = escapeHtml(run.text).replace(/\n/g, '<br>');
+    if (run.code) html = `<code>${html}</code>`;
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    if (run.link) html = `<a href="${escapeHtml(run.link)}" rel="nofollow noopener">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+/**
+ * HTML for normalized blocks. Every piece of text and every attribute is
+ * escaped and URLs are limited by safeUrl, so the output needs no further
+ * sanitizing.
+ * @returns {string}
+ */
+function renderHtml(blocks) {
+  const ids = headingIds(blocks);
+  return blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level} id="${ids[index]}">${renderInline(block.text)}</h${block.level}>`;
+      case 'paragraph':
+        return `<p>${renderInline(block.text)}</p>`;
+      case 'quote':
+        return `<blockquote><p>${renderInline(block.text)}</p>${
+          block.cite ? `<cite>${escapeHtml(block.cite)}</cite>` : ''}</blockquote>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`;
+      }
+      case 'code':
+        return `<pre><code${block.language ? ` class="language-${escapeHtml(block.language)}"` : ''}>${
+          escapeHtml(block.code)}</code></pre>`;
+      case 'image':
+        return `<figure><img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt)}" loading="lazy">${
+          block.caption ? `<figcaption>${escapeHtml(block.caption)}</figcaption>` : ''}</figure>`;
+      case 'embed':
+        return `<figure class="mv-embed" data-content-type="${block.contentType}" data-content-id="${
+          escapeHtml(block.contentId)}"><a href="/api/content/${EMBED_PATHS[block.contentType]}/${
+          encodeURIComponent(block.contentId)}">${escapeHtml(block.title || block.contentType)}</a></figure>`;
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+/**
+ * Plain text of the blocks, one paragraph per block: what search indexes
+ * and reading time is counted from.
+ * @returns {string}
+ */
+function toPlainText(blocks) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+      case 'paragraph':
+        return inlineText(block.text);
+      case 'quote':
+        return block.cite ? `${inlineText(block.text)}\n— ${block.cite}` : inlineText(block.text);
+      case 'list':
+        return block.items.map(inlineText).join('\n');
+      case 'code':
+        return block.code;
+      case 'image':
+        return block.caption || block.alt;
+      case 'embed':
+        return block.title || '';
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]<>]/g, '\\$&');
+
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+function markdownRun(run) {
+  const body = run.code ? codeSpan(run.text) : escapeMarkdown(run.text);
+  // Emphasis markers have to touch the text, so surrounding spaces stay outside them
+  const [, lead, core, trail] = body.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return body;
+  let marked = core;
+  if (run.italic) marked = `*${marked}*`;
+  if (run.bold) marked = `**${marked}**`;
+  if (run.link) marked = `[${marked}](${run.link})`;
+  return `${lead}${marked}${trail}`;
+}
+
+function inlineMarkdown(runs) {
+  return runs.map(markdownRun).join('')
+    // Keep text that starts a line from reading as a heading, quote or list item
+    .replace(/(^|\n)([#>+=-])/g, '$1\\$2')
+    .replace(/(^|\n)(\d+)([.)])/g, '$1$2\\$3')
+    .replace(/\n/g, '\\\n');
+}
+
+function fenceFor(code) {
+  const longest = Math.max(0, ...(code.match(/`{3,}/g) || []).map((run) => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * Markdown for normalized blocks. fromMarkdown reads it back to the same blocks.
+ * @returns {string}
+ */
+function toMarkdown(blocks) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${inlineMarkdown(block.text).replace(/\\\n/g, ' ')}`;
+      case 'paragraph':
+        return inlineMarkdown(block.text);
+      case 'quote': {
+        const quoted = block.cite
+          ? `${inlineMarkdown(block.text)}\n\n— ${escapeMarkdown(block.cite)}`
+          : inlineMarkdown(block.text);
+        return quoted.split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n');
+      }
+      case 'list':
+        return block.items.map((item, index) => {
+          const marker = block.ordered ? `${index + 1}.` : '-';
+          const indent = ' '.repeat(marker.length + 1);
+          return `${marker} ${inlineMarkdown(item).replace(/\n/g, `\n${indent}`)}`;
+        }).join('\n');
+      case 'code': {
+        const fence = fenceFor(block.code);
+        return `${fence}${block.language || ''}\n${block.code}\n${fence}`;
+      }
+      case 'image': {
+        const title = block.caption ? ` "${block.caption.replace(/"/g, '\\"')}"` : '';
+        return `![${escapeMarkdown(block.alt)}](${block.url}${title})`;
+      }
+      case 'embed':
+        return `@[${block.contentType}](${block.contentId})`;
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+function tokensToRuns(tokens = [], marks = {}) {
+  return tokens.flatMap((token) => {
+    switch (token.type) {
+      case 'strong':
+        return tokensToRuns(token.tokens, { ...marks, bold: true });
+      case 'em':
+        return tokensToRuns(token.tokens, { ...marks, italic: true });
+      case 'del':
+        return tokensToRuns(token.tokens, marks);
+      case 'link': {
+        const link = safeUrl(token.href);
+        return tokensToRuns(token.tokens, link ? { ...marks, link } : marks);
+      }
+      case 'codespan':
+        return [{ ...marks, code: true, text: token.text }];
+      case 'br':
+        return [{ ...marks, text: '\n' }];
+      case 'image':
+        return [{ ...marks, text: token.text }];
+      case 'text':
+        // Soft line breaks inside a paragraph read as spaces
+        return token.tokens
+          ? tokensToRuns(token.tokens, marks)
+          : [{ ...marks, text: token.text.replace(/\n/g, ' ') }];
+      default:
+        // Escapes, and raw HTML, which is kept as text
+        return [{ ...marks, text: token.text || '' }];
+    }
+  });
+}
+
+// Nested lists are flattened into their parent
+const listItems = (list) => list.items.flatMap((item) => [
+  item.tokens.filter((inner) => inner.type !== 'list')
+    .flatMap((inner, index) => [...(index > 0 ? [{ text: '\n' }] : []), ...tokensToRuns(inner.tokens || [inner])]),
+  ...item.tokens.filter((inner) => inner.type === 'list').flatMap(listItems)
+]);
+
+function quoteBlock(token) {
+  const paragraphs = token.tokens.filter((inner) => inner.type === 'paragraph');
+  const last = paragraphs[paragraphs.length - 1];
+  const cite = paragraphs.length > 1 ? last.text.match(CITE_PATTERN) : null;
+  const body = cite ? paragraphs.slice(0, -1) : paragraphs;
+  return {
+    type: 'quote',
+    text: body.flatMap((paragraph, index) => [...(index > 0 ? [{ text: '\n' }] : []), ...tokensToRuns(paragraph.tokens)]),
+    ...(cite ? { cite: cite[1].replace(/\\(.)/g, '$1') } : {})
+  };
+}
+
+function tokenToBlocks(token) {
+  switch (token.type) {
+    case 'heading':
+      return [{ type: 'heading', level: token.depth, text: tokensToRuns(token.tokens) }];
+    case 'paragraph': {
+      const embed = token.text.trim().match(EMBED_PATTERN);
+      if (embed) {
+        return [{ type: 'embed', contentType: embed[1], contentId: embed[2] }];
+      }
+      const [only] = token.tokens;
+      if (token.tokens.length === 1 && only.type === 'image' && safeUrl(only.href)) {
+        return [{
+          type: 'image', url: only.href, alt: only.text, caption: only.title
+        }];
+      }
+      return [{ type: 'paragraph', text: tokensToRuns(token.tokens) }];
+    }
+    case 'blockquote':
+      return [quoteBlock(token)];
+    case 'list':
+      return [{ type: 'list', ordered: token.ordered, items: listItems(token) }];
+    case 'code':
+      return [{ type: 'code', code: token.text, language: String(token.lang || '').split(/\s+/)[0] }];
+    case 'space':
+    case 'hr':
+    case 'def':
+      return [];
+    default:
+      // Tables and raw HTML blocks are kept as plain text
+      return token.raw?.trim() ? [{ type: 'paragraph', text: token.raw.trim() }] : [];
+  }
+}
+
+let markedModule = null;
+
+/**
+ * Read Markdown into normalized blocks. Formatting the block format has no
+ * place for (tables, raw HTML, nested lists) is kept as text or flattened.
+ * @param {string} markdown
+ * @returns {Promise<Array<object>>}
+ */
+async function fromMarkdown(markdown) {
+  // marked ships as an ES module only
+  markedModule = markedModule || import('marked');
+  const { Lexer } = await markedModule;
+  return normalizeBlocks(new Lexer().lex(String(markdown || '')).flatMap(tokenToBlocks));
+}
+
+module.exports = {
+  EMBED_PATHS,
+  normalizeBlocks,
+  fromMarkdown,
+  toMarkdown,
+  renderHtml,
+  toPlainText,
+  tableOfContents
+};
@@ -0,0 +1,131 @@
+// Office documents and Markdown to PDF, through a headless LibreOffice
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pathToFileURL } = require('url');
+
+const execFileAsync = promisify(execFile);
+
+const CONVERTER_BINARY = process.env.DOCUMENT_CONVERTER_BINARY || 'soffice';
+const CONVERSION_TIMEOUT_MS = Number(process.env.DOCUMENT_CONVERSION_TIMEOUT_MS) || 120000;
+
+// LibreOffice picks its import filter from the file extension, so sources are written out with these
+const SOURCE_EXTENSIONS = {
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-powerpoint': '.ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.oasis.opendocument.text': '.odt',
+  'text/markdown': '.md',
+  'text/x-markdown': '.md'
+};
+// Browsers often send Markdown as text/plain, so the extension decides
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * The file could not be converted. Retrying will not help; the document is
+ * kept without a PDF rendition.
+ */
+class DocumentConversionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'DocumentConversionError';
+    this.details = details;
+  }
+}
+
+function sourceExtension(mimetype, extension) {
+  if (MARKDOWN_EXTENSIONS.includes(String(extension || '').toLowerCase())) return '.md';
+  return SOURCE_EXTENSIONS[mimetype] || null;
+}
+
+/**
+ * Whether a document of this type gets a PDF rendition.
+ * @param {string} mimetype
+ * @param {string} extension - e.g. ".docx"
+ */
+const isConvertible = (mimetype, extension) => sourceExtension(mimetype, extension) !== null;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// marked ships as an ES module only
+async function markdownToHtml(markdown) {
+  const { Marked } = await import('marked');
+  const marked = new Marked({
+    renderer: {
+      // Raw HTML and images would make the converter load local or remote files
+      html: ({ text }) => escapeHtml(text),
+      image: ({ text }) => escapeHtml(text)
+    }
+  });
+  const body = await marked.parse(markdown);
+  return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body>${body}</body></html>\n`;
+}
+
+/**
+ * Convert a document to PDF. Each conversion gets its own LibreOffice profile,
+ * so several can run side by side.
+ * @param {Buffer} buffer
+ * @param {{mimetype: string, extension: string}} source
+ * @returns {Promise<Buffer>} The PDF
+ * @throws {DocumentConversionError} When LibreOffice cannot read the file
+ */
+async function convertToPdf(buffer, { mimetype, extension }) {
+  const sourceExt = sourceExtension(mimetype, extension);
+  if (!sourceExt) {
+    throw new DocumentConversionError(`Documents of type ${mimetype} cannot be converted to PDF`);
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'document-convert-'));
+  try {
+    const args = [
+      '--headless', '--norestore', '--nolockcheck',
+      `-env:UserInstallation=${pathToFileURL(path.join(workDir, 'profile')).href}`
+    ];
+    let inputPath;
+    if (sourceExt === '.md') {
+      // Markdown goes through HTML, loaded into Writer so it gets a print page layout
+      inputPath = path.join(workDir, 'source.html');
+      await fs.writeFile(inputPath, await markdownToHtml(buffer.toString('utf8')));
+      args.push('--infilter=HTML (StarWriter)');
+    } else {
+      inputPath = path.join(workDir, `source${sourceExt}`);
+      await fs.writeFile(inputPath, buffer);
+    }
+    args.push('--convert-to', 'pdf', '--outdir', path.join(workDir, 'out'), inputPath);
+
+    try {
+      await execFileAsync(CONVERTER_BINARY, args, { timeout: CONVERSION_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+    } catch (error) {
+      // A missing converter or a stuck one is an environment problem; the job is retried
+      if (error.code === 'ENOENT') throw error;
+      if (error.killed) throw new Error(`Document conversion timed out after ${CONVERSION_TIMEOUT_MS}ms`);
+      throw new DocumentConversionError('Document could not be converted to PDF', {
+        detail: (error.stderr || error.message || '').trim().slice(0, 500)
+      });
+    }
+
+    // LibreOffice exits cleanly even when it could not load the source
+    const pdfPath = path.join(workDir, 'out', 'source.pdf');
+    if (!(await fs.pathExists(pdfPath))) {
+      throw new DocumentConversionError('Document could not be converted to PDF');
+    }
+    return await fs.readFile(pdfPath);
+  } finally {
+    await fs.remove(workDir).catch((err) => console.error(`Failed to delete conversion directory: ${err.message}`));
+  }
+}
+
+module.exports = {
+  DocumentConversionError,
+  isConvertible,
+  convertToPdf
+};
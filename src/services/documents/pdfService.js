@@ -0,0 +1,154 @@
+// PDF reading and rendering on top of pdf.js
+const path = require('path');
+const sharp = require('sharp');
+
+// Metrics and glyphs for the 14 standard fonts, which PDFs may use without embedding
+const STANDARD_FONT_DATA_URL = `${path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts')}/`;
+
+let pdfjsModule = null;
+
+// pdf.js ships as an ES module only
+async function loadPdfjs() {
+  if (!pdfjsModule) {
+    // The legacy build runs on Node without browser globals
+    // eslint-disable-next-line import/extensions
+    pdfjsModule = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsModule;
+}
+
+/**
+ * Open a PDF held in memory. Callers must call `destroy()` on the result.
+ * @param {Buffer} buffer
+ * @returns {Promise<import('pdfjs-dist').PDFDocumentProxy>}
+ */
+async function openPdf(buffer) {
+  const { getDocument, VerbosityLevel } = await loadPdfjs();
+  return getDocument({
+    data: new Uint8Array(buffer),
+    verbosity: VerbosityLevel.ERRORS,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    // Never run scripts or fetch anything a document points at
+    isEvalSupported: false,
+    disableFontFace: true
+  }).promise;
+}
+
+// Text of one page, with line breaks where pdf.js reports them
+async function extractPageText(doc, pageNumber) {
+  const page = await doc.getPage(pageNumber);
+  try {
+    const { items } = await page.getTextContent();
+    return items
+      .map((item) => `${item.str || ''}${item.hasEOL ? '\n' : ''}`)
+      .join('')
+      .replace(/[ \t]+\n/g, '\n')
+      .trim();
+  } finally {
+    page.cleanup();
+  }
+}
+
+/**
+ * Text of every page, in order.
+ * @returns {Promise<Array<{page: number, text: string}>>}
+ */
+async function extractText(doc) {
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    pages.push({ page: pageNumber, text: await extractPageText(doc, pageNumber) });
+  }
+  return pages;
+}
+
+// PDF dates look like "D:20240131120000+01'00'"
+function parsePdfDate(value) {
+  const match = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(String(value || ''));
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours, offsetMinutes] = match;
+  const offset = sign && sign !== 'Z' && sign !== 'z' ? `${sign}${offsetHours || '00'}:${offsetMinutes || '00'}` : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * The document information dictionary, plus the XMP title and creator when the
+ * dictionary lacks them.
+ * @returns {Promise<object>} { title, author, subject, keywords, creator, producer, createdAt, modifiedAt, pdfVersion }
+ */
+async function extractInfo(doc) {
+  const { info = {}, metadata } = await doc.getMetadata();
+  const xmp = (name) => (metadata?.has(name) ? metadata.get(name) : null);
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  return {
+    title: text(info.Title) || text(xmp('dc:title')),
+    author: text(info.Author) || text(xmp('dc:creator')),
+    subject: text(info.Subject),
+    keywords: text(info.Keywords),
+    creator: text(info.Creator),
+    producer: text(info.Producer),
+    createdAt: parsePdfDate(info.CreationDate),
+    modifiedAt: parsePdfDate(info.ModDate),
+    pdfVersion: info.PDFFormatVersion || null
+  };
+}
+
+// Page number an outline entry points at, or null for external links and broken destinations
+async function resolveDestinationPage(doc, dest) {
+  try {
+    const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || !explicit[0]) return null;
+    const target = explicit[0];
+    return (typeof target === 'number' ? target : await doc.getPageIndex(target)) + 1;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The bookmark tree.
+ * @returns {Promise<Array<{title: string, page: number|null, items: Array}>>}
+ */
+async function extractOutline(doc) {
+  const walk = async (entries) => Promise.all((entries || []).map(async (entry) => ({
+    title: entry.title,
+    page: entry.dest ? await resolveDestinationPage(doc, entry.dest) : null,
+    items: await walk(entry.items)
+  })));
+  return walk(await doc.getOutline());
+}
+
+/**
+ * Render a page to a JPEG of the given width.
+ * @param {import('pdfjs-dist').PDFDocumentProxy} doc
+ * @param {number} pageNumber - 1-based
+ * @param {number} width - Output width in pixels
+ * @returns {Promise<{buffer: Buffer, width: number, height: number}>}
+ */
+async function renderPage(doc, pageNumber, width) {
+  const page = await doc.getPage(pageNumber);
+  try {
+    const scale = width / page.getViewport({ scale: 1 }).width;
+    const viewport = page.getViewport({ scale });
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    // Transparent areas would otherwise come out black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+    const rendered = { width: canvas.width, height: canvas.height };
+    const buffer = await sharp(canvas.toBuffer('image/png')).jpeg({ quality: 80 }).toBuffer();
+    doc.canvasFactory.destroy({ canvas, context });
+    return { buffer, ...rendered };
+  } finally {
+    page.cleanup();
+  }
+}
+
+module.exports = {
+  openPdf,
+  extractText,
+  extractInfo,
+  extractOutline,
+  renderPage
+};
@@ -0,0 +1,130 @@
+// Chapter markers: parsing "00:00 Intro" lists from descriptions, validation
+// and the WebVTT chapters track
+
+const { formatTimestamp } = require('./subtitles');
+
+const MAX_CHAPTERS = 100;
+const MAX_TITLE_LENGTH = 100;
+
+// "0:00 Intro", "- 01:02:03 - Part two", "(12:30) Q&A", "1:05 | Outro"
+const DESCRIPTION_CHAPTER_PATTERN = /^\s*(?:[-*•]\s*)?\(?((?:\d{1,2}:)?\d{1,2}:\d{2})\)?\s*(?:[-–—:|]\s*)?(.+?)\s*$/;
+
+function parseClockTime(value) {
+  const parts = String(value).split(':').map(Number);
+  if (parts.some((part) => !Number.isInteger(part) || part < 0)) return null;
+  const [seconds, minutes = 0, hours = 0] = parts.reverse();
+  if (seconds > 59 || (parts.length === 3 && minutes > 59)) return null;
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Check and order chapters. Each chapter runs until the next one starts; the last
+ * one runs to the end of the media when its duration is known.
+ * @param {Array<{start: number|string, title: string}>} input - start in seconds or as "mm:ss"/"hh:mm:ss"
+ * @param {number} [duration] - Media duration in seconds; 0 or missing skips the range check
+ * @returns {{chapters: Array<{start: number, end: number|null, title: string}>, errors: string[]}}
+ */
+function validateChapters(input, duration) {
+  const errors = [];
+  if (!Array.isArray(input)) {
+    return { chapters: [], errors: ['chapters must be an array'] };
+  }
+  if (input.length > MAX_CHAPTERS) {
+    errors.push(`At most ${MAX_CHAPTERS} chapters are allowed`);
+  }
+
+  const knownDuration = Number(duration) > 0 ? Number(duration) : null;
+  const parsed = input.map((chapter, index) => {
+    const start = typeof chapter?.start === 'string' ? parseClockTime(chapter.start) : Number(chapter?.start);
+    const title = String(chapter?.title || '').trim();
+    if (start === null || !Number.isFinite(start) || start < 0) {
+      errors.push(`Chapter ${index + 1}: start must be a non-negative number of seconds or a timestamp`);
+    } else if (knownDuration !== null && start >= knownDuration) {
+      errors.push(`Chapter ${index + 1}: start ${formatTimestamp(start)} is past the end of the media`);
+    }
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      errors.push(`Chapter ${index + 1}: title must be 1-${MAX_TITLE_LENGTH} characters`);
+    }
+    return { start: Math.round(start * 1000) / 1000, title };
+  });
+  if (errors.length > 0) return { chapters: [], errors };
+
+  const sorted = parsed.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < sorted.length; i += 1) {
+    if (sorted[i].start === sorted[i - 1].start) {
+      errors.push(`Two chapters start at ${formatTimestamp(sorted[i].start)}`);
+    }
+  }
+  if (errors.length > 0) return { chapters: [], errors };
+
+  const chapters = sorted.map((chapter, index) => ({
+    start: chapter.start,
+    end: index < sorted.length - 1 ? sorted[index + 1].start : knownDuration,
+    title: chapter.title
+  }));
+  return { chapters, errors };
+}
+
+/**
+ * Extract a chapter list from a description. Follows the common convention that
+ * the list starts at 0:00 and has at least two entries; anything else is treated
+ * as stray timestamps and yields no chapters.
+ * @param {string} description
+ * @param {number} [duration]
+ * @returns {Array<{start: number, end: number|null, title: string}>}
+ */
+function parseChaptersFromDescription(description, duration) {
+  const found = [];
+  String(description || '').split(/\r?\n/).forEach((line) => {
+    const match = DESCRIPTION_CHAPTER_PATTERN.exec(line);
+    if (!match) return;
+    const start = parseClockTime(match[1]);
+    if (start !== null) found.push({ start, title: match[2].slice(0, MAX_TITLE_LENGTH) });
+  });
+
+  if (found.length < 2 || found[0].start !== 0) return [];
+  const { chapters, errors } = validateChapters(found, duration);
+  return errors.length > 0 ? [] : chapters;
+}
+
+/**
+ * Fit chapters to the actual media duration once it is known: chapters starting
+ * past the end are dropped and the last one is closed at the end.
+ */
+function fitChaptersToDuration(chapters, duration) {
+  if (!Array.isArray(chapters) || !(Number(duration) > 0)) return chapters || [];
+  const kept = chapters.filter((chapter) => chapter.start < duration);
+  return kept.map((chapter, index) => ({
+    ...chapter,
+    end: index < kept.length - 1 ? kept[index + 1].start : Number(duration)
+  }));
+}
+
+function toChaptersWebVTT(chapters) {
+  const body = chapters
+    .filter((chapter) => chapter.end !== null && chapter.end > chapter.start)
+    .map((chapter, index) => `${index + 1}\n${formatTimestamp(chapter.start)} --> ${formatTimestamp(chapter.end)}\n${chapter.title}`)
+    .join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+// Chapter list in the format players read from EXT-X-SESSION-DATA "com.apple.hls.chapters"
+function toHlsChaptersJson(chapters) {
+  return chapters
+    .filter((chapter) => chapter.end !== null && chapter.end > chapter.start)
+    .map((chapter, index) => ({
+      chapter: index + 1,
+      'start-time': chapter.start,
+      duration: Math.round((chapter.end - chapter.start) * 1000) / 1000,
+      titles: [{ language: 'und', title: chapter.title }]
+    }));
+}
+
+module.exports = {
+  MAX_CHAPTERS,
+  validateChapters,
+  parseChaptersFromDescription,
+  fitChaptersToDuration,
+  toChaptersWebVTT,
+  toHlsChaptersJson
+};
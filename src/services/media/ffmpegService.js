@@ -20,7 +20,9 @@ async function ensureDir(dir) {
   await fs.mkdirp(dir);
 }
 
-async function generateThumbnails(inputPath, outDir, count = 3) {
+// options.timestamps (seconds) overrides the evenly spaced `count` screenshots
+async function generateThumbnails(inputPath, outDir, count = 3, options = {}) {
+  const { timestamps, filename = 'thumb-%i.png', size = '640x?' } = options;
   await ensureDir(outDir);
   return new Promise((resolve, reject) => {
     const filenames = [];
@@ -31,10 +33,10 @@ async function generateThumbnails(inputPath, outDir, count = 3) {
       .on('end', () => resolve(filenames))
       .on('error', (err) => reject(err))
       .screenshots({
-        count,
+        ...(timestamps ? { timestamps } : { count }),
         folder: outDir,
-        filename: 'thumb-%i.png',
-        size: '640x?' // auto height
+        filename,
+        size // auto height
       });
   });
 }
@@ -0,0 +1,78 @@
+// HLS playlist builders shared by the media workers and the HLS manifest service
+
+const SUBTITLE_GROUP_ID = 'subs';
+const CHAPTERS_DATA_ID = 'com.apple.hls.chapters';
+
+function quote(value) {
+  return String(value).replace(/"/g, "'");
+}
+
+/**
+ * Build the master playlist for a set of renditions, with one
+ * EXT-X-MEDIA subtitles rendition per caption track.
+ * @param {Array} streams - { name, width, height, frameRate, bitrate, audioBitrate }
+ * @param {Array} subtitles - { language, label } with playlists at subs/<language>/playlist.m3u8
+ * @param {object} options - { chaptersUri } to advertise a chapters JSON file via EXT-X-SESSION-DATA
+ */
+function createMasterPlaylist(streams, subtitles = [], { chaptersUri } = {}) {
+  let playlist = '#EXTM3U\n#EXT-X-VERSION:3\n\n';
+
+  if (chaptersUri) {
+    playlist += `#EXT-X-SESSION-DATA:DATA-ID="${CHAPTERS_DATA_ID}",URI="${chaptersUri}"\n\n`;
+  }
+
+  subtitles.forEach((track) => {
+    playlist += `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="${SUBTITLE_GROUP_ID}",NAME="${quote(track.label)}",`
+      + `LANGUAGE="${track.language}",DEFAULT=NO,AUTOSELECT=YES,URI="subs/${track.language}/playlist.m3u8"\n`;
+  });
+  if (subtitles.length > 0) playlist += '\n';
+
+  // Sort streams by bitrate (lowest to highest)
+  const sortedStreams = [...streams].sort((a, b) => parseInt(a.bitrate, 10) - parseInt(b.bitrate, 10));
+  const subtitleAttribute = subtitles.length > 0 ? `,SUBTITLES="${SUBTITLE_GROUP_ID}"` : '';
+
+  sortedStreams.forEach((stream) => {
+    const bandwidth = (parseInt(stream.bitrate, 10) + parseInt(stream.audioBitrate || '0', 10)) * 1000;
+    playlist += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${stream.width}x${stream.height},`
+      + `FRAME-RATE=${Number(stream.frameRate || 0).toFixed(3)},NAME="${stream.name}"${subtitleAttribute}\n`;
+    playlist += `${stream.name}/playlist.m3u8\n\n`;
+  });
+
+  return playlist;
+}
+
+// Audio-only master playlist: one AAC rendition per bitrate
+function createAudioMasterPlaylist(renditions) {
+  let playlist = '#EXTM3U\n#EXT-X-VERSION:3\n\n';
+
+  const sorted = [...renditions].sort((a, b) => parseInt(a.bitrate, 10) - parseInt(b.bitrate, 10));
+  sorted.forEach((rendition) => {
+    playlist += `#EXT-X-STREAM-INF:BANDWIDTH=${parseInt(rendition.bitrate, 10) * 1000},CODECS="mp4a.40.2",`
+      + `NAME="${rendition.name}"\n`;
+    playlist += `${rendition.name}/playlist.m3u8\n\n`;
+  });
+
+  return playlist;
+}
+
+// A caption track is served as a single WebVTT segment spanning the whole video
+function createSubtitlePlaylist(duration, fileName = 'subtitles.vtt') {
+  const segmentDuration = Math.max(Number(duration) || 0, 1);
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${Math.ceil(segmentDuration)}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    `#EXTINF:${segmentDuration.toFixed(3)},`,
+    fileName,
+    '#EXT-X-ENDLIST',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  createMasterPlaylist,
+  createAudioMasterPlaylist,
+  createSubtitlePlaylist
+};
@@ -0,0 +1,273 @@
+// Pre-processing checks on uploaded files: the bytes must match the declared type,
+// the file must scan clean, and media must probe cleanly within the configured limits
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { storageConfig } = require('../../config/storage');
+const { getScanner, scanFile, scanBuffer } = require('../scanning/malwareScanner');
+
+const execFileAsync = promisify(execFile);
+
+// Enough for every signature below, including the MPEG-TS sync byte at 188
+const HEAD_BYTES = 512;
+
+/**
+ * A file that failed validation. Retrying cannot change the verdict, so workers
+ * quarantine the file instead of handing the job back to the queue.
+ */
+class MediaRejectedError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'MediaRejectedError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const ascii = (head, start, end) => head.subarray(start, end).toString('latin1');
+
+function looksLikeText(head) {
+  if (head.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Identify a file's container or format from its first bytes.
+ * @param {Buffer} head
+ * @returns {string|null} e.g. "isobmff", "matroska", "pdf"; null when unrecognised
+ */
+function sniffFormat(head) {
+  if (head.length < 4) return null;
+  const riff = ascii(head, 0, 4) === 'RIFF' ? ascii(head, 8, 12) : null;
+  if (riff === 'AVI ') return 'avi';
+  if (riff === 'WAVE') return 'wave';
+  if (riff === 'WEBP') return 'webp';
+  if (ascii(head, 4, 8) === 'ftyp') return 'isobmff';
+  if (head.readUInt32BE(0) === 0x1a45dfa3) return 'matroska';
+  if (head.readUInt32BE(0) === 0x000001ba) return 'mpeg-ps';
+  if (head[0] === 0x47 && head[188] === 0x47) return 'mpeg-ts';
+  if (head.readUInt32BE(0) === 0x3026b275) return 'asf';
+  if (ascii(head, 0, 3) === 'FLV') return 'flv';
+  if (ascii(head, 0, 4) === 'OggS') return 'ogg';
+  if (ascii(head, 0, 4) === 'fLaC') return 'flac';
+  if (ascii(head, 0, 3) === 'ID3') return 'mp3';
+  // MPEG audio frame sync (11 set bits); layer bits (2-1) of 00 mean an ADTS (AAC) header instead
+  if (head[0] === 0xff && head[1] >= 0xe0) return Math.floor(head[1] / 2) % 4 === 0 ? 'adts' : 'mp3';
+  if (ascii(head, 0, 5) === '%PDF-') return 'pdf';
+  if (head.readUInt32BE(0) === 0x504b0304) return 'zip';
+  if (head.readUInt32BE(0) === 0xd0cf11e0) return 'ole';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpeg';
+  if (head.readUInt32BE(0) === 0x89504e47) return 'png';
+  if (ascii(head, 0, 4) === 'GIF8') return 'gif';
+  if (looksLikeText(head)) return 'text';
+  return null;
+}
+
+// Formats each declared MIME type may actually be
+const DECLARED_FORMATS = {
+  'video/mp4': ['isobmff'],
+  'video/quicktime': ['isobmff'],
+  'video/3gpp': ['isobmff'],
+  'video/webm': ['matroska'],
+  'video/x-matroska': ['matroska'],
+  'video/x-msvideo': ['avi'],
+  'video/mpeg': ['mpeg-ps', 'mpeg-ts'],
+  'video/mp2t': ['mpeg-ts'],
+  'video/x-flv': ['flv'],
+  'video/x-ms-wmv': ['asf'],
+  'audio/mpeg': ['mp3'],
+  'audio/mp3': ['mp3'],
+  'audio/wav': ['wave'],
+  'audio/x-wav': ['wave'],
+  'audio/wave': ['wave'],
+  'audio/ogg': ['ogg'],
+  'audio/opus': ['ogg'],
+  'audio/mp4': ['isobmff'],
+  'audio/x-m4a': ['isobmff'],
+  'audio/aac': ['adts', 'isobmff'],
+  'audio/webm': ['matroska'],
+  'audio/flac': ['flac'],
+  'audio/x-flac': ['flac'],
+  'application/pdf': ['pdf'],
+  'application/msword': ['ole'],
+  'application/vnd.ms-powerpoint': ['ole'],
+  'application/vnd.ms-excel': ['ole'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['zip'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['zip'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['zip'],
+  'application/vnd.oasis.opendocument.text': ['zip'],
+  'text/plain': ['text'],
+  'text/markdown': ['text'],
+  'text/x-markdown': ['text'],
+  'image/jpeg': ['jpeg'],
+  'image/jpg': ['jpeg'],
+  'image/png': ['png'],
+  'image/gif': ['gif'],
+  'image/webp': ['webp']
+};
+
+// Used when the declared type is missing or generic
+const KIND_FORMATS = {
+  video: ['isobmff', 'matroska', 'avi', 'mpeg-ps', 'mpeg-ts', 'flv', 'asf'],
+  audio: ['mp3', 'adts', 'wave', 'ogg', 'flac', 'isobmff', 'matroska'],
+  document: ['pdf', 'ole', 'zip', 'text', 'jpeg', 'png', 'gif', 'webp']
+};
+
+/**
+ * Compare a file's magic bytes with its declared type.
+ * @param {Buffer} head - The first HEAD_BYTES of the file
+ * @param {string} declaredType - MIME type the client declared
+ * @param {'video'|'audio'|'document'} kind
+ * @returns {string} The detected format
+ */
+function checkSignature(head, declaredType, kind) {
+  const mime = String(declaredType || '').split(';')[0].trim().toLowerCase();
+  const accepted = DECLARED_FORMATS[mime] || KIND_FORMATS[kind];
+  const format = sniffFormat(head);
+  if (!format || !accepted.includes(format)) {
+    throw new MediaRejectedError(
+      `File content (${format || 'unrecognised'}) does not match the declared type ${mime || kind}`,
+      'TYPE_MISMATCH',
+      { declaredType: mime || null, detectedFormat: format }
+    );
+  }
+  return format;
+}
+
+async function readHead(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await fs.read(handle, Buffer.alloc(HEAD_BYTES), 0, HEAD_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fs.close(handle);
+  }
+}
+
+async function probeFile(filePath) {
+  try {
+    const { stdout } = await execFileAsync(
+      'ffprobe',
+      ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath],
+      { maxBuffer: 10 * 1024 * 1024 }
+    );
+    return JSON.parse(stdout);
+  } catch (error) {
+    // A missing ffprobe is an environment problem, not a verdict on the file
+    if (error.code === 'ENOENT') throw error;
+    throw new MediaRejectedError('File could not be read as media', 'UNREADABLE_MEDIA', {
+      detail: (error.stderr || error.message || '').trim().slice(0, 500)
+    });
+  }
+}
+
+const parseResolution = (value) => value.split('x').map(Number).sort((a, b) => b - a);
+
+/**
+ * Sanity-check ffprobe output against the limits in storageConfig.validation:
+ * the expected stream kind is present, codecs are allowlisted, no stream is
+ * empty, and duration and resolution are within bounds.
+ * @returns {object} Summary of what was checked, stored with the content
+ */
+function checkProbe(metadata, kind) {
+  const { video, audio, maxDurationSeconds } = storageConfig.validation;
+  const streams = metadata.streams || [];
+  // Cover art in audio files shows up as a single-frame video stream
+  const videoStreams = streams.filter((stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audioStreams = streams.filter((stream) => stream.codec_type === 'audio');
+  const reject = (message, code, details) => { throw new MediaRejectedError(message, code, details); };
+
+  if (kind === 'video' && videoStreams.length === 0) reject('No video stream found', 'NO_VIDEO_STREAM');
+  if (kind === 'audio' && audioStreams.length === 0) reject('No audio stream found', 'NO_AUDIO_STREAM');
+
+  const checkedStreams = kind === 'video' ? [...videoStreams, ...audioStreams] : audioStreams;
+  checkedStreams.forEach((stream) => {
+    const allowed = stream.codec_type === 'video' ? video.codecs : audio.codecs;
+    if (!allowed.includes(stream.codec_name)) {
+      reject(`Unsupported ${stream.codec_type} codec: ${stream.codec_name}`, 'UNSUPPORTED_CODEC', { codec: stream.codec_name });
+    }
+    const empty = stream.nb_frames === '0'
+      || (stream.duration !== undefined && !(parseFloat(stream.duration) > 0));
+    if (empty) {
+      reject(`Stream ${stream.index} (${stream.codec_type}) is empty`, 'EMPTY_STREAM', { streamIndex: stream.index });
+    }
+  });
+
+  const duration = parseFloat(metadata.format?.duration);
+  if (!(duration > 0)) reject('Media has no duration', 'EMPTY_STREAM');
+  if (duration > maxDurationSeconds) {
+    reject(`Duration ${Math.round(duration)}s exceeds the ${maxDurationSeconds}s limit`, 'DURATION_EXCEEDED', { duration });
+  }
+
+  const [maxLong, maxShort] = parseResolution(video.maxResolution);
+  if (kind === 'video') {
+    videoStreams.forEach((stream) => {
+      const [long, short] = parseResolution(`${stream.width || 0}x${stream.height || 0}`);
+      if (!short) reject(`Stream ${stream.index} has no picture size`, 'EMPTY_STREAM', { streamIndex: stream.index });
+      if (long > maxLong || short > maxShort) {
+        reject(
+          `Resolution ${stream.width}x${stream.height} exceeds ${video.maxResolution}`,
+          'RESOLUTION_EXCEEDED',
+          { width: stream.width, height: stream.height }
+        );
+      }
+    });
+  }
+
+  return {
+    duration,
+    video: kind === 'video'
+      ? videoStreams.map((stream) => ({ codec: stream.codec_name, width: stream.width, height: stream.height }))
+      : [],
+    audio: audioStreams.map((stream) => ({ codec: stream.codec_name, channels: stream.channels }))
+  };
+}
+
+function assertClean(scan) {
+  if (!scan.clean) {
+    throw new MediaRejectedError(`Malware detected: ${scan.signature}`, 'MALWARE_DETECTED', { signature: scan.signature });
+  }
+}
+
+/**
+ * Validate a downloaded video or audio source. The scan runs before ffprobe so
+ * infected files never reach a media parser.
+ * @param {string} filePath
+ * @param {{kind: 'video'|'audio', declaredType: string}} options
+ * @returns {Promise<object>} JSON-serialisable result, kept as the validate stage checkpoint
+ * @throws {MediaRejectedError} When the file fails a check
+ */
+async function validateMediaFile(filePath, { kind, declaredType }) {
+  const format = checkSignature(await readHead(filePath), declaredType, kind);
+  assertClean(await scanFile(filePath));
+  const probe = checkProbe(await probeFile(filePath), kind);
+  return {
+    format, probe, scanner: getScanner().name, checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate a document held in memory: magic bytes and malware scan.
+ * @param {Buffer} buffer
+ * @param {string} declaredType
+ * @throws {MediaRejectedError} When the file fails a check
+ */
+async function validateDocumentBuffer(buffer, declaredType) {
+  const format = checkSignature(buffer.subarray(0, HEAD_BYTES), declaredType, 'document');
+  assertClean(await scanBuffer(buffer));
+  return { format, scanner: getScanner().name, checkedAt: new Date().toISOString() };
+}
+
+module.exports = {
+  MediaRejectedError,
+  sniffFormat,
+  checkSignature,
+  checkProbe,
+  validateMediaFile,
+  validateDocumentBuffer
+};
@@ -1,6 +1,24 @@
-const { GetObjectCommand, PutObjectCommand, DeleteObjectsCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const {
+  GetObjectCommand, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, DeleteObjectsCommand,
+  ListObjectsV2Command, CreateMultipartUploadCommand, UploadPartCommand, ListPartsCommand,
+  CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const fs = require('fs-extra');
+const path = require('path');
 const { getS3Client, getBucketName } = require('../../config/minio');
 
+// Content types for files produced by the media workers, by extension
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/MP2T',
+  '.jpg': 'image/jpeg',
+  '.vtt': 'text/vtt',
+  '.mp3': 'audio/mpeg',
+  '.json': 'application/json'
+};
+
 async function getObjectStream(key) {
   const s3 = getS3Client();
   const bucket = getBucketName();
@@ -17,6 +35,12 @@ async function getObjectBuffer(key) {
   return Buffer.concat(chunks);
 }
 
+async function getPresignedUrl(key, expiresIn) {
+  const s3 = getS3Client();
+  const bucket = getBucketName();
+  return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+}
+
 async function putObjectBuffer(key, buffer, contentType) {
   const s3 = getS3Client();
   const bucket = getBucketName();
@@ -31,24 +55,121 @@ async function putObjectStream(key, stream, contentType) {
   return `s3://${bucket}/${key}`;
 }
 
-async function listKeysWithPrefix(prefix) {
+// Part size and parallel part uploads for multipart uploads (S3 requires parts of at least 5 MB)
+const MULTIPART_PART_SIZE = Math.max(5, Number(process.env.S3_MULTIPART_PART_SIZE_MB) || 16) * 1024 * 1024;
+const MULTIPART_QUEUE_SIZE = Math.max(1, Number(process.env.S3_MULTIPART_QUEUE_SIZE) || 4);
+
+/**
+ * Upload a stream of any length with S3 multipart upload. At most
+ * MULTIPART_QUEUE_SIZE parts are buffered at once, so memory use does not grow
+ * with the file; a failed upload is aborted and its parts discarded.
+ * @param {string} key - Object key
+ * @param {import('stream').Readable|Buffer} body
+ * @param {string} contentType
+ * @param {function(number): void} [onProgress] - Called with the bytes uploaded so far
+ * @returns {Promise<string>} s3:// URL of the object
+ */
+async function uploadMultipart(key, body, contentType, onProgress) {
+  const bucket = getBucketName();
+  const upload = new Upload({
+    client: getS3Client(),
+    params: {
+      Bucket: bucket, Key: key, Body: body, ContentType: contentType
+    },
+    partSize: MULTIPART_PART_SIZE,
+    queueSize: MULTIPART_QUEUE_SIZE,
+    leavePartsOnError: false
+  });
+  if (onProgress) {
+    upload.on('httpUploadProgress', (progress) => onProgress(progress.loaded || 0));
+  }
+  await upload.done();
+  return `s3://${bucket}/${key}`;
+}
+
+// Client-driven multipart uploads: the server opens the upload and signs part URLs,
+// clients PUT the parts straight to storage, and the server completes it
+
+async function createMultipartUpload(key, contentType) {
+  const s3 = getS3Client();
+  const bucket = getBucketName();
+  const resp = await s3.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: contentType }));
+  return resp.UploadId;
+}
+
+// partNumber is 1-based, as in S3
+async function getPresignedPartUrl(key, uploadId, partNumber, expiresIn) {
+  const s3 = getS3Client();
+  const bucket = getBucketName();
+  return getSignedUrl(s3, new UploadPartCommand({
+    Bucket: bucket, Key: key, UploadId: uploadId, PartNumber: partNumber
+  }), { expiresIn });
+}
+
+// Parts storage has received so far: [{ partNumber, etag, size }]
+async function listUploadedParts(key, uploadId) {
+  const s3 = getS3Client();
+  const bucket = getBucketName();
+  const parts = [];
+  let PartNumberMarker;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const resp = await s3.send(new ListPartsCommand({
+      Bucket: bucket, Key: key, UploadId: uploadId, PartNumberMarker
+    }));
+    (resp.Parts || []).forEach((part) => parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size }));
+    PartNumberMarker = resp.IsTruncated ? resp.NextPartNumberMarker : undefined;
+  } while (PartNumberMarker);
+  return parts;
+}
+
+async function completeMultipartUpload(key, uploadId, parts) {
+  const s3 = getS3Client();
+  const bucket = getBucketName();
+  await s3.send(new CompleteMultipartUploadCommand({
+    Bucket: bucket,
+    Key: key,
+    UploadId: uploadId,
+    MultipartUpload: { Parts: parts.map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })) }
+  }));
+  return `s3://${bucket}/${key}`;
+}
+
+async function abortMultipartUpload(key, uploadId) {
+  const s3 = getS3Client();
+  const bucket = getBucketName();
+  await s3.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+}
+
+// Every object under a prefix: [{ key, size, lastModified }]
+async function listObjectsWithPrefix(prefix) {
   const s3 = getS3Client();
   const bucket = getBucketName();
-  const keys = [];
+  const objects = [];
   let ContinuationToken;
   do {
     // eslint-disable-next-line no-await-in-loop
     const resp = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
-    (resp.Contents || []).forEach((o) => keys.push(o.Key));
+    (resp.Contents || []).forEach((o) => objects.push({ key: o.Key, size: o.Size || 0, lastModified: o.LastModified }));
     ContinuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
   } while (ContinuationToken);
-  return keys;
+  return objects;
 }
 
-async function deletePrefix(prefix) {
+async function listKeysWithPrefix(prefix) {
+  return (await listObjectsWithPrefix(prefix)).map((object) => object.key);
+}
+
+async function deleteObject(key) {
+  const s3 = getS3Client();
+  const bucket = getBucketName();
+  await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+}
+
+// Batch delete, 1000 keys per request; returns how many were deleted
+async function deleteKeys(keys) {
   const s3 = getS3Client();
   const bucket = getBucketName();
-  const keys = await listKeysWithPrefix(prefix);
   if (keys.length === 0) return 0;
   const chunks = [];
   for (let i = 0; i < keys.length; i += 1000) {
@@ -67,12 +188,86 @@ async function deletePrefix(prefix) {
   return deleted;
 }
 
+async function deletePrefix(prefix) {
+  return deleteKeys(await listKeysWithPrefix(prefix));
+}
+
+// Server-side copy of a single object
+async function copyObject(fromKey, toKey) {
+  const s3 = getS3Client();
+  const bucket = getBucketName();
+  await s3.send(new CopyObjectCommand({
+    Bucket: bucket,
+    Key: toKey,
+    CopySource: encodeURI(`${bucket}/${fromKey}`)
+  }));
+}
+
+// Server-side copy of every object under fromPrefix to the same relative key under
+// toPrefix, skipping keys for which `exclude` returns true; returns the new keys
+async function copyPrefix(fromPrefix, toPrefix, exclude = () => false) {
+  const keys = (await listKeysWithPrefix(fromPrefix)).filter((key) => !exclude(key));
+  const copied = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of keys) {
+    const targetKey = `${toPrefix}${key.slice(fromPrefix.length)}`;
+    // eslint-disable-next-line no-await-in-loop
+    await copyObject(key, targetKey);
+    copied.push(targetKey);
+  }
+  return copied;
+}
+
+async function downloadToFile(key, localPath) {
+  const readStream = await getObjectStream(key);
+  const writeStream = fs.createWriteStream(localPath);
+  await new Promise((resolve, reject) => {
+    readStream.on('error', reject);
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+    readStream.pipe(writeStream);
+  });
+  const { size } = await fs.stat(localPath);
+  return { size };
+}
+
+// Upload every file in localDir (not recursive) under baseKey; returns the uploaded keys
+async function uploadDirectory(localDir, baseKey) {
+  const uploaded = [];
+  const files = await fs.readdir(localDir);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const file of files) {
+    // eslint-disable-next-line no-await-in-loop
+    const fileBuffer = await fs.readFile(path.join(localDir, file));
+    const fileKey = `${baseKey}/${file}`;
+    const contentType = CONTENT_TYPES[path.extname(file)] || 'application/octet-stream';
+    // eslint-disable-next-line no-await-in-loop
+    await putObjectBuffer(fileKey, fileBuffer, contentType);
+    uploaded.push(fileKey);
+  }
+  return uploaded;
+}
+
 module.exports = {
   getObjectStream,
   getObjectBuffer,
+  getPresignedUrl,
   putObjectBuffer,
   putObjectStream,
-  deletePrefix
+  uploadMultipart,
+  createMultipartUpload,
+  getPresignedPartUrl,
+  listUploadedParts,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  listObjectsWithPrefix,
+  deleteObject,
+  deleteKeys,
+  deletePrefix,
+  copyObject,
+  copyPrefix,
+  downloadToFile,
+  uploadDirectory
 };
 
 
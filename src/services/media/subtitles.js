@@ -0,0 +1,107 @@
+// SRT / WebVTT parsing and serialisation for caption tracks
+
+const TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const CUE_TIMING_PATTERN = /^\s*(\S+)\s+-->\s+(\S+)/;
+
+// Text-based subtitle codecs ffmpeg can convert to WebVTT. Bitmap formats
+// (PGS, VobSub, DVB) would need OCR and are skipped.
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'webvtt', 'ass', 'ssa', 'mov_text', 'text'];
+
+function parseTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(value || '');
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+function formatTimestamp(totalSeconds) {
+  const ms = Math.max(Math.round(totalSeconds * 1000), 0);
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+}
+
+// Strip markup (<i>, <c.yellow>, {\an8}) so cue text is plain for display and search
+function stripCueMarkup(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .trim();
+}
+
+/**
+ * Parse an SRT or WebVTT document into cues sorted by start time.
+ * Blocks without a valid timing line (WEBVTT header, NOTE, STYLE, SRT counters)
+ * are ignored.
+ * @param {string} input - Subtitle file contents
+ * @returns {Array<{start: number, end: number, text: string}>} Cues in seconds
+ */
+function parseSubtitles(input) {
+  const normalized = String(input || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n');
+
+  const cues = [];
+  normalized.split(/\n{2,}/).forEach((block) => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex((line) => CUE_TIMING_PATTERN.test(line));
+    if (timingIndex === -1) return;
+
+    const [, startRaw, endRaw] = CUE_TIMING_PATTERN.exec(lines[timingIndex]);
+    const start = parseTimestamp(startRaw);
+    const end = parseTimestamp(endRaw);
+    const text = stripCueMarkup(lines.slice(timingIndex + 1).join('\n'));
+    if (start === null || end === null || end <= start || !text) return;
+
+    cues.push({ start, end, text });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+function toWebVTT(cues) {
+  const body = cues
+    .map((cue) => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`)
+    .join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+function cuesToText(cues) {
+  return cues.map((cue) => cue.text.replace(/\n/g, ' ')).join(' ');
+}
+
+// Canonical BCP 47 tag, e.g. "en-us" -> "en-US", "pt_BR" -> "pt-BR". ISO 639-2 codes
+// from container metadata ("eng", "fre") map to their two-letter form. Null if invalid.
+function normalizeLanguage(language) {
+  const tag = String(language || '').trim().replace(/_/g, '-');
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(tag)) return null;
+  try {
+    return Intl.getCanonicalLocales(tag)[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+function languageLabel(language) {
+  if (!language || language === 'und') return 'Unknown';
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (error) {
+    return language;
+  }
+}
+
+module.exports = {
+  TEXT_SUBTITLE_CODECS,
+  formatTimestamp,
+  parseSubtitles,
+  toWebVTT,
+  cuesToText,
+  normalizeLanguage,
+  languageLabel
+};
@@ -0,0 +1,82 @@
+// Scanner adapter for a ClamAV daemon (clamd) or anything speaking its INSTREAM protocol
+const net = require('net');
+
+// clamd rejects streams above its StreamMaxLength; the file is sent in chunks of this size
+const CHUNK_SIZE = 64 * 1024;
+
+// Replies look like "stream: OK", "stream: Eicar-Test-Signature FOUND" or "... ERROR"
+function parseReply(reply) {
+  const text = reply.replace(/\0/g, '').trim();
+  if (/:\s*OK$/.test(text)) return { clean: true, signature: null };
+  const found = text.match(/:\s*(.+)\s+FOUND$/);
+  if (found) return { clean: false, signature: found[1] };
+  throw new Error(`ClamAV could not scan the file: ${text || 'empty reply'}`);
+}
+
+function frame(chunk) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(chunk.length, 0);
+  return Buffer.concat([length, chunk]);
+}
+
+/**
+ * @param {{host: string, port: number, socket: string|null, timeoutMs: number}} options
+ * @returns {import('./malwareScanner').MalwareScanner}
+ */
+function createClamavScanner({
+  host, port, socket, timeoutMs
+}) {
+  function scanStream(stream) {
+    return new Promise((resolve, reject) => {
+      const connection = socket ? net.createConnection(socket) : net.createConnection(port, host);
+      const replies = [];
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        connection.destroy();
+        stream.destroy();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      connection.setTimeout(timeoutMs, () => finish(new Error(`ClamAV did not answer within ${timeoutMs}ms`)));
+      connection.on('error', (error) => finish(new Error(`ClamAV unavailable: ${error.message}`)));
+      connection.on('data', (data) => replies.push(data));
+      connection.on('end', () => {
+        try {
+          finish(null, parseReply(Buffer.concat(replies).toString('utf8')));
+        } catch (error) {
+          finish(error);
+        }
+      });
+
+      connection.on('connect', async () => {
+        try {
+          connection.write('zINSTREAM\0');
+          // eslint-disable-next-line no-restricted-syntax
+          for await (const data of stream) {
+            for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+              // clamd answers early (and closes) when the stream exceeds its limit
+              if (settled || connection.destroyed) return;
+              if (!connection.write(frame(data.subarray(offset, offset + CHUNK_SIZE)))) {
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise((drained) => { connection.once('drain', drained); });
+              }
+            }
+          }
+          connection.write(Buffer.alloc(4));
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+
+  return { name: 'clamav', scanStream };
+}
+
+module.exports = {
+  createClamavScanner
+};
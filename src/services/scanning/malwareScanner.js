@@ -0,0 +1,63 @@
+// Pluggable malware scanning for uploaded files
+const fs = require('fs-extra');
+const { Readable } = require('stream');
+const { storageConfig } = require('../../config/storage');
+const { createClamavScanner } = require('./clamavScanner');
+
+/**
+ * @typedef {object} ScanResult
+ * @property {boolean} clean - false when the scanner found something
+ * @property {string|null} signature - Name of what was found, e.g. "Eicar-Test-Signature"
+ */
+
+/**
+ * A scanner adapter takes a readable stream of the file and resolves to a
+ * ScanResult. It rejects only when the file could not be scanned (daemon down,
+ * timeout), which callers treat as retryable rather than as a verdict.
+ * @typedef {object} MalwareScanner
+ * @property {string} name
+ * @property {(stream: import('stream').Readable) => Promise<ScanResult>} scanStream
+ */
+
+const factories = {
+  none: () => ({
+    name: 'none',
+    scanStream: async () => ({ clean: true, signature: null })
+  }),
+  clamav: () => createClamavScanner(storageConfig.validation.clamav)
+};
+
+let active = null;
+
+// Make another scanner selectable through MALWARE_SCANNER
+function registerScanner(name, factory) {
+  factories[name] = factory;
+  if (active?.name === name) active = null;
+}
+
+/** @returns {MalwareScanner} The scanner named by MALWARE_SCANNER */
+function getScanner() {
+  const name = storageConfig.validation.scanner;
+  if (!active || active.name !== name) {
+    if (!factories[name]) {
+      throw new Error(`Unknown malware scanner "${name}"`);
+    }
+    active = factories[name]();
+  }
+  return active;
+}
+
+async function scanFile(filePath) {
+  return getScanner().scanStream(fs.createReadStream(filePath));
+}
+
+async function scanBuffer(buffer) {
+  return getScanner().scanStream(Readable.from([buffer]));
+}
+
+module.exports = {
+  registerScanner,
+  getScanner,
+  scanFile,
+  scanBuffer
+};
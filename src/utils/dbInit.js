@@ -51,6 +51,14 @@ const initializeDatabase = async () => {
     `;
     console.log('Created full-text search index for content');
 
+    // Trigram index so case-insensitive substring search inside documents does not scan every page
+    await prisma.$executeRaw`CREATE EXTENSION IF NOT EXISTS pg_trgm;`;
+    await prisma.$executeRaw`
+      CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_document_pages_text_trgm
+      ON document_pages USING GIN (text gin_trgm_ops);
+    `;
+    console.log('Created trigram index for document page text');
+
     console.log('Database initialization completed successfully');
     return true;
   } catch (error) {
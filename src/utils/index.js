@@ -12,6 +12,13 @@ const generateSlug = (text) => text
   .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
   .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
 
+// Fold accented letters to plain ones ("Tiếng Việt" -> "Tieng Viet"), e.g. before generateSlug
+const removeAccents = (text) => text
+  .normalize('NFD')
+  .replace(/[̀-ͯ]/g, '')
+  .replace(/đ/g, 'd')
+  .replace(/Đ/g, 'D');
+
 // Calculate reading time for articles
 const calculateReadingTime = (text) => {
   const wordsPerMinute = 200;
@@ -83,6 +90,7 @@ const sanitizeUser = (user) => {
 module.exports = {
   generateRandomString,
   generateSlug,
+  removeAccents,
   calculateReadingTime,
   formatFileSize,
   isValidEmail,